@@ -1,6 +1,7 @@
 // api/account-delete.js
 import clientPromise from "./lib/mongodb.js";
 import { getAdminAuth } from "./lib/firebaseAdmin.js";
+import { retireAccount } from "./lib/retention.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -19,17 +20,15 @@ export default async function handler(req, res) {
     const decoded = await adminAuth.verifyIdToken(authz.slice(7));
     const uid = decoded.uid;
 
-    // 1) Delete from Mongo
+    // 1) Delete from Mongo: user doc now, data now or after the grace period (lib/retention.js)
     const client = await clientPromise;
     const db = client.db("healthkit");
-    const users = db.collection("users");
-    const result = await users.deleteOne({ _id: uid });
-
+    const tombstone = await retireAccount(db, uid, { via: "self", deletedBy: uid });
 
     // 2) Delete from Firebase Auth (Admin)
     await adminAuth.deleteUser(uid);
 
-    return res.status(200).json({ ok: true, dbDeleted: result.deletedCount === 1 });
+    return res.status(200).json({ ok: true, dbDeleted: tombstone.userDeleted, purgeAt: tombstone.purgeAt });
   } catch (e) {
     console.error("account-delete error:", e);
     return res.status(500).json({ error: e.message || "Server error" });
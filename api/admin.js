@@ -1,6 +1,7 @@
 // /api/admin.js  (the ONLY file in /api)
 import dupes from "../src/server/dupes.js";
 import health from "../src/server/health.js";
+import healthExport from "../src/server/health_export.js";
 import ingestLogs from "../src/server/ingest_logs.js";
 import ping from "../src/server/ping.js";
 import potentialDupes from "../src/server/potential_dupes.js";
@@ -10,30 +11,44 @@ import requests from "../src/server/requests.js";                // GET (list) +
 import requestsApprove from "../src/server/requests_approve.js"; // POST
 import requestsReject from "../src/server/requests_reject.js";   // POST
 import accountDeleteAdmin from "../src/server/account_delete_admin.js"; // POST
+import sourcePolicy from "../src/server/source_policy.js";        // GET / POST
+import reprocess from "../src/server/reprocess.js";               // GET / POST
+import retention from "../src/server/retention.js";               // GET / PUT / POST
+import roles from "../src/server/roles.js";                       // GET / POST
+import notifications from "../src/server/notifications.js";       // GET / POST
 
+// action → [handler, permission]. The permission is one name or { METHOD: name } from
+// src/utils/roles.js; requireAdmin (api/admin/_util.js) checks it against the caller's role.
 const table = {
-  dupes,
-  health,
-  "ingest-logs": ingestLogs,
-  ping,
-  "potential-dupes": potentialDupes,
-  status,
-  users,
-  requests,             // GET / POST
-  "requests-approve": requestsApprove, // POST
-  "requests-reject": requestsReject,   // POST
-  "account-delete": accountDeleteAdmin // POST (admin-only)
+  dupes:             [dupes, "data:maintain"],
+  health:            [health, { GET: "health:read", POST: "data:maintain" }],
+  "health-export":   [healthExport, "health:export"],           // GET (streams csv/ndjson/json)
+  "ingest-logs":     [ingestLogs, "status:read"],
+  ping:              [ping, "status:read"],
+  "potential-dupes": [potentialDupes, "data:maintain"],
+  status:            [status, "status:read"],
+  users:             [users, "users:read"],
+  requests:          [requests, "requests:review"],             // GET / POST (anyone for their own; reviewers see all)
+  "requests-approve": [requestsApprove, "requests:review"],     // POST
+  "requests-reject": [requestsReject, "requests:review"],       // POST
+  "account-delete":  [accountDeleteAdmin, "accounts:delete"],   // POST
+  "source-policy":   [sourcePolicy, { GET: "status:read", POST: "policy:manage", PUT: "policy:manage" }], // source priority for dedupe
+  reprocess:         [reprocess, "data:maintain"],              // GET / POST (rebuild health_data from raw uploads)
+  retention:         [retention, "policy:manage"],              // GET / PUT / POST (purge policy, tombstones, expiry)
+  roles:             [roles, { GET: "users:read", POST: "users:roles" }], // GET / POST (role management)
+  notifications:     [notifications, { GET: "status:read", POST: "policy:manage" }], // GET / POST (run reminder / alert rules)
 };
 
 export default async function handler(req, res) {
   try {
     const action = String(req.query.action || "");
-    const fn = table[action];
+    const [fn, permission] = table[action] || [];
     if (!fn) {
       return res
         .status(404)
         .json({ error: `Unknown action: ${action}`, allowed: Object.keys(table) });
     }
+    req.permission = typeof permission === "string" ? permission : permission?.[req.method];
     return await fn(req, res);
   } catch (e) {
     console.error(e);
@@ -1,36 +1,47 @@
 // _util.jsx //
 import clientPromise from "../lib/mongodb.js";
 import { verifyIdTokenFromHeader } from "../lib/firebaseAdmin.js";
+import { can } from "../../src/utils/roles.js";
 
 export async function getDb() {
   const client = await clientPromise;
   return client.db("healthkit");
 }
 
+/** True when the request is a Vercel cron call (`Authorization: Bearer $CRON_SECRET`). */
+export function isCron(req) {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && req.headers.authorization === `Bearer ${secret}`;
+}
+
 /**
- * Verify Firebase ID token, then check Mongo users.role === "admin".
+ * Verify Firebase ID token, then check the caller's Mongo users.role grants the permission the
+ * api/admin.js table set for this action and method (`req.permission`, see src/utils/roles.js).
+ * Without one — a handler mounted outside the table — only "admin" passes.
  * If OK, returns { decoded, userDoc }. If not, sends 401/403 and returns null.
+ *
+ * Pass { silent: true } to avoid sending a response; function returns null instead.
  */
-export async function requireAdmin(req, res) {
+export async function requireAdmin(req, res, opts = {}) {
+  const fail = (code, error) => {
+    if (!opts.silent) res.status(code).json({ error });
+    return null;
+  };
   try {
     const authz = req.headers.authorization || "";
-    if (!authz.startsWith("Bearer ")) {
-      res.status(401).json({ error: "Unauthorised" });
-      return null;
-    }
+    if (!authz.startsWith("Bearer ")) return fail(401, "Unauthorised");
     const decoded = await verifyIdTokenFromHeader(authz);
     const db = await getDb();
     const userDoc = await db
       .collection("users")
       .findOne({ _id: decoded.uid }, { projection: { role: 1 } });
-    if (userDoc?.role === "admin") {
+    const allowed = req.permission ? can(userDoc?.role, req.permission) : userDoc?.role === "admin";
+    if (allowed) {
       return { decoded, userDoc };
     }
-    res.status(403).json({ error: "Forbidden" });
-    return null;
+    return fail(403, "Forbidden");
   } catch (e) {
-    res.status(401).json({ error: "Unauthorised" });
-    return null;
+    return fail(401, "Unauthorised");
   }
 }
 
@@ -1,11 +1,116 @@
 // api/goals.js
-// Save user goal to MongoDB with user _id (uid)
+// User goals, versioned (lib/goals.js): every save is kept, so past targets stay known.
+//
+// GET  /api/goals                       → { ok, goal, version, effectiveFrom }  the goal in force today
+// GET  /api/goals/history               → { items: [{ goal, version, effectiveFrom, createdAt, source }] } newest first
+// GET  /api/goals/attainment?weeks=26   → { tz, items: [goal_attainment rows] } oldest first
+// POST /api/goals { goal, effectiveFrom? } → { ok, _id, version, effectiveFrom }
+//
+// Recommendations (lib/goalRecommendations.js):
+// GET  /api/goals/recommendations       → { tz, window, age, ageBand, goal, current, metrics: { [field]: { baseline, weeks, target, rationale } } }
+// POST /api/goals/recommendations       → { ok, _id, version, effectiveFrom, goal }  saves the suggestion from today
+//
+// General goals on any metric (lib/metricGoals.js), each with progress in its current period:
+// GET    /api/goals/custom                → { tz, today, items: [{ id, metric, comparator, target | min + max, period, from?, to?, days?, label, progress }] }
+// POST   /api/goals/custom { metric, comparator, target | min + max, period, from?, to?, days?, label? } → 201 goal
+// PUT    /api/goals/custom/<id> { same }  → goal
+// DELETE /api/goals/custom/<id>           → { ok }
+//
+// Check-ins (lib/checkins.js):
+// GET    /api/goals/checkins                 → { tz, today, items: [{ day, source }], total, streaks: { current, longest } }
+// POST   /api/goals/checkins { day? | days } → same as GET   (day defaults to today; `days` imports old browser check-ins)
+// DELETE /api/goals/checkins?day=YYYY-MM-DD  → same as GET   (manual check-ins only)
 import clientPromise from "./lib/mongodb.js";
 import { requireDecodedUser } from "./lib/keys.js";
 import { setCors, handleCorsPreflight } from "./lib/cors.js";
+import { getUserTimezone } from "./lib/timezone.js";
+import { normaliseGoal, saveGoalVersion, goalHistory, goalOn, weeklyAttainment } from "./lib/goals.js";
+import { checkinSummary, addManualCheckins, removeManualCheckin } from "./lib/checkins.js";
+import { recommendGoals, acceptRecommendation } from "./lib/goalRecommendations.js";
+import { normaliseMetricGoal, listMetricGoals, createMetricGoal, updateMetricGoal, deleteMetricGoal } from "./lib/metricGoals.js";
+import { dayKey } from "../src/utils/dates.js";
 
 export const config = { api: { bodyParser: { sizeLimit: "1mb" } } };
 
+async function handleCheckins(req, res, db, uid) {
+  try {
+    if (req.method === "POST") {
+      const body = req.body || {};
+      let days = Array.isArray(body.days) ? body.days : [body.day];
+      if (days.length === 1 && days[0] == null) days = [dayKey(Date.now(), await getUserTimezone(db, uid))];
+      try {
+        await addManualCheckins(db, uid, days);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    } else if (req.method === "DELETE") {
+      if (!(await removeManualCheckin(db, uid, req.query?.day))) {
+        return res.status(404).json({ error: "No manual check-in on that day" });
+      }
+    } else if (req.method !== "GET") {
+      return res.status(405).json({ error: "Method Not Allowed" });
+    }
+    return res.status(200).json(await checkinSummary(db, uid));
+  } catch (e) {
+    console.error("[GOALS] Check-in error:", e);
+    return res.status(500).json({ ok: false, error: e.message || "Server error" });
+  }
+}
+
+async function handleCustomGoals(req, res, db, uid) {
+  const id = req.query?.goal;
+  try {
+    if (req.method === "GET") return res.status(200).json(await listMetricGoals(db, uid));
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "goal id required" });
+      if (!(await deleteMetricGoal(db, uid, id))) return res.status(404).json({ error: "Goal not found" });
+      return res.status(200).json({ ok: true });
+    }
+    if (req.method !== "POST" && req.method !== "PUT") return res.status(405).json({ error: "Method Not Allowed" });
+    if (req.method === "PUT" && !id) return res.status(400).json({ error: "goal id required" });
+
+    let fields;
+    try {
+      fields = normaliseMetricGoal(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (req.method === "PUT") {
+      const goal = await updateMetricGoal(db, uid, id, fields);
+      if (!goal) return res.status(404).json({ error: "Goal not found" });
+      return res.status(200).json(goal);
+    }
+    try {
+      return res.status(201).json(await createMetricGoal(db, uid, fields));
+    } catch (e) {
+      if (/At most/.test(e.message)) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+  } catch (e) {
+    console.error("[GOALS] Custom goal error:", e);
+    return res.status(500).json({ ok: false, error: e.message || "Server error" });
+  }
+}
+
+async function handleRecommendations(req, res, db, uid) {
+  try {
+    if (req.method === "GET") return res.status(200).json(await recommendGoals(db, uid));
+    if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+    let result;
+    try {
+      result = await acceptRecommendation(db, uid);
+    } catch (e) {
+      if (/Not enough/.test(e.message)) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    const { _id, version, effectiveFrom, goal } = result.saved;
+    return res.status(200).json({ ok: true, _id, version, effectiveFrom, goal });
+  } catch (e) {
+    console.error("[GOALS] Recommendation error:", e);
+    return res.status(500).json({ ok: false, error: e.message || "Server error" });
+  }
+}
+
 export default async function handler(req, res) {
   if (handleCorsPreflight(req, res)) return;
   setCors(req, res);
@@ -24,35 +129,41 @@ export default async function handler(req, res) {
 
   const client = await clientPromise;
   const db = client.db("healthkit");
-  const goalsCol = db.collection("user_goals");
+
+  if (req.query?.view === "checkins") return handleCheckins(req, res, db, uid);
+  if (req.query?.view === "recommendations") return handleRecommendations(req, res, db, uid);
+  if (req.query?.view === "custom") return handleCustomGoals(req, res, db, uid);
 
   if (req.method === "POST") {
+    let goal;
     try {
-      console.log("[GOALS] Incoming request body:", req.body);
-      const { goal } = req.body;
-      console.log("[GOALS] Parsed goal:", goal);
-      if (!goal) {
-        console.error("[GOALS] Missing goal data");
-        return res.status(400).json({ error: "Missing goal data" });
-      }
-      // Delete all previous goals for this user
-      await goalsCol.deleteMany({ uid });
-      // Insert new goal
-      const doc = { uid, goal, createdAt: new Date() };
-      console.log("[GOALS] Inserting doc:", doc);
-      const result = await goalsCol.insertOne(doc);
-      console.log("[GOALS] Insert result:", result);
-      return res.status(200).json({ ok: true, _id: result.insertedId });
+      goal = normaliseGoal(req.body?.goal);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      const doc = await saveGoalVersion(db, uid, goal, { effectiveFrom: req.body?.effectiveFrom });
+      return res.status(200).json({ ok: true, _id: doc._id, version: doc.version, effectiveFrom: doc.effectiveFrom });
     } catch (e) {
+      if (/effectiveFrom/.test(e.message)) return res.status(400).json({ error: e.message });
       console.error("[GOALS] Goal save error:", e);
       return res.status(500).json({ ok: false, error: e.message || "Server error" });
     }
   } else if (req.method === "GET") {
     try {
-      // Find the latest goal for this user
-      const latest = await goalsCol.find({ uid }).sort({ createdAt: -1 }).limit(1).toArray();
-      if (!latest.length) return res.status(404).json({ error: "No goal found" });
-      return res.status(200).json({ ok: true, goal: latest[0].goal });
+      if (req.query?.view === "attainment") {
+        return res.status(200).json(await weeklyAttainment(db, uid, { weeks: req.query.weeks }));
+      }
+      const tz = await getUserTimezone(db, uid);
+      const history = await goalHistory(db, uid, tz);
+      if (req.query?.view === "history") {
+        const items = history.reverse().map(({ goal, version, effectiveFrom, createdAt, source }) => ({ goal, version, effectiveFrom, createdAt, source: source || "manual" }));
+        return res.status(200).json({ items });
+      }
+      // The goal in force today (a future-dated version waits its turn)
+      const current = goalOn(history, dayKey(Date.now(), tz));
+      if (!current) return res.status(404).json({ error: "No goal found" });
+      return res.status(200).json({ ok: true, goal: current.goal, version: current.version, effectiveFrom: current.effectiveFrom });
     } catch (e) {
       console.error("[GOALS] Goal fetch error:", e);
       return res.status(500).json({ ok: false, error: e.message || "Server error" });
@@ -61,4 +172,3 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method Not Allowed" });
   }
 }
-
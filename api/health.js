@@ -1,44 +1,229 @@
-// GET /api/health?type=&from=&to=&limit=
-// Returns ONLY the caller's data (uid from Firebase token)
+// GET /api/health?type=&from=&to=&limit=&cursor=
+// Returns ONLY the caller's data (uid from Firebase token), newest first, as { items, next }.
+// Pass `next` back as `cursor` to fetch the following page (null on the last page).
+// `type` must be one of the metric registry's types (src/utils/metrics.js).
+//
+// GET /api/health/export?type=&from=&to=&format=csv|ndjson|json|fhir  (rewritten to ?view=export)
+//   Streams the caller's full range, oldest first (fhir → R4 Bundle of Observations).
+//
+// GET|POST /api/health/aggregate  (rewritten to ?view=aggregate)
+//   GET  ?type=&bucket=day|hour|week|month&ops=sum,avg,p90&from=&to=&tz=
+//   POST { from, to, tz?, bucket?, series: { name: { type, bucket?, ops, groupBy?: "stage", bands? } } }
+//   → { tz, series: { name: [{ ts, date, sum?, avg?, min?, max?, count?, pNN?, stage?, band? }] } }
+//   Buckets are cut in the user's timezone (users.timezone) unless a valid `tz` is passed.
+//
+// Auth: `Authorization: Bearer <Firebase ID token>`, or `X-API-Key: <id>.<secret>` for scripts and
+// notebooks. A key needs the "read" scope (list, aggregate) or "export" scope (export), and every
+// key request is written to access_logs. Rate limited per IP, per key and per uid (lib/rateLimit.js).
+//
+// GET /api/health/share/<token>  (rewritten to ?view=share&token=)
+//   Public, no login: the report behind a signed share link (lib/shareLinks.js) — only the link's
+//   sections and dates. Each view is counted and logged in share_link_views. Rate limited per IP.
+//
+// `?uid=<owner>` (Firebase token only) reads another user's data under a consent they granted the
+// caller (lib/consents.js): only the consented metrics, only until it expires or is revoked, and
+// each read is written to access_logs with the caller as `viewerUid`.
 
 import clientPromise from "./lib/mongodb.js";
-import { requireDecodedUser } from "./lib/keys.js";
+import { requireDecodedUser, resolveApiKey, keyHasScope, recordKeyUse } from "./lib/keys.js";
+import { enforceRateLimits } from "./lib/rateLimit.js";
+import { logAccess, requestOrigin } from "./lib/accessLog.js";
+import { normaliseSeriesSpecs, runAggregate } from "./lib/aggregate.js";
+import { buildHealthFilter, pageHealth, streamHealthExport, EXPORT_FORMATS } from "./lib/healthQuery.js";
+import { getUserTimezone, isValidTimeZone } from "./lib/timezone.js";
+import { findActiveConsent, touchConsent } from "./lib/consents.js";
+import { resolveShareToken, recordShareView, buildShareReport } from "./lib/shareLinks.js";
 import { setCors, handleCorsPreflight } from "./lib/cors.js";
+import { metricFor } from "../src/utils/metrics.js";
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// 400 with a message; returns the { status } the access log records
+function badRequest(res, error) {
+  res.status(400).json({ error });
+  return { status: 400 };
+}
+
+// 403 for a metric the consent doesn't cover
+function notShared(res, type) {
+  res.status(403).json({ error: `${type} is not shared with you` });
+  return { status: 403 };
+}
+
+// Returns { status, rows } for the access log.
+async function handleAggregate(req, res, uid, consent) {
+  const input = req.method === "POST" ? (req.body || {}) : req.query;
+  const from = parseDate(input.from);
+  const to = parseDate(input.to);
+  if (from === undefined || to === undefined) return badRequest(res, "Invalid from/to");
+  if (input.tz && !isValidTimeZone(input.tz)) return badRequest(res, "Invalid timezone");
+
+  const client = await clientPromise;
+  const db = client.db("healthkit");
+  const tz = input.tz || await getUserTimezone(db, uid);
+
+  // GET is a single series; POST batches several into one round trip
+  const seriesSpecs = req.method === "POST"
+    ? input.series
+    : { [String(input.type || "")]: { type: input.type, bucket: input.bucket, ops: input.ops } };
+
+  let specs;
+  try {
+    specs = normaliseSeriesSpecs(seriesSpecs, { bucket: input.bucket });
+  } catch (e) {
+    return badRequest(res, e.message);
+  }
+  const denied = consent && specs.find(([, s]) => !consent.metrics.includes(s.type));
+  if (denied) return notShared(res, denied[1].type);
+
+  const series = await runAggregate(db, { uid, from, to, tz, series: specs });
+  res.status(200).json({ tz, series });
+  return { status: 200, rows: Object.values(series).reduce((n, rows) => n + rows.length, 0) };
+}
+
+// List (cursor pages) or export (stream). Returns { status, rows } for the access log.
+async function handleRows(req, res, uid, view, consent) {
+  const { type, from, to, limit, cursor } = req.query;
+  if (type && !metricFor(type)) return badRequest(res, `Unknown type: ${type}`);
+  if (type && consent && !consent.metrics.includes(type)) return notShared(res, type);
+  const client = await clientPromise;
+  const db = client.db("healthkit");
+  const col = db.collection("health_data");
+  const filter = buildHealthFilter({ uid, type, from, to });
+  if (!type && consent) filter.type = { $in: consent.metrics };
+
+  if (view === "export") {
+    const format = String(req.query.format || "csv");
+    if (!EXPORT_FORMATS[format]) return badRequest(res, `Unsupported format: ${format}`);
+    const rows = await streamHealthExport(res, col, filter, { format, filename: "my_health_data" });
+    return { status: 200, rows };
+  }
+
+  const lim = Math.min(Math.max(parseInt(limit || "200", 10) || 200, 1), 1000);
+  let page;
+  try {
+    page = await pageHealth(col, filter, { limit: lim, cursor });
+  } catch (e) {
+    if (e.message === "Invalid cursor") return badRequest(res, e.message);
+    throw e;
+  }
+
+  res.status(200).json(page);
+  return { status: 200, rows: page.items.length };
+}
+
+// Public report behind a share link; no caller, so nothing goes to access_logs
+async function handleShare(req, res) {
+  const ip = requestOrigin(req).ip;
+  if (await enforceRateLimits(res, [["ip", ip], ["share", ip]], { source: "share", route: "health:share" })) return;
+  const client = await clientPromise;
+  const db = client.db("healthkit");
+  const link = await resolveShareToken(db, req.query.token);
+  if (!link) return res.status(404).json({ error: "This link has expired or been revoked" });
+  const report = await buildShareReport(db, link);
+  await recordShareView(db, link, req);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json(report);
+}
+
+/**
+ * Work out who is calling: { uid, keyId, viewerUid, consent } — `uid` is whose data is read;
+ * keyId is null for a Firebase token, viewerUid/consent are set for a coach reading a client —
+ * or reply with 401/403/429 and return null.
+ */
+async function authenticate(req, res, view) {
+  const route = `health:${view}`;
+  if (await enforceRateLimits(res, [["ip", requestOrigin(req).ip]], { source: "api", route })) return null;
+
+  let decoded = null;
+  try {
+    decoded = await requireDecodedUser(req);  // Bearer <idToken>
+  } catch { /* fall through to an API key */ }
+  if (decoded) {
+    if (await enforceRateLimits(res, [["app", `u:${decoded.uid}`]], { uid: decoded.uid, source: "api", route })) return null;
+    const owner = req.query?.uid ? String(req.query.uid) : decoded.uid;
+    if (owner === decoded.uid) return { uid: decoded.uid, keyId: null };
+
+    const client = await clientPromise;
+    const db = client.db("healthkit");
+    const consent = await findActiveConsent(db, owner, decoded.uid);
+    const caller = { uid: owner, keyId: null, viewerUid: decoded.uid };
+    if (!consent) {
+      const error = "No active consent to view this user's data";
+      logAccess(req, { ...caller, view, status: 403, error });
+      res.status(403).json({ error });
+      return null;
+    }
+    touchConsent(db, consent);
+    return { ...caller, consent };
+  }
+
+  const header = req.headers["x-api-key"];
+  const keyInfo = header ? await resolveApiKey(header).catch(() => null) : null;
+  if (!keyInfo) {
+    res.status(401).json({ error: "Unauthorised" });
+    return null;
+  }
+  const caller = { uid: keyInfo.uid, keyId: keyInfo.keyRef.id };
+  const scope = view === "export" ? "export" : "read";
+  if (!keyHasScope(keyInfo.keyRef, scope)) {
+    const error = `This API key does not have the ${scope} scope`;
+    logAccess(req, { ...caller, view, status: 403, error });
+    res.status(403).json({ error });
+    return null;
+  }
+
+  const throttled = await enforceRateLimits(res, [["read", `k:${caller.keyId}`]], { uid: caller.uid, source: "api", route });
+  if (throttled) {
+    logAccess(req, { ...caller, view, status: 429, error: `Rate limited (${throttled.bucket})` });
+    return null;
+  }
+  recordKeyUse(caller.uid, caller.keyId, { req });
+  return caller;
+}
+
+// API-key reads and coach reads are logged; a user reading their own data in the app is not
+const isLogged = (caller) => Boolean(caller?.keyId || caller?.viewerUid);
 
 export default async function handler(req, res) {
   if (handleCorsPreflight(req, res)) return;
   setCors(req, res);
 
-  if (req.method !== "GET") {
-    res.setHeader("Allow", "GET,OPTIONS");
+  const isAggregate = req.query?.view === "aggregate";
+  const allowed = isAggregate ? ["GET", "POST"] : ["GET"];
+  if (!allowed.includes(req.method)) {
+    res.setHeader("Allow", [...allowed, "OPTIONS"].join(","));
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  try {
-    const decoded = await requireDecodedUser(req);  // Bearer <idToken>
-    const uid = decoded.uid;
-
-    const { type, from, to, limit } = req.query;
-    const lim = Math.min(Math.max(parseInt(limit || "200", 10) || 200, 1), 1000);
-
-    const q = { "meta.uid": uid };
-    if (type) q.type = String(type);
-    if (from || to) {
-      q.ts = {};
-      if (from) q.ts.$gte = new Date(from);
-      if (to)   q.ts.$lte = new Date(to);
+  if (req.query?.view === "share") {
+    try {
+      return await handleShare(req, res);
+    } catch (e) {
+      console.error("share report failed:", e);
+      return res.status(500).json({ error: "Server error" });
     }
+  }
 
-    const client = await clientPromise;
-    const db = client.db("healthkit");
-    const items = await db.collection("health_data")
-      .find(q)
-      .sort({ ts: -1 })
-      .limit(lim)
-      .toArray();
+  const view = isAggregate ? "aggregate" : req.query?.view === "export" ? "export" : "list";
+  const t0 = Date.now();
+  let caller = null;
+  try {
+    caller = await authenticate(req, res, view);
+    if (!caller) return;
+    const { uid, consent = null } = caller;
 
-    return res.status(200).json({ items });
+    const { status, rows = null } = isAggregate
+      ? await handleAggregate(req, res, uid, consent)
+      : await handleRows(req, res, uid, view, consent);
+    if (isLogged(caller)) logAccess(req, { ...caller, view, status, rows, durationMs: Date.now() - t0 });
   } catch (e) {
+    if (isLogged(caller)) logAccess(req, { ...caller, view, status: 500, durationMs: Date.now() - t0, error: e?.message || String(e) });
+    if (res.headersSent) return res.end(); // failed mid-export; the download is truncated
     const msg = e?.message || "Unauthorised";
     const code = /unauthor/i.test(msg) ? 401 : 500;
     return res.status(code).json({ error: msg });
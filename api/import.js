@@ -0,0 +1,69 @@
+// api/import.js
+// Ingest the Health app's export.zip → same buildDocs → coalesce → ingest_guard pipeline as api/upload.js.
+// An export is too big for one request, so it is uploaded in parts and parsed in resumable steps —
+// see lib/healthImport.js. Auth: Firebase Bearer or X-API-Key (upload scope).
+// Logs one ingest_logs row per import (source "health_export") with per-type attempted/inserted counts.
+
+import clientPromise from "./lib/mongodb.js";
+import { logIngest } from "./lib/ingest.js";
+import { getUserTimezone } from "./lib/timezone.js";
+import { requireDecodedUser, resolveApiKey, keyHasScope, recordKeyUse } from "./lib/keys.js";
+import { enforceRateLimits } from "./lib/rateLimit.js";
+import { requestOrigin } from "./lib/accessLog.js";
+import { SOURCE, openImport, putPart, runImport, importStatus } from "./lib/healthImport.js";
+import { setCors, handleCorsPreflight } from "./lib/cors.js";
+
+// Import steps (?op= via vercel.json rewrites) → allowed method + handler
+const IMPORT_OPS = {
+  open:   ["POST", openImport],
+  part:   ["PUT",  putPart],
+  run:    ["POST", runImport],
+  status: ["GET",  importStatus],
+};
+
+// Raw body: parts are zip bytes, read straight into GridFS
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+  if (handleCorsPreflight(req, res)) return;
+  setCors(req, res);
+  const op = IMPORT_OPS[req.query?.op];
+  if (!op) return res.status(404).json({ error: "Unknown import operation; start one with POST /api/import/sessions" });
+  if (req.method !== op[0]) return res.status(405).json({ error: "Method Not Allowed" });
+
+  const t0 = Date.now();
+  const route = `import:${req.query.op}`;
+  if (await enforceRateLimits(res, [["ip", requestOrigin(req).ip]], { source: SOURCE, route })) return;
+  let uid = null, keyInfo = null;
+  try { const decoded = await requireDecodedUser(req); uid = decoded?.uid || null; } catch {}
+  if (!uid) {
+    const apiKeyHeader = req.headers["x-api-key"];
+    if (apiKeyHeader) { keyInfo = await resolveApiKey(apiKeyHeader).catch(() => null); uid = keyInfo?.uid ?? null; }
+  }
+  if (!uid) {
+    await logIngest({ uid: null, ok: false, status: 401, error: "Unauthorised", durationMs: Date.now() - t0, source: SOURCE });
+    return res.status(401).json({ error: "Unauthorised" });
+  }
+  const keyId = keyInfo?.keyRef?.id || null;
+  if (keyInfo && !keyHasScope(keyInfo.keyRef, "upload")) {
+    const error = "This API key does not have the upload scope";
+    await logIngest({ uid, ok: false, status: 403, error, durationMs: Date.now() - t0, source: SOURCE });
+    recordKeyUse(uid, keyId, { req, error, status: 403 });
+    return res.status(403).json({ error });
+  }
+  const limit = req.query.op === "part" ? "chunk" : "upload";
+  if (await enforceRateLimits(res, [[limit, keyId && `k:${keyId}`], [limit, `u:${uid}`]], { uid, source: SOURCE, route })) return;
+
+  try {
+    const client = await clientPromise;
+    const db = client.db("healthkit");
+    const tz = await getUserTimezone(db, uid);
+    // the finished import counts on the key; the other steps just mark it used
+    if (keyId) recordKeyUse(uid, keyId, { req });
+    return await op[1](req, res, { db, uid, tz, keyId });
+  } catch (e) {
+    console.error("Health export import error:", e);
+    if (keyId) recordKeyUse(uid, keyId, { req, error: e?.message || String(e), status: 500 });
+    return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+  }
+}
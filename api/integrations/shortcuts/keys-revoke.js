@@ -4,6 +4,8 @@
 import clientPromise from "../../lib/mongodb.js";
 import { requireDecodedUser } from "../../lib/keys.js";
 import { setCors, handleCorsPreflight } from "../../lib/cors.js"; 
+import { enforceRateLimits } from "../../lib/rateLimit.js";
+import { requestOrigin } from "../../lib/accessLog.js";
 
 export default async function handler(req, res) {
   if (handleCorsPreflight(req, res)) return; // replies to OPTIONS 204
@@ -15,9 +17,13 @@ export default async function handler(req, res) {
   if (req.method === "OPTIONS") return res.status(204).end();
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
+  const route = "keys:revoke";
+  if (await enforceRateLimits(res, [["ip", requestOrigin(req).ip]], { source: "api", route })) return;
+
   let decoded;
   try { decoded = await requireDecodedUser(req); }
   catch { return res.status(401).json({ error: "Unauthorised" }); }
+  if (await enforceRateLimits(res, [["keys", `u:${decoded.uid}`]], { uid: decoded.uid, source: "api", route })) return;
 
   const id = String(req.body?.id || "").trim();
   if (!id) return res.status(400).json({ error: "id required" });
@@ -1,11 +1,16 @@
 // api/integrations/shortcut/keys.js
-// GET  → list keys (no secrets)
-// POST → create a key (returns id.secret ONCE)
+// GET  → list keys (no secrets), with scopes, expiry, note, status and usage stats
+// POST { label?, scopes?, expiresInDays?, note? } → create a key (returns id.secret ONCE)
+// POST ?op=rotate&id=<keyId> { graceHours? } → issue a replacement (id.secret ONCE) and revoke
+//      the old key after graceHours (default 24)   (/api/integrations/shortcuts/keys/:id/rotate)
 
 import clientPromise from "../../lib/mongodb.js";
 import { requireDecodedUser } from "../../lib/keys.js";
-import { generateKeyPair } from "../../lib/keys.js";
+import { normaliseKeyOptions, newKeyDoc, publicKey, rotateKey } from "../../lib/keys.js";
 import { setCors, handleCorsPreflight } from "../../lib/cors.js"; 
+import { enforceRateLimits } from "../../lib/rateLimit.js";
+import { requestOrigin } from "../../lib/accessLog.js";
+import { DEFAULT_ROLE } from "../../../src/utils/roles.js";
 
 export default async function handler(req, res) {
   if (handleCorsPreflight(req, res)) return; // replies to OPTIONS 204
@@ -16,9 +21,13 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   if (req.method === "OPTIONS") return res.status(204).end();
 
+  const route = `keys:${req.query.op || req.method}`;
+  if (await enforceRateLimits(res, [["ip", requestOrigin(req).ip]], { source: "api", route })) return;
+
   let decoded;
   try { decoded = await requireDecodedUser(req); }
   catch { return res.status(401).json({ error: "Unauthorised" }); }
+  if (await enforceRateLimits(res, [["keys", `u:${decoded.uid}`]], { uid: decoded.uid, source: "api", route })) return;
 
   const client = await clientPromise;
   const db = client.db("healthkit");
@@ -29,30 +38,43 @@ export default async function handler(req, res) {
       { _id: decoded.uid },
       { projection: { apiKeys: 1 } }
     );
-    const items = (me?.apiKeys || []).map(k => ({
-      id: k.id,
-      label: k.label || null,
-      createdAt: k.createdAt || null,
-      lastUsedAt: k.lastUsedAt || null,
-      revokedAt: k.revokedAt || null,
-    }));
+    const now = new Date();
+    const items = (me?.apiKeys || []).map(k => publicKey(k, now));
     return res.status(200).json({ items });
   }
 
+  if (req.method === "POST" && req.query.op === "rotate") {
+    const id = String(req.query.id || req.body?.id || "").trim();
+    if (!id) return res.status(400).json({ error: "id required" });
+    let rotated;
+    try {
+      rotated = await rotateKey(db, decoded.uid, id, { graceHours: req.body?.graceHours ?? 24 });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!rotated) return res.status(404).json({ error: "No active key with that id" });
+    return res.status(201).json(rotated);
+  }
+
   if (req.method === "POST") {
     const label = String(req.body?.label || "").trim() || null;
+    let options;
+    try {
+      options = normaliseKeyOptions(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
-    const { id, secret, hash } = generateKeyPair();
-    const keyDoc = { id, hash, label, createdAt: new Date(), lastUsedAt: null, revokedAt: null };
+    const { doc, key } = newKeyDoc({ label, ...options });
 
     await users.updateOne(
       { _id: decoded.uid },
-      { $push: { apiKeys: keyDoc }, $setOnInsert: { _id: decoded.uid, createdAt: new Date() } },
+      { $push: { apiKeys: doc }, $setOnInsert: { _id: decoded.uid, createdAt: new Date(), role: DEFAULT_ROLE } },
       { upsert: true }
     );
 
     // Return the ONE-TIME plaintext to show/copy into the Shortcut
-    return res.status(201).json({ key: `${id}.${secret}`, id, label });
+    return res.status(201).json({ key, id: doc.id, label, scopes: doc.scopes, expiresAt: doc.expiresAt });
   }
 
   res.setHeader("Allow", "GET,POST,OPTIONS");
@@ -0,0 +1,37 @@
+// api/lib/accessLog.js
+// access_logs: one row per API-key or coach read of /api/health (list, export, aggregate), so a
+// user or admin can see what a key or coach pulled and when.
+//   { ts, uid, keyId, viewerUid, view: "list"|"export"|"aggregate", method, params, status, rows,
+//     durationMs, ip, userAgent, error }
+// `uid` is always the data owner; `viewerUid` is the coach reading under a consent (else null).
+
+import clientPromise from "./mongodb.js";
+
+const PARAM_KEYS = ["type", "from", "to", "format", "bucket", "ops", "tz", "limit", "cursor"];
+
+export function requestOrigin(req) {
+  const fwd = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return {
+    ip: fwd || req.socket?.remoteAddress || null,
+    userAgent: String(req.headers?.["user-agent"] || "").slice(0, 200) || null,
+  };
+}
+
+/** Write an access row (best-effort; never throws). */
+export async function logAccess(req, { uid, keyId = null, viewerUid = null, view, status, rows = null, durationMs = null, error = null }) {
+  try {
+    const client = await clientPromise;
+    const col = client.db("healthkit").collection("access_logs");
+    await col.createIndex({ uid: 1, ts: -1 }).catch(() => {});
+    await col.createIndex({ keyId: 1, ts: -1 }).catch(() => {});
+    const params = {};
+    for (const k of PARAM_KEYS) if (req.query?.[k] != null) params[k] = String(req.query[k]);
+    // POST aggregate: record which types were asked for, not the whole body
+    if (req.method === "POST" && req.body?.series) params.series = Object.values(req.body.series).map((s) => s?.type);
+    await col.insertOne({
+      ts: new Date(), uid, keyId, viewerUid, view, method: req.method, params, status, rows, durationMs,
+      ...requestOrigin(req),
+      error: error || null,
+    });
+  } catch { /* swallow */ }
+}
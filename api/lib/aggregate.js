@@ -0,0 +1,164 @@
+// api/lib/aggregate.js
+// Server-side rollups of health_data: per-type sum/avg/min/max/count/percentiles over
+// hour/day/week buckets in the user's timezone (Mongo $dateTrunc handles DST).
+// Used by /api/health/aggregate (rewritten to /api/health?view=aggregate).
+
+import { metricFor } from "../../src/utils/metrics.js";
+
+export const BUCKETS = ["hour", "day", "week", "month"];
+export const OPS = ["sum", "avg", "min", "max", "count"];
+const PERCENTILE_RE = /^p(\d{1,2}(?:\.\d+)?)$/; // p50, p90, p99.9 …
+const MAX_SERIES = 24;
+
+function isOp(op) {
+  return OPS.includes(op) || PERCENTILE_RE.test(op);
+}
+
+/**
+ * Validate and normalise one series spec:
+ *   { type, bucket?, ops?, groupBy?: "stage", bands?: [{ name, lt? | lte? }] }
+ * `ops` defaults to the metric's registry `agg` (sum for counts/energy, avg for rates).
+ * Throws Error with a user-facing message on bad input.
+ */
+export function normaliseSeries(spec, defaults = {}) {
+  const type = String(spec?.type || "").trim();
+  if (!type) throw new Error("series.type required");
+  const metric = metricFor(type);
+  if (!metric) throw new Error(`Unknown type: ${type}`);
+
+  const bucket = String(spec?.bucket || defaults.bucket || "day");
+  if (!BUCKETS.includes(bucket)) throw new Error(`Unsupported bucket: ${bucket}`);
+
+  const ops = (Array.isArray(spec?.ops) ? spec.ops : String(spec?.ops || metric.agg).split(","))
+    .map((o) => String(o).trim()).filter(Boolean);
+  const badOp = ops.find((o) => !isOp(o));
+  if (badOp) throw new Error(`Unsupported op: ${badOp}`);
+  if (!ops.length) throw new Error("series.ops required");
+
+  const groupBy = spec?.groupBy ? String(spec.groupBy) : null;
+  if (groupBy && groupBy !== "stage") throw new Error(`Unsupported groupBy: ${groupBy}`);
+
+  let bands = null;
+  if (spec?.bands != null) {
+    if (!Array.isArray(spec.bands) || !spec.bands.length) throw new Error("bands must be a non-empty array");
+    bands = spec.bands.map((b, i) => {
+      const name = String(b?.name ?? i);
+      const lt = b?.lt != null ? Number(b.lt) : null;
+      const lte = b?.lte != null ? Number(b.lte) : null;
+      if (!Number.isFinite(lt) && !Number.isFinite(lte)) throw new Error(`band ${name} needs lt or lte`);
+      return { name, lt: Number.isFinite(lt) ? lt : null, lte: Number.isFinite(lte) ? lte : null };
+    });
+  }
+
+  return { type, bucket, ops, groupBy, bands };
+}
+
+// Bands are checked in order; the first match wins, values past the last band are dropped.
+// A downsampled hour falls in the band of its mean, with all of its samples.
+function bandExpr(bands) {
+  return {
+    $switch: {
+      branches: bands.map((b) => ({
+        case: b.lt != null ? { $lt: ["$value", b.lt] } : { $lte: ["$value", b.lte] },
+        then: b.name,
+      })),
+      default: null,
+    },
+  };
+}
+
+// An hourly doc left by downsampling (lib/retention.js) stands for payload.count samples, with
+// their sum / min / max in the payload; a raw sample stands for itself.
+const DOWNSAMPLED = { $eq: ["$payload.downsampled", true] };
+const fromSamples = (field) => ({ $cond: [DOWNSAMPLED, `$payload.${field}`, "$value"] });
+const SAMPLES = { $cond: [DOWNSAMPLED, "$payload.count", 1] };
+
+function accumulators(ops) {
+  const acc = {};
+  const pcts = [];
+  for (const op of ops) {
+    if (op === "sum")   acc.sum = { $sum: fromSamples("sum") };
+    if (op === "min")   acc.min = { $min: fromSamples("min") };
+    if (op === "max")   acc.max = { $max: fromSamples("max") };
+    if (op === "count") acc.count = { $sum: SAMPLES };
+    // weighted by samples, so an hourly doc counts as the hour it replaced (finished in $project)
+    if (op === "avg")   Object.assign(acc, { _avgSum: { $sum: fromSamples("sum") }, _avgN: { $sum: SAMPLES } });
+    const m = op.match(PERCENTILE_RE);
+    if (m) pcts.push({ op, p: Number(m[1]) / 100 });
+  }
+  // $percentile needs MongoDB 7.0+. It can't see inside an hourly doc, so downsampled hours
+  // contribute their mean once.
+  if (pcts.length) acc._pcts = { $percentile: { input: "$value", p: pcts.map((x) => x.p), method: "approximate" } };
+  return { acc, pcts };
+}
+
+/** Build the aggregation pipeline for one normalised series. */
+export function buildPipeline({ uid, from, to, tz, series }) {
+  const { type, bucket, ops, groupBy, bands } = series;
+  // docs tagged meta.rebuildJob are a reprocess swap in progress (lib/reprocess.js)
+  const match = { "meta.uid": uid, type, value: { $type: "number" }, "meta.rebuildJob": { $exists: false } };
+  if (from || to) {
+    match.ts = {};
+    if (from) match.ts.$gte = from;
+    if (to)   match.ts.$lte = to;
+  }
+
+  const id = {
+    bucket: { $dateTrunc: { date: "$ts", unit: bucket, timezone: tz, ...(bucket === "week" ? { startOfWeek: "monday" } : {}) } },
+  };
+  if (groupBy === "stage") id.stage = "$payload.stage";
+  if (bands) id.band = bandExpr(bands);
+
+  const { acc, pcts } = accumulators(ops);
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: id, ...acc } },
+  ];
+  if (bands) pipeline.push({ $match: { "_id.band": { $ne: null } } });
+  pipeline.push({ $sort: { "_id.bucket": 1 } });
+
+  const fmt = bucket === "hour" ? "%Y-%m-%dT%H:00" : "%Y-%m-%d";
+  const project = {
+    _id: 0,
+    ts: "$_id.bucket",
+    date: { $dateToString: { date: "$_id.bucket", format: fmt, timezone: tz } },
+  };
+  if (groupBy === "stage") project.stage = "$_id.stage";
+  if (bands) project.band = "$_id.band";
+  for (const op of ops) if (OPS.includes(op)) project[op] = 1;
+  if (ops.includes("avg")) project.avg = { $cond: [{ $gt: ["$_avgN", 0] }, { $divide: ["$_avgSum", "$_avgN"] }, null] };
+  pcts.forEach(({ op }, i) => { project[op] = { $arrayElemAt: ["$_pcts", i] }; });
+  pipeline.push({ $project: project });
+
+  return pipeline;
+}
+
+/**
+ * Validate a batch of named specs ({ name: spec }, or an array named by index).
+ * Returns [[name, normalisedSeries], …]; throws on bad input (→ 400).
+ */
+export function normaliseSeriesSpecs(seriesSpecs, defaults = {}) {
+  const entries = Array.isArray(seriesSpecs)
+    ? seriesSpecs.map((s, i) => [String(i), s])
+    : Object.entries(seriesSpecs || {});
+  if (!entries.length) throw new Error("series required");
+  if (entries.length > MAX_SERIES) throw new Error(`Too many series (max ${MAX_SERIES})`);
+  return entries.map(([name, spec]) => [name, normaliseSeries(spec, defaults)]);
+}
+
+/**
+ * Run normalised series for one user, in parallel.
+ * Returns { [name]: rows[] }.
+ */
+export async function runAggregate(db, { uid, from, to, tz, series }) {
+  const col = db.collection("health_data");
+  const results = await Promise.all(
+    series.map(([, s]) =>
+      col.aggregate(buildPipeline({ uid, from, to, tz, series: s }), { allowDiskUse: true }).toArray()
+    )
+  );
+
+  const out = {};
+  series.forEach(([name], i) => { out[name] = results[i]; });
+  return out;
+}
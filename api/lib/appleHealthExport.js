@@ -0,0 +1,256 @@
+// api/lib/appleHealthExport.js
+// Stream the Health app's export.zip (apple_health_export/export.xml) into the same
+// `cleaned` shape that parseHealthData() produces for the Shortcut, in batches.
+// Records/Workouts are read with a SAX parser so multi-GB exports never sit in memory.
+// The zip is read through a yauzl RandomAccessReader (lib/healthImport.js serves the uploaded
+// parts), and a parse can stop after any batch and resume from the byte offset it reports.
+
+import yauzl from "yauzl";
+import sax from "sax";
+import { StringDecoder } from "string_decoder";
+import { minuteBucketISO } from "./ingest.js";
+import { DEFAULT_TIMEZONE } from "./timezone.js";
+import { METRICS } from "../../src/utils/metrics.js";
+
+// ---------- HK identifier → cleaned key ----------
+// Unit converters, looked up by the registry's `hkConvert` name.
+const PERCENT = (v, unit) => (unit === "%" && v <= 1 ? v * 100 : v); // HK exports percentages as fractions
+const TO_KJ   = (v, unit) => (/^(kcal|cal)$/i.test(unit) ? v * 4.184 : v);
+const TO_KMH  = (v, unit) => (/^mi\/hr$/i.test(unit) ? v * 1.609344 : /^m\/s$/i.test(unit) ? v * 3.6 : v);
+const TO_CM   = (v, unit) => (unit === "in" ? v * 2.54 : unit === "m" ? v * 100 : v);
+const TO_MIN  = (v, unit) => (unit === "s" ? v / 60 : unit === "hr" ? v * 60 : v);
+const TO_KG   = (v, unit) => (unit === "lb" ? v * 0.45359237 : unit === "g" ? v / 1000 : unit === "st" ? v * 6.35029318 : v);
+const TO_C    = (v, unit) => (unit === "degF" ? (v - 32) * 5 / 9 : v);
+const AS_IS   = (v) => v;
+const HK_CONVERTERS = {
+  percent: PERCENT, energy: TO_KJ, speed: TO_KMH, length: TO_CM,
+  minutes: TO_MIN, mass: TO_KG, temperature: TO_C,
+};
+
+// HK identifier → [cleaned key, unit conversion], from the metric registry.
+// Steps and sleep are handled separately below.
+export const HK_RECORD_MAP = Object.fromEntries(
+  METRICS.filter((m) => m.hk).map((m) => [m.hk, [m.key, HK_CONVERTERS[m.hkConvert] || AS_IS]])
+);
+const HK_STEPS = "HKQuantityTypeIdentifierStepCount";
+const HK_SLEEP = "HKCategoryTypeIdentifierSleepAnalysis";
+
+// HKCategoryValueSleepAnalysis* → the stage names the Shortcut sends
+const SLEEP_STAGES = {
+  HKCategoryValueSleepAnalysisInBed: "In bed",
+  HKCategoryValueSleepAnalysisAsleep: "Asleep",
+  HKCategoryValueSleepAnalysisAsleepUnspecified: "Asleep",
+  HKCategoryValueSleepAnalysisAsleepCore: "Core",
+  HKCategoryValueSleepAnalysisAsleepDeep: "Deep",
+  HKCategoryValueSleepAnalysisAsleepREM: "REM",
+  HKCategoryValueSleepAnalysisAwake: "Awake",
+};
+
+// Record/Workout `device` is a description string: "<<HKDevice: 0x…>, name:Apple Watch, manufacturer:…>"
+export function parseDeviceName(s) {
+  const m = String(s || "").match(/name:([^,>]+)/);
+  return m ? m[1].trim() : null;
+}
+const sourceOf = (a) => ({ sourceName: a.sourceName || null, device: parseDeviceName(a.device) });
+
+// "2024-03-05 07:41:12 +1000" → ISO (UTC)
+export function parseExportDate(s) {
+  const m = String(s || "").match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-])(\d{2})(\d{2})$/);
+  const d = m ? new Date(`${m[1]}T${m[2]}${m[3]}${m[4]}:${m[5]}`) : new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+const emptyBatch = () => {
+  const b = { heart: [], sleep: [], workouts: [] };
+  for (const [key] of Object.values(HK_RECORD_MAP)) b[key] = [];
+  return b;
+};
+
+function openZip(reader, size) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromRandomAccessReader(reader, size, { lazyEntries: true, autoClose: true }, (err, zip) => (err ? reject(err) : resolve(zip)));
+  });
+}
+
+// Find apple_health_export/export.xml (the folder name is localised on some devices)
+function findExportXml(zip) {
+  return new Promise((resolve, reject) => {
+    zip.on("entry", (entry) => {
+      if (/(^|\/)export\.xml$/i.test(entry.fileName)) {
+        zip.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve({ entry, stream })));
+      } else {
+        zip.readEntry();
+      }
+    });
+    zip.on("end", () => reject(new Error("export.xml not found in zip")));
+    zip.on("error", reject);
+    zip.readEntry();
+  });
+}
+
+// Parsing restarts just after a top-level element, inside the root the skipped bytes opened
+const RESUME_ROOT = "<HealthData>";
+
+/**
+ * Parse an export.zip read through a yauzl RandomAccessReader over `size` bytes.
+ * Calls `await onBatch(cleaned, { resumeAt, steps, summary, xmlBytes })` every `batchSize`
+ * records. A batch only holds top-level elements (Record, Workout, Correlation …) that have
+ * closed, and `resumeAt` is the export.xml byte offset just after the last of them, so passing it
+ * back as `resumeAt` carries on with the next element. The bytes before it are still inflated
+ * (deflate can't seek) but not parsed.
+ * Step counts are summed per source per local bucket and handed over as `steps` (the sums since
+ * the previous batch, in the cleaned shape); a bucket can span batches, so the caller adds them
+ * up before the source policy and coalescing see them. `summary` is the running
+ * { records, skipped, byHkType }, seeded from the `summary` option.
+ * `tz` is the user's timezone, used for the local step buckets; `stepBucketMinutes` should
+ * match the steps source policy so it can still tell the sources apart minute by minute.
+ * Stops after the first batch once `deadline` (ms) has passed.
+ * Returns { done, resumeAt, xmlBytes, records, skipped, byHkType }.
+ */
+export async function parseHealthExportZip(reader, size, {
+  onBatch, batchSize = 5000, tz = DEFAULT_TIMEZONE, stepBucketMinutes, resumeAt = 0, summary, deadline = Infinity,
+} = {}) {
+  const zip = await openZip(reader, size);
+  const { entry, stream } = await findExportXml(zip);
+  const xmlBytes = entry.uncompressedSize;
+
+  const BUCKET_MIN = Number(stepBucketMinutes || process.env.COALESCE_STEPS_MIN || 60);
+  let stepBuckets = new Map(); // `${sourceName}|${device}|${bucketISO}` -> sum
+  const totals = { records: summary?.records || 0, skipped: summary?.skipped || 0, byHkType: { ...summary?.byHkType } };
+  let batch = emptyBatch();
+  let pending = 0;
+  let el = null;      // the open top-level element: nothing it holds counts until it closes
+  let workout = null; // open <Workout> while its children stream in
+  let boundary = null; // parser.position just after the last top-level element that closed
+
+  const element = () => (el ||= { records: 0, skipped: 0, types: [], items: [], steps: [] });
+
+  const parser = sax.parser(true, { trim: true });
+  parser.onerror = (e) => { throw e; };
+
+  parser.onopentag = ({ name, attributes: a }) => {
+    if (name === "Record") {
+      const e = element();
+      e.records++;
+      e.types.push(a.type);
+      const timestamp = parseExportDate(a.startDate);
+      if (!timestamp) { e.skipped++; return; }
+
+      if (a.type === HK_STEPS) {
+        const v = Number(a.value);
+        if (!Number.isFinite(v)) { e.skipped++; return; }
+        e.steps.push([`${a.sourceName || ""}|${parseDeviceName(a.device) || ""}|${minuteBucketISO(timestamp, BUCKET_MIN, tz)}`, v]);
+        return;
+      }
+      if (a.type === HK_SLEEP) {
+        const end = parseExportDate(a.endDate);
+        const stage = SLEEP_STAGES[a.value];
+        if (!end || !stage) { e.skipped++; return; }
+        e.items.push(["sleep", { timestamp, value: stage, duration: Math.round((new Date(end) - new Date(timestamp)) / 60000), ...sourceOf(a) }]);
+        return;
+      }
+      const mapped = HK_RECORD_MAP[a.type];
+      const v = Number(a.value);
+      if (!mapped || !Number.isFinite(v)) { e.skipped++; return; }
+      const [key, convert] = mapped;
+      e.items.push([key, { timestamp, value: convert(v, a.unit || ""), ...sourceOf(a) }]);
+      return;
+    }
+
+    if (name === "Workout") {
+      const e = element();
+      e.records++;
+      e.types.push("HKWorkout");
+      workout = {
+        timestamp: parseExportDate(a.startDate),
+        end: parseExportDate(a.endDate),
+        activityType: String(a.workoutActivityType || "").replace(/^HKWorkoutActivityType/, "") || "Other",
+        duration: a.duration != null ? TO_MIN(Number(a.duration), a.durationUnit) : null,
+        energy: a.totalEnergyBurned != null ? TO_KJ(Number(a.totalEnergyBurned), a.totalEnergyBurnedUnit || "") : null,
+        distance: a.totalDistance != null ? (a.totalDistanceUnit === "mi" ? Number(a.totalDistance) * 1.609344 : Number(a.totalDistance)) : null,
+        ...sourceOf(a),
+      };
+      return;
+    }
+
+    // iOS 16+ moves workout totals into <WorkoutStatistics> children
+    if (name === "WorkoutStatistics" && workout) {
+      if (a.type === "HKQuantityTypeIdentifierHeartRate") {
+        const avg = Number(a.average), max = Number(a.maximum);
+        if (Number.isFinite(avg)) workout.avgHR = avg;
+        if (Number.isFinite(max)) workout.maxHR = max;
+        return;
+      }
+      const sum = Number(a.sum);
+      if (!Number.isFinite(sum)) return;
+      if (a.type === "HKQuantityTypeIdentifierActiveEnergyBurned" && workout.energy == null) workout.energy = TO_KJ(sum, a.unit || "");
+      if (/Distance/.test(a.type || "") && workout.distance == null) workout.distance = a.unit === "mi" ? sum * 1.609344 : sum;
+    }
+  };
+
+  parser.onclosetag = (name) => {
+    if (name === "Workout" && workout) {
+      if (workout.timestamp) element().items.push(["workouts", workout]);
+      else element().skipped++;
+      workout = null;
+    }
+    if (parser.tags.length !== 1) return; // still inside a top-level element
+    if (el) {
+      totals.records += el.records;
+      totals.skipped += el.skipped;
+      for (const t of el.types) totals.byHkType[t] = (totals.byHkType[t] || 0) + 1;
+      for (const [key, item] of el.items) batch[key].push(item);
+      for (const [key, v] of el.steps) stepBuckets.set(key, (stepBuckets.get(key) || 0) + v);
+      pending += el.items.length + el.steps.length;
+      el = null;
+    }
+    boundary = parser.position;
+  };
+
+  let at = resumeAt;    // export.xml byte offset just after the last closed top-level element
+  let saved = resumeAt; // … as of the last batch
+  const flush = async () => {
+    if (at === saved) return;
+    const steps = [];
+    for (const [key, value] of stepBuckets) {
+      const [sourceName, device, timestamp] = key.split("|");
+      steps.push({ timestamp, value, sourceName: sourceName || null, device: device || null });
+    }
+    const out = batch;
+    batch = emptyBatch();
+    stepBuckets = new Map();
+    pending = 0;
+    saved = at;
+    await onBatch(out, { resumeAt: at, steps, summary: { ...totals, byHkType: { ...totals.byHkType } }, xmlBytes });
+  };
+
+  const decoder = new StringDecoder("utf8");
+  let bytes = resumeAt; // export.xml byte offset of the next decoded text
+  let skip = resumeAt;
+  if (resumeAt) parser.write(RESUME_ROOT);
+  for await (let chunk of stream) {
+    if (skip) {
+      if (chunk.length <= skip) { skip -= chunk.length; continue; }
+      chunk = chunk.subarray(skip);
+      skip = 0;
+    }
+    const text = decoder.write(chunk);
+    const start = parser.position;
+    boundary = null;
+    parser.write(text);
+    // boundaries fall just after a ">", so the text before one is whole characters
+    if (boundary != null) at = bytes + Buffer.byteLength(text.slice(0, boundary - start));
+    bytes += Buffer.byteLength(text);
+    if (pending >= batchSize || Date.now() >= deadline) {
+      await flush();
+      // out of time once something is saved (leaving the loop closes the stream)
+      if (Date.now() >= deadline && saved > resumeAt) return { done: false, resumeAt: saved, xmlBytes, ...totals };
+    }
+  }
+  parser.write(decoder.end());
+  parser.close();
+  at = bytes;
+  await flush();
+
+  return { done: true, resumeAt: at, xmlBytes, ...totals };
+}
@@ -0,0 +1,153 @@
+// api/lib/checkins.js
+// Daily engagement check-ins and streaks.
+//
+// checkins: { uid, day: "YYYY-MM-DD", source: "manual"|"auto", createdAt, met? }
+//   One row per user per day (unique). A user ticks a day themselves ("manual"), or an upload
+//   adds one ("auto") when that day's totals meet the daily share (1/7) of every weekly goal in
+//   force that day (lib/goals.js). Days are in the user's timezone. Auto rows are derived, so
+//   only manual ones can be removed; a manual tick is never turned into an auto one.
+
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { goalHistory, goalOn, GOAL_FIELDS } from "./goals.js";
+import { dayKey, addDaysKey, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IMPORT = 3660;
+const MAX_AUTO_DAYS = 62;
+
+const col = async (db) => {
+  const c = db.collection("checkins");
+  await c.createIndex({ uid: 1, day: 1 }, { unique: true }).catch(() => {});
+  return c;
+};
+
+export const isDayKey = (d) => DAY_RE.test(String(d || ""));
+
+/**
+ * { current, longest } over a sorted, de-duplicated list of day keys.
+ * The current streak runs back from today — or from yesterday while today isn't ticked yet.
+ */
+export function computeStreaks(days, today) {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const d of days) {
+    run = prev && addDaysKey(prev, 1) === d ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = d;
+  }
+  const last = days[days.length - 1];
+  const current = last === today || last === addDaysKey(today, -1) ? run : 0;
+  return { current, longest };
+}
+
+/** Every check-in for `uid` (oldest first) with all-time streaks. */
+export async function checkinSummary(db, uid) {
+  const tz = await getUserTimezone(db, uid);
+  const rows = await (await col(db))
+    .find({ uid }, { projection: { _id: 0, day: 1, source: 1 } })
+    .sort({ day: 1 })
+    .toArray();
+  const today = dayKey(Date.now(), tz);
+  return {
+    tz,
+    today,
+    items: rows,
+    total: rows.length,
+    streaks: computeStreaks(rows.map((r) => r.day), today),
+  };
+}
+
+/**
+ * Tick `days` by hand (e.g. today, or a one-off import of the old browser-only check-ins).
+ * Future days are refused. Returns the number of new rows.
+ */
+export async function addManualCheckins(db, uid, days) {
+  const tz = await getUserTimezone(db, uid);
+  const today = dayKey(Date.now(), tz);
+  const list = [...new Set(days)];
+  if (!list.length || list.length > MAX_IMPORT || !list.every(isDayKey)) {
+    throw new Error(`days must be 1–${MAX_IMPORT} YYYY-MM-DD dates`);
+  }
+  if (list.some((d) => d > today)) throw new Error("Can't check in for a future day");
+  const now = new Date();
+  const r = await (await col(db)).bulkWrite(list.map((day) => ({
+    updateOne: {
+      filter: { uid, day },
+      update: { $set: { source: "manual" }, $setOnInsert: { uid, day, createdAt: now } },
+      upsert: true,
+    },
+  })));
+  return r.upsertedCount ?? 0;
+}
+
+/** Remove a manual check-in. Returns false when there is none (auto ones stay). */
+export async function removeManualCheckin(db, uid, day) {
+  const r = await (await col(db)).deleteOne({ uid, day: String(day), source: "manual" });
+  return r.deletedCount === 1;
+}
+
+/**
+ * Add auto check-ins for the days in `dayKeys` whose totals meet the day's goals.
+ * Returns the days checked in. Days without a goal in force are skipped.
+ */
+export async function autoCheckinDays(db, uid, dayKeys, tz) {
+  const days = [...new Set(dayKeys)].filter(isDayKey).sort().slice(-MAX_AUTO_DAYS);
+  if (!days.length) return [];
+  const history = await goalHistory(db, uid, tz);
+  if (!history.length) return [];
+
+  const series = await runAggregate(db, {
+    uid,
+    from: new Date(zonedDayStartISO(days[0], tz)),
+    to: new Date(zonedDayEndISO(days[days.length - 1], tz)),
+    tz,
+    series: normaliseSeriesSpecs(Object.fromEntries(
+      Object.entries(GOAL_FIELDS).map(([, { actual, type }]) => [
+        actual, { type, bucket: "day", ops: ["sum"], ...(type === "sleep" ? { groupBy: "stage" } : {}) },
+      ])
+    )),
+  });
+  const totals = {};
+  for (const [key, rows] of Object.entries(series)) {
+    for (const r of rows) {
+      if (key === "sleep" && String(r.stage || "").toLowerCase() === "in bed") continue;
+      totals[r.date] = totals[r.date] || {};
+      totals[r.date][key] = (totals[r.date][key] || 0) + (Number(r.sum) || 0);
+    }
+  }
+
+  const met = days.filter((day) => {
+    const g = goalOn(history, day);
+    if (!g || !totals[day]) return false;
+    const targets = Object.entries(GOAL_FIELDS).filter(([field]) => g.goal[field] > 0);
+    return targets.length > 0 && targets.every(([field, { actual }]) => (totals[day][actual] || 0) >= g.goal[field] / 7);
+  });
+  if (!met.length) return [];
+
+  const now = new Date();
+  await (await col(db)).bulkWrite(met.map((day) => ({
+    updateOne: {
+      filter: { uid, day },
+      update: { $setOnInsert: { uid, day, source: "auto", met: true, createdAt: now } },
+      upsert: true,
+    },
+  })));
+  return met;
+}
+
+/**
+ * After an upload: re-check the days its samples fall on (best-effort; never throws).
+ * Pass the ingested health_data `docs`, or the `days` already collected from them.
+ */
+export async function autoCheckinAfterUpload(db, uid, { docs = [], days = [] }, tz = null) {
+  try {
+    if (!docs.length && !days.length) return [];
+    const zone = tz || await getUserTimezone(db, uid);
+    return await autoCheckinDays(db, uid, [...days, ...docs.map((d) => dayKey(d.ts, zone))], zone);
+  } catch (e) {
+    console.error("auto check-in failed:", e?.message || e);
+    return [];
+  }
+}
@@ -0,0 +1,180 @@
+// api/lib/consents.js
+// Consent records: a user lets a named coach read selected metrics until a set date.
+//
+// consents: { _id, uid (owner), granteeUid, granteeEmail, granteeName, metrics: [type],
+//             note, createdAt, expiresAt, revokedAt, revokedBy, lastAccessAt }
+// Only users with the "coach" role can be granted access (src/utils/roles.js), and the role is
+// checked again on every read: a coach who loses the role loses access with it (and their live
+// grants are revoked by the role change, src/server/roles.js). /api/health checks the consent on
+// every read of another user's data (`?uid=`), and those reads are written to access_logs with
+// the coach as `viewerUid`.
+
+import { ObjectId } from "mongodb";
+import { metricFor } from "../../src/utils/metrics.js";
+
+export const GRANTEE_ROLES = ["coach"];
+const MAX_DAYS = 365;
+const MAX_NOTE = 200;
+
+const col = (db) => db.collection("consents");
+
+async function isGrantee(db, uid) {
+  const u = await db.collection("users").findOne({ _id: uid }, { projection: { role: 1 } });
+  return GRANTEE_ROLES.includes(u?.role);
+}
+
+/** "active" | "expired" | "revoked" */
+export function consentStatus(c, now = new Date()) {
+  if (c.revokedAt) return "revoked";
+  if (c.expiresAt <= now) return "expired";
+  return "active";
+}
+
+/**
+ * Validate a new grant: { email, metrics, days, note? }.
+ * Returns { email, metrics, expiresAt, note }. Throws Error with a user-facing message.
+ */
+export function normaliseConsentInput({ email, metrics, days, note } = {}, now = new Date()) {
+  const e = String(email || "").toLowerCase().trim();
+  if (!e) throw new Error("email required");
+  const list = Array.isArray(metrics) ? [...new Set(metrics.map(String))] : [];
+  if (!list.length) throw new Error("metrics must be a non-empty list");
+  const unknown = list.find((t) => !metricFor(t));
+  if (unknown) throw new Error(`Unknown metric: ${unknown}`);
+  const d = Number(days);
+  if (!Number.isInteger(d) || d < 1 || d > MAX_DAYS) throw new Error(`days must be a whole number 1–${MAX_DAYS}`);
+  const n = note == null ? "" : String(note).trim();
+  if (n.length > MAX_NOTE) throw new Error(`note must be at most ${MAX_NOTE} characters`);
+  return { email: e, metrics: list, expiresAt: new Date(now.getTime() + d * 86400000), note: n || null };
+}
+
+/** Consent as shown to the owner or the coach. */
+export function publicConsent(c, now = new Date()) {
+  return {
+    id: String(c._id),
+    uid: c.uid,
+    granteeUid: c.granteeUid,
+    granteeEmail: c.granteeEmail,
+    granteeName: c.granteeName || null,
+    metrics: c.metrics,
+    note: c.note || null,
+    createdAt: c.createdAt,
+    expiresAt: c.expiresAt,
+    revokedAt: c.revokedAt || null,
+    lastAccessAt: c.lastAccessAt || null,
+    status: consentStatus(c, now),
+  };
+}
+
+/**
+ * Grant `input` (already normalised) from `uid` to the coach with that email.
+ * A live grant to the same coach is replaced, so there is at most one per pair.
+ * Returns the stored consent. Throws Error with a user-facing message.
+ */
+export async function grantConsent(db, uid, input) {
+  const grantee = await db.collection("users").findOne(
+    { email: input.email },
+    { projection: { _id: 1, email: 1, role: 1, displayName: 1, firstName: 1, lastName: 1 } }
+  );
+  if (!grantee || !GRANTEE_ROLES.includes(grantee.role)) throw new Error("No coach account with that email");
+  if (grantee._id === uid) throw new Error("You can't share with yourself");
+
+  const now = new Date();
+  await col(db).updateMany(
+    { uid, granteeUid: grantee._id, revokedAt: null },
+    { $set: { revokedAt: now, revokedBy: uid } }
+  );
+  const doc = {
+    uid,
+    granteeUid: grantee._id,
+    granteeEmail: grantee.email,
+    granteeName: grantee.displayName || [grantee.firstName, grantee.lastName].filter(Boolean).join(" ") || null,
+    metrics: input.metrics,
+    note: input.note,
+    createdAt: now,
+    expiresAt: input.expiresAt,
+    revokedAt: null,
+    revokedBy: null,
+    lastAccessAt: null,
+  };
+  const { insertedId } = await col(db).insertOne(doc);
+  return { _id: insertedId, ...doc };
+}
+
+/**
+ * Revoke consent `id`. Either side may end it: the owner, or the coach dropping a client.
+ * Returns the updated consent or null when there's no live consent with that id for `byUid`.
+ */
+export async function revokeConsent(db, id, byUid) {
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return null; }
+  return col(db).findOneAndUpdate(
+    { _id, revokedAt: null, $or: [{ uid: byUid }, { granteeUid: byUid }] },
+    { $set: { revokedAt: new Date(), revokedBy: byUid } },
+    { returnDocument: "after" }
+  );
+}
+
+/** Everything `uid` has granted, newest first (including expired and revoked, for the record). */
+export async function listGranted(db, uid) {
+  return col(db).find({ uid }).sort({ createdAt: -1 }).limit(100).toArray();
+}
+
+/**
+ * The coach's roster: one row per user with a live consent, with the owner's name, email and
+ * timezone (so charts bucket days the way the client sees them).
+ */
+export async function listRoster(db, granteeUid, now = new Date()) {
+  if (!(await isGrantee(db, granteeUid))) return [];
+  const live = await col(db)
+    .find({ granteeUid, revokedAt: null, expiresAt: { $gt: now } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  const owners = await db.collection("users")
+    .find(
+      { _id: { $in: live.map((c) => c.uid) } },
+      { projection: { email: 1, displayName: 1, firstName: 1, lastName: 1, timezone: 1 } }
+    )
+    .toArray();
+  const byId = new Map(owners.map((u) => [u._id, u]));
+  return live
+    .filter((c) => byId.has(c.uid))
+    .map((c) => {
+      const u = byId.get(c.uid);
+      return {
+        ...publicConsent(c, now),
+        client: {
+          uid: u._id,
+          email: u.email || null,
+          name: u.displayName || [u.firstName, u.lastName].filter(Boolean).join(" ") || u.email || u._id,
+          timezone: u.timezone || null,
+        },
+      };
+    });
+}
+
+/** The live consent letting `granteeUid` read `uid`'s data, or null (also while they aren't a coach). */
+export async function findActiveConsent(db, uid, granteeUid, now = new Date()) {
+  if (!uid || !granteeUid) return null;
+  const consent = await col(db).findOne(
+    { uid: String(uid), granteeUid, revokedAt: null, expiresAt: { $gt: now } },
+    { sort: { createdAt: -1 } }
+  );
+  return consent && (await isGrantee(db, granteeUid)) ? consent : null;
+}
+
+/**
+ * End every live grant to `granteeUid` (they stopped being a coach, or their account was
+ * deleted). Returns the number revoked.
+ */
+export async function revokeGranteeConsents(db, granteeUid, revokedBy) {
+  const r = await col(db).updateMany({ granteeUid, revokedAt: null }, { $set: { revokedAt: new Date(), revokedBy } });
+  return r.modifiedCount;
+}
+
+/** Stamp the consent as used (fire and forget). */
+export async function touchConsent(db, consent) {
+  try {
+    await col(db).updateOne({ _id: consent._id }, { $set: { lastAccessAt: new Date() } });
+  } catch { /* ignore */ }
+}
@@ -0,0 +1,301 @@
+// api/lib/dataArchive.js
+// "Download all my data": everything stored about one user, as a zip of JSON/CSV files.
+//
+// jobs: { _id, type: "archive", uid, status: building|ready|failed, filename, bytes,
+//         files: { name: rows }, step: { section, part, after, rows }, lockedUntil,
+//         createdAt, updatedAt, finishedAt, expiresAt, error }
+// A long history takes longer than one function call to collect, so the build runs in steps like
+// the reprocess job (lib/reprocess.js): each call works for `budgetMs`, saves `step` and returns
+// the job still "building"; the Settings page calls again until it is "ready". Each file of the
+// archive is stored as one or more parts in GridFS (bucket "data_archives", metadata
+// { uid, jobId, entry, part }), paging big collections by (sort field, _id) so a step never
+// reads or holds more than it writes. The zip itself is put together from the parts on download.
+//
+// A user has one archive build at a time (a unique partial index on building jobs). A finished
+// build replaces the previous archive; expired ones, and builds nobody has continued for
+// STALE_MS, are removed when next looked up.
+
+import zlib from "zlib";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import { GridFSBucket } from "mongodb";
+import yazl from "yazl";
+import { buildHealthFilter, CSV_HEADER, csvRow, writeChunk as write } from "./healthQuery.js";
+import { publicKey } from "./keys.js";
+
+const BUCKET = "data_archives";
+const KEEP_DAYS = 7;
+const STALE_MS = 60 * 60000;
+
+const README = `This archive holds everything this service stores about your account.
+
+profile.json        your account record (API key hashes removed)
+api_keys.json       your API keys: label, scopes, dates and usage — never the secret
+goals.json          every version of your goals, with the day each took effect
+goal_attainment.json  your weekly totals against the goal in force each week
+metric_goals.json   your daily / weekly / monthly / custom-period goals on any metric
+notifications.json  reminders and alerts sent to you, and how each was delivered
+checkins.json       your daily check-ins, ticked by you or added when an upload met the day's goals
+requests.json       access / role requests you have made
+consents.json       coaches you have shared data with, and when each grant ends or ended
+share_links.json    report links you have made, with every recorded view
+ingest_logs.json    a log entry for every upload and import
+access_logs.json    a log entry for every read of your data with an API key or by a coach
+health_data.csv     every health sample, oldest first (payload column is JSON)
+raw_uploads.ndjson  raw Shortcut uploads, if "Keep raw uploads" is on — one JSON object per line
+
+Times are UTC (ISO 8601).
+`;
+
+const bucket = (db) => new GridFSBucket(db, { bucketName: BUCKET });
+
+// key hashes stay server-side; api_keys.json lists the metadata
+const withoutKeys = (user) => user && { ...user, apiKeys: undefined };
+
+const keyMetadata = (user) => (user?.apiKeys || []).map((k) => publicKey(k));
+
+// share links with their views nested, oldest first (no tokens, so the archive never opens a report)
+async function shareLinksWithViews(db, uid) {
+  const links = await db.collection("share_links").find({ uid }).sort({ createdAt: 1 }).toArray();
+  const views = await db.collection("share_link_views").find({ uid }, { projection: { _id: 0, uid: 0 } }).sort({ ts: 1 }).toArray();
+  return links.map((l) => ({ ...l, viewLog: views.filter((v) => v.linkId === l._id) }));
+}
+
+// row formats for the paged sections
+const jsonArray = { head: "[\n", row: (doc, n) => (n ? ",\n" : "") + JSON.stringify(doc), tail: "\n]\n" };
+const healthCsv = { head: CSV_HEADER.join(",") + "\n", row: (doc) => csvRow(doc), tail: "" };
+const rawNdjson = {
+  head: "",
+  row: (r) => {
+    const body = JSON.parse(zlib.gunzipSync(Buffer.from(r.body.buffer ?? r.body)).toString("utf8"));
+    return JSON.stringify({ createdAt: r.createdAt, tz: r.tz, range: r.range, body }) + "\n";
+  },
+  tail: "",
+};
+
+// Each section is one file. `json` sections are small and written whole; `rows` sections are
+// paged over `collection` in (sort, _id) order and may span several parts.
+const SECTIONS = [
+  { name: "profile.json", json: async (db, uid) => withoutKeys(await db.collection("users").findOne({ _id: uid })) },
+  { name: "api_keys.json", json: async (db, uid) => keyMetadata(await db.collection("users").findOne({ _id: uid }, { projection: { apiKeys: 1 } })) },
+  { name: "goals.json", json: (db, uid) => db.collection("user_goals").find({ uid }).sort({ createdAt: 1 }).toArray() },
+  { name: "goal_attainment.json", json: (db, uid) => db.collection("goal_attainment").find({ uid }).sort({ weekStart: 1 }).toArray() },
+  { name: "metric_goals.json", json: (db, uid) => db.collection("metric_goals").find({ uid }).sort({ createdAt: 1 }).toArray() },
+  { name: "notifications.json", json: (db, uid) => db.collection("notifications").find({ uid }).sort({ createdAt: 1 }).toArray() },
+  { name: "checkins.json", json: (db, uid) => db.collection("checkins").find({ uid }).sort({ day: 1 }).toArray() },
+  { name: "requests.json", json: (db, uid) => db.collection("requests").find({ uid }).sort({ createdAt: 1 }).toArray() },
+  { name: "consents.json", json: (db, uid) => db.collection("consents").find({ uid }).sort({ createdAt: 1 }).toArray() },
+  { name: "share_links.json", json: (db, uid) => shareLinksWithViews(db, uid) },
+  { name: "ingest_logs.json", rows: { collection: "ingest_logs", filter: (uid) => ({ uid }), sort: "ts", format: jsonArray } },
+  { name: "access_logs.json", rows: { collection: "access_logs", filter: (uid) => ({ uid }), sort: "ts", format: jsonArray } },
+  { name: "health_data.csv", rows: { collection: "health_data", filter: (uid) => buildHealthFilter({ uid }), sort: "ts", format: healthCsv } },
+  { name: "raw_uploads.ndjson", rows: { collection: "raw_uploads", filter: (uid) => ({ uid }), sort: "createdAt", format: rawNdjson } },
+];
+
+const FIRST_STEP = { section: 0, part: 0, after: null, rows: 0 };
+
+/**
+ * Store one part of `entry` in GridFS; `fill(out)` writes it. A part left by an earlier attempt
+ * is replaced. Returns { value: what fill returned, bytes }.
+ */
+async function writePart(db, job, entry, part, fill) {
+  await removeFiles(db, { "metadata.jobId": job._id, "metadata.entry": entry, "metadata.part": part });
+  const upload = bucket(db).openUploadStream(`${entry}.${part}`, { metadata: { uid: job.uid, jobId: job._id, entry, part } });
+  const out = new PassThrough();
+  const stored = pipeline(out, upload);
+  stored.catch(() => {}); // awaited below; a GridFS error mid-fill surfaces through write() first
+  let value;
+  try {
+    value = await fill(out);
+  } catch (e) {
+    out.destroy(e);
+    await upload.abort().catch(() => {}); // drops the chunks written so far
+    throw e;
+  }
+  out.end();
+  await stored;
+  return { value, bytes: upload.length };
+}
+
+// Rows of a paged section after `step.after`, until they run out or `deadline` passes.
+async function writeRows(out, db, uid, { collection, filter, sort, format }, step, deadline) {
+  const q = filter(uid);
+  if (step.after) {
+    q.$and = [...(q.$and || []), {
+      $or: [{ [sort]: { $gt: step.after.v } }, { [sort]: step.after.v, _id: { $gt: step.after.id } }],
+    }];
+  }
+  if (step.part === 0 && format.head) await write(out, format.head);
+  const cursor = db.collection(collection).find(q).sort({ [sort]: 1, _id: 1 }).batchSize(1000);
+  let n = step.rows, last = null, done = true;
+  try {
+    for await (const doc of cursor) {
+      await write(out, format.row(doc, n++));
+      last = doc;
+      if (Date.now() >= deadline) { done = false; break; }
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  if (done && format.tail) await write(out, format.tail);
+  return { rows: n - step.rows, after: last ? { v: last[sort], id: last._id } : step.after, done };
+}
+
+async function removeFiles(db, filter) {
+  const b = bucket(db);
+  const old = await db.collection(`${BUCKET}.files`).find(filter, { projection: { _id: 1 } }).toArray();
+  for (const f of old) await b.delete(f._id).catch(() => {});
+  return old.length;
+}
+
+/** Drop every stored archive for `uid` (account purge). Returns how many files went. */
+export async function deleteUserArchives(db, uid) {
+  return removeFiles(db, { "metadata.uid": uid });
+}
+
+async function jobsCol(db) {
+  const jobs = db.collection("jobs");
+  await jobs.createIndex({ type: 1, uid: 1, createdAt: -1 }).catch(() => {});
+  await jobs.createIndex(
+    { type: 1, uid: 1 },
+    { unique: true, name: "one_archive_build", partialFilterExpression: { type: "archive", status: "building" } }
+  ).catch(() => {});
+  await db.collection(`${BUCKET}.files`).createIndex({ "metadata.jobId": 1, "metadata.entry": 1, "metadata.part": 1 }).catch(() => {});
+  return jobs;
+}
+
+/**
+ * Start an archive for `uid`, or carry on with the one being built, for up to `budgetMs`.
+ * Returns the job: "building" until every section is stored, then "ready" (or "failed").
+ */
+export async function buildArchive(db, uid, { budgetMs = 40000 } = {}) {
+  const jobs = await jobsCol(db);
+  let job = await latestArchive(db, uid);
+  if (job?.status !== "building") {
+    const now = new Date();
+    job = {
+      type: "archive", uid, status: "building",
+      filename: `my_data_${now.toISOString().slice(0, 10)}.zip`,
+      files: {}, bytes: 0, step: FIRST_STEP, lockedUntil: null,
+      createdAt: now, updatedAt: now,
+    };
+    try {
+      job._id = (await jobs.insertOne(job)).insertedId;
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+      // another request started one a moment ago
+      job = await jobs.findOne({ type: "archive", uid, status: "building" });
+      if (!job) throw e;
+    }
+  }
+  return runArchiveJob(db, job, { budgetMs });
+}
+
+async function runArchiveJob(db, job, { budgetMs }) {
+  const jobs = db.collection("jobs");
+  const t0 = Date.now();
+  const lock = await jobs.updateOne(
+    { _id: job._id, status: "building", $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+    { $set: { lockedUntil: new Date(t0 + budgetMs + 60000), updatedAt: new Date() } }
+  );
+  if (!lock.modifiedCount) return job; // another call is working on it
+
+  const files = { ...job.files };
+  let { bytes } = job;
+  let step = job.step || FIRST_STEP;
+  try {
+    while (step.section < SECTIONS.length && Date.now() - t0 < budgetMs) {
+      const s = SECTIONS[step.section];
+      const next = { ...FIRST_STEP, section: step.section + 1 };
+      if (s.json) {
+        const value = await s.json(db, job.uid);
+        const part = await writePart(db, job, s.name, 0, (out) => write(out, JSON.stringify(value ?? null, null, 2) + "\n"));
+        files[s.name] = Array.isArray(value) ? value.length : value ? 1 : 0;
+        bytes += part.bytes;
+        step = next;
+      } else {
+        const part = await writePart(db, job, s.name, step.part, (out) => writeRows(out, db, job.uid, s.rows, step, t0 + budgetMs));
+        const { rows, after, done } = part.value;
+        files[s.name] = step.rows + rows;
+        bytes += part.bytes;
+        step = done ? next : { section: step.section, part: step.part + 1, after, rows: step.rows + rows };
+      }
+      await jobs.updateOne({ _id: job._id }, { $set: { step, files, bytes, updatedAt: new Date() } });
+    }
+
+    let update = { lockedUntil: null, updatedAt: new Date() };
+    if (step.section >= SECTIONS.length) {
+      const done = new Date();
+      update = { ...update, status: "ready", finishedAt: done, expiresAt: new Date(done.getTime() + KEEP_DAYS * 86400000) };
+      // the previous archive goes once this one is complete
+      await removeFiles(db, { "metadata.uid": job.uid, "metadata.jobId": { $ne: job._id } });
+      await jobs.deleteMany({ type: "archive", uid: job.uid, _id: { $ne: job._id } });
+    }
+    await jobs.updateOne({ _id: job._id }, { $set: update });
+    return { ...job, files, bytes, step, ...update };
+  } catch (e) {
+    console.error("data archive failed:", e);
+    await removeFiles(db, { "metadata.jobId": job._id });
+    const failed = { status: "failed", error: e?.message || String(e), lockedUntil: null, finishedAt: new Date() };
+    await jobs.updateOne({ _id: job._id }, { $set: failed }).catch(() => {});
+    return { ...job, ...failed };
+  }
+}
+
+/**
+ * The caller's current archive job, or null. Expired archives are deleted here, and a build
+ * nobody has continued for STALE_MS is marked failed.
+ */
+export async function latestArchive(db, uid) {
+  const jobs = db.collection("jobs");
+  const job = await jobs.findOne({ type: "archive", uid }, { sort: { createdAt: -1 } });
+  if (job?.status === "ready" && job.expiresAt < new Date()) {
+    await removeFiles(db, { "metadata.uid": uid });
+    await jobs.deleteMany({ type: "archive", uid });
+    return null;
+  }
+  if (job?.status === "building" && Date.now() - new Date(job.updatedAt).getTime() > STALE_MS
+      && !(job.lockedUntil > new Date())) {
+    await removeFiles(db, { "metadata.jobId": job._id });
+    const failed = { status: "failed", error: "The build stopped before it finished", lockedUntil: null, finishedAt: new Date() };
+    await jobs.updateOne({ _id: job._id, status: "building" }, { $set: failed });
+    return { ...job, ...failed };
+  }
+  return job;
+}
+
+/**
+ * Zip a ready archive's parts straight into an HTTP response. Stops reading GridFS if the
+ * client goes away.
+ */
+export async function streamArchive(res, db, job) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${job.filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const zip = new yazl.ZipFile();
+  let entry = null, gone = null;
+  const sent = pipeline(zip.outputStream, res);
+  sent.catch((e) => {
+    gone = e;
+    entry?.destroy(e);
+  });
+  zip.addBuffer(Buffer.from(README), "README.txt");
+  const b = bucket(db);
+  for (const { name } of SECTIONS) {
+    const parts = await db.collection(`${BUCKET}.files`)
+      .find({ "metadata.jobId": job._id, "metadata.entry": name }, { projection: { _id: 1 } })
+      .sort({ "metadata.part": 1 })
+      .toArray();
+    if (!parts.length) continue;
+    if (gone) throw gone;
+    // entries are written in order, so feed them one at a time
+    entry = new PassThrough();
+    zip.addReadStream(entry, name);
+    for (const p of parts) await pipeline(b.openDownloadStream(p._id), entry, { end: false });
+    entry.end();
+  }
+  zip.end();
+  await sent;
+}
@@ -0,0 +1,107 @@
+// api/lib/fhir.js
+// health_data → FHIR R4 Observation resources, wrapped in a `collection` Bundle per user + range.
+// Types with a LOINC code use it; the rest (Apple-specific gait/stand metrics) carry a local
+// code so partners can still round-trip them. Values are reported in UCUM units.
+
+import crypto from "crypto";
+import { METRICS } from "../../src/utils/metrics.js";
+
+const LOINC = "http://loinc.org";
+const UCUM = "http://unitsofmeasure.org";
+const LOCAL = "urn:healthkit:metric";
+const CATEGORY = "http://terminology.hl7.org/CodeSystem/observation-category";
+
+// LOINC codes of the FHIR R4 vital-signs profile we can produce; only these get the
+// "vital-signs" category (partners validate it against the profile)
+const VITAL_SIGNS_LOINC = new Set(["8867-4", "9279-1", "59408-5", "2708-6", "29463-7", "8310-5"]);
+
+// "In bed" sleep segments are time in bed, not sleep, so they can't use the sleep duration code
+const IN_BED = { display: "Time in bed", ucum: "min", unit: "min", category: "activity" };
+const isInBed = (stage) => ["in bed", "inbed", "in-bed"].includes(String(stage ?? "").trim().toLowerCase());
+
+// type → { loinc?, display, ucum, unit, category }, from the metric registry
+export const FHIR_MAP = Object.fromEntries(METRICS.filter((m) => m.fhir).map((m) => [m.type, m.fhir]));
+
+// Deterministic UUID (v4 layout) so re-exports of the same sample keep the same fullUrl
+function stableUuid(...parts) {
+  const h = crypto.createHash("sha1").update(parts.join("|")).digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${((parseInt(h[16], 16) & 0x3) | 0x8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+/** The Patient's urn:uuid — Observations reference it so the Bundle resolves on its own. */
+export function patientUuid(uid) {
+  return stableUuid("patient", uid);
+}
+
+function codingFor(type, spec) {
+  const coding = spec.loinc
+    ? [{ system: LOINC, code: spec.loinc, display: spec.display }]
+    : [];
+  coding.push({ system: LOCAL, code: type, display: spec.display });
+  return { coding, text: spec.display };
+}
+
+/** One health_data doc → Observation, or null if the type/value can't be represented. */
+export function toObservation(doc) {
+  const inBed = doc?.type === "sleep" && isInBed(doc.payload?.stage);
+  const spec = inBed ? IN_BED : FHIR_MAP[doc?.type];
+  const value = typeof doc?.value === "number" ? doc.value : Number(doc?.value);
+  if (!spec || !Number.isFinite(value)) return null;
+
+  const start = new Date(doc.ts);
+  const id = stableUuid(doc.meta?.uid, doc.type, start.toISOString(), value, doc.payload?.stage ?? "");
+  const category = spec.category === "vital-signs" && !VITAL_SIGNS_LOINC.has(spec.loinc) ? "exam" : spec.category;
+  const obs = {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    category: [{ coding: [{ system: CATEGORY, code: category }] }],
+    code: codingFor(inBed ? "sleep_in_bed" : doc.type, spec),
+    subject: { reference: `urn:uuid:${patientUuid(doc.meta?.uid)}` },
+    valueQuantity: { value, unit: spec.unit, system: UCUM, code: spec.ucum },
+  };
+
+  // Sleep stages and workouts span time; everything else is a point sample
+  if (doc.type === "sleep") {
+    obs.effectivePeriod = { start: start.toISOString(), end: new Date(start.getTime() + value * 60000).toISOString() };
+    if (doc.payload?.stage && !inBed) obs.component = [{ code: { text: "Sleep stage" }, valueString: String(doc.payload.stage) }];
+  } else if (doc.type === "workout") {
+    const end = doc.payload?.end ? new Date(doc.payload.end) : new Date(start.getTime() + value * 60000);
+    obs.effectivePeriod = { start: start.toISOString(), end: end.toISOString() };
+    obs.component = [];
+    if (doc.payload?.activityType) obs.component.push({ code: { text: "Activity type" }, valueString: String(doc.payload.activityType) });
+    if (doc.payload?.avg_hr != null) obs.component.push({ code: codingFor("heart_rate", FHIR_MAP.heart_rate), valueQuantity: { value: doc.payload.avg_hr, unit: "beats/minute", system: UCUM, code: "/min" } });
+    if (doc.payload?.energy_kj != null) obs.component.push({ code: codingFor("active_energy", FHIR_MAP.active_energy), valueQuantity: { value: doc.payload.energy_kj, unit: "kJ", system: UCUM, code: "kJ" } });
+    if (!obs.component.length) delete obs.component;
+  } else {
+    obs.effectiveDateTime = start.toISOString();
+  }
+
+  if (doc.meta?.device) obs.device = { display: String(doc.meta.device) };
+  return obs;
+}
+
+export function bundleEntry(resource) {
+  return { fullUrl: `urn:uuid:${resource.id}`, resource };
+}
+
+/** Opening of the Bundle JSON (up to and including the Patient entry); entries are streamed after it. */
+export function bundleHead(uid, { from, to } = {}) {
+  const bundle = {
+    resourceType: "Bundle",
+    id: crypto.randomUUID(),
+    // the requested range as an ISO 8601 interval, open ends left blank
+    ...(from || to ? { meta: { tag: [{ system: "urn:healthkit:range", code: `${from ? new Date(from).toISOString() : ""}/${to ? new Date(to).toISOString() : ""}` }] } } : {}),
+    type: "collection",
+    timestamp: new Date().toISOString(),
+  };
+  const patient = {
+    resourceType: "Patient",
+    id: patientUuid(uid),
+    identifier: [{ system: "urn:healthkit:uid", value: String(uid) }],
+  };
+  // leave the object open so entries can be streamed in
+  return `${JSON.stringify(bundle).slice(0, -1)},"entry":[\n${JSON.stringify(bundleEntry(patient))}`;
+}
+
+export const BUNDLE_TAIL = "\n]}\n";
@@ -0,0 +1,156 @@
+// api/lib/goalRecommendations.js
+// Weekly goal suggestions from the user's own recent weeks.
+//
+// Baseline: the median weekly total over the last 8 complete weeks (Monday–Sunday, user's
+// timezone), counting only weeks with data for that metric; at least 4 are needed. The target is
+// +10% over baseline (+5% once within 20% of the cap), rounded, and never above an age cap from
+// users.dob. Sleep aims for the recommended nightly range instead of "more": a baseline inside it
+// is kept as is. Metrics without enough data are left out, so accepting keeps their current goal.
+
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { goalHistory, goalOn, saveGoalVersion } from "./goals.js";
+import { dayKey, addDaysKey, weekStartOf, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+import { calculateAge } from "../../src/utils/heartZones.js";
+
+const WINDOW_WEEKS = 8;
+const MIN_WEEKS = 4;
+const STEP_UP = 0.10;
+const STEP_UP_NEAR_CAP = 0.05;
+const NEAR_CAP = 0.8;
+
+// Per-day caps by age (weekly = ×7). Unknown age uses the adult row.
+const AGE_BANDS = [
+  { maxAge: 17, label: "under 18", steps: 12000, sleep: [480, 600], stand: 240, activeEnergy: 3000 },
+  { maxAge: 39, label: "18–39", steps: 12000, sleep: [420, 540], stand: 240, activeEnergy: 3000 },
+  { maxAge: 64, label: "40–64", steps: 11000, sleep: [420, 540], stand: 240, activeEnergy: 2500 },
+  { maxAge: 74, label: "65–74", steps: 9000, sleep: [420, 480], stand: 180, activeEnergy: 2000 },
+  { maxAge: Infinity, label: "75+", steps: 7500, sleep: [420, 480], stand: 150, activeEnergy: 1500 },
+];
+const ADULT_BAND = AGE_BANDS[1];
+
+// goal field → weekly total, how targets are rounded and the unit used in rationales
+const METRICS = {
+  stepsGoal:        { key: "steps",        type: "steps",         round: 500, unit: "steps" },
+  sleepGoal:        { key: "sleep",        type: "sleep",         round: 15,  unit: "min asleep" },
+  standGoal:        { key: "stand",        type: "stand_minutes", round: 5,   unit: "stand min" },
+  activeEnergyGoal: { key: "activeEnergy", type: "active_energy", round: 50,  unit: "kJ" },
+};
+
+const roundTo = (n, step) => Math.round(n / step) * step;
+const fmt = (n) => Math.round(n).toLocaleString("en-US");
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function bandFor(age) {
+  if (age == null || !Number.isFinite(age)) return ADULT_BAND;
+  return AGE_BANDS.find((b) => age <= b.maxAge);
+}
+
+// One metric: { baseline, weeks, target, rationale } or { target: null, rationale } without enough data
+function recommend(field, weekly, band) {
+  const { round, unit, key } = METRICS[field];
+  const weeks = weekly.length;
+  if (weeks < MIN_WEEKS) {
+    return { target: null, weeks, rationale: `Only ${weeks} of the last ${WINDOW_WEEKS} weeks have ${unit} data; ${MIN_WEEKS} are needed.` };
+  }
+  const baseline = median(weekly);
+  const basis = `Median of your last ${weeks} weeks: ${fmt(baseline)} ${unit}/week.`;
+
+  if (key === "sleep") {
+    const [low, high] = band.sleep.map((m) => m * 7);
+    const range = `${band.sleep[0] / 60}–${band.sleep[1] / 60} h a night for ages ${band.label}`;
+    if (baseline >= low && baseline <= high) {
+      return { baseline, weeks, target: roundTo(baseline, round), rationale: `${basis} That's within the recommended ${range}, so keep it.` };
+    }
+    if (baseline > high) {
+      return { baseline, weeks, target: roundTo(high, round), rationale: `${basis} That's above the recommended ${range}; aim for the top of the range.` };
+    }
+    const target = Math.min(roundTo(baseline * (1 + STEP_UP), round), roundTo(high, round));
+    return { baseline, weeks, target, rationale: `${basis} +${STEP_UP * 100}% towards the recommended ${range}.` };
+  }
+
+  const cap = band[key] * 7;
+  const capNote = `cap for ages ${band.label}: ${fmt(cap)}`;
+  if (baseline >= cap) {
+    return { baseline, weeks, target: roundTo(cap, round), rationale: `${basis} You're at the ${capNote}; hold there.` };
+  }
+  const step = baseline >= cap * NEAR_CAP ? STEP_UP_NEAR_CAP : STEP_UP;
+  const target = Math.min(Math.max(roundTo(baseline * (1 + step), round), round), roundTo(cap, round));
+  return { baseline, weeks, target, rationale: `${basis} +${step * 100}% → ${fmt(target)} (${capNote}).` };
+}
+
+/**
+ * Suggested weekly goals for `uid`:
+ * { tz, window: { from, to }, age, ageBand, goal, current, metrics: { [field]: { baseline, weeks, target, rationale } } }
+ * `goal` holds only the fields with a target; `current` is the goal in force today (or null).
+ */
+export async function recommendGoals(db, uid) {
+  const tz = await getUserTimezone(db, uid);
+  const today = dayKey(Date.now(), tz);
+  const to = addDaysKey(weekStartOf(today), -1); // last complete Sunday
+  const from = addDaysKey(to, -7 * WINDOW_WEEKS + 1);
+
+  const user = await db.collection("users").findOne({ _id: uid }, { projection: { dob: 1 } });
+  const age = calculateAge(user?.dob);
+  const band = bandFor(age);
+
+  const series = await runAggregate(db, {
+    uid,
+    from: new Date(zonedDayStartISO(from, tz)),
+    to: new Date(zonedDayEndISO(to, tz)),
+    tz,
+    series: normaliseSeriesSpecs(Object.fromEntries(
+      Object.values(METRICS).map(({ key, type }) => [
+        key, { type, bucket: "week", ops: ["sum"], ...(type === "sleep" ? { groupBy: "stage" } : {}) },
+      ])
+    )),
+  });
+  const totals = {};
+  for (const [key, rows] of Object.entries(series)) {
+    totals[key] = {};
+    for (const r of rows) {
+      if (key === "sleep" && String(r.stage || "").toLowerCase() === "in bed") continue;
+      totals[key][r.date] = (totals[key][r.date] || 0) + (Number(r.sum) || 0);
+    }
+  }
+
+  const metrics = {};
+  const goal = {};
+  for (const [field, { key }] of Object.entries(METRICS)) {
+    const weekly = Object.values(totals[key] || {}).filter((v) => v > 0);
+    metrics[field] = recommend(field, weekly, band);
+    if (metrics[field].target != null) goal[field] = metrics[field].target;
+  }
+
+  const current = goalOn(await goalHistory(db, uid, tz), today);
+  return {
+    tz,
+    window: { from, to },
+    age: age ?? null,
+    ageBand: age == null ? `${band.label} (no date of birth on your profile)` : band.label,
+    goal,
+    current: current ? current.goal : null,
+    metrics,
+  };
+}
+
+/**
+ * Recompute and save the suggestion as a new goal version from today. Throws when no metric has
+ * enough data. Returns { saved, recommendation }.
+ */
+export async function acceptRecommendation(db, uid) {
+  const recommendation = await recommendGoals(db, uid);
+  if (!Object.keys(recommendation.goal).length) {
+    throw new Error(`Not enough recent data to suggest goals (need ${MIN_WEEKS} weeks of a metric)`);
+  }
+  const rationale = Object.fromEntries(
+    Object.keys(recommendation.goal).map((f) => [f, recommendation.metrics[f].rationale])
+  );
+  const saved = await saveGoalVersion(db, uid, recommendation.goal, { source: "recommendation", rationale });
+  return { saved, recommendation };
+}
@@ -0,0 +1,163 @@
+// api/lib/goals.js
+// Versioned weekly goals and the weekly attainment records computed from them.
+//
+// user_goals:      { uid, goal: { stepsGoal, sleepGoal, standGoal, activeEnergyGoal }, version,
+//                    effectiveFrom: "YYYY-MM-DD", createdAt, source?, rationale? }
+//   Saving never overwrites: each save is a new version (unique per uid) that applies from `effectiveFrom`
+//   (a day in the user's timezone). Rows from before versioning have neither field; they count
+//   as version 0 in force from the day they were created. `source: "recommendation"` marks a
+//   version accepted from lib/goalRecommendations.js, with its per-field `rationale`.
+// goal_attainment: { uid, weekStart: "YYYY-MM-DD" (Monday), goal, goalVersion,
+//                    actual: { steps, sleep, stand, activeEnergy }, pct, met, complete, computedAt }
+//   One row per week. A week is judged against the goal in force on its last day (Sunday), and
+//   rows are refreshed whenever they're read until the week is over (`complete`).
+
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { dayKey, addDaysKey, weekStartOf, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+
+// goal field → the weekly total it's compared with
+export const GOAL_FIELDS = {
+  stepsGoal:        { actual: "steps",        type: "steps" },
+  sleepGoal:        { actual: "sleep",        type: "sleep" },          // minutes asleep ("In bed" excluded)
+  standGoal:        { actual: "stand",        type: "stand_minutes" },
+  activeEnergyGoal: { actual: "activeEnergy", type: "active_energy" },  // kJ
+};
+const MAX_GOAL = 1e7;
+const MAX_WEEKS = 104;
+const MAX_SHIFT_DAYS = 365;
+const SAVE_RETRIES = 5;
+
+const goalsCol = (db) => db.collection("user_goals");
+const attainmentCol = (db) => db.collection("goal_attainment");
+
+const effectiveDay = (g, tz) => g.effectiveFrom || dayKey(g.createdAt, tz);
+
+/**
+ * Validate a goal body: { stepsGoal, sleepGoal, standGoal, activeEnergyGoal } (non-negative numbers;
+ * missing fields are left out). Throws Error with a user-facing message.
+ */
+export function normaliseGoal(goal) {
+  if (!goal || typeof goal !== "object") throw new Error("Missing goal data");
+  const out = {};
+  for (const field of Object.keys(GOAL_FIELDS)) {
+    if (goal[field] == null) continue;
+    const n = Number(goal[field]);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_GOAL) throw new Error(`${field} must be a number 0–${MAX_GOAL}`);
+    out[field] = n;
+  }
+  if (!Object.keys(out).length) throw new Error("Missing goal data");
+  return out;
+}
+
+/** All versions for `uid`, oldest first, each with its `effectiveFrom` day filled in. */
+export async function goalHistory(db, uid, tz) {
+  const rows = await goalsCol(db).find({ uid }).sort({ createdAt: 1 }).toArray();
+  return rows
+    .map((g) => ({ ...g, version: g.version ?? 0, effectiveFrom: effectiveDay(g, tz) }))
+    // by effective day, then the later save wins for the same day
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.createdAt - b.createdAt);
+}
+
+/** The version in force on `day` ("YYYY-MM-DD") from a goalHistory list, or null. */
+export function goalOn(history, day) {
+  let found = null;
+  for (const g of history) if (g.effectiveFrom <= day) found = g;
+  return found;
+}
+
+/**
+ * Save a new version (from a normaliseGoal body). `effectiveFrom` defaults to today in the user's timezone and may be up to a
+ * year either side of it. `source` / `rationale` are stored when given. Returns the stored doc.
+ */
+export async function saveGoalVersion(db, uid, goal, { effectiveFrom, source, rationale } = {}) {
+  const tz = await getUserTimezone(db, uid);
+  const today = dayKey(Date.now(), tz);
+  const from = effectiveFrom ? String(effectiveFrom) : today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || from < addDaysKey(today, -MAX_SHIFT_DAYS) || from > addDaysKey(today, MAX_SHIFT_DAYS)) {
+    throw new Error(`effectiveFrom must be a YYYY-MM-DD day within ${MAX_SHIFT_DAYS} days of today`);
+  }
+  const col = goalsCol(db);
+  // one row per version; rows from before versioning have none and stay out of the index
+  await col.createIndex(
+    { uid: 1, version: 1 },
+    { unique: true, name: "uniq_goal_version", partialFilterExpression: { version: { $exists: true } } }
+  ).catch(() => {});
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await col.find({ uid }).sort({ version: -1 }).limit(1).next();
+    // fields left out keep their latest value
+    const doc = { uid, goal: { ...(last?.goal || {}), ...goal }, version: (last?.version ?? 0) + 1, effectiveFrom: from, createdAt: new Date() };
+    if (source) Object.assign(doc, { source, ...(rationale ? { rationale } : {}) });
+    try {
+      const { insertedId } = await col.insertOne(doc);
+      // weeks from the new version on are judged against it now
+      await attainmentCol(db).deleteMany({ uid, weekStart: { $gte: addDaysKey(from, -6) } });
+      return { _id: insertedId, ...doc };
+    } catch (e) {
+      // a concurrent save took this version number; build on top of it instead
+      if (e?.code !== 11000 || attempt >= SAVE_RETRIES) throw e;
+    }
+  }
+}
+
+const pct = (actual, goal) => (goal > 0 ? Math.round((actual / goal) * 1000) / 10 : null);
+
+/**
+ * Weekly attainment for the last `weeks` weeks (this week included), oldest first.
+ * Weeks with no goal in force are skipped. Stored rows for complete weeks are reused; the rest
+ * are recomputed from health_data in one weekly rollup per metric.
+ */
+export async function weeklyAttainment(db, uid, { weeks = 26 } = {}) {
+  const n = Math.min(Math.max(parseInt(weeks, 10) || 26, 1), MAX_WEEKS);
+  const tz = await getUserTimezone(db, uid);
+  const today = dayKey(Date.now(), tz);
+  const thisWeek = weekStartOf(today);
+  const firstWeek = addDaysKey(thisWeek, -7 * (n - 1));
+  const history = await goalHistory(db, uid, tz);
+
+  const stored = await attainmentCol(db).find({ uid, weekStart: { $gte: firstWeek } }).toArray();
+  const done = new Map(stored.filter((r) => r.complete).map((r) => [r.weekStart, r]));
+  const starts = Array.from({ length: n }, (_, i) => addDaysKey(firstWeek, 7 * i));
+  const todo = starts.filter((w) => !done.has(w) && goalOn(history, addDaysKey(w, 6)));
+  if (!todo.length) return { tz, items: starts.map((w) => done.get(w)).filter(Boolean) };
+
+  const series = await runAggregate(db, {
+    uid,
+    from: new Date(zonedDayStartISO(todo[0], tz)),
+    to: new Date(zonedDayEndISO(addDaysKey(todo[todo.length - 1], 6), tz)),
+    tz,
+    series: normaliseSeriesSpecs({
+      steps: { type: "steps", bucket: "week", ops: ["sum"] },
+      stand: { type: "stand_minutes", bucket: "week", ops: ["sum"] },
+      activeEnergy: { type: "active_energy", bucket: "week", ops: ["sum"] },
+      sleep: { type: "sleep", bucket: "week", ops: ["sum"], groupBy: "stage" },
+    }),
+  });
+  const totals = {};
+  const add = (week, key, v) => {
+    totals[week] = totals[week] || { steps: 0, sleep: 0, stand: 0, activeEnergy: 0 };
+    totals[week][key] += Number(v) || 0;
+  };
+  for (const key of ["steps", "stand", "activeEnergy"]) for (const r of series[key]) add(r.date, key, r.sum);
+  for (const r of series.sleep) if (String(r.stage || "").toLowerCase() !== "in bed") add(r.date, "sleep", r.sum);
+
+  const now = new Date();
+  const fresh = todo.map((weekStart) => {
+    const g = goalOn(history, addDaysKey(weekStart, 6));
+    const actual = totals[weekStart] || { steps: 0, sleep: 0, stand: 0, activeEnergy: 0 };
+    const row = { uid, weekStart, goal: g.goal, goalVersion: g.version, actual, pct: {}, met: {}, complete: weekStart < thisWeek, computedAt: now };
+    for (const [field, { actual: key }] of Object.entries(GOAL_FIELDS)) {
+      if (g.goal[field] == null) continue;
+      row.pct[key] = pct(actual[key], g.goal[field]);
+      row.met[key] = actual[key] >= g.goal[field];
+    }
+    return row;
+  });
+  await attainmentCol(db).bulkWrite(fresh.map((row) => ({
+    replaceOne: { filter: { uid, weekStart: row.weekStart }, replacement: row, upsert: true },
+  })));
+
+  const byWeek = new Map([...done, ...fresh.map((r) => [r.weekStart, r])]);
+  return { tz, items: starts.map((w) => byWeek.get(w)).filter(Boolean) };
+}
@@ -0,0 +1,421 @@
+// api/lib/healthImport.js
+// Health app export.zip imports. An export runs to hundreds of MB, far over one request's body
+// limit and timeout, so the zip is uploaded in parts and parsed in resumable steps:
+//
+//   POST /api/import/sessions                 { size } → 201 import (status "uploading")
+//   PUT  /api/import/sessions/:id/parts/:n    raw bytes n·PART_BYTES … of the zip → import
+//   POST /api/import/sessions/:id/run         → import; call again while it is "parsing"
+//   GET  /api/import/sessions/:id             → import
+// All four are rewritten to /api/import?op=open|part|run|status&session=&n= (see vercel.json).
+//
+// jobs: { _id: "hi_…", type: "health_import", uid, tz, keyId, status: uploading|parsing|done|failed,
+//         size, parts, xmlBytes, step: { phase: records|steps|finish, resumeAt, seq, after },
+//         summary: { records, skipped, byHkType }, totals, report, days, result, lockedUntil,
+//         createdAt, startedAt, updatedAt, finishedAt, error }
+// Parts are stored in GridFS (bucket "health_imports", metadata { uid, jobId, part }) and read back
+// as one zip through a yauzl RandomAccessReader, so nothing is spooled to disk. Like the archive
+// build (lib/dataArchive.js), each run works for `budgetMs`, saves `step` and returns the job
+// still "parsing"; the Integrations page calls again until it is "done".
+//
+//   records  export.xml is parsed from step.resumeAt and each batch goes through buildDocs →
+//            source policy → ingest_guard. Its step sums are kept in import_steps
+//            ({ _id: "<jobId>:<seq>", jobId, uid, steps: [{ t, s, d, v }], createdAt }).
+//   steps    the kept sums are added up per source per bucket, a page of buckets at a time
+//            (`after` = last bucket done), so every source for a bucket reaches the source policy
+//            and coalescing together.
+//   finish   check-ins, notifications and the ingest_logs row; parts and step sums are removed.
+// Every step can run again: inserts are guarded and a batch's step sums replace its row.
+// An import nobody has continued for STALE_MS fails and its parts are removed.
+
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { GridFSBucket } from "mongodb";
+import yauzl from "yauzl";
+import { buildDocs, coalesceStepsByBucket, countByType, insertWithGuard, logIngest, minuteBucketISO } from "./ingest.js";
+import { parseHealthExportZip } from "./appleHealthExport.js";
+import { recordKeyUse } from "./keys.js";
+import { createReport, isEmptyReport, rejectOutOfRange } from "./validation.js";
+import { getSourcePolicy, applySourcePolicy, policySummary } from "./sourcePolicy.js";
+import { autoCheckinAfterUpload } from "./checkins.js";
+import { notifyAfterUpload } from "./notifications.js";
+import { DOWNSAMPLED_SOURCE } from "./retention.js";
+import { dayKey } from "../../src/utils/dates.js";
+
+export const SOURCE = "health_export";
+export const PART_BYTES = 4 * 1024 * 1024; // under the 4.5 MB request body limit
+const BUCKET = "health_imports";
+const MAX_PARTS = 1000;
+const STALE_MS = 24 * 60 * 60000;
+const STEP_PAGE = 2000; // step buckets per page in the steps phase
+const SKIP_CHUNK = 1000;
+
+const bucket = (db) => new GridFSBucket(db, { bucketName: BUCKET });
+
+const emptyTotals = () => ({ attempted: 0, inserted: 0, alreadyUploaded: 0, byType: {}, insertedByType: {}, droppedByType: {} });
+
+function addCounts(into, from) {
+  for (const [k, n] of Object.entries(from || {})) into[k] = (into[k] || 0) + n;
+  return into;
+}
+
+async function ensureIndexes(db) {
+  await db.collection("jobs").createIndex({ type: 1, uid: 1, createdAt: -1 }).catch(() => {});
+  await db.collection(`${BUCKET}.files`).createIndex({ "metadata.jobId": 1, "metadata.part": 1 }).catch(() => {});
+  await db.collection("import_steps").createIndex({ jobId: 1 }).catch(() => {});
+}
+
+async function removeFiles(db, filter) {
+  const b = bucket(db);
+  const old = await db.collection(`${BUCKET}.files`).find(filter, { projection: { _id: 1 } }).toArray();
+  for (const f of old) await b.delete(f._id).catch(() => {});
+  return old.length;
+}
+
+/** Drop every stored import part for `uid` (account purge). Returns how many files went. */
+export async function deleteUserImports(db, uid) {
+  return removeFiles(db, { "metadata.uid": uid });
+}
+
+// the uploaded parts and kept step sums of an import that is done or abandoned
+async function discard(db, jobId) {
+  await removeFiles(db, { "metadata.jobId": jobId });
+  await db.collection("import_steps").deleteMany({ jobId });
+}
+
+const partLength = (job, n) => Math.min(PART_BYTES, job.size - n * PART_BYTES);
+
+// GridFS file id per part; a part sent twice resolves to the later copy
+async function partIds(db, job) {
+  const files = await db.collection(`${BUCKET}.files`)
+    .find({ "metadata.jobId": job._id }, { projection: { "metadata.part": 1 } })
+    .sort({ "metadata.part": 1, uploadDate: 1 })
+    .toArray();
+  const ids = [];
+  for (const f of files) ids[f.metadata.part] = f._id;
+  return ids;
+}
+
+async function missingParts(db, job) {
+  const ids = await partIds(db, job);
+  return Array.from({ length: job.parts }, (_, n) => n).filter((n) => !ids[n]);
+}
+
+// The stored parts as one file for yauzl: a byte range is streamed from each part it spans.
+function partsReader(db, ids) {
+  const reader = new yauzl.RandomAccessReader();
+  reader._readStreamForRange = (start, end) => Readable.from((async function* () {
+    for (let n = Math.floor(start / PART_BYTES); n * PART_BYTES < end; n++) {
+      const from = Math.max(start - n * PART_BYTES, 0);
+      const to = Math.min(end - n * PART_BYTES, PART_BYTES);
+      yield* bucket(db).openDownloadStream(ids[n], { start: from, end: to });
+    }
+  })());
+  return reader;
+}
+
+// Raw request body, read up to `limit` + 1 bytes so an oversized part is caught without holding it.
+async function readBody(req, limit) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  const chunks = [];
+  let n = 0;
+  for await (const c of req) {
+    chunks.push(c);
+    n += c.length;
+    if (n > limit) break;
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readJson(req) {
+  if (req.body && !Buffer.isBuffer(req.body)) return typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  const raw = (await readBody(req, 10000)).toString("utf8");
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * The caller's import `id`, or null. One nobody has continued for STALE_MS is marked failed
+ * and its parts removed.
+ */
+async function loadImport(db, uid, id) {
+  if (!id) return null;
+  const jobs = db.collection("jobs");
+  const job = await jobs.findOne({ _id: String(id), type: "health_import", uid });
+  if ((job?.status === "uploading" || job?.status === "parsing")
+      && Date.now() - new Date(job.updatedAt).getTime() > STALE_MS && !(job.lockedUntil > new Date())) {
+    await discard(db, job._id);
+    const failed = { status: "failed", error: "The import stopped before it finished", lockedUntil: null, finishedAt: new Date() };
+    await jobs.updateOne({ _id: job._id, status: job.status }, { $set: failed });
+    return { ...job, ...failed };
+  }
+  return job;
+}
+
+async function describe(db, job) {
+  return {
+    sessionId: job._id,
+    status: job.status,
+    size: job.size,
+    parts: job.parts,
+    partBytes: PART_BYTES,
+    missingParts: job.status === "uploading" ? await missingParts(db, job) : [],
+    phase: job.step?.phase ?? null,
+    parsedBytes: job.step?.resumeAt ?? null,
+    xmlBytes: job.xmlBytes ?? null,
+    records: job.summary?.records ?? 0,
+    inserted: job.totals?.inserted ?? 0,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt ?? null,
+    ...(job.result ? { result: job.result } : {}),
+    ...(job.error ? { error: job.error } : {}),
+  };
+}
+
+// Step buckets are summed per source here but arrive pre-summed from the Shortcut, so their
+// fingerprints never match. Drop imported step buckets that already hold steps from another
+// channel (an hourly downsampled doc covers its whole local hour). Looks the batch up
+// SKIP_CHUNK buckets at a time, by exact bucket and hour start. Returns { docs, skipped }.
+async function skipUploadedSteps(db, uid, docs, tz) {
+  const steps = docs.filter((d) => d.type === "steps");
+  if (!steps.length) return { docs, skipped: 0 };
+  const hourOf = (ts) => new Date(minuteBucketISO(ts, 60, tz)).getTime();
+  const uploaded = new Set();    // bucket starts (ms) with steps from the Shortcut
+  const downsampled = new Set(); // hour starts (ms) folded by lib/retention.js
+  for (let i = 0; i < steps.length; i += SKIP_CHUNK) {
+    const chunk = steps.slice(i, i + SKIP_CHUNK);
+    const hours = [...new Set(chunk.map((d) => hourOf(d.ts)))].map((h) => new Date(h));
+    const rows = await db.collection("health_data").find(
+      {
+        "meta.uid": uid, type: "steps",
+        $or: [
+          { ts: { $in: chunk.map((d) => d.ts) }, "meta.source": { $nin: [SOURCE, DOWNSAMPLED_SOURCE] } },
+          { ts: { $in: hours }, "meta.source": DOWNSAMPLED_SOURCE },
+        ],
+      },
+      { projection: { ts: 1, "meta.source": 1 } }
+    ).toArray();
+    for (const r of rows) (r.meta?.source === DOWNSAMPLED_SOURCE ? downsampled : uploaded).add(r.ts.getTime());
+  }
+  if (!uploaded.size && !downsampled.size) return { docs, skipped: 0 };
+  const isUploaded = (d) => uploaded.has(d.ts.getTime()) || downsampled.has(hourOf(d.ts));
+  const kept = docs.filter((d) => d.type !== "steps" || !isUploaded(d));
+  return { docs: kept, skipped: docs.length - kept.length };
+}
+
+// One batch of cleaned samples → health_data, counted into `run`.
+async function ingestBatch(db, job, cleaned, run) {
+  // same registry limits as the Shortcut path (lib/shortcutPayload.js)
+  const valid = rejectOutOfRange(buildDocs(cleaned, job.uid, { source: SOURCE }), run.report);
+  const resolved = applySourcePolicy(valid, run.policy, { tz: job.tz });
+  addCounts(run.totals.droppedByType, resolved.droppedByType);
+  const coalesced = coalesceStepsByBucket(resolved.docs, { tz: job.tz, policy: run.policy });
+  const { docs, skipped } = await skipUploadedSteps(db, job.uid, coalesced, job.tz);
+  run.totals.alreadyUploaded += skipped;
+  if (!docs.length) return;
+  const r = await insertWithGuard(db, docs);
+  run.totals.attempted += docs.length;
+  run.totals.inserted += r.inserted;
+  addCounts(run.totals.byType, countByType(docs));
+  addCounts(run.totals.insertedByType, r.insertedByType);
+  if (r.inserted) for (const d of docs) run.days.add(dayKey(d.ts, job.tz));
+}
+
+// The next STEP_PAGE buckets after `after`, each with every source's total across all batches.
+function stepPage(db, jobId, after) {
+  return db.collection("import_steps").aggregate([
+    { $match: { jobId } },
+    { $unwind: "$steps" },
+    ...(after ? [{ $match: { "steps.t": { $gt: after } } }] : []),
+    { $group: { _id: { t: "$steps.t", s: "$steps.s", d: "$steps.d" }, v: { $sum: "$steps.v" } } },
+    { $group: { _id: "$_id.t", sources: { $push: { s: "$_id.s", d: "$_id.d", v: "$v" } } } },
+    { $sort: { _id: 1 } },
+    { $limit: STEP_PAGE },
+  ], { allowDiskUse: true }).toArray();
+}
+
+function importResult(run) {
+  const { report, totals, summary } = run;
+  return {
+    ok: true,
+    attempted: totals.attempted, inserted: totals.inserted,
+    byType: totals.byType, insertedByType: totals.insertedByType,
+    droppedBySourcePolicy: totals.droppedByType, alreadyUploaded: totals.alreadyUploaded,
+    records: summary?.records ?? 0, skipped: summary?.skipped ?? 0,
+    rejectedCount: report.rejectedCount, ...(isEmptyReport(report) ? {} : { validation: report }),
+    ...(totals.attempted ? {} : { note: "No samples" }),
+  };
+}
+
+async function runImportJob(db, job, { budgetMs, req }) {
+  const jobs = db.collection("jobs");
+  const t0 = Date.now();
+  const lock = await jobs.updateOne(
+    { _id: job._id, status: "parsing", $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+    { $set: { lockedUntil: new Date(t0 + budgetMs + 60000), updatedAt: new Date() } }
+  );
+  if (!lock.modifiedCount) return job; // another call is working on it
+  job = await jobs.findOne({ _id: job._id }); // as the last run left it
+
+  const run = {
+    policy: null, summary: job.summary, report: job.report,
+    totals: { ...emptyTotals(), ...job.totals }, days: new Set(job.days || []),
+  };
+  let { step, xmlBytes } = job;
+  const save = () => jobs.updateOne({ _id: job._id }, {
+    $set: { step, xmlBytes, summary: run.summary, totals: run.totals, report: run.report, days: [...run.days], updatedAt: new Date() },
+  });
+  const durationMs = () => Date.now() - new Date(job.startedAt).getTime();
+
+  try {
+    run.policy = await getSourcePolicy(db);
+
+    if (step.phase === "records") {
+      const parsed = await parseHealthExportZip(partsReader(db, await partIds(db, job)), job.size, {
+        tz: job.tz,
+        stepBucketMinutes: run.policy.types?.steps?.bucketMinutes,
+        resumeAt: step.resumeAt,
+        summary: run.summary,
+        deadline: t0 + budgetMs,
+        onBatch: async (cleaned, { resumeAt, steps, summary, xmlBytes: total }) => {
+          await ingestBatch(db, job, cleaned, run);
+          if (steps.length) {
+            await db.collection("import_steps").replaceOne(
+              { _id: `${job._id}:${step.seq}` },
+              {
+                jobId: job._id, uid: job.uid, createdAt: new Date(),
+                steps: steps.map((s) => ({ t: new Date(s.timestamp), s: s.sourceName, d: s.device, v: s.value })),
+              },
+              { upsert: true }
+            );
+          }
+          step = { ...step, resumeAt, seq: step.seq + 1 };
+          run.summary = summary;
+          xmlBytes = total;
+          await save();
+        },
+      });
+      if (parsed.done) {
+        run.summary = { records: parsed.records, skipped: parsed.skipped, byHkType: parsed.byHkType };
+        xmlBytes = parsed.xmlBytes;
+        step = { phase: "steps", after: null };
+        await save();
+      }
+    }
+
+    while (step.phase === "steps" && Date.now() - t0 < budgetMs) {
+      const page = await stepPage(db, job._id, step.after);
+      if (!page.length) {
+        step = { phase: "finish" };
+        break;
+      }
+      const steps = page.flatMap((b) => b.sources.map((x) => ({ timestamp: b._id.toISOString(), value: x.v, sourceName: x.s, device: x.d })));
+      await ingestBatch(db, job, { steps }, run);
+      step = { phase: "steps", after: page[page.length - 1]._id };
+      await save();
+    }
+
+    let update = { lockedUntil: null, updatedAt: new Date() };
+    if (step.phase === "finish") {
+      const { totals, report } = run;
+      if (totals.inserted) {
+        await autoCheckinAfterUpload(db, job.uid, { days: [...run.days] }, job.tz);
+        await notifyAfterUpload(db, job.uid, { days: [...run.days] }, job.tz);
+      }
+      await logIngest({
+        uid: job.uid, ok: true, status: totals.attempted ? 200 : 204, error: null,
+        attempted: totals.attempted, inserted: totals.inserted,
+        byType: totals.byType, insertedByType: totals.insertedByType, durationMs: durationMs(), source: SOURCE,
+        validation: isEmptyReport(report) ? null : report,
+        sourcePolicy: policySummary(run.policy, totals.droppedByType),
+      });
+      if (job.keyId) recordKeyUse(job.uid, job.keyId, { req, inserted: totals.inserted });
+      await discard(db, job._id);
+      update = { ...update, status: "done", result: importResult(run), finishedAt: new Date() };
+    }
+    await jobs.updateOne({ _id: job._id }, { $set: { step, ...update } });
+    return { ...job, step, xmlBytes, summary: run.summary, totals: run.totals, ...update };
+  } catch (e) {
+    console.error("Health export import error:", e);
+    // Whatever was inserted before the failure stays (it's guarded, so importing again is safe)
+    const error = e?.message || String(e);
+    await discard(db, job._id).catch(() => {});
+    const failed = { status: "failed", error, lockedUntil: null, finishedAt: new Date() };
+    await jobs.updateOne({ _id: job._id }, { $set: failed }).catch(() => {});
+    await logIngest({
+      uid: job.uid, ok: false, status: 500, error,
+      attempted: run.totals.attempted, inserted: run.totals.inserted,
+      byType: run.totals.byType, insertedByType: run.totals.insertedByType, durationMs: durationMs(), source: SOURCE,
+      validation: isEmptyReport(run.report) ? null : run.report,
+      ...(run.policy ? { sourcePolicy: policySummary(run.policy, run.totals.droppedByType) } : {}),
+    });
+    if (job.keyId) recordKeyUse(job.uid, job.keyId, { req, error, status: 500 });
+    return { ...job, ...failed };
+  }
+}
+
+/** POST — start an import. Body { size } is the zip's length in bytes; it fixes the part count. */
+export async function openImport(req, res, { db, uid, tz, keyId = null }) {
+  let body;
+  try { body = await readJson(req); } catch { return res.status(400).json({ error: "Body must be JSON { size }" }); }
+  const size = Number(body?.size);
+  if (!(Number.isInteger(size) && size > 0 && size <= MAX_PARTS * PART_BYTES)) {
+    return res.status(400).json({ error: `size must be the zip's length in bytes, at most ${MAX_PARTS * PART_BYTES / 1048576} MB` });
+  }
+  await ensureIndexes(db);
+  const now = new Date();
+  const job = {
+    _id: "hi_" + crypto.randomBytes(12).toString("hex"),
+    type: "health_import", uid, tz, keyId,
+    status: "uploading", size, parts: Math.ceil(size / PART_BYTES),
+    step: null, lockedUntil: null,
+    createdAt: now, updatedAt: now,
+  };
+  await db.collection("jobs").insertOne(job);
+  return res.status(201).json(await describe(db, job));
+}
+
+/** PUT — store part `n` (exactly PART_BYTES, or what is left for the last one). Re-sending replaces it. */
+export async function putPart(req, res, { db, uid }) {
+  const job = await loadImport(db, uid, req.query.session);
+  if (!job) return res.status(404).json({ error: "Import not found" });
+  if (job.status !== "uploading") return res.status(409).json({ error: `Import is ${job.status}` });
+
+  const n = Number(req.query.n);
+  if (!Number.isInteger(n) || n < 0 || n >= job.parts) return res.status(400).json({ error: `Part number must be 0–${job.parts - 1}` });
+  const expected = partLength(job, n);
+  const body = await readBody(req, expected);
+  if (body.length !== expected) return res.status(400).json({ error: `Part ${n} must be ${expected} bytes` });
+
+  await removeFiles(db, { "metadata.jobId": job._id, "metadata.part": n });
+  await pipeline(Readable.from([body]), bucket(db).openUploadStream(`${job._id}.${n}`, { metadata: { uid, jobId: job._id, part: n } }));
+  const updatedAt = new Date();
+  await db.collection("jobs").updateOne({ _id: job._id }, { $set: { updatedAt } });
+  return res.status(200).json(await describe(db, { ...job, updatedAt }));
+}
+
+/** POST — once every part is in, parse for up to `budgetMs`. Returns the import; "parsing" until done. */
+export async function runImport(req, res, { db, uid, budgetMs = 40000 }) {
+  let job = await loadImport(db, uid, req.query.session);
+  if (!job) return res.status(404).json({ error: "Import not found" });
+  if (job.status === "uploading") {
+    const missing = await missingParts(db, job);
+    if (missing.length) return res.status(400).json({ error: `Missing parts: ${missing.join(", ")}` });
+    const started = {
+      status: "parsing", step: { phase: "records", resumeAt: 0, seq: 0 },
+      summary: null, totals: emptyTotals(), report: createReport(), days: [],
+      startedAt: new Date(), updatedAt: new Date(),
+    };
+    await db.collection("jobs").updateOne({ _id: job._id, status: "uploading" }, { $set: started });
+    job = await loadImport(db, uid, job._id);
+  }
+  if (job.status === "parsing") job = await runImportJob(db, job, { budgetMs, req });
+  return res.status(200).json(await describe(db, job));
+}
+
+/** GET — progress, and the result once done. */
+export async function importStatus(req, res, { db, uid }) {
+  const job = await loadImport(db, uid, req.query.session);
+  if (!job) return res.status(404).json({ error: "Import not found" });
+  return res.status(200).json(await describe(db, job));
+}
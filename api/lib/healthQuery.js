@@ -0,0 +1,163 @@
+// api/lib/healthQuery.js
+// Shared health_data read paths: filter building, cursor paging and streaming export.
+// Used by /api/health (caller's own data) and the admin `health` / `health-export` actions.
+//
+// Paging contract: results are ordered by (ts, _id) descending; each page returns
+// `next` — an opaque token for the last row — or null on the final page. Pass it back
+// as `?cursor=` with the same filters to continue.
+
+import { once } from "events";
+import { ObjectId } from "mongodb";
+import { toObservation, bundleEntry, bundleHead, BUNDLE_TAIL } from "./fhir.js";
+
+export const EXPORT_FORMATS = {
+  csv:    { contentType: "text/csv; charset=utf-8",             ext: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", ext: "ndjson" },
+  json:   { contentType: "application/json; charset=utf-8",     ext: "json" },
+  // FHIR R4 Bundle of Observations — one user per bundle, so `uid` is required
+  fhir:   { contentType: "application/fhir+json; charset=utf-8", ext: "fhir.json", singleUser: true },
+};
+
+export const CSV_HEADER = ["ts", "uid", "type", "value", "unit", "stage", "source", "device", "payload"];
+
+/** { ts, _id } → base64url token */
+export function encodeCursor(doc) {
+  if (!doc) return null;
+  const id = doc._id instanceof ObjectId ? { $oid: doc._id.toHexString() } : doc._id;
+  return Buffer.from(JSON.stringify({ ts: new Date(doc.ts).toISOString(), id })).toString("base64url");
+}
+
+/** Inverse of encodeCursor. Throws "Invalid cursor" on anything malformed. */
+export function decodeCursor(token) {
+  try {
+    const { ts, id } = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    const date = new Date(ts);
+    if (Number.isNaN(date.getTime()) || id == null) throw new Error();
+    return { ts: date, _id: id?.$oid ? new ObjectId(id.$oid) : id };
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+}
+
+/** Mongo filter from the usual query params. `uid` null/"" means all users (admin only). */
+export function buildHealthFilter({ uid, type, from, to } = {}) {
+  // skip a reprocess swap in progress (lib/reprocess.js)
+  const filter = { "meta.rebuildJob": { $exists: false } };
+  if (uid) filter["meta.uid"] = String(uid);
+  if (type) filter.type = String(type);
+  if (from || to) {
+    filter.ts = {};
+    if (from) filter.ts.$gte = new Date(from);
+    if (to)   filter.ts.$lte = new Date(to);
+  }
+  return filter;
+}
+
+/**
+ * One page, newest first. Returns { items, next }.
+ * Reads limit+1 rows so `next` is null exactly when there's nothing left.
+ */
+export async function pageHealth(col, filter, { limit, cursor } = {}) {
+  const q = { ...filter };
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    q.$and = [...(q.$and || []), {
+      $or: [{ ts: { $lt: c.ts } }, { ts: c.ts, _id: { $lt: c._id } }],
+    }];
+  }
+  const rows = await col.find(q).sort({ ts: -1, _id: -1 }).limit(limit + 1).toArray();
+  const items = rows.slice(0, limit);
+  const next = rows.length > limit ? encodeCursor(items[items.length - 1]) : null;
+  return { items, next };
+}
+
+/**
+ * Write `chunk` to `out`, waiting for "drain" when its buffer is full. Rejects when `out` closes
+ * or errors first (the client went away, storage failed), so a caller reading a cursor stops
+ * instead of waiting forever.
+ */
+export async function writeChunk(out, chunk) {
+  if (out.destroyed) throw new Error("Output closed");
+  if (out.write(chunk)) return;
+  const ac = new AbortController();
+  try {
+    await Promise.race([
+      once(out, "drain", { signal: ac.signal }),
+      once(out, "close", { signal: ac.signal }).then(() => { throw new Error("Output closed"); }),
+    ]);
+  } finally {
+    ac.abort();
+  }
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** One health_data row as a CSV line (columns as CSV_HEADER). */
+export function csvRow(doc) {
+  return [
+    new Date(doc.ts).toISOString(),
+    doc.meta?.uid,
+    doc.type,
+    doc.value,
+    doc.unit,
+    doc.payload?.stage,
+    doc.meta?.source,
+    doc.meta?.device,
+    doc.payload,
+  ].map(csvCell).join(",") + "\n";
+}
+
+/**
+ * Write every matching row, oldest first, as CSV / NDJSON / JSON / FHIR Bundle to any writable
+ * (an HTTP response, or a zip entry in lib/dataArchive.js). Honours backpressure so memory stays
+ * flat for multi-million-row ranges, and closes the cursor if `out` goes away mid-way.
+ * Does not end `out`. Returns the number of rows written.
+ */
+export async function writeHealthRows(out, col, filter, { format = "csv" } = {}) {
+  const uid = filter["meta.uid"];
+  const write = (chunk) => writeChunk(out, chunk);
+
+  const cursor = col.find(filter, { projection: { _id: 0 } }).sort({ ts: 1 }).batchSize(1000);
+  let n = 0;
+  try {
+    if (format === "csv") await write(CSV_HEADER.join(",") + "\n");
+    if (format === "json") await write("[\n");
+    if (format === "fhir") await write(bundleHead(uid, { from: filter.ts?.$gte, to: filter.ts?.$lte }));
+    for await (const doc of cursor) {
+      if (format === "fhir") {
+        const obs = toObservation(doc);
+        if (!obs) continue; // types with no FHIR mapping are left out
+        await write(",\n" + JSON.stringify(bundleEntry(obs)));
+      }
+      else if (format === "csv") await write(csvRow(doc));
+      else if (format === "ndjson") await write(JSON.stringify(doc) + "\n");
+      else await write((n ? ",\n" : "") + JSON.stringify(doc));
+      n++;
+    }
+    if (format === "json") await write("\n]\n");
+    if (format === "fhir") await write(BUNDLE_TAIL);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+  return n;
+}
+
+/** Stream an export as an HTTP download (see writeHealthRows). Returns the number of rows written. */
+export async function streamHealthExport(res, col, filter, { format = "csv", filename = "health_data" } = {}) {
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) throw new Error(`Unsupported format: ${format}`);
+  if (fmt.singleUser && !filter["meta.uid"]) throw new Error(`${format} export needs a uid`);
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", fmt.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${fmt.ext}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const n = await writeHealthRows(res, col, filter, { format });
+  res.end();
+  return n;
+}
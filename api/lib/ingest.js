@@ -0,0 +1,260 @@
+// api/lib/ingest.js
+// Shared ingest pipeline: cleaned series → docs → coalesce → guarded insert → ingest_logs.
+// Used by the Shortcut upload (api/upload.js) and the Health export importer (api/import.js).
+
+import crypto from "crypto";
+import { getTimezoneOffset } from "date-fns-tz";
+import clientPromise from "./mongodb.js";
+import { DEFAULT_TIMEZONE } from "./timezone.js";
+import { METRICS, CONVERTERS } from "../../src/utils/metrics.js";
+
+// ---------- small utils ----------
+export const safeJson = (x) => { try { return JSON.stringify(x); } catch { return String(x); } };
+
+// duration → minutes
+export function toMinutes(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number" && Number.isFinite(v)) return v;
+  const s = String(v).trim();
+  const n = Number(s);
+  if (!Number.isNaN(n)) return n;
+  const colon = s.match(/^(\d{1,3}):(\d{2})(?::(\d{2}))?$/);
+  if (colon) {
+    const hasSeconds = colon[3] != null;
+    const h = hasSeconds ? parseInt(colon[1], 10) : 0;
+    const m = hasSeconds ? parseInt(colon[2], 10) : parseInt(colon[1], 10);
+    const sec = parseInt(colon[3] ?? colon[2], 10) % 60;
+    return Math.round(h * 60 + m + sec / 60);
+  }
+  let h = 0, m = 0;
+  const hr = s.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)/i);
+  const mn = s.match(/(\d+(?:\.\d+)?)\s*(?:m|min|mins|minute|minutes)/i);
+  if (hr) h = parseFloat(hr[1]);
+  if (mn) m = parseFloat(mn[1]);
+  if (h || m) return Math.round(h * 60 + m);
+  const iso = s.match(/^P?T?(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?$/i);
+  if (iso) return Math.round((parseFloat(iso[1] || 0) * 60) + parseFloat(iso[2] || 0));
+  return null;
+}
+
+// ---------- idempotency helpers ----------
+function roundTs(ts, granularity = "second") {
+  const d = new Date(ts);
+  const t = d.getTime();
+  switch (granularity) {
+    case "minute": return new Date(Math.floor(t / 60000) * 60000).toISOString();
+    case "second":
+    default:       return new Date(Math.floor(t / 1000) * 1000).toISOString();
+  }
+}
+function normNumber(x) {
+  const n = typeof x === "number" ? x : Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+export function fingerprint(doc) {
+  const base = {
+    uid: doc?.meta?.uid ?? null,
+    type: doc?.type ?? null,
+    unit: doc?.unit ?? null,
+    device: doc?.meta?.device ?? null,
+  };
+  const tsRounded = roundTs(
+    doc.ts,
+    doc.type === "steps" ? "minute"
+      : doc.type === "sleep" ? "minute"
+      : "second"
+  );
+  const fpObj = { ...base, ts: tsRounded, value: normNumber(doc?.value) };
+  // only when known, so fingerprints of docs stored before sources were captured don't change
+  if (doc?.meta?.sourceName) fpObj.sourceName = doc.meta.sourceName;
+  if (doc.type === "sleep") fpObj.stage = doc?.payload?.stage ?? null;
+  if (doc.type === "workout") fpObj.activity = doc?.payload?.activityType ?? null;
+  const s = JSON.stringify(fpObj);
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+// ---- bucketing helper (local wall-clock slots in `tz`, DST-aware) ----
+// Subtracting the local remainder (rather than round-tripping wall time) keeps the two
+// repeated 02:00 hours on a DST fall-back day as separate buckets.
+export function minuteBucketISO(tsISO, minutes = 60 /* local minutes */, tz = DEFAULT_TIMEZONE) {
+  const UTC_MS = new Date(tsISO).getTime();
+  const OFFSET_MS = getTimezoneOffset(tz, new Date(UTC_MS)) || 0;
+  const localMs   = UTC_MS + OFFSET_MS;
+  const slotMs    = Math.max(1, Math.floor(minutes)) * 60 * 1000;
+  const bucketUtcMs = UTC_MS - (((localMs % slotMs) + slotMs) % slotMs);
+  return new Date(bucketUtcMs).toISOString();
+}
+
+// ---------- build docs ----------
+// `cleaned` holds one array per registry `key` of { timestamp: ISO, value }, plus
+// sleep ({ timestamp, value, duration }) and workouts ({ timestamp, end, activityType, ... }).
+// `source` is the ingest channel recorded at meta.source ("shortcut" | "health_export");
+// rows may also carry `sourceName` (app, e.g. "Sam's Apple Watch") and `device`, kept in meta.
+export function buildDocs(cleaned, uid, { source = "shortcut" } = {}) {
+  const docs = [];
+  const meta = (row) => ({ uid, source, sourceName: row?.sourceName || null, device: row?.device || null });
+  const pushDoc = (d) => { d.meta._fp = fingerprint(d); docs.push(d); };
+  for (const sl of cleaned.sleep || []) {
+    if (!sl.timestamp) continue;
+    let minutes = toMinutes(sl.value);
+    let stage = null;
+    if (minutes == null && typeof sl.value === "string") stage = sl.value;
+    if (minutes == null) minutes = toMinutes(sl.duration);
+    const payload = (stage || sl.duration != null)
+      ? { ...(stage ? { stage } : {}), ...(sl.duration != null ? { duration_str: String(sl.duration) } : {}) }
+      : null;
+    pushDoc({ ts: new Date(sl.timestamp), type: "sleep", value: minutes, unit: "min", meta: meta(sl), payload });
+  }
+  for (const w of cleaned.workouts || []) {
+    if (!w.timestamp) continue;
+    const end = w.end ? new Date(w.end) : null;
+    // duration wins; otherwise derive it from start/end
+    let minutes = toMinutes(w.duration);
+    if (minutes == null && end) minutes = Math.round((end - new Date(w.timestamp)) / 60000);
+    const num = (x) => (x != null && x !== "" ? normNumber(x) : null);
+    const payload = {
+      activityType: w.activityType || "Other",
+      end,
+      energy_kj: num(w.energy),
+      distance_km: num(w.distance),
+      avg_hr: num(w.avgHR),
+      max_hr: num(w.maxHR),
+    };
+    pushDoc({ ts: new Date(w.timestamp), type: "workout", value: minutes, unit: "min", meta: meta(w), payload });
+  }
+  // every plain timestamp/value series in the registry (heart, steps, gait, vitals, …)
+  for (const m of METRICS) {
+    if (m.shape !== "series") continue;
+    const convert = m.convert ? CONVERTERS[m.convert] : null;
+    for (const it of cleaned[m.key] || []) {
+      if (!it.timestamp) continue;
+      const value = it.value == null || it.value === "" ? null : normNumber(it.value);
+      pushDoc({ ts: new Date(it.timestamp), type: m.type, value: convert && value != null ? convert(value) : value, unit: m.unit, meta: meta(it), payload: null });
+    }
+  }
+  return docs.filter((d) => d.ts instanceof Date && !Number.isNaN(d.ts.getTime()));
+}
+
+// ---------- steps coalescing ----------
+// One doc per (uid, local bucket). Samples without a source (older payloads) each count as a
+// bucket total and the bucket keeps the MAX. Sourced samples are summed per source first; with a
+// steps source policy the overlap is already gone (see sourcePolicy.js), so the sources add up,
+// otherwise the busiest source wins.
+export function coalesceStepsByBucket(docs, { tz = DEFAULT_TIMEZONE, policy = null } = {}) {
+  const BUCKET_MIN = Number(process.env.COALESCE_STEPS_MIN || 60);
+  const additive = Boolean(policy?.types?.steps);
+  const steps = [], others = [];
+  for (const d of docs) (d?.type === "steps" && d?.ts && d?.value != null ? steps : others).push(d);
+  if (!steps.length) return docs;
+  const buckets = new Map(); // key -> { doc, legacyMax, bySource }
+  for (const d of steps) {
+    const bucketISO = minuteBucketISO(d.ts, BUCKET_MIN, tz);
+    const key = `${d.meta?.uid || ""}|${bucketISO}|${d.unit || ""}`;
+    let b = buckets.get(key);
+    if (!b) buckets.set(key, (b = { doc: { ...d, ts: new Date(bucketISO) }, legacyMax: null, bySource: new Map() }));
+    const v = Number(d.value);
+    const label = [d.meta?.sourceName, d.meta?.device].filter(Boolean).join(" / ");
+    if (!label) {
+      if (b.legacyMax == null || v > b.legacyMax) b.legacyMax = v;
+      continue;
+    }
+    const src = b.bySource.get(label) || { total: 0, meta: d.meta };
+    src.total += v;
+    b.bySource.set(label, src);
+  }
+  const coalesced = [];
+  for (const { doc, legacyMax, bySource } of buckets.values()) {
+    const sources = [...bySource.values()];
+    const sourced = !sources.length ? null
+      : additive ? sources.reduce((s, x) => s + x.total, 0)
+      : Math.max(...sources.map((x) => x.total));
+    const useSourced = sourced != null && (legacyMax == null || sourced >= legacyMax);
+    doc.value = useSourced ? sourced : legacyMax;
+    doc.meta = { ...(doc.meta || {}) };
+    if (!useSourced) {
+      doc.meta.sourceName = null; doc.meta.device = null;
+    } else if (sources.length === 1 || !additive) {
+      const top = sources.reduce((a, x) => (x.total > a.total ? x : a));
+      doc.meta.sourceName = top.meta?.sourceName || null; doc.meta.device = top.meta?.device || null;
+    } else {
+      doc.meta.sourceName = null; doc.meta.device = null;
+      doc.meta.sources = [...bySource.keys()].sort();
+    }
+    doc.meta._fp = fingerprint(doc); // recompute fp after changing ts/value
+    coalesced.push(doc);
+  }
+  const out = [...others, ...coalesced];
+  out.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+  return out;
+}
+
+export function countByType(docs) {
+  return docs.reduce((acc, d) => ((acc[d.type] = (acc[d.type] || 0) + 1), acc), {});
+}
+
+// ---------- guarded insert ----------
+/**
+ * Claim each doc's fingerprint in ingest_guard, then insert only the newly claimed docs.
+ * Returns { inserted, insertedByType }.
+ */
+export async function insertWithGuard(db, docs) {
+  const dataCol  = db.collection("health_data");
+  const guardCol = db.collection("ingest_guard");
+
+  // Indexes
+  await guardCol.createIndex({ _fp: 1 }, { unique: true, name: "uniq_guard_fp" }).catch(() => {});
+  await guardCol.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 365 }).catch(() => {});
+  await dataCol.createIndex({ "meta._fp": 1 }, { name: "fp_lookup" }).catch(() => {});
+
+  // Chunked insert with guard
+  const CHUNK = 800;
+  let inserted = 0;
+  const insertedByType = {};
+  for (let i = 0; i < docs.length; i += CHUNK) {
+    const chunk = docs.slice(i, i + CHUNK);
+    const claims = chunk.map(d => ({ _fp: d.meta._fp, uid: d.meta.uid, createdAt: new Date() }));
+    const newlyClaimedIndexes = new Set();
+    try {
+      const r = await guardCol.insertMany(claims, { ordered: false });
+      if (r?.insertedIds) for (const k of Object.keys(r.insertedIds)) newlyClaimedIndexes.add(Number(k));
+    } catch (e) {
+      const r = e?.result;
+      if (r?.insertedIds) for (const k of Object.keys(r.insertedIds)) newlyClaimedIndexes.add(Number(k));
+      else if (e?.code !== 11000) throw e;
+    }
+    const toInsert = chunk.filter((_, idx) => newlyClaimedIndexes.has(idx));
+    if (toInsert.length) {
+      const r = await dataCol.insertMany(toInsert, { ordered: false });
+      inserted += r.insertedCount ?? (r.insertedIds ? Object.keys(r.insertedIds).length : 0);
+      for (const d of toInsert) insertedByType[d.type] = (insertedByType[d.type] || 0) + 1;
+    }
+  }
+  return { inserted, insertedByType };
+}
+
+// ---------- ingest_logs ----------
+/** Write a log row (best-effort; never throws). */
+export async function logIngest({
+  uid = null, ok = false, status = null, error = null,
+  attempted = null, inserted = 0, byType = null, insertedByType = null,
+  durationMs = null, source = "shortcut", ignoredKeys = null, validation = null, sourcePolicy = null,
+  throttle = null,
+}) {
+  try {
+    const client = await clientPromise;
+    const db = client.db("healthkit");
+    const logsCol = db.collection("ingest_logs");
+    await logsCol.createIndex({ ts: -1 }).catch(() => {});
+    await logsCol.createIndex({ uid: 1, ts: -1 }).catch(() => {});
+    await logsCol.createIndex({ error: 1, ts: -1 }).catch(() => {});
+    await logsCol.insertOne({
+      ts: new Date(), uid, source, ok, status,
+      attempted, inserted, byType, insertedByType, durationMs,
+      ...(ignoredKeys?.length ? { ignoredKeys } : {}),
+      ...(validation ? { validation } : {}),
+      ...(sourcePolicy ? { sourcePolicy } : {}),
+      ...(throttle ? { throttle } : {}),
+      error: error ? (typeof error === "string" ? error : safeJson(error)) : null,
+    });
+  } catch { /* swallow */ }
+}
@@ -1,9 +1,16 @@
 // api/lib/keys.js
 // Helpers for per-user API keys stored in users.apiKeys[]
+//
+// users.apiKeys[]: { id, hash, label, scopes: ["upload"|"read"|"export"], expiresAt, note,
+//                    createdAt, lastUsedAt, revokedAt, revokeAt, rotatedTo, rotatedFrom,
+//                    stats: { uploads, inserted, errors, lastError: { at, status, message }, lastIp, lastUserAgent } }
+// Keys made before scopes existed have no `scopes` and keep upload-only rights (LEGACY_SCOPES).
+// Rotation issues a copy and sets `revokeAt` on the old key, which stops working at that time.
 
 import crypto from "crypto";
 import clientPromise from "./mongodb.js";
 import { verifyIdTokenFromHeader } from "./firebaseAdmin.js";
+import { requestOrigin } from "./accessLog.js";
 
 function requireHashSecret() {
   const s = process.env.API_KEY_HASH_SECRET;
@@ -11,6 +18,99 @@ function requireHashSecret() {
   return s;
 }
 
+export const KEY_SCOPES = ["upload", "read", "export"];
+const LEGACY_SCOPES = ["upload"];
+const MAX_NOTE = 200;
+const MAX_EXPIRY_DAYS = 730;
+const MAX_GRACE_HOURS = 168;
+
+/**
+ * Validate the options of a new key: { scopes?, expiresInDays?, note? }.
+ * Returns { scopes, expiresAt, note }. Throws Error with a user-facing message.
+ */
+export function normaliseKeyOptions({ scopes, expiresInDays, note } = {}, now = new Date()) {
+  const list = scopes == null ? LEGACY_SCOPES : Array.isArray(scopes) ? [...new Set(scopes)] : null;
+  if (!list || !list.length || list.some((s) => !KEY_SCOPES.includes(s))) {
+    throw new Error(`scopes must be a non-empty list of ${KEY_SCOPES.join(", ")}`);
+  }
+  let expiresAt = null;
+  if (expiresInDays != null && expiresInDays !== "") {
+    const d = Number(expiresInDays);
+    if (!Number.isInteger(d) || d < 1 || d > MAX_EXPIRY_DAYS) throw new Error(`expiresInDays must be a whole number 1–${MAX_EXPIRY_DAYS}`);
+    expiresAt = new Date(now.getTime() + d * 86400000);
+  }
+  const n = note == null ? "" : String(note).trim();
+  if (n.length > MAX_NOTE) throw new Error(`note must be at most ${MAX_NOTE} characters`);
+  return { scopes: KEY_SCOPES.filter((s) => list.includes(s)), expiresAt, note: n || null };
+}
+
+export const keyScopes = (keyRef) => keyRef?.scopes ?? LEGACY_SCOPES;
+export const keyHasScope = (keyRef, scope) => keyScopes(keyRef).includes(scope);
+
+/** "active" | "rotating" (revocation scheduled) | "expired" | "revoked" */
+export function keyStatus(k, now = new Date()) {
+  if (k.revokedAt || (k.revokeAt && k.revokeAt <= now)) return "revoked";
+  if (k.expiresAt && k.expiresAt <= now) return "expired";
+  return k.revokeAt ? "rotating" : "active";
+}
+
+/** Key subdocument as shown to its owner (never the hash). */
+export function publicKey(k, now = new Date()) {
+  return {
+    id: k.id,
+    label: k.label || null,
+    scopes: keyScopes(k),
+    expiresAt: k.expiresAt || null,
+    note: k.note || null,
+    createdAt: k.createdAt || null,
+    lastUsedAt: k.lastUsedAt || null,
+    revokedAt: k.revokedAt || null,
+    revokeAt: k.revokeAt || null,
+    rotatedTo: k.rotatedTo || null,
+    rotatedFrom: k.rotatedFrom || null,
+    stats: { uploads: 0, inserted: 0, errors: 0, lastError: null, ...(k.stats || {}) },
+    status: keyStatus(k, now),
+  };
+}
+
+/** Build a stored key doc + its one-time plaintext from validated options. */
+export function newKeyDoc({ label = null, scopes, expiresAt = null, note = null, rotatedFrom = null }) {
+  const { id, secret, hash } = generateKeyPair();
+  const doc = {
+    id, hash, label, scopes, expiresAt, note,
+    createdAt: new Date(), lastUsedAt: null, revokedAt: null,
+    ...(rotatedFrom ? { rotatedFrom } : {}),
+  };
+  return { doc, key: `${id}.${secret}` };
+}
+
+/**
+ * Replace key `id` of `uid`: a new key with the same label/scopes/expiry/note is issued and the
+ * old one is revoked after `graceHours` (0 = now), so devices can be switched over.
+ * Returns { key, id, old } or null when there's no live key with that id.
+ */
+export async function rotateKey(db, uid, id, { graceHours = 24 } = {}) {
+  const g = Number(graceHours);
+  if (!Number.isFinite(g) || g < 0 || g > MAX_GRACE_HOURS) throw new Error(`graceHours must be 0–${MAX_GRACE_HOURS}`);
+  const users = db.collection("users");
+  const me = await users.findOne({ _id: uid }, { projection: { apiKeys: 1 } });
+  const old = (me?.apiKeys || []).find((k) => k.id === id);
+  if (!old || !["active", "expired"].includes(keyStatus(old))) return null;
+
+  const { doc, key } = newKeyDoc({
+    label: old.label || null, scopes: keyScopes(old), note: old.note || null, rotatedFrom: old.id,
+    // keep the original lifetime length rather than the original end date
+    expiresAt: old.expiresAt ? new Date(Date.now() + (old.expiresAt - old.createdAt)) : null,
+  });
+  const revokeAt = new Date(Date.now() + g * 3600000);
+  await users.updateOne({ _id: uid }, { $push: { apiKeys: doc } });
+  await users.updateOne(
+    { _id: uid, "apiKeys.id": id },
+    { $set: { "apiKeys.$.revokeAt": revokeAt, "apiKeys.$.rotatedTo": doc.id } }
+  );
+  return { key, id: doc.id, old: { id, revokeAt } };
+}
+
 /** Generate a new key: returns { id, secret, hash } */
 export function generateKeyPair() {
   const id = "ak_" + crypto.randomBytes(6).toString("base64url");     // short id to index on
@@ -36,8 +136,8 @@ export function parseApiKeyHeader(header) {
 }
 
 /**
- * Resolve API key to { uid, keyRef } or null.
- * keyRef is the matched subdocument (for label/lastUsedAt).
+ * Resolve API key to { uid, keyRef } or null (unknown, wrong secret, revoked or expired).
+ * keyRef is the matched subdocument (for label/scopes/stats); callers check keyHasScope.
  */
 export async function resolveApiKey(headerValue) {
   const parsed = parseApiKeyHeader(headerValue);
@@ -56,18 +156,37 @@ export async function resolveApiKey(headerValue) {
 
   const keyRef = (user.apiKeys || []).find(k => k.id === id && !k.revokedAt);
   if (!keyRef || keyRef.hash !== hash) return null;
+  if (!["active", "rotating"].includes(keyStatus(keyRef))) return null;
 
   return { uid: user._id, keyRef };
 }
 
-/** Update lastUsedAt for a key (fire and forget) */
-export async function touchKeyLastUsed(uid, keyId) {
+/**
+ * Count one use of a key (fire and forget): lastUsedAt, where it came from, and either
+ * { inserted } for an upload or { error, status } when the request failed.
+ */
+export async function recordKeyUse(uid, keyId, { req = null, inserted = null, error = null, status = null } = {}) {
   try {
     const client = await clientPromise;
     const db = client.db("healthkit");
+    const now = new Date();
+    const $set = { "apiKeys.$.lastUsedAt": now };
+    const $inc = {};
+    if (req) {
+      const { ip, userAgent } = requestOrigin(req);
+      $set["apiKeys.$.stats.lastIp"] = ip;
+      $set["apiKeys.$.stats.lastUserAgent"] = userAgent;
+    }
+    if (error) {
+      $inc["apiKeys.$.stats.errors"] = 1;
+      $set["apiKeys.$.stats.lastError"] = { at: now, status, message: String(error).slice(0, 300) };
+    } else if (inserted != null) {
+      $inc["apiKeys.$.stats.uploads"] = 1;
+      $inc["apiKeys.$.stats.inserted"] = inserted;
+    }
     await db.collection("users").updateOne(
       { _id: uid, "apiKeys.id": keyId },
-      { $set: { "apiKeys.$.lastUsedAt": new Date() } }
+      { $set, ...(Object.keys($inc).length ? { $inc } : {}) }
     );
   } catch { /* ignore */ }
 }
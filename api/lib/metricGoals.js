@@ -0,0 +1,223 @@
+// api/lib/metricGoals.js
+// General goals: any registered metric, a comparator and a period, with optional weekday schedule.
+//
+// metric_goals: { _id, uid, metric (health_data type), comparator: "atLeast"|"atMost"|"within",
+//                 target | min + max, period: "daily"|"weekly"|"monthly"|"custom",
+//                 from?, to? ("YYYY-MM-DD", custom only), days?: [0–6, 0 = Sunday], label,
+//                 createdAt, updatedAt }
+// The value compared is the metric's registry `agg` over the period (src/utils/metrics.js): the
+// total for sum metrics (steps, energy, minutes), the mean for avg ones (heart rate, weight).
+// With `days`, only those weekdays count — and a daily goal only applies on them. Periods are in
+// the user's timezone; weeks start Monday. The four versioned weekly targets stay in lib/goals.js.
+
+import { ObjectId } from "mongodb";
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { metricFor } from "../../src/utils/metrics.js";
+import { dayKey, addDaysKey, enumerateDayKeys, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+
+export const COMPARATORS = ["atLeast", "atMost", "within"];
+export const PERIODS = ["daily", "weekly", "monthly", "custom"];
+const MAX_GOALS = 20;
+const MAX_VALUE = 1e7;
+const MAX_CUSTOM_DAYS = 366;
+const MAX_LABEL = 60;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const col = (db) => db.collection("metric_goals");
+
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+function number(v, name) {
+  const n = Number(v);
+  if (v == null || v === "" || !Number.isFinite(n) || n < 0 || n > MAX_VALUE) throw new Error(`${name} must be a number 0–${MAX_VALUE}`);
+  return n;
+}
+
+/**
+ * Validate a goal body: { metric, comparator, target | min + max, period, from?, to?, days?, label? }.
+ * Returns the fields to store. Throws Error with a user-facing message.
+ */
+export function normaliseMetricGoal(input = {}) {
+  const metric = metricFor(String(input.metric || ""));
+  if (!metric) throw new Error(`Unknown metric: ${input.metric}`);
+  const comparator = String(input.comparator || "");
+  if (!COMPARATORS.includes(comparator)) throw new Error(`comparator must be one of ${COMPARATORS.join(", ")}`);
+  const period = String(input.period || "");
+  if (!PERIODS.includes(period)) throw new Error(`period must be one of ${PERIODS.join(", ")}`);
+
+  const out = { metric: metric.type, comparator, period };
+  if (comparator === "within") {
+    out.min = number(input.min, "min");
+    out.max = number(input.max, "max");
+    if (out.min >= out.max) throw new Error("min must be below max");
+  } else {
+    out.target = number(input.target, "target");
+  }
+
+  if (period === "custom") {
+    const from = String(input.from || "");
+    const to = String(input.to || "");
+    if (!DAY_RE.test(from) || !DAY_RE.test(to) || from > to) throw new Error("custom goals need from ≤ to as YYYY-MM-DD");
+    if (enumerateDayKeys(from, to).length > MAX_CUSTOM_DAYS) throw new Error(`custom goals span at most ${MAX_CUSTOM_DAYS} days`);
+    Object.assign(out, { from, to });
+  }
+
+  if (input.days != null) {
+    const days = Array.isArray(input.days) ? [...new Set(input.days.map(Number))].sort() : [];
+    if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error("days must be a non-empty list of weekdays 0–6 (0 = Sunday)");
+    }
+    if (days.length < 7) out.days = days;
+  }
+
+  const label = input.label == null ? "" : String(input.label).trim();
+  if (label.length > MAX_LABEL) throw new Error(`label must be at most ${MAX_LABEL} characters`);
+  out.label = label || null;
+  return out;
+}
+
+/** Goal as returned by the API (no uid). */
+export function publicMetricGoal(g) {
+  const { _id, uid, ...rest } = g;
+  return { id: String(_id), ...rest };
+}
+
+// { from, to } of the period holding `today`
+function periodWindow(g, today) {
+  if (g.period === "daily") return { from: today, to: today };
+  if (g.period === "weekly") {
+    const from = addDaysKey(today, -((weekday(today) + 6) % 7));
+    return { from, to: addDaysKey(from, 6) };
+  }
+  if (g.period === "monthly") {
+    const from = `${today.slice(0, 7)}-01`;
+    const [y, m] = today.split("-").map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return { from, to: `${today.slice(0, 7)}-${String(last).padStart(2, "0")}` };
+  }
+  return { from: g.from, to: g.to };
+}
+
+// { pct, met } for a value; pct is how far along the goal is (atMost: share of the allowance used)
+function judge(g, value) {
+  if (value == null) return { pct: 0, met: false };
+  const round = (n) => Math.round(n * 10) / 10;
+  if (g.comparator === "atLeast") return { pct: g.target > 0 ? round((value / g.target) * 100) : 100, met: value >= g.target };
+  if (g.comparator === "atMost") return { pct: g.target > 0 ? round((value / g.target) * 100) : (value > 0 ? 100 : 0), met: value <= g.target };
+  const pct = value < g.min ? (g.min > 0 ? (value / g.min) * 100 : 0) : value > g.max ? (g.max / value) * 100 : 100;
+  return { pct: round(pct), met: value >= g.min && value <= g.max };
+}
+
+/**
+ * Progress for each goal in its current period:
+ * { from, to, value, pct, met, complete, scheduled, started, daysCounted }
+ * `scheduled` is false for a daily goal whose schedule skips today; `started` false for a custom
+ * period that hasn't begun. One daily rollup per metric covers every goal.
+ */
+export async function metricGoalProgress(db, uid, goals, tz) {
+  const today = dayKey(Date.now(), tz);
+  const windows = goals.map((g) => {
+    const w = periodWindow(g, today);
+    const end = w.to < today ? w.to : today;
+    const counted = w.from <= end
+      ? enumerateDayKeys(w.from, end).filter((d) => !g.days || g.days.includes(weekday(d)))
+      : [];
+    return { ...w, counted };
+  });
+  const spans = windows.filter((w) => w.counted.length);
+  const byMetric = {};
+  if (spans.length) {
+    const from = spans.reduce((a, w) => (w.counted[0] < a ? w.counted[0] : a), today);
+    const metrics = [...new Set(goals.map((g) => g.metric))];
+    const series = await runAggregate(db, {
+      uid,
+      from: new Date(zonedDayStartISO(from, tz)),
+      to: new Date(zonedDayEndISO(today, tz)),
+      tz,
+      series: normaliseSeriesSpecs(Object.fromEntries(metrics.map((type) => [
+        type, { type, bucket: "day", ops: ["sum", "count"], ...(type === "sleep" ? { groupBy: "stage" } : {}) },
+      ]))),
+    });
+    for (const [type, rows] of Object.entries(series)) {
+      byMetric[type] = {};
+      for (const r of rows) {
+        if (type === "sleep" && String(r.stage || "").toLowerCase() === "in bed") continue;
+        const d = (byMetric[type][r.date] = byMetric[type][r.date] || { sum: 0, count: 0 });
+        d.sum += Number(r.sum) || 0;
+        d.count += Number(r.count) || 0;
+      }
+    }
+  }
+
+  return goals.map((g, i) => {
+    const w = windows[i];
+    let sum = 0, count = 0;
+    for (const d of w.counted) {
+      const row = byMetric[g.metric]?.[d];
+      if (row) { sum += row.sum; count += row.count; }
+    }
+    const value = !count ? null : metricFor(g.metric).agg === "avg" ? sum / count : sum;
+    return {
+      from: w.from,
+      to: w.to,
+      value,
+      ...judge(g, value),
+      complete: w.to < today,
+      scheduled: !(g.period === "daily" && g.days && !g.days.includes(weekday(today))),
+      started: w.from <= today,
+      daysCounted: w.counted.length,
+    };
+  });
+}
+
+/**
+ * Every goal for `uid` with its current progress: { tz, today, items }.
+ * With `days` (day keys), only the goals whose current period holds one of them.
+ */
+export async function listMetricGoals(db, uid, { days = null } = {}) {
+  const tz = await getUserTimezone(db, uid);
+  const today = dayKey(Date.now(), tz);
+  let goals = await col(db).find({ uid }).sort({ createdAt: 1 }).toArray();
+  if (days) {
+    goals = goals.filter((g) => {
+      const w = periodWindow(g, today);
+      return days.some((d) => d >= w.from && d <= w.to);
+    });
+  }
+  const progress = goals.length ? await metricGoalProgress(db, uid, goals, tz) : [];
+  return {
+    tz,
+    today,
+    items: goals.map((g, i) => ({ ...publicMetricGoal(g), progress: progress[i] })),
+  };
+}
+
+/** Store a new goal (from normaliseMetricGoal). Throws Error past MAX_GOALS. */
+export async function createMetricGoal(db, uid, fields) {
+  if ((await col(db).countDocuments({ uid })) >= MAX_GOALS) throw new Error(`At most ${MAX_GOALS} goals`);
+  const now = new Date();
+  const doc = { uid, ...fields, createdAt: now, updatedAt: now };
+  const { insertedId } = await col(db).insertOne(doc);
+  return publicMetricGoal({ _id: insertedId, ...doc });
+}
+
+/** Replace a goal's fields. Returns the updated goal, or null when it isn't this user's. */
+export async function updateMetricGoal(db, uid, id, fields) {
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return null; }
+  const existing = await col(db).findOne({ _id, uid }, { projection: { createdAt: 1 } });
+  if (!existing) return null;
+  // replaced whole, so fields the new shape doesn't use (target vs min/max, from/to, days) go
+  const doc = { uid, ...fields, createdAt: existing.createdAt, updatedAt: new Date() };
+  await col(db).replaceOne({ _id, uid }, doc);
+  return publicMetricGoal({ _id, ...doc });
+}
+
+/** Delete a goal. Returns false when it isn't this user's. */
+export async function deleteMetricGoal(db, uid, id) {
+  let _id;
+  try { _id = new ObjectId(String(id)); } catch { return false; }
+  const r = await col(db).deleteOne({ _id, uid });
+  return r.deletedCount === 1;
+}
@@ -0,0 +1,156 @@
+// api/lib/notificationChannels.js
+// Delivery channels for notifications (lib/notifications.js). The in-app centre reads the stored
+// rows directly; each channel here sends a copy out.
+//
+//   email  SMTP via nodemailer — SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for 465,
+//          SMTP_USER, SMTP_PASS, SMTP_FROM; links point at APP_URL
+//   push   Web Push via web-push — VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT (mailto:…);
+//          browsers subscribe through public/sw.js and POST /api/users/me/notifications/push
+//
+// NOTIFICATION_TRANSPORT=stub routes every channel to the console instead, so rules and channels
+// can be exercised locally without SMTP or VAPID credentials. The delivery it returns carries `to`,
+// so the stored notification rows double as the stub outbox (stubOutbox() in lib/notifications.js).
+// An unconfigured channel reports "skipped". More channels plug in with registerChannel().
+
+const STUB = () => process.env.NOTIFICATION_TRANSPORT === "stub";
+
+const subsCol = async (db) => {
+  const c = db.collection("push_subscriptions");
+  await c.createIndex({ endpoint: 1 }, { unique: true }).catch(() => {});
+  await c.createIndex({ uid: 1 }).catch(() => {});
+  return c;
+};
+
+const appUrl = (link) => (link ? `${(process.env.APP_URL || "").replace(/\/$/, "")}${link}` : null);
+
+// `to`: one address or a list of push endpoints
+function stubSend(channel, to, n) {
+  for (const t of [].concat(to)) console.info(`[NOTIFY:stub] ${channel} → ${t}: ${n.title}`);
+  return { status: "sent", transport: "stub", to };
+}
+
+// ---- email ----
+
+let mailer = null;
+async function smtpTransport() {
+  if (!mailer) {
+    const { default: nodemailer } = await import("nodemailer");
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {}),
+    });
+  }
+  return mailer;
+}
+
+const email = {
+  label: "Email",
+  configured: () => STUB() || Boolean(process.env.SMTP_HOST && process.env.SMTP_FROM),
+  async send(db, user, n) {
+    if (!user?.email) return { status: "skipped", error: "No email address on the account" };
+    if (STUB()) return stubSend("email", user.email, n);
+    const url = appUrl(n.link);
+    await (await smtpTransport()).sendMail({
+      from: process.env.SMTP_FROM,
+      to: user.email,
+      subject: n.title,
+      text: [n.body, url].filter(Boolean).join("\n\n"),
+    });
+    return { status: "sent", transport: "smtp" };
+  },
+};
+
+// ---- web push ----
+
+let webpush = null;
+async function pushClient() {
+  if (!webpush) {
+    ({ default: webpush } = await import("web-push"));
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || "mailto:admin@example.com", process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+  }
+  return webpush;
+}
+
+const push = {
+  label: "Browser push",
+  configured: () => STUB() || Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+  async send(db, user, n) {
+    const subs = await (await subsCol(db)).find({ uid: user._id }).toArray();
+    if (!subs.length) return { status: "skipped", error: "No browser subscribed" };
+    if (STUB()) return { ...stubSend("push", subs.map((s) => s.endpoint), n), devices: subs.length };
+    const client = await pushClient();
+    const payload = JSON.stringify({ title: n.title, body: n.body, url: n.link || "/" });
+    let sent = 0;
+    for (const s of subs) {
+      try {
+        await client.sendNotification({ endpoint: s.endpoint, keys: s.keys }, payload);
+        sent += 1;
+      } catch (e) {
+        // the browser dropped the subscription
+        if (e?.statusCode === 404 || e?.statusCode === 410) await (await subsCol(db)).deleteOne({ _id: s._id });
+        else console.error("web push failed:", e?.message || e);
+      }
+    }
+    return sent ? { status: "sent", transport: "webpush", devices: sent } : { status: "failed", error: "No device accepted the push" };
+  },
+};
+
+const CHANNELS = { email, push };
+
+/** Add or replace a delivery channel: { label, configured(), send(db, user, notification) → { status, … } }. */
+export function registerChannel(name, channel) {
+  CHANNELS[name] = channel;
+}
+
+export const channelNames = () => Object.keys(CHANNELS);
+
+/** { [name]: { label, available } } for the settings page. */
+export function channelStatus() {
+  return Object.fromEntries(
+    Object.entries(CHANNELS).map(([name, c]) => [name, { label: c.label, available: c.configured() }])
+  );
+}
+
+/** Public key browsers subscribe with (null when push isn't configured). */
+export const vapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+/** Send one notification through `name`. Never throws: failures come back as { status: "failed", error }. */
+export async function deliver(db, name, user, n) {
+  const channel = CHANNELS[name];
+  if (!channel) return { status: "skipped", error: `Unknown channel: ${name}` };
+  if (!channel.configured()) return { status: "skipped", error: "Channel not configured" };
+  try {
+    return await channel.send(db, user, n);
+  } catch (e) {
+    console.error(`[NOTIFY] ${name} delivery failed:`, e?.message || e);
+    return { status: "failed", error: e?.message || String(e) };
+  }
+}
+
+/** Store a browser's PushSubscription ({ endpoint, keys: { p256dh, auth } }) for `uid`. */
+export async function savePushSubscription(db, uid, sub, userAgent = null) {
+  const endpoint = String(sub?.endpoint || "");
+  if (!/^https:\/\//.test(endpoint) || !sub?.keys?.p256dh || !sub?.keys?.auth) {
+    throw new Error("subscription needs an https endpoint and p256dh / auth keys");
+  }
+  await (await subsCol(db)).updateOne(
+    { endpoint },
+    {
+      $set: { uid, keys: { p256dh: String(sub.keys.p256dh), auth: String(sub.keys.auth) }, userAgent, updatedAt: new Date() },
+      $setOnInsert: { endpoint, createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+}
+
+/** Forget one subscription (or all of `uid`'s when `endpoint` is empty). Returns the number removed. */
+export async function removePushSubscription(db, uid, endpoint = null) {
+  const r = await (await subsCol(db)).deleteMany(endpoint ? { uid, endpoint: String(endpoint) } : { uid });
+  return r.deletedCount;
+}
+
+export async function countPushSubscriptions(db, uid) {
+  return (await subsCol(db)).countDocuments({ uid });
+}
@@ -0,0 +1,421 @@
+// api/lib/notifications.js
+// Reminders and alerts: stored for the in-app centre, then sent through the channels the user
+// turned on (lib/notificationChannels.js).
+//
+// notifications: { _id, uid, kind, title, body, link, key, createdAt, readAt,
+//                  deliveries: [{ channel, status: "sent"|"skipped"|"failed", at, error?, transport?, to? }] }
+//   `key` is unique per user, so a rule that fires again for the same event (the same upload gap,
+//   the same goal period, the same day's heart rate) adds nothing.
+// users.notificationPrefs: { enabled, channels: { email, push }, rules: { <rule>: { enabled, … } } }
+//   Missing fields fall back to DEFAULT_PREFS. In-app is always on while `enabled`.
+//
+// Rules: missedUpload (daily cron), goalAchieved and restingHrSpike (in the cron, and after each
+// upload for the days it covered), requestDecision (when staff approve or reject a request).
+//
+// jobs: { _id, type: "notify_rules", day (UTC "YYYY-MM-DD"), status: running|done|failed,
+//         cursor (last uid checked), progress: { checked, sent }, lockedUntil, createdAt, updatedAt,
+//         finishedAt, error }
+//   One per day. The cron walks users in _id order for up to `budgetMs` per call and the next call
+//   carries on from `cursor`; once it's done, further calls that day return it unchanged.
+
+import { ObjectId } from "mongodb";
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { listMetricGoals } from "./metricGoals.js";
+import { weeklyAttainment } from "./goals.js";
+import { deliver, channelNames } from "./notificationChannels.js";
+import { dayKey, addDaysKey, enumerateDayKeys, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+
+export const RULES = {
+  missedUpload:    { label: "No upload for a few days", kind: "missed_upload" },
+  goalAchieved:    { label: "Goal achieved", kind: "goal_achieved" },
+  restingHrSpike:  { label: "Resting heart rate well above your usual", kind: "resting_hr_spike" },
+  requestDecision: { label: "Your requests approved or rejected", kind: "request_decision" },
+};
+
+export const DEFAULT_PREFS = {
+  enabled: true,
+  channels: { email: false, push: false },
+  rules: {
+    missedUpload: { enabled: true, days: 3 },
+    goalAchieved: { enabled: true },
+    restingHrSpike: { enabled: true, bpm: 10 },
+    requestDecision: { enabled: true },
+  },
+};
+const LIMITS = { days: [1, 30], bpm: [3, 40] };
+const HR_BASELINE_DAYS = 28;
+const HR_MIN_BASELINE = 7;
+const PAGE = 50;
+const MAX_PAGE = 200;
+const RULES_JOB = "notify_rules";
+const USER_PAGE = 100;
+const MAX_STUB_OUTBOX = 100;
+
+const col = async (db) => {
+  const c = db.collection("notifications");
+  await c.createIndex({ uid: 1, key: 1 }, { unique: true }).catch(() => {});
+  await c.createIndex({ uid: 1, createdAt: -1 }).catch(() => {});
+  return c;
+};
+
+const ruleForKind = (kind) => Object.keys(RULES).find((r) => RULES[r].kind === kind) || null;
+
+function mergePrefs(saved = {}) {
+  const rules = {};
+  for (const [name, def] of Object.entries(DEFAULT_PREFS.rules)) rules[name] = { ...def, ...(saved.rules?.[name] || {}) };
+  return {
+    enabled: saved.enabled ?? DEFAULT_PREFS.enabled,
+    channels: { ...DEFAULT_PREFS.channels, ...(saved.channels || {}) },
+    rules,
+  };
+}
+
+/**
+ * Validate a preferences body (any subset of DEFAULT_PREFS) on top of `current`.
+ * Returns the full prefs. Throws Error with a user-facing message.
+ */
+export function normalisePrefs(input = {}, current = DEFAULT_PREFS) {
+  const out = mergePrefs(current);
+  if (input.enabled != null) out.enabled = input.enabled === true;
+  for (const [name, on] of Object.entries(input.channels || {})) {
+    if (!channelNames().includes(name)) throw new Error(`Unknown channel: ${name}`);
+    out.channels[name] = on === true;
+  }
+  for (const [name, rule] of Object.entries(input.rules || {})) {
+    if (!RULES[name]) throw new Error(`Unknown rule: ${name}`);
+    if (rule?.enabled != null) out.rules[name].enabled = rule.enabled === true;
+    for (const [field, [min, max]] of Object.entries(LIMITS)) {
+      if (rule?.[field] == null || !(field in out.rules[name])) continue;
+      const n = Number(rule[field]);
+      if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${name}.${field} must be a whole number ${min}–${max}`);
+      out.rules[name][field] = n;
+    }
+  }
+  return out;
+}
+
+export async function getPrefs(db, uid) {
+  const user = await db.collection("users").findOne({ _id: uid }, { projection: { notificationPrefs: 1 } });
+  return mergePrefs(user?.notificationPrefs);
+}
+
+export async function savePrefs(db, uid, prefs) {
+  await db.collection("users").updateOne({ _id: uid }, { $set: { notificationPrefs: prefs, updatedAt: new Date() } });
+  return prefs;
+}
+
+/** Notification as returned to its owner. */
+export function publicNotification(n) {
+  return {
+    id: String(n._id),
+    kind: n.kind,
+    title: n.title,
+    body: n.body,
+    link: n.link || null,
+    createdAt: n.createdAt,
+    readAt: n.readAt || null,
+    deliveries: n.deliveries || [],
+  };
+}
+
+/**
+ * Store and send one notification: { kind, title, body, link?, key }.
+ * Skipped (returns null) when the user turned notifications or this rule off, or `key` was sent
+ * before. `force` bypasses both (test sends). Channels are tried in order; results land on the row.
+ */
+export async function notify(db, uid, { kind, title, body, link = null, key }, { force = false } = {}) {
+  const user = await db.collection("users").findOne({ _id: uid }, { projection: { email: 1, notificationPrefs: 1 } });
+  if (!user) return null;
+  const prefs = mergePrefs(user.notificationPrefs);
+  const rule = ruleForKind(kind);
+  if (!force && (!prefs.enabled || (rule && !prefs.rules[rule].enabled))) return null;
+
+  const doc = { uid, kind, title, body, link, key, createdAt: new Date(), readAt: null, deliveries: [] };
+  const c = await col(db);
+  try {
+    doc._id = (await c.insertOne(doc)).insertedId;
+  } catch (e) {
+    if (e?.code === 11000) return null; // already sent for this event
+    throw e;
+  }
+
+  for (const name of channelNames()) {
+    if (!prefs.channels[name]) continue;
+    doc.deliveries.push({ channel: name, ...(await deliver(db, name, user, doc)), at: new Date() });
+  }
+  if (doc.deliveries.length) await c.updateOne({ _id: doc._id }, { $set: { deliveries: doc.deliveries } });
+  return doc;
+}
+
+/** Latest notifications for `uid`: { items, unread }. */
+export async function listNotifications(db, uid, { limit = PAGE } = {}) {
+  const n = Math.min(Math.max(parseInt(limit, 10) || PAGE, 1), MAX_PAGE);
+  const c = await col(db);
+  const [items, unread] = await Promise.all([
+    c.find({ uid }).sort({ createdAt: -1 }).limit(n).toArray(),
+    c.countDocuments({ uid, readAt: null }),
+  ]);
+  return { items: items.map(publicNotification), unread };
+}
+
+/**
+ * What NOTIFICATION_TRANSPORT=stub "sent", newest first: { channel, to, title, body, link, at }
+ * from the deliveries stored on the notification rows.
+ */
+export async function stubOutbox(db, { limit = MAX_STUB_OUTBOX } = {}) {
+  const rows = await (await col(db))
+    .find({ "deliveries.transport": "stub" }, { projection: { title: 1, body: 1, link: 1, deliveries: 1 } })
+    .sort({ createdAt: -1 }).limit(limit).toArray();
+  return rows.flatMap((n) => n.deliveries
+    .filter((d) => d.transport === "stub")
+    .flatMap((d) => [].concat(d.to ?? []).map((to) => ({ channel: d.channel, to, title: n.title, body: n.body, link: n.link || null, at: d.at }))));
+}
+
+/** Mark `ids` (or every unread one when `ids` is empty) as read. Returns the number changed. */
+export async function markRead(db, uid, ids = []) {
+  const filter = { uid, readAt: null };
+  if (ids.length) {
+    filter._id = { $in: ids.map((id) => { try { return new ObjectId(String(id)); } catch { return null; } }).filter(Boolean) };
+  }
+  const r = await (await col(db)).updateMany(filter, { $set: { readAt: new Date() } });
+  return r.modifiedCount;
+}
+
+// ---- rules ----
+
+// Days between two "YYYY-MM-DD" keys
+const daysBetween = (a, b) => enumerateDayKeys(a, b).length - 1;
+
+async function missedUpload(db, uid, prefs, tz) {
+  const last = await db.collection("ingest_logs")
+    .find({ uid, ok: true, inserted: { $gt: 0 } }, { projection: { ts: 1 } })
+    .sort({ ts: -1 }).limit(1).next();
+  if (!last) return []; // never uploaded: the setup pages cover that
+  const lastDay = dayKey(last.ts, tz);
+  const gap = daysBetween(lastDay, dayKey(Date.now(), tz));
+  if (gap < prefs.rules.missedUpload.days) return [];
+  return [{
+    kind: RULES.missedUpload.kind,
+    title: `No uploads for ${gap} days`,
+    body: `Your last upload was on ${lastDay}. Run the Shortcut to keep your charts and goals up to date.`,
+    link: "/download",
+    key: `missed_upload:${lastDay}`,
+  }];
+}
+
+// After an upload (`days` set) only goals whose period holds an uploaded day are checked, and
+// weekly attainment (which stores its weeks) waits for the cron.
+async function goalAchieved(db, uid, prefs, tz, { days = null } = {}) {
+  const out = [];
+  const { items } = await listMetricGoals(db, uid, { days });
+  for (const g of items) {
+    const p = g.progress;
+    // an "at most" / "within" goal is only achieved once its period is over
+    if (!p.started || !p.scheduled || !p.met || (g.comparator !== "atLeast" && !p.complete)) continue;
+    const name = g.label || g.metric.replace(/_/g, " ");
+    out.push({
+      kind: RULES.goalAchieved.kind,
+      title: `Goal achieved: ${name}`,
+      body: p.from === p.to ? `You reached your ${name} goal on ${p.from}.` : `You reached your ${name} goal for ${p.from} – ${p.to}.`,
+      link: "/goals",
+      key: `goal_achieved:${g.id}:${p.from}`,
+    });
+  }
+  if (days) return out;
+  const { items: weeks } = await weeklyAttainment(db, uid, { weeks: 1 });
+  for (const w of weeks) {
+    for (const [metric, met] of Object.entries(w.met || {})) {
+      if (!met) continue;
+      out.push({
+        kind: RULES.goalAchieved.kind,
+        title: `Weekly ${metric === "activeEnergy" ? "active energy" : metric} goal achieved`,
+        body: `You hit this week's ${metric === "activeEnergy" ? "active energy" : metric} goal (week of ${w.weekStart}).`,
+        link: "/goals",
+        key: `goal_achieved:weekly:${metric}:${w.weekStart}`,
+      });
+    }
+  }
+  return out;
+}
+
+async function restingHrSpike(db, uid, prefs, tz, { days: uploaded = null } = {}) {
+  const today = dayKey(Date.now(), tz);
+  if (uploaded && !uploaded.some((d) => d >= addDaysKey(today, -1))) return []; // the upload held nothing recent
+  const from = addDaysKey(today, -HR_BASELINE_DAYS);
+  const { rhr } = await runAggregate(db, {
+    uid,
+    from: new Date(zonedDayStartISO(from, tz)),
+    to: new Date(zonedDayEndISO(today, tz)),
+    tz,
+    series: normaliseSeriesSpecs({ rhr: { type: "resting_heart_rate", bucket: "day", ops: ["avg"] } }),
+  });
+  const days = rhr.filter((r) => Number.isFinite(r.avg)).sort((a, b) => a.date.localeCompare(b.date));
+  const latest = days[days.length - 1];
+  if (!latest || latest.date < addDaysKey(today, -1)) return []; // nothing recent
+  const prior = days.slice(0, -1).map((r) => r.avg).sort((a, b) => a - b);
+  if (prior.length < HR_MIN_BASELINE) return [];
+  const mid = Math.floor(prior.length / 2);
+  const baseline = prior.length % 2 ? prior[mid] : (prior[mid - 1] + prior[mid]) / 2;
+  const rise = latest.avg - baseline;
+  if (rise < prefs.rules.restingHrSpike.bpm) return [];
+  return [{
+    kind: RULES.restingHrSpike.kind,
+    title: "Resting heart rate is up",
+    body: `Your resting heart rate on ${latest.date} was ${Math.round(latest.avg)} bpm, ${Math.round(rise)} above your usual ${Math.round(baseline)} bpm. ` +
+      "This can follow illness, stress, poor sleep or hard training; talk to a clinician if it persists or you feel unwell.",
+    link: "/summary",
+    key: `resting_hr_spike:${latest.date}`,
+  }];
+}
+
+const EVALUATORS = { missedUpload, goalAchieved, restingHrSpike };
+
+/**
+ * Evaluate `rules` (names in RULES; default: every scheduled one) for `uid` and send what fires.
+ * `scope` { days } narrows the checks to the days an upload covered.
+ * Returns the notifications created. Best-effort per rule: one failing doesn't stop the rest.
+ */
+export async function runRules(db, uid, rules = Object.keys(EVALUATORS), scope = {}) {
+  const prefs = await getPrefs(db, uid);
+  if (!prefs.enabled) return [];
+  const tz = await getUserTimezone(db, uid);
+  const created = [];
+  for (const name of rules) {
+    if (!EVALUATORS[name] || !prefs.rules[name]?.enabled) continue;
+    try {
+      for (const n of await EVALUATORS[name](db, uid, prefs, tz, scope)) {
+        const doc = await notify(db, uid, n);
+        if (doc) created.push(doc);
+      }
+    } catch (e) {
+      console.error(`[NOTIFY] rule ${name} failed for ${uid}:`, e?.message || e);
+    }
+  }
+  return created;
+}
+
+/**
+ * After an upload: goal and heart-rate rules for the days it covered (best-effort; never throws).
+ * Pass the ingested health_data `docs`, or the `days` already collected from them.
+ */
+export async function notifyAfterUpload(db, uid, { docs = [], days = [] }, tz = null) {
+  try {
+    if (!docs.length && !days.length) return [];
+    const zone = tz || await getUserTimezone(db, uid);
+    const covered = [...new Set([...days, ...docs.map((d) => dayKey(d.ts, zone))])];
+    return await runRules(db, uid, ["goalAchieved", "restingHrSpike"], { days: covered });
+  } catch (e) {
+    console.error("notification rules failed:", e?.message || e);
+    return [];
+  }
+}
+
+const rulesJobResult = (job) => ({
+  day: job.day,
+  status: job.status,
+  checked: job.progress?.checked ?? 0,
+  sent: job.progress?.sent ?? 0,
+  more: job.status !== "done",
+  ...(job.error ? { error: job.error } : {}),
+});
+
+/**
+ * Daily cron: every rule for every active user who hasn't turned notifications off, as today's
+ * "notify_rules" job. Runs for up to `budgetMs` and returns { day, status, checked, sent, more };
+ * call again while `more` to carry on. A run another caller holds is returned unchanged.
+ */
+export async function runAllRules(db, { budgetMs = 45000 } = {}) {
+  const jobs = db.collection("jobs");
+  await jobs.createIndex(
+    { type: 1, day: 1 },
+    { unique: true, name: "one_notify_rules_run", partialFilterExpression: { type: RULES_JOB } }
+  ).catch(() => {});
+
+  const day = new Date().toISOString().slice(0, 10);
+  const now = new Date();
+  try {
+    await jobs.updateOne(
+      { type: RULES_JOB, day },
+      {
+        $setOnInsert: {
+          type: RULES_JOB, day, status: "running", cursor: null, progress: { checked: 0, sent: 0 },
+          lockedUntil: null, createdAt: now, updatedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e?.code !== 11000) throw e; // a concurrent call created it
+  }
+
+  const t0 = Date.now();
+  const lock = await jobs.updateOne(
+    { type: RULES_JOB, day, status: { $ne: "done" }, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+    { $set: { status: "running", lockedUntil: new Date(t0 + budgetMs + 60000), updatedAt: new Date() }, $unset: { error: "" } }
+  );
+  const job = await jobs.findOne({ type: RULES_JOB, day });
+  if (!lock.modifiedCount) return rulesJobResult(job);
+
+  let cursor = job.cursor;
+  const progress = { ...job.progress };
+  let finished = false;
+  try {
+    while (Date.now() - t0 < budgetMs) {
+      const users = await db.collection("users").find(
+        {
+          active: { $ne: false }, "notificationPrefs.enabled": { $ne: false },
+          ...(cursor != null ? { _id: { $gt: cursor } } : {}),
+        },
+        { projection: { _id: 1 } }
+      ).sort({ _id: 1 }).limit(USER_PAGE).toArray();
+      if (!users.length) { finished = true; break; }
+      for (const u of users) {
+        if (Date.now() - t0 >= budgetMs) break;
+        // notify() skips keys already sent, so a user re-run after a crash sends nothing twice
+        progress.sent += (await runRules(db, u._id)).length;
+        progress.checked += 1;
+        cursor = u._id;
+        await jobs.updateOne({ _id: job._id }, { $set: { cursor, progress, updatedAt: new Date() } });
+      }
+    }
+    await jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: finished ? "done" : "running",
+          lockedUntil: null,
+          updatedAt: new Date(),
+          ...(finished ? { finishedAt: new Date() } : {}),
+        },
+      }
+    );
+  } catch (e) {
+    console.error("notification rules job failed:", e);
+    await jobs.updateOne(
+      { _id: job._id },
+      { $set: { status: "failed", error: e?.message || String(e), lockedUntil: null, updatedAt: new Date() } }
+    ).catch(() => {});
+  }
+  return rulesJobResult(await jobs.findOne({ _id: job._id }));
+}
+
+const REQUEST_LABELS = { signup: "sign-up", email_change: "email change", account_delete: "account deletion" };
+
+/** Tell a user staff decided their request (`decision` "approved" | "rejected"). Best-effort. */
+export async function notifyRequestDecision(db, reqDoc, decision, reason = null) {
+  if (!reqDoc?.uid || (reqDoc.type === "account_delete" && decision === "approved")) return null; // account is gone
+  const what = REQUEST_LABELS[reqDoc.type] || reqDoc.type;
+  try {
+    return await notify(db, reqDoc.uid, {
+      kind: RULES.requestDecision.kind,
+      title: `Your ${what} request was ${decision}`,
+      body: decision === "rejected" && reason ? `Reason: ${reason}` : `Your ${what} request was ${decision}.`,
+      link: "/profile",
+      key: `request_decision:${reqDoc._id}`,
+    });
+  } catch (e) {
+    console.error("request decision notification failed:", e?.message || e);
+    return null;
+  }
+}
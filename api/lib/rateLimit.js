@@ -0,0 +1,126 @@
+// api/lib/rateLimit.js
+// Token-bucket rate limiting. Buckets live in Mongo so every serverless instance shares the count;
+// RATE_LIMIT_STORE=memory keeps them in-process instead (local dev, no shared state).
+//
+// rate_limits: { _id: "<limit>:<who>", tokens, at, expiresAt }
+// A bucket holds up to `capacity` tokens and refills at `perSecond`; each request takes one.
+// Buckets untouched for long enough to be full again are dropped by a TTL index.
+//
+// Callers name buckets as [limit, who] pairs, e.g. ["ip", "1.2.3.4"], ["upload", "k:ak_x"],
+// ["app", "u:<uid>"]; enforceRateLimits takes a token from each and replies 429 on the first
+// empty one. Throttles are written to ingest_logs (lib/ingest.js logIngest).
+
+import clientPromise from "./mongodb.js";
+import { logIngest } from "./ingest.js";
+
+const COL = "rate_limits";
+const USE_MEMORY = process.env.RATE_LIMIT_STORE === "memory";
+
+const perMinute = (burstEnv, perMinEnv, burst, perMin) => ({
+  capacity: Number(process.env[burstEnv] || burst),
+  perSecond: Number(process.env[perMinEnv] || perMin) / 60,
+});
+
+// limit name → bucket size and refill. Env overrides: RATE_LIMIT_<NAME>_BURST / _PER_MIN
+// (read keeps the API_KEY_READ_ names it shipped with)
+export const LIMITS = {
+  ip:     perMinute("RATE_LIMIT_IP_BURST", "RATE_LIMIT_IP_PER_MIN", 300, 600),             // every request, before auth
+  upload: perMinute("RATE_LIMIT_UPLOAD_BURST", "RATE_LIMIT_UPLOAD_PER_MIN", 20, 30),       // uploads, imports, session open/commit; per key and uid
+  chunk:  perMinute("RATE_LIMIT_CHUNK_BURST", "RATE_LIMIT_CHUNK_PER_MIN", 120, 240),       // upload session chunks; per key and uid
+  read:   perMinute("API_KEY_READ_BURST", "API_KEY_READ_PER_MIN", 30, 60),                 // /api/health with an API key, per key
+  app:    perMinute("RATE_LIMIT_APP_BURST", "RATE_LIMIT_APP_PER_MIN", 120, 240),           // /api/health from the web app, per uid
+  keys:   perMinute("RATE_LIMIT_KEYS_BURST", "RATE_LIMIT_KEYS_PER_MIN", 10, 20),           // key list/create/rotate/revoke, per uid
+  share:  perMinute("RATE_LIMIT_SHARE_BURST", "RATE_LIMIT_SHARE_PER_MIN", 10, 20),         // public report links, per IP
+};
+
+// ---------- stores ----------
+
+const memory = new Map();
+
+function takeFromMemory(key, { capacity, perSecond }, now) {
+  const b = memory.get(key) || { tokens: capacity, at: now };
+  const tokens = Math.min(capacity, b.tokens + ((now - b.at) / 1000) * perSecond);
+  const ok = tokens >= 1;
+  memory.set(key, { tokens: ok ? tokens - 1 : tokens, at: now });
+  return { ok, tokens: ok ? tokens - 1 : tokens };
+}
+
+async function takeFromMongo(key, { capacity, perSecond }, now) {
+  const client = await clientPromise;
+  const col = client.db("healthkit").collection(COL);
+  await col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch(() => {});
+  // one atomic pipeline update: refill for the time elapsed, then take a token if there is one
+  const doc = await col.findOneAndUpdate(
+    { _id: key },
+    [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ["$tokens", capacity] },
+                  { $multiply: [{ $divide: [{ $subtract: [now, { $ifNull: ["$at", now] }] }, 1000] }, perSecond] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+      { $set: { ok: { $gte: ["$tokens", 1] } } },
+      {
+        $set: {
+          tokens: { $cond: ["$ok", { $subtract: ["$tokens", 1] }, "$tokens"] },
+          at: now,
+          expiresAt: new Date(now.getTime() + Math.ceil(capacity / perSecond) * 1000),
+        },
+      },
+    ],
+    { upsert: true, returnDocument: "after" }
+  );
+  return { ok: doc?.ok !== false, tokens: doc?.tokens ?? capacity };
+}
+
+/**
+ * Take one token from bucket `key`. Returns { ok, remaining, retryAfter } where retryAfter is
+ * whole seconds until a token is free (0 when ok). Fails open if the store is unavailable.
+ */
+export async function takeToken(key, limit) {
+  const now = new Date();
+  try {
+    const { ok, tokens } = USE_MEMORY ? takeFromMemory(key, limit, now) : await takeFromMongo(key, limit, now);
+    if (ok) return { ok: true, remaining: Math.floor(tokens), retryAfter: 0 };
+    return { ok: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((1 - tokens) / limit.perSecond)) };
+  } catch (e) {
+    console.error("rate limit check failed:", e?.message || e);
+    return { ok: true, remaining: null, retryAfter: 0 };
+  }
+}
+
+/**
+ * Take a token from each [limit, who] bucket (entries with no `who` are skipped). On the first
+ * empty bucket: reply 429 with Retry-After, log the throttle and return { bucket, retryAfter }.
+ * Returns null when the request may go ahead.
+ * `log` is { uid?, source, route } for the ingest_logs row.
+ */
+export async function enforceRateLimits(res, checks, log = {}) {
+  for (const [name, who] of checks) {
+    if (!who) continue;
+    const limit = LIMITS[name];
+    const bucket = `${name}:${who}`;
+    const r = await takeToken(bucket, limit);
+    res.setHeader("X-RateLimit-Limit", String(limit.capacity));
+    if (r.remaining != null) res.setHeader("X-RateLimit-Remaining", String(r.remaining));
+    if (r.ok) continue;
+
+    res.setHeader("Retry-After", String(r.retryAfter));
+    res.status(429).json({ error: "Too many requests", retryAfter: r.retryAfter });
+    await logIngest({
+      uid: log.uid ?? null, ok: false, status: 429, error: `Rate limited (${name})`,
+      source: log.source, throttle: { bucket, route: log.route ?? null, retryAfter: r.retryAfter },
+    });
+    return { bucket, retryAfter: r.retryAfter };
+  }
+  return null;
+}
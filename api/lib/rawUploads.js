@@ -0,0 +1,96 @@
+// api/lib/rawUploads.js
+// Opt-in copies of the raw Shortcut payloads, so health_data can be rebuilt after parser changes
+// (see lib/reprocess.js). Per user: users.retainRawUploads (bool) + users.retainRawSince (Date).
+//
+// raw_uploads: { uid, hash, kind: "shortcut", tz, body: gzip(JSON), bytes, range: { from, to },
+//                sessionId?, n?, createdAt }
+// Identical payloads (Shortcut retries, re-sent chunks) are stored once per user.
+//
+// Every upload since retainRawSince is kept, so every sample at or after it can be rebuilt. If a
+// copy can't be written, retainRawSince moves forward so reprocessing never trusts a gap.
+
+import crypto from "crypto";
+import zlib from "zlib";
+import { Binary } from "mongodb";
+
+/** Ingest channels (meta.source) whose docs can be rebuilt from raw_uploads. */
+export const RAW_SOURCES = ["shortcut"];
+
+async function ensureIndexes(col) {
+  await col.createIndex({ uid: 1, hash: 1 }, { unique: true, name: "uniq_raw_payload" }).catch(() => {});
+  await col.createIndex({ uid: 1, "range.to": 1, "range.from": 1 }).catch(() => {});
+}
+
+/** users.retainRawUploads / retainRawSince (best-effort; never throws). */
+export async function getRawRetention(db, uid) {
+  try {
+    const u = await db.collection("users").findOne({ _id: uid }, { projection: { retainRawUploads: 1, retainRawSince: 1 } });
+    return { retain: u?.retainRawUploads === true, since: u?.retainRawSince ?? null };
+  } catch {
+    return { retain: false, since: null };
+  }
+}
+
+/**
+ * Keep `body` if the user opted in. `docs` are the docs built from it (their ts range is what a
+ * reprocess window matches against). Best-effort: ingest never fails because of this.
+ */
+export async function retainRawUpload(db, { uid, tz, body, docs, sessionId = null, n = null }) {
+  const { retain } = await getRawRetention(db, uid);
+  if (!retain || !docs?.length) return false;
+  try {
+    const col = db.collection("raw_uploads");
+    await ensureIndexes(col);
+    const json = JSON.stringify(body ?? {});
+    const hash = crypto.createHash("sha256").update(json).digest("hex");
+    let from = Infinity, to = -Infinity;
+    for (const d of docs) {
+      const t = d.ts.getTime();
+      if (t < from) from = t;
+      if (t > to) to = t;
+    }
+    await col.updateOne(
+      { uid, hash },
+      {
+        $setOnInsert: {
+          uid, hash, kind: "shortcut", tz,
+          body: new Binary(zlib.gzipSync(json)),
+          bytes: Buffer.byteLength(json),
+          range: { from: new Date(from), to: new Date(to) },
+          ...(sessionId ? { sessionId, n } : {}),
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (e) {
+    console.error("raw upload retention failed:", e);
+    await db.collection("users").updateOne({ _id: uid }, { $set: { retainRawSince: new Date() } }).catch(() => {});
+    return false;
+  }
+}
+
+/** Raw uploads for `uid` whose sample range overlaps [from, to], oldest first, body decoded. */
+export async function* rawUploadsOverlapping(db, uid, from, to) {
+  const cursor = db.collection("raw_uploads")
+    .find({ uid, "range.to": { $gte: from }, "range.from": { $lte: to } })
+    .sort({ createdAt: 1 });
+  for await (const r of cursor) {
+    const buf = Buffer.from(r.body.buffer ?? r.body);
+    yield { ...r, body: JSON.parse(zlib.gunzipSync(buf).toString("utf8")) };
+  }
+}
+
+/** Turn retention on/off. Off deletes the stored copies. */
+export async function setRawRetention(db, uid, on) {
+  const users = db.collection("users");
+  if (on) {
+    // only the first switch-on starts coverage; re-saving the setting keeps it
+    await users.updateOne({ _id: uid, retainRawSince: null }, { $set: { retainRawSince: new Date() } });
+    await users.updateOne({ _id: uid }, { $set: { retainRawUploads: true } });
+    return;
+  }
+  await users.updateOne({ _id: uid }, { $set: { retainRawUploads: false }, $unset: { retainRawSince: "" } });
+  await db.collection("raw_uploads").deleteMany({ uid });
+}
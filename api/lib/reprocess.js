@@ -0,0 +1,235 @@
+// api/lib/reprocess.js
+// Admin reprocess/backfill: rebuild a user's health_data for a date range from raw_uploads with
+// the current parser (toMinutes, COALESCE_STEPS_MIN, source policy …).
+//
+// jobs: { _id, type: "reprocess", uid, params: { from, to, tz }, status: queued|running|done|failed,
+//         progress: { windowsTotal, windowsDone, uploads, deleted, inserted }, cursor (day key),
+//         swap: { from, to, phase: insert|delete|untag, uploads, inserted, deleted } | null,
+//         lockedUntil, createdBy, createdAt, startedAt, updatedAt, finishedAt, error }
+//
+// The range is walked in windows of WINDOW_DAYS local days. health_data is a time-series
+// collection, which can't be written inside a transaction, so each window is swapped in three
+// steps, each recorded on job.swap before the next starts:
+//   insert  rebuilt docs go in tagged meta.rebuildJob = job id (readers skip tagged docs)
+//   delete  the old untagged docs from RAW_SOURCES in the window, and their ingest_guard claims
+//   untag   claims for the rebuilt docs, then the tag is cleared and the cursor moves on
+// Every step can run again: insert first drops this job's tagged docs from an earlier attempt,
+// delete only matches untagged docs, untag ignores claims that exist. A run stops once `budgetMs`
+// is spent with the job still "running"; running it again carries on from the saved step.
+// Only docs from RAW_SOURCES on full days after users.retainRawSince (and the retention cutoff)
+// are touched — earlier samples may have come from uploads that were never kept.
+
+import { ObjectId } from "mongodb";
+import { coalesceStepsByBucket } from "./ingest.js";
+import { prepareShortcutDocs } from "./shortcutPayload.js";
+import { getSourcePolicy, applySourcePolicy } from "./sourcePolicy.js";
+import { RAW_SOURCES, getRawRetention, rawUploadsOverlapping } from "./rawUploads.js";
+import { getUserTimezone } from "./timezone.js";
+import { getRetentionPolicy, rawSampleCutoff } from "./retention.js";
+import { dayKey, addDaysKey, enumerateDayKeys, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+
+const WINDOW_DAYS = 7;
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toObjectId(id) {
+  try { return new ObjectId(String(id)); } catch { return null; }
+}
+
+/** Validate and queue a job. Throws Error with a user-facing message. */
+export async function createReprocessJob(db, { uid, from, to, createdBy = null }) {
+  if (!uid) throw new Error("uid required");
+  if (!DAY_KEY_RE.test(from || "") || !DAY_KEY_RE.test(to || "")) throw new Error("from and to must be YYYY-MM-DD");
+  if (from > to) throw new Error("from must not be after to");
+
+  const { since } = await getRawRetention(db, uid);
+  if (!since) throw new Error("No raw uploads are kept for this user (they need to turn on “Keep raw uploads”)");
+  const tz = await getUserTimezone(db, uid);
+  // older samples may already be downsampled and their raw uploads expired (lib/retention.js)
+  const cutoff = rawSampleCutoff(await getRetentionPolicy(db));
+  const firstFullDay = addDaysKey(dayKey(cutoff && cutoff > since ? cutoff : since, tz), 1);
+  const start = from < firstFullDay ? firstFullDay : from;
+  if (start > to) throw new Error(`Nothing to reprocess: raw uploads are only complete from ${firstFullDay}`);
+
+  const days = enumerateDayKeys(start, to).length;
+  const now = new Date();
+  const job = {
+    type: "reprocess",
+    uid,
+    params: { from: start, to, tz, requestedFrom: from },
+    status: "queued",
+    cursor: start,
+    progress: { windowsTotal: Math.ceil(days / WINDOW_DAYS), windowsDone: 0, uploads: 0, deleted: 0, inserted: 0 },
+    lockedUntil: null,
+    createdBy,
+    createdAt: now, updatedAt: now,
+  };
+  const jobs = db.collection("jobs");
+  await jobs.createIndex({ type: 1, createdAt: -1 }).catch(() => {});
+  const r = await jobs.insertOne(job);
+  return { _id: r.insertedId, ...job };
+}
+
+export async function getJob(db, id) {
+  const _id = toObjectId(id);
+  return _id ? db.collection("jobs").findOne({ _id }) : null;
+}
+
+export async function listJobs(db, { type = "reprocess", limit = 20 } = {}) {
+  return db.collection("jobs").find({ type }).sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+const TAG = "meta.rebuildJob";
+const BATCH = 1000;
+
+// Every raw upload overlapping [from, to], re-parsed, de-duplicated and run through the source policy.
+async function rebuildDocs(db, { uid, tz, from, to, policy }) {
+  const inWindow = (d) => d.ts >= from && d.ts <= to;
+  const seen = new Set();
+  const built = [];
+  let uploads = 0;
+  for await (const raw of rawUploadsOverlapping(db, uid, from, to)) {
+    uploads++;
+    const { docs } = prepareShortcutDocs(raw.body, uid, raw.tz || tz);
+    for (const d of docs) {
+      // overlapping payloads repeat samples; keep one of each before summing sources
+      if (!inWindow(d) || seen.has(d.meta._fp)) continue;
+      seen.add(d.meta._fp);
+      built.push(d);
+    }
+  }
+  return { uploads, rebuilt: coalesceStepsByBucket(applySourcePolicy(built, policy, { tz }).docs, { tz, policy }) };
+}
+
+const fpsOf = async (col, filter) =>
+  (await col.find(filter, { projection: { "meta._fp": 1 } }).toArray()).map((d) => d.meta?._fp).filter(Boolean);
+
+// The docs a window's rebuild replaces (rebuilt ones still carry the tag)
+const oldDocsFilter = (uid, from, to) => ({
+  "meta.uid": uid, "meta.source": { $in: RAW_SOURCES }, ts: { $gte: from, $lte: to }, [TAG]: { $exists: false },
+});
+
+// Step 1: insert the rebuilt window, tagged with the job id.
+async function insertRebuilt(db, jobId, { uid, tz, from, to, policy }) {
+  const data = db.collection("health_data");
+  const guard = db.collection("ingest_guard");
+  // left over from an attempt that stopped part-way
+  await data.deleteMany({ "meta.uid": uid, [TAG]: jobId });
+
+  const { uploads, rebuilt } = await rebuildDocs(db, { uid, tz, from, to, policy });
+  // a fingerprint claimed by a doc outside this swap (e.g. the Health export) stays with that doc
+  const old = new Set(await fpsOf(data, oldDocsFilter(uid, from, to)));
+  const fps = rebuilt.map((d) => d.meta._fp);
+  const claimed = new Set();
+  for (let i = 0; i < fps.length; i += BATCH) {
+    const rows = await guard.find({ _fp: { $in: fps.slice(i, i + BATCH) } }, { projection: { _fp: 1 } }).toArray();
+    for (const g of rows) if (!old.has(g._fp)) claimed.add(g._fp);
+  }
+  const fresh = rebuilt.filter((d) => !claimed.has(d.meta._fp));
+  for (let i = 0; i < fresh.length; i += BATCH) {
+    await data.insertMany(fresh.slice(i, i + BATCH).map((d) => ({ ...d, meta: { ...d.meta, rebuildJob: jobId } })), { ordered: false });
+  }
+  return { uploads, inserted: fresh.length };
+}
+
+// Step 2: delete the docs the rebuilt ones replace. Claims go first, so a run that stops in
+// between finds the same docs again next time.
+async function deleteReplaced(db, jobId, { uid, from, to }) {
+  const data = db.collection("health_data");
+  const filter = oldDocsFilter(uid, from, to);
+  const kept = new Set(await fpsOf(data, { "meta.uid": uid, [TAG]: jobId }));
+  const drop = (await fpsOf(data, filter)).filter((fp) => !kept.has(fp));
+  for (let i = 0; i < drop.length; i += BATCH) {
+    await db.collection("ingest_guard").deleteMany({ _fp: { $in: drop.slice(i, i + BATCH) } });
+  }
+  return { deleted: (await data.deleteMany(filter)).deletedCount ?? 0 };
+}
+
+// Step 3: claim the rebuilt docs' fingerprints and clear the tag.
+async function untagRebuilt(db, jobId, { uid }) {
+  const data = db.collection("health_data");
+  const fps = await fpsOf(data, { "meta.uid": uid, [TAG]: jobId });
+  const now = new Date();
+  for (let i = 0; i < fps.length; i += BATCH) {
+    try {
+      await db.collection("ingest_guard").insertMany(fps.slice(i, i + BATCH).map((_fp) => ({ _fp, uid, createdAt: now })), { ordered: false });
+    } catch (e) {
+      if (e?.code !== 11000) throw e; // already claimed
+    }
+  }
+  await data.updateMany({ "meta.uid": uid, [TAG]: jobId }, { $unset: { [TAG]: "" } });
+}
+
+/**
+ * Run (or continue) job `id` for up to `budgetMs`. Returns the updated job, or null if it
+ * doesn't exist. A job another runner holds is returned unchanged.
+ */
+export async function runReprocessJob(db, id, { budgetMs = 45000 } = {}) {
+  const jobs = db.collection("jobs");
+  const job = await getJob(db, id);
+  if (!job || job.status === "done") return job;
+
+  const t0 = Date.now();
+  const lock = await jobs.updateOne(
+    { _id: job._id, status: { $in: ["queued", "running", "failed"] }, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+    {
+      $set: {
+        status: "running",
+        lockedUntil: new Date(t0 + budgetMs + 60000),
+        updatedAt: new Date(),
+        ...(job.startedAt ? {} : { startedAt: new Date() }),
+      },
+      $unset: { error: "" },
+    }
+  );
+  if (!lock.modifiedCount) return job;
+
+  const { uid, params: { to, tz } } = job;
+  const jobId = String(job._id);
+  const progress = { ...job.progress };
+  let cursor = job.cursor;
+  let swap = job.swap || null;
+  const save = () => jobs.updateOne({ _id: job._id }, { $set: { cursor, swap, progress, updatedAt: new Date() } });
+  try {
+    const policy = await getSourcePolicy(db);
+    while ((swap || cursor <= to) && Date.now() - t0 < budgetMs) {
+      if (!swap) {
+        const last = addDaysKey(cursor, WINDOW_DAYS - 1) < to ? addDaysKey(cursor, WINDOW_DAYS - 1) : to;
+        swap = { from: cursor, to: last, phase: "insert", uploads: 0, inserted: 0, deleted: 0 };
+      }
+      const win = { uid, tz, policy, from: new Date(zonedDayStartISO(swap.from, tz)), to: new Date(zonedDayEndISO(swap.to, tz)) };
+      if (swap.phase === "insert") {
+        swap = { ...swap, ...(await insertRebuilt(db, jobId, win)), phase: "delete" };
+      } else if (swap.phase === "delete") {
+        swap = { ...swap, ...(await deleteReplaced(db, jobId, win)), phase: "untag" };
+      } else {
+        await untagRebuilt(db, jobId, win);
+        progress.windowsDone += 1;
+        progress.uploads += swap.uploads;
+        progress.deleted += swap.deleted;
+        progress.inserted += swap.inserted;
+        cursor = addDaysKey(swap.to, 1);
+        swap = null;
+      }
+      await save();
+    }
+    const finished = !swap && cursor > to;
+    await jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: finished ? "done" : "running",
+          lockedUntil: null,
+          updatedAt: new Date(),
+          ...(finished ? { finishedAt: new Date() } : {}),
+        },
+      }
+    );
+  } catch (e) {
+    console.error("reprocess job failed:", e);
+    await jobs.updateOne(
+      { _id: job._id },
+      { $set: { status: "failed", error: e?.message || String(e), lockedUntil: null, updatedAt: new Date() } }
+    ).catch(() => {});
+  }
+  return getJob(db, job._id);
+}
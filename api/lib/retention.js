@@ -0,0 +1,293 @@
+// api/lib/retention.js
+// Data retention: what happens to a user's data when their account is deleted, and how long
+// full-resolution samples are kept.
+//
+// Policy (settings/_id "retention", edited at /api/admin/retention; env values are the defaults):
+//   purgeMode            "immediate" | "delayed"   (PURGE_MODE, default immediate)
+//   purgeDelayDays       grace period for delayed purges (PURGE_DELAY_DAYS, default 30)
+//   rawSampleDays        series samples older than this are downsampled to hourly docs and the
+//                        originals expired; 0 keeps everything (RAW_SAMPLE_RETENTION_DAYS, default 0)
+//
+// Every account deletion writes a tombstone (audit record, no PII beyond an email hash):
+//   tombstones: { uid, emailHash, via, deletedBy, deletedAt, mode, status: scheduled|purged|failed,
+//                 purgeAt, purgedAt, report: { counts: { collection: n }, total }, error }
+// Due delayed purges and sample expiry run from the daily cron (vercel.json) or the admin page.
+
+import crypto from "crypto";
+import { METRICS, metricFor } from "../../src/utils/metrics.js";
+import { fingerprint } from "./ingest.js";
+import { deleteUserArchives } from "./dataArchive.js";
+import { deleteUserImports } from "./healthImport.js";
+import { getUserTimezone } from "./timezone.js";
+import { revokeGranteeConsents } from "./consents.js";
+
+const POLICY_ID = "retention";
+export const PURGE_MODES = ["immediate", "delayed"];
+export const DOWNSAMPLED_SOURCE = "downsampled";
+
+export const DEFAULT_RETENTION = {
+  purgeMode: PURGE_MODES.includes(process.env.PURGE_MODE) ? process.env.PURGE_MODE : "immediate",
+  purgeDelayDays: Number(process.env.PURGE_DELAY_DAYS || 30),
+  rawSampleDays: Number(process.env.RAW_SAMPLE_RETENTION_DAYS || 0),
+};
+
+// Every collection holding per-user data → the field that names the user
+export const USER_DATA = [
+  ["health_data", "meta.uid"],
+  ["ingest_guard", "uid"],
+  ["ingest_logs", "uid"],
+  ["access_logs", "uid"],
+  ["raw_uploads", "uid"],
+  ["upload_sessions", "uid"],
+  ["upload_chunks", "uid"],
+  ["upload_held", "uid"],
+  ["import_steps", "uid"],
+  ["downsample_pending", "uid"],
+  ["user_goals", "uid"],
+  ["goal_attainment", "uid"],
+  ["checkins", "uid"],
+  ["metric_goals", "uid"],
+  ["notifications", "uid"],
+  ["push_subscriptions", "uid"],
+  ["jobs", "uid"],
+  ["requests", "uid"],
+  ["consents", "uid"],
+  ["share_links", "uid"],
+  ["share_link_views", "uid"],
+  ["users", "_id"],
+];
+
+/** Stored policy merged over the defaults (best-effort). */
+export async function getRetentionPolicy(db) {
+  try {
+    const doc = await db.collection("settings").findOne({ _id: POLICY_ID });
+    return {
+      ...DEFAULT_RETENTION,
+      ...(doc ? pickPolicy(doc) : {}),
+      updatedAt: doc?.updatedAt ?? null,
+      updatedBy: doc?.updatedBy ?? null,
+    };
+  } catch {
+    return { ...DEFAULT_RETENTION };
+  }
+}
+
+function pickPolicy(doc) {
+  const out = {};
+  for (const k of Object.keys(DEFAULT_RETENTION)) if (doc[k] !== undefined) out[k] = doc[k];
+  return out;
+}
+
+/** Validate an admin-supplied policy (partial is fine). Throws Error with a user-facing message. */
+export function normaliseRetention(input) {
+  const out = pickPolicy(input || {});
+  if ("purgeMode" in out && !PURGE_MODES.includes(out.purgeMode)) {
+    throw new Error(`purgeMode must be one of ${PURGE_MODES.join(", ")}`);
+  }
+  for (const [k, max] of [["purgeDelayDays", 365], ["rawSampleDays", 3650]]) {
+    if (!(k in out)) continue;
+    const n = Number(out[k]);
+    if (!Number.isInteger(n) || n < 0 || n > max) throw new Error(`${k} must be a whole number 0–${max}`);
+    out[k] = n;
+  }
+  return out;
+}
+
+export async function saveRetentionPolicy(db, policy, updatedBy) {
+  const doc = { ...policy, updatedAt: new Date(), updatedBy: updatedBy || null };
+  await db.collection("settings").updateOne({ _id: POLICY_ID }, { $set: doc }, { upsert: true });
+  return getRetentionPolicy(db);
+}
+
+/** Start of full-resolution data under `policy`, or null when samples never expire. */
+export function rawSampleCutoff(policy, now = Date.now()) {
+  return policy?.rawSampleDays > 0 ? new Date(now - policy.rawSampleDays * 86400000) : null;
+}
+
+// ---------- account purge ----------
+
+/** Hard-delete everything stored for `uid`. Returns { counts, total }. */
+export async function purgeUserData(db, uid) {
+  const counts = {};
+  for (const [name, field] of USER_DATA) {
+    const r = await db.collection(name).deleteMany({ [field]: uid });
+    counts[name] = r.deletedCount ?? 0;
+  }
+  // "download my data" zips and unfinished Health export uploads live in GridFS
+  counts.data_archives = await deleteUserArchives(db, uid);
+  counts.health_imports = await deleteUserImports(db, uid);
+  // grants others made to this user stay on the owner's record, without the user's details
+  await db.collection("consents").updateMany({ granteeUid: uid }, { $set: { granteeEmail: null, granteeName: null } });
+  return { counts, total: Object.values(counts).reduce((s, n) => s + n, 0) };
+}
+
+const hashEmail = (email) => (email ? crypto.createHash("sha256").update(String(email).toLowerCase().trim()).digest("hex") : null);
+
+/**
+ * Account deletion: remove the users doc straight away, write a tombstone, and purge the rest
+ * now or schedule it per the policy. `via` is "admin" | "request" | "self".
+ * Returns the tombstone (with `report` when purged now).
+ */
+export async function retireAccount(db, uid, { via, deletedBy = null } = {}) {
+  const policy = await getRetentionPolicy(db);
+  const user = await db.collection("users").findOne({ _id: uid }, { projection: { email: 1 } });
+  const userDeleted = (await db.collection("users").deleteOne({ _id: uid })).deletedCount === 1;
+  // a deleted coach can't keep reading their clients' data
+  await revokeGranteeConsents(db, uid, deletedBy || uid);
+
+  const now = new Date();
+  const delayed = policy.purgeMode === "delayed" && policy.purgeDelayDays > 0;
+  const tombstone = {
+    uid,
+    emailHash: hashEmail(user?.email),
+    via,
+    deletedBy,
+    deletedAt: now,
+    mode: delayed ? "delayed" : "immediate",
+    status: "scheduled",
+    purgeAt: delayed ? new Date(now.getTime() + policy.purgeDelayDays * 86400000) : now,
+    userDeleted,
+  };
+  const tombstones = db.collection("tombstones");
+  await tombstones.createIndex({ status: 1, purgeAt: 1 }).catch(() => {});
+  await tombstones.createIndex({ uid: 1 }).catch(() => {});
+  const { insertedId } = await tombstones.insertOne(tombstone);
+  tombstone._id = insertedId;
+
+  return delayed ? tombstone : purgeTombstone(db, tombstone);
+}
+
+async function purgeTombstone(db, tombstone) {
+  const tombstones = db.collection("tombstones");
+  try {
+    const report = await purgeUserData(db, tombstone.uid);
+    // the users doc went at deletion time; count it so the report covers the whole account
+    if (tombstone.userDeleted) { report.counts.users += 1; report.total += 1; }
+    const done = { status: "purged", purgedAt: new Date(), report };
+    await tombstones.updateOne({ _id: tombstone._id }, { $set: done, $unset: { error: "" } });
+    return { ...tombstone, ...done };
+  } catch (e) {
+    const failed = { status: "failed", error: e?.message || String(e) };
+    await tombstones.updateOne({ _id: tombstone._id }, { $set: failed }).catch(() => {});
+    return { ...tombstone, ...failed };
+  }
+}
+
+/** Purge one scheduled/failed tombstone now, whatever its purgeAt (admin "Purge now"). */
+export async function purgeNow(db, tombstoneId) {
+  const t = await db.collection("tombstones").findOne({ _id: tombstoneId, status: { $in: ["scheduled", "failed"] } });
+  return t ? purgeTombstone(db, t) : null;
+}
+
+/** Purge every tombstone whose grace period is over. Returns the updated tombstones. */
+export async function runDuePurges(db, { limit = 50 } = {}) {
+  const due = await db.collection("tombstones")
+    .find({ status: { $in: ["scheduled", "failed"] }, purgeAt: { $lte: new Date() } })
+    .sort({ purgeAt: 1 })
+    .limit(limit)
+    .toArray();
+  const out = [];
+  for (const t of due) out.push(await purgeTombstone(db, t));
+  return out;
+}
+
+// ---------- sample downsampling + expiry ----------
+
+const SERIES_TYPES = METRICS.filter((m) => m.shape === "series").map((m) => m.type);
+
+// Fold one hour's raw samples (and the doc an earlier run made for it) into a marker
+// in downsample_pending, written before anything is deleted.
+async function markHour(col, pending, uid, { type, unit, hour }) {
+  const end = new Date(hour.getTime() + 3600000);
+  const inHour = { "meta.uid": uid, type, unit, ts: { $gte: hour, $lt: end } };
+  const samples = await col.find(
+    { ...inHour, value: { $type: "number" }, "meta.source": { $ne: DOWNSAMPLED_SOURCE } },
+    { projection: { value: 1 } }
+  ).toArray();
+  const prev = await col.findOne({ ...inHour, "meta.source": DOWNSAMPLED_SOURCE });
+  const p = prev?.payload || {};
+  let sum = p.sum || 0, count = p.count || 0, min = p.min ?? Infinity, max = p.max ?? -Infinity;
+  for (const { value } of samples) {
+    sum += value;
+    count += 1;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+
+  const doc = {
+    ts: hour, type, unit,
+    value: metricFor(type)?.agg === "sum" ? sum : sum / count,
+    meta: { uid, source: DOWNSAMPLED_SOURCE },
+    payload: { downsampled: true, sum, count, min, max },
+  };
+  doc.meta._fp = fingerprint(doc);
+  const marker = {
+    _id: `${uid}|${type}|${unit}|${hour.toISOString()}`,
+    uid, doc,
+    rawIds: samples.map((s) => s._id),
+    prevId: prev?._id ?? null,
+    createdAt: new Date(),
+  };
+  await pending.replaceOne({ _id: marker._id }, marker, { upsert: true });
+  return marker;
+}
+
+// Swap a marked hour in: drop what it replaces, add its doc, clear the marker. Every step is
+// safe to repeat, so a marker left by a stopped run is simply finished. Returns samples expired.
+async function finishHour(col, pending, m) {
+  const r = await col.deleteMany({ _id: { $in: m.prevId ? [...m.rawIds, m.prevId] : m.rawIds } });
+  if (!(await col.findOne({ "meta.uid": m.uid, "meta._fp": m.doc.meta._fp }, { projection: { _id: 1 } }))) {
+    await col.insertOne({ ...m.doc, meta: { ...m.doc.meta } });
+  }
+  await pending.deleteOne({ _id: m._id });
+  return Math.max((r.deletedCount ?? 0) - (m.prevId ? 1 : 0), 0);
+}
+
+/**
+ * Replace series samples older than the policy's cutoff with one doc per (user, type, hour in the
+ * user's timezone), so charts and aggregates keep working on old data at hourly resolution. The
+ * hourly doc's value is the hour's sum or mean (the metric's `agg`); payload keeps
+ * { sum, count, min, max } so later runs can merge late-arriving samples into it. Sleep and
+ * workouts are events and are kept as-is.
+ * Each hour is computed into a marker before its samples are deleted, so a run cut off part-way
+ * never counts a sample twice. A run stops after `limitHours` hours or `budgetMs`; `more` says
+ * the next one has work left; raw uploads before the cutoff are only expired by a run that ends
+ * with nothing left. Returns { cutoff, hours, expired, more }.
+ */
+export async function downsampleAndExpire(db, policy, { limitHours = 5000, budgetMs = 40000 } = {}) {
+  const cutoff = rawSampleCutoff(policy);
+  if (!cutoff) return { cutoff: null, hours: 0, expired: 0, more: false };
+  const t0 = Date.now();
+  const spent = () => Date.now() - t0 >= budgetMs;
+  const col = db.collection("health_data");
+  const pending = db.collection("downsample_pending");
+  let hours = 0, expired = 0;
+
+  // hours a stopped run left half-done
+  for await (const m of pending.find({})) {
+    if (spent()) return { cutoff, hours, expired, more: true };
+    expired += await finishHour(col, pending, m);
+    hours++;
+  }
+
+  const raw = { ts: { $lt: cutoff }, type: { $in: SERIES_TYPES }, value: { $type: "number" }, "meta.source": { $ne: DOWNSAMPLED_SOURCE } };
+  let more = false;
+  users: for (const uid of await col.distinct("meta.uid", raw)) {
+    const tz = await getUserTimezone(db, uid);
+    const groups = await col.aggregate([
+      { $match: { ...raw, "meta.uid": uid } },
+      { $group: { _id: { type: "$type", unit: "$unit", hour: { $dateTrunc: { date: "$ts", unit: "hour", timezone: tz } } } } },
+      { $limit: limitHours - hours },
+    ], { allowDiskUse: true }).toArray();
+    for (const g of groups) {
+      if (spent()) { more = true; break users; }
+      expired += await finishHour(col, pending, await markHour(col, pending, uid, g._id));
+      hours++;
+    }
+    if (hours >= limitHours) { more = true; break; }
+  }
+  // raw payloads of expired samples can't be replayed any more (reprocess starts after the cutoff);
+  // while hours are still left they are the only way to rebuild them, so they wait for a full run
+  if (!more) await db.collection("raw_uploads").deleteMany({ "range.to": { $lt: cutoff } });
+  return { cutoff, hours, expired, more };
+}
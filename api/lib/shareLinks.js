@@ -0,0 +1,231 @@
+// api/lib/shareLinks.js
+// Read-only report links: a signed, expiring URL a user can send (e.g. to a physio) that shows
+// chosen Summary sections for a date range without logging in.
+//
+// share_links:      { _id: "sl_…", uid, fromKey, toKey, sections, note, createdAt, expiresAt,
+//                     revokedAt, views, lastViewedAt }
+// share_link_views: { linkId, uid, ts, ip, userAgent }  — one row per report view
+// The token is `<id>.<signature>`, an HMAC over the id and expiry with SHARE_LINK_SECRET, so a
+// link can't be guessed from its id or have its expiry edited. Days are the owner's (users.timezone).
+
+import crypto from "crypto";
+import { requestOrigin } from "./accessLog.js";
+import { runAggregate, normaliseSeriesSpecs } from "./aggregate.js";
+import { getUserTimezone } from "./timezone.js";
+import { enumerateDayKeys, zonedDayStartISO, zonedDayEndISO } from "../../src/utils/dates.js";
+import { metricsInGroup } from "../../src/utils/metrics.js";
+import { maxHeartRate, heartZoneThresholds, heartZoneBands } from "../../src/utils/heartZones.js";
+
+export const SHARE_SECTIONS = ["steps", "heartZones", "sleep", "gait"];
+const MAX_RANGE_DAYS = 92;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_NOTE = 200;
+const MAX_SLEEP_ROWS = 5000;
+
+function requireSecret() {
+  const s = process.env.SHARE_LINK_SECRET;
+  if (!s) throw new Error("SHARE_LINK_SECRET is missing");
+  return s;
+}
+
+const col = (db) => db.collection("share_links");
+
+function sign(id, expiresAt) {
+  return crypto.createHmac("sha256", requireSecret())
+    .update(`${id}.${new Date(expiresAt).getTime()}`)
+    .digest("base64url")
+    .slice(0, 32);
+}
+
+export const linkToken = (link) => `${link._id}.${sign(link._id, link.expiresAt)}`;
+
+/** "active" | "expired" | "revoked" */
+export function linkStatus(link, now = new Date()) {
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt <= now) return "expired";
+  return "active";
+}
+
+/**
+ * Validate a new link: { from, to, sections, expiresInDays, note? } with from/to as "YYYY-MM-DD".
+ * Returns { fromKey, toKey, sections, expiresAt, note }. Throws Error with a user-facing message.
+ */
+export function normaliseShareInput({ from, to, sections, expiresInDays = 14, note } = {}, now = new Date()) {
+  const days = enumerateDayKeys(String(from || ""), String(to || ""));
+  if (!days.length) throw new Error("from and to must be YYYY-MM-DD with from ≤ to");
+  if (days.length > MAX_RANGE_DAYS) throw new Error(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  const list = Array.isArray(sections) ? [...new Set(sections)] : [];
+  if (!list.length || list.some((s) => !SHARE_SECTIONS.includes(s))) {
+    throw new Error(`sections must be a non-empty list of ${SHARE_SECTIONS.join(", ")}`);
+  }
+  const d = Number(expiresInDays);
+  if (!Number.isInteger(d) || d < 1 || d > MAX_EXPIRY_DAYS) throw new Error(`expiresInDays must be a whole number 1–${MAX_EXPIRY_DAYS}`);
+  const n = note == null ? "" : String(note).trim();
+  if (n.length > MAX_NOTE) throw new Error(`note must be at most ${MAX_NOTE} characters`);
+  return {
+    fromKey: days[0],
+    toKey: days[days.length - 1],
+    sections: SHARE_SECTIONS.filter((s) => list.includes(s)),
+    expiresAt: new Date(now.getTime() + d * 86400000),
+    note: n || null,
+  };
+}
+
+/** Link as shown to its owner, with the token to build the URL from. */
+export function publicLink(link, now = new Date()) {
+  return {
+    id: link._id,
+    token: linkToken(link),
+    fromKey: link.fromKey,
+    toKey: link.toKey,
+    sections: link.sections,
+    note: link.note || null,
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt || null,
+    views: link.views || 0,
+    lastViewedAt: link.lastViewedAt || null,
+    status: linkStatus(link, now),
+  };
+}
+
+export async function createShareLink(db, uid, input) {
+  requireSecret(); // fail before storing a link nobody could open
+  const doc = {
+    _id: "sl_" + crypto.randomBytes(9).toString("base64url"),
+    uid,
+    ...input,
+    createdAt: new Date(),
+    revokedAt: null,
+    views: 0,
+    lastViewedAt: null,
+  };
+  await col(db).insertOne(doc);
+  return doc;
+}
+
+export async function listShareLinks(db, uid) {
+  return col(db).find({ uid }).sort({ createdAt: -1 }).limit(100).toArray();
+}
+
+/** One of `uid`'s links with its latest views (newest first), or null. */
+export async function getShareLink(db, uid, id) {
+  const link = await col(db).findOne({ _id: String(id), uid });
+  if (!link) return null;
+  const views = await db.collection("share_link_views")
+    .find({ linkId: link._id }, { projection: { _id: 0, ts: 1, ip: 1, userAgent: 1 } })
+    .sort({ ts: -1 })
+    .limit(50)
+    .toArray();
+  return { link, views };
+}
+
+/** Revoke one of `uid`'s live links. Returns the updated link or null. */
+export async function revokeShareLink(db, uid, id) {
+  return col(db).findOneAndUpdate(
+    { _id: String(id), uid, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+}
+
+/**
+ * The live link a token opens, or null (malformed, bad signature, expired or revoked).
+ * The signature is checked against the stored expiry, so it can't be stretched client-side.
+ */
+export async function resolveShareToken(db, token, now = new Date()) {
+  const [id, sig] = String(token || "").split(".", 2);
+  if (!id || !sig) return null;
+  const link = await col(db).findOne({ _id: id });
+  if (!link || linkStatus(link, now) !== "active") return null;
+  const expected = Buffer.from(sign(link._id, link.expiresAt));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return link;
+}
+
+/** Count a view and log who opened it (best-effort; never throws). */
+export async function recordShareView(db, link, req) {
+  try {
+    const now = new Date();
+    await db.collection("share_link_views").insertOne({ linkId: link._id, uid: link.uid, ts: now, ...requestOrigin(req) });
+    await col(db).updateOne({ _id: link._id }, { $inc: { views: 1 }, $set: { lastViewedAt: now } });
+  } catch { /* ignore */ }
+}
+
+// Section → aggregate series it needs (gait reads hourly rows, as WalkingGaitHeatmap buckets by hour)
+function seriesFor(sections, zones) {
+  const series = {};
+  if (sections.includes("steps")) series.steps = { type: "steps", bucket: "day", ops: ["sum"] };
+  if (sections.includes("heartZones")) {
+    series.heart = { type: "heart_rate", bucket: "day", ops: ["avg", "min", "max"] };
+    series.heartZones = { type: "heart_rate", bucket: "day", ops: ["count"], bands: heartZoneBands(zones) };
+  }
+  if (sections.includes("gait")) {
+    series.gaitSteps = { type: "steps", bucket: "hour", ops: ["sum"] };
+    for (const m of metricsInGroup("gait")) series[m.type] = { type: m.type, bucket: "hour", ops: ["avg"] };
+  }
+  return series;
+}
+
+/**
+ * Everything the public report page draws for `link`: rollups for steps, heart rate and gait
+ * (gait rows as { ts, value } like raw samples), readings per heart zone and the sleep segments
+ * the hypnograms need ({ ts, value, payload: { stage } }). Only the owner's first name is
+ * included — no email or uid. Zone edges come from max HR (220 − age), so only counts per named
+ * zone go out, never a BPM edge or a per-zone average that would bound one.
+ */
+export async function buildShareReport(db, link) {
+  const tz = await getUserTimezone(db, link.uid);
+  const owner = await db.collection("users").findOne(
+    { _id: link.uid },
+    { projection: { firstName: 1, displayName: 1, dob: 1 } }
+  );
+  const from = new Date(zonedDayStartISO(link.fromKey, tz));
+  const to = new Date(zonedDayEndISO(link.toKey, tz));
+  const zones = heartZoneThresholds(maxHeartRate(owner?.dob));
+
+  const specs = seriesFor(link.sections, zones);
+  const series = Object.keys(specs).length
+    ? await runAggregate(db, { uid: link.uid, from, to, tz, series: normaliseSeriesSpecs(specs) })
+    : {};
+
+  const data = {};
+  if (series.steps) data.steps = series.steps;
+  if (series.heart) {
+    data.heartZones = {
+      days: series.heart,
+      bands: series.heartZones.map((r) => ({ date: r.date, band: r.band, count: r.count })),
+    };
+  }
+  if (series.gaitSteps) {
+    const asSamples = (rows, op) => rows.map((r) => ({ ts: r.ts, value: r[op] }));
+    data.gait = Object.fromEntries(metricsInGroup("gait").map((m) => [m.type, asSamples(series[m.type], "avg")]));
+    data.gait.steps = asSamples(series.gaitSteps, "sum");
+  }
+  if (link.sections.includes("sleep")) {
+    // what the hypnogram needs: start, minutes and stage
+    data.sleep = (await db.collection("health_data")
+      .find(
+        { "meta.uid": link.uid, type: "sleep", ts: { $gte: from, $lte: to } },
+        { projection: { _id: 0, ts: 1, value: 1, "payload.stage": 1 } }
+      )
+      .sort({ ts: 1 })
+      .limit(MAX_SLEEP_ROWS)
+      .toArray())
+      .map((s) => ({ ts: s.ts, value: s.value, payload: { stage: s.payload?.stage ?? null } }));
+  }
+
+  return {
+    report: {
+      name: owner?.firstName || owner?.displayName?.split(" ")[0] || null,
+      fromKey: link.fromKey,
+      toKey: link.toKey,
+      tz,
+      sections: link.sections,
+      note: link.note || null,
+      expiresAt: link.expiresAt,
+    },
+    data,
+  };
+}
@@ -0,0 +1,149 @@
+// api/lib/shortcutPayload.js
+// Apple Shortcut payload → `cleaned` series → validated health_data docs.
+// Shared by the one-shot upload and chunked upload sessions (api/upload.js).
+
+import { fromZonedTime } from "date-fns-tz";
+import { parse } from "date-fns";
+import { buildDocs } from "./ingest.js";
+import { createReport, warn, reject, rejectOutOfRange } from "./validation.js";
+import { METRICS } from "../../src/utils/metrics.js";
+
+// ---------- parsing helpers ----------
+function cleanDateString(str = "") {
+  return String(str || "").replace(/\u202f/g, " ").replace(/\u00a0/g, " ");
+}
+function toLines(x) {
+  if (Array.isArray(x)) return x.map(String);
+  const s = String(x ?? "").trim();
+  return s ? s.split("\n") : [];
+}
+const DATE_FORMATS = ["d MMM yyyy',' h:mm a", "d MMM yyyy 'at' h:mm a"];
+// Shortcut dates carry no offset: interpret them as wall-clock time in the user's timezone
+function parseLocalIso(input, tz) {
+  const s = cleanDateString(input).trim();
+  if (!s) return null;
+  let parsed = null;
+  for (const fmt of DATE_FORMATS) {
+    const t = parse(s, fmt, new Date());
+    if (!isNaN(t.getTime())) { parsed = t; break; }
+  }
+  if (!parsed) {
+    const t2 = new Date(s);
+    if (!isNaN(t2.getTime())) parsed = t2;
+  }
+  if (!parsed) return null;
+  const utc = fromZonedTime(parsed, tz);
+  return isNaN(utc.getTime()) ? null : utc.toISOString();
+}
+// Timestamps → ISO; unparseable lines come back null and are recorded as rejected
+function parseTimestamps(key, lines, tz, report) {
+  return lines.map((raw, index) => {
+    const t = parseLocalIso(raw, tz);
+    if (!t) reject(report, { key, issue: "bad_timestamp", index, value: raw });
+    return t;
+  });
+}
+// Optional columns (sleep durations, workout extras) may be left out entirely
+function checkLengths(key, timestamps, column, values, report, { optional = false } = {}) {
+  if (timestamps.length === values.length || (optional && !values.length)) return;
+  warn(report, key, "length_mismatch",
+    `${timestamps.length} timestamps but ${values.length} ${column}; rows without a partner were dropped`);
+}
+// Optional "sources" / "devices" lists (one line per sample, like values) name where each sample
+// came from, e.g. "Sam's Apple Watch" / "Apple Watch". Returns i → { sourceName?, device? }.
+function sourceColumns(key, obj, tsLines, report) {
+  const sources = toLines(obj?.sources ?? "");
+  const devices = toLines(obj?.devices ?? "");
+  checkLengths(key, tsLines, "sources", sources, report, { optional: true });
+  checkLengths(key, tsLines, "devices", devices, report, { optional: true });
+  return (i) => ({
+    ...(sources[i]?.trim() ? { sourceName: sources[i].trim() } : {}),
+    ...(devices[i]?.trim() ? { device: devices[i].trim() } : {}),
+  });
+}
+function parseEntriesPlus(key, timestampsIn, valuesIn, tz, report, sourceOf = () => ({})) {
+  const tsLines = toLines(timestampsIn);
+  const valLines = toLines(valuesIn);
+  checkLengths(key, tsLines, "values", valLines, report);
+  const timestamps = parseTimestamps(key, tsLines, tz, report);
+  const out = [];
+  timestamps.forEach((t, index) => {
+    if (!t || index >= valLines.length) return;
+    const raw = valLines[index].trim();
+    const value = raw === "" ? NaN : Number(raw);
+    if (!Number.isFinite(value)) return reject(report, { key, issue: "bad_value", index, value: valLines[index] });
+    out.push({ timestamp: t, value, ...sourceOf(index) });
+  });
+  return out;
+}
+function getSeries(raw, key, tz, report) {
+  const obj = raw?.[key] ?? {};
+  const ts = obj["timestamps "] ?? obj["timestamps"] ?? "";
+  const vals = obj.values ?? "";
+  return parseEntriesPlus(key, ts, vals, tz, report, sourceColumns(key, obj, toLines(ts), report));
+}
+function getSleepSeries(raw, tz, report) {
+  const obj = raw?.sleep ?? {};
+  const tsLines = toLines(obj["timestamps "] ?? obj["timestamps"] ?? "");
+  const valArr = toLines(obj.values ?? "");
+  const durArr = toLines(obj.duration ?? "");
+  checkLengths("sleep", tsLines, "values", valArr, report, { optional: true });
+  checkLengths("sleep", tsLines, "durations", durArr, report, { optional: true });
+  const sourceOf = sourceColumns("sleep", obj, tsLines, report);
+  return parseTimestamps("sleep", tsLines, tz, report)
+    .map((t, i) => (t ? { timestamp: t, value: valArr[i] ?? null, duration: durArr[i] ?? null, ...sourceOf(i) } : null))
+    .filter(Boolean);
+}
+// workouts: parallel newline lists like the other series, one line per session.
+// { "timestamps": start, end, type, duration, energy (kJ), distance (km), avgHR, maxHR, sources?, devices? }
+function getWorkoutSeries(raw, tz, report) {
+  const obj = raw?.workouts ?? {};
+  const col = (k) => toLines(obj[k] ?? "");
+  const tsLines = toLines(obj["timestamps "] ?? obj["timestamps"] ?? "");
+  const ends = col("end"), types = col("type"), durations = col("duration");
+  const energy = col("energy"), distance = col("distance"), avgHR = col("avgHR"), maxHR = col("maxHR");
+  for (const [column, values] of Object.entries({ end: ends, type: types, duration: durations })) {
+    checkLengths("workouts", tsLines, column, values, report, { optional: true });
+  }
+  const sourceOf = sourceColumns("workouts", obj, tsLines, report);
+  return parseTimestamps("workouts", tsLines, tz, report)
+    .map((t, i) => (t ? {
+      timestamp: t,
+      end: ends[i] ? parseLocalIso(ends[i], tz) : null,
+      activityType: types[i]?.trim() || "Other",
+      duration: durations[i] ?? null,
+      energy: energy[i] ?? null,
+      distance: distance[i] ?? null,
+      avgHR: avgHR[i] ?? null,
+      maxHR: maxHR[i] ?? null,
+      ...sourceOf(i),
+    } : null))
+    .filter(Boolean);
+}
+// Problems found on the way (bad dates, mismatched lists, non-numeric values) go into `report`
+export function parseHealthData(raw = {}, tz, report = createReport()) {
+  const cleaned = {
+    sleep: getSleepSeries(raw, tz, report),
+    workouts: getWorkoutSeries(raw, tz, report),
+  };
+  for (const m of METRICS) {
+    if (m.shape === "series") cleaned[m.key] = getSeries(raw, m.key, tz, report);
+  }
+  cleaned.date = parseLocalIso(String(raw?.date ?? ""), tz);
+  return cleaned;
+}
+
+/**
+ * Parse + validate one payload into docs ready for coalescing and the guarded insert.
+ * Returns { docs, report, ignoredKeys }.
+ */
+export function prepareShortcutDocs(body, uid, tz) {
+  const report = createReport();
+  const cleaned = parseHealthData(body, tz, report);
+  // Payload keys we don't know how to store — logged so new Shortcut fields don't vanish silently
+  const ignoredKeys = Object.keys(body || {}).filter((k) => !(k.trim() in cleaned));
+  for (const k of ignoredKeys) warn(report, k, "unknown_key", "Not a known metric; ignored");
+  // Fan-out, then drop implausible readings (heart rate 0, SpO2 300 …)
+  const docs = rejectOutOfRange(buildDocs(cleaned, uid), report);
+  return { docs, report, ignoredKeys };
+}
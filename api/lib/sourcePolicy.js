@@ -0,0 +1,103 @@
+// api/lib/sourcePolicy.js
+// Per-type source priority, so overlapping iPhone + Watch samples count once like in the Health app.
+// Stored as settings/_id "source_policy" and edited from the admin page (/api/admin/source-policy):
+//   { types: { steps: { priority: ["Watch", "iPhone"], bucketMinutes: 1 }, … }, updatedAt, updatedBy }
+// `priority` entries match case-insensitively anywhere in meta.sourceName / meta.device;
+// sources matching none of them rank last. Docs without a source (older payloads) are left alone.
+
+import { minuteBucketISO } from "./ingest.js";
+import { DEFAULT_TIMEZONE } from "./timezone.js";
+import { metricFor } from "../../src/utils/metrics.js";
+
+export const DEFAULT_SOURCE_POLICY = {
+  types: {
+    steps: { priority: ["Watch", "iPhone"], bucketMinutes: 1 },
+    active_energy: { priority: ["Watch", "iPhone"], bucketMinutes: 1 },
+  },
+};
+
+const POLICY_ID = "source_policy";
+
+/** Read the stored policy (best-effort; falls back to the default). */
+export async function getSourcePolicy(db) {
+  try {
+    const doc = await db.collection("settings").findOne({ _id: POLICY_ID });
+    return doc?.types ? { types: doc.types, updatedAt: doc.updatedAt ?? null, updatedBy: doc.updatedBy ?? null } : DEFAULT_SOURCE_POLICY;
+  } catch {
+    return DEFAULT_SOURCE_POLICY;
+  }
+}
+
+/** Validate an admin-supplied policy. Throws Error with a user-facing message. */
+export function normalisePolicy(input) {
+  const types = {};
+  for (const [type, rule] of Object.entries(input?.types || {})) {
+    if (!metricFor(type)) throw new Error(`Unknown type: ${type}`);
+    const priority = (Array.isArray(rule?.priority) ? rule.priority : String(rule?.priority || "").split(","))
+      .map((s) => String(s).trim()).filter(Boolean);
+    if (!priority.length) throw new Error(`${type}: priority needs at least one source`);
+    const bucketMinutes = Number(rule?.bucketMinutes ?? 1);
+    if (!Number.isInteger(bucketMinutes) || bucketMinutes < 1 || bucketMinutes > 60) {
+      throw new Error(`${type}: bucketMinutes must be 1–60`);
+    }
+    types[type] = { priority, bucketMinutes };
+  }
+  return { types };
+}
+
+export async function saveSourcePolicy(db, policy, updatedBy) {
+  const doc = { types: policy.types, updatedAt: new Date(), updatedBy: updatedBy || null };
+  await db.collection("settings").updateOne({ _id: POLICY_ID }, { $set: doc }, { upsert: true });
+  return doc;
+}
+
+export function sourceLabel(doc) {
+  return [doc?.meta?.sourceName, doc?.meta?.device].filter(Boolean).join(" / ") || null;
+}
+
+function rank(label, priority) {
+  const l = label.toLowerCase();
+  const i = priority.findIndex((p) => l.includes(p.toLowerCase()));
+  return i < 0 ? priority.length : i;
+}
+
+/**
+ * Keep only the highest-priority source in each (uid, type, bucket) for types the policy covers.
+ * Returns { docs, dropped, droppedByType }.
+ */
+export function applySourcePolicy(docs, policy, { tz = DEFAULT_TIMEZONE } = {}) {
+  const rules = policy?.types || {};
+  const winners = new Map(); // uid|type|bucket → { label, rank }
+  const bucketOf = (d, rule) => `${d.meta?.uid || ""}|${d.type}|${minuteBucketISO(d.ts, rule.bucketMinutes, tz)}`;
+
+  for (const d of docs) {
+    const rule = rules[d.type];
+    const label = sourceLabel(d);
+    if (!rule || !label) continue;
+    const key = bucketOf(d, rule);
+    const r = rank(label, rule.priority);
+    const best = winners.get(key);
+    // ties between unlisted sources go to the alphabetically first, so retries pick the same one
+    if (!best || r < best.rank || (r === best.rank && label < best.label)) winners.set(key, { label, rank: r });
+  }
+
+  const droppedByType = {};
+  const kept = docs.filter((d) => {
+    const rule = rules[d.type];
+    const label = sourceLabel(d);
+    if (!rule || !label) return true;
+    if (winners.get(bucketOf(d, rule)).label === label) return true;
+    droppedByType[d.type] = (droppedByType[d.type] || 0) + 1;
+    return false;
+  });
+  return { docs: kept, dropped: docs.length - kept.length, droppedByType };
+}
+
+/** The part of the policy recorded on ingest_logs rows. */
+export function policySummary(policy, droppedByType) {
+  return {
+    types: Object.fromEntries(Object.entries(policy?.types || {}).map(([t, r]) => [t, r.priority.join(" > ")])),
+    ...(policy?.updatedAt ? { updatedAt: policy.updatedAt } : {}),
+    droppedByType: droppedByType || {},
+  };
+}
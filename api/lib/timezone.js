@@ -0,0 +1,25 @@
+// api/lib/timezone.js
+// Per-user IANA timezone (users.timezone). Falls back to Brisbane, the original hard-coded zone.
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Australia/Brisbane";
+
+/** True if `tz` is an IANA zone this runtime's Intl knows about. */
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Read users.timezone for `uid` (best-effort; never throws). */
+export async function getUserTimezone(db, uid) {
+  try {
+    const u = await db.collection("users").findOne({ _id: uid }, { projection: { timezone: 1 } });
+    return isValidTimeZone(u?.timezone) ? u.timezone : DEFAULT_TIMEZONE;
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+}
@@ -0,0 +1,324 @@
+// api/lib/uploadSessions.js
+// Chunked upload sessions for syncs too big for one request (10 MB body, 500k docs, function timeout).
+//
+//   POST /api/upload/sessions                  { chunks? } → 201 { sessionId, status, expiresAt }
+//   PUT  /api/upload/sessions/:id/chunks/:n    one Shortcut payload (a slice of the series) → chunk result
+//   POST /api/upload/sessions/:id/commit       → session summary
+//   GET  /api/upload/sessions/:id              → session summary (poll while chunks are processed)
+// All four are rewritten to /api/upload?op=open|chunk|commit|status&session=&n= (see vercel.json).
+//
+// Most docs are inserted as each chunk arrives. Steps and types under a source policy are held in
+// upload_held and resolved across every chunk at commit, so an hour split over two chunks still
+// yields one bucket and a Watch/iPhone overlap is caught even when the sources arrive separately.
+//
+// upload_held: { sessionId, n, uid, day, docs: [≤ HELD_BATCH docs], createdAt }
+//   Grouped by local day: policy and coalescing buckets never cross a day, so commit resolves
+//   one day at a time and never holds the whole session in memory.
+//
+// Retries are safe: re-sending a processed chunk returns its stored result, and re-processing a
+// chunk that failed half-way is absorbed by ingest_guard.
+
+import crypto from "crypto";
+import { coalesceStepsByBucket, countByType, insertWithGuard, logIngest } from "./ingest.js";
+import { recordKeyUse } from "./keys.js";
+import { createReport, mergeReport, isEmptyReport } from "./validation.js";
+import { prepareShortcutDocs } from "./shortcutPayload.js";
+import { getSourcePolicy, applySourcePolicy, policySummary } from "./sourcePolicy.js";
+import { retainRawUpload } from "./rawUploads.js";
+import { autoCheckinAfterUpload } from "./checkins.js";
+import { notifyAfterUpload } from "./notifications.js";
+import { dayKey } from "../../src/utils/dates.js";
+
+const SESSION_TTL_DAYS = 7;
+const MAX_CHUNKS = 1000;
+const MAX_DOCS_PER_CHUNK = 500000;
+const HELD_BATCH = 2000;
+
+async function ensureIndexes(db) {
+  const ttl = 60 * 60 * 24 * SESSION_TTL_DAYS;
+  const sessions = db.collection("upload_sessions");
+  const chunks = db.collection("upload_chunks");
+  await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: ttl }).catch(() => {});
+  await sessions.createIndex({ uid: 1, createdAt: -1 }).catch(() => {});
+  await chunks.createIndex({ sessionId: 1, n: 1 }, { unique: true, name: "uniq_session_chunk" }).catch(() => {});
+  await chunks.createIndex({ createdAt: 1 }, { expireAfterSeconds: ttl }).catch(() => {});
+  const held = db.collection("upload_held");
+  await held.createIndex({ sessionId: 1, day: 1 }).catch(() => {});
+  await held.createIndex({ sessionId: 1, n: 1 }).catch(() => {});
+  await held.createIndex({ createdAt: 1 }, { expireAfterSeconds: ttl }).catch(() => {});
+}
+
+// Replace chunk `n`'s held docs (a retried chunk starts over), batched per local day.
+async function holdDocs(db, session, n, docs) {
+  const col = db.collection("upload_held");
+  await col.deleteMany({ sessionId: session._id, n });
+  const byDay = new Map();
+  for (const d of docs) {
+    const day = dayKey(d.ts, session.tz);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(d);
+  }
+  const rows = [];
+  const createdAt = new Date();
+  for (const [day, list] of byDay) {
+    for (let i = 0; i < list.length; i += HELD_BATCH) {
+      rows.push({ sessionId: session._id, n, uid: session.uid, day, docs: list.slice(i, i + HELD_BATCH), createdAt });
+    }
+  }
+  for (let i = 0; i < rows.length; i += 50) await col.insertMany(rows.slice(i, i + 50), { ordered: false });
+}
+
+function addCounts(into, from) {
+  for (const [k, n] of Object.entries(from || {})) into[k] = (into[k] || 0) + n;
+  return into;
+}
+
+async function loadSession(db, uid, id) {
+  if (!id) return null;
+  return db.collection("upload_sessions").findOne({ _id: String(id), uid });
+}
+
+function chunkResult(c) {
+  return {
+    n: c.n, status: c.status,
+    attempted: c.attempted ?? 0, inserted: c.inserted ?? 0,
+    byType: c.byType || {}, insertedByType: c.insertedByType || {},
+    held: c.held ?? 0,
+    rejectedCount: c.validation?.rejectedCount ?? 0,
+    warnings: c.validation?.warnings ?? [],
+    ...(c.error ? { error: c.error } : {}),
+  };
+}
+
+// Session + per-chunk progress. Totals are summed from chunk rows so a retried chunk never counts twice.
+async function summarise(db, session) {
+  const chunks = await db.collection("upload_chunks")
+    .find({ sessionId: session._id })
+    .sort({ n: 1 })
+    .toArray();
+  const byType = {}, insertedByType = {};
+  let attempted = 0, inserted = 0;
+  for (const c of chunks) {
+    attempted += c.attempted || 0;
+    inserted += c.inserted || 0;
+    addCounts(byType, c.byType);
+    addCounts(insertedByType, c.insertedByType);
+  }
+  if (session.held) {
+    attempted += session.held.attempted;
+    inserted += session.held.inserted;
+    addCounts(byType, session.held.byType);
+    addCounts(insertedByType, session.held.insertedByType);
+  }
+  const received = new Set(chunks.map((c) => c.n));
+  const missing = session.expectedChunks
+    ? Array.from({ length: session.expectedChunks }, (_, i) => i).filter((i) => !received.has(i))
+    : [];
+  return {
+    sessionId: session._id,
+    status: session.status,
+    createdAt: session.createdAt,
+    committedAt: session.committedAt ?? null,
+    expiresAt: new Date(new Date(session.createdAt).getTime() + SESSION_TTL_DAYS * 86400000),
+    expectedChunks: session.expectedChunks ?? null,
+    chunksReceived: chunks.length,
+    chunksDone: chunks.filter((c) => c.status === "done").length,
+    missingChunks: missing,
+    attempted, inserted, byType, insertedByType,
+    rejectedCount: chunks.reduce((s, c) => s + (c.validation?.rejectedCount || 0), 0),
+    chunks: chunks.map(chunkResult),
+    ...(session.error ? { error: session.error } : {}),
+  };
+}
+
+/** POST — open a session. Body { chunks? } fixes the expected chunk count (0…chunks-1). */
+export async function openSession(req, res, { db, uid, tz }) {
+  await ensureIndexes(db);
+  const expected = req.body?.chunks != null ? Number(req.body.chunks) : null;
+  if (expected != null && !(Number.isInteger(expected) && expected > 0 && expected <= MAX_CHUNKS)) {
+    return res.status(400).json({ error: `chunks must be an integer 1–${MAX_CHUNKS}` });
+  }
+  const now = new Date();
+  const session = {
+    _id: "us_" + crypto.randomBytes(12).toString("hex"),
+    uid, tz, status: "open",
+    expectedChunks: expected,
+    createdAt: now, updatedAt: now,
+  };
+  await db.collection("upload_sessions").insertOne(session);
+  return res.status(201).json({
+    sessionId: session._id,
+    status: session.status,
+    expectedChunks: expected,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_DAYS * 86400000),
+  });
+}
+
+/** PUT — receive and process chunk `n`. */
+export async function putChunk(req, res, { db, uid }) {
+  const session = await loadSession(db, uid, req.query.session);
+  if (!session) return res.status(404).json({ error: "Upload session not found" });
+  if (session.status !== "open") return res.status(409).json({ error: `Session is ${session.status}` });
+
+  const n = Number(req.query.n);
+  const maxN = session.expectedChunks ?? MAX_CHUNKS;
+  if (!Number.isInteger(n) || n < 0 || n >= maxN) return res.status(400).json({ error: `Chunk number must be 0–${maxN - 1}` });
+
+  const chunks = db.collection("upload_chunks");
+  const hash = crypto.createHash("sha256").update(JSON.stringify(req.body ?? {})).digest("hex");
+  const existing = await chunks.findOne({ sessionId: session._id, n });
+  if (existing && existing.hash !== hash) {
+    return res.status(409).json({ error: `Chunk ${n} was already received with different content` });
+  }
+  if (existing?.status === "done") return res.status(200).json({ ...chunkResult(existing), replayed: true });
+  if (existing?.status === "processing" && Date.now() - new Date(existing.updatedAt).getTime() < 5 * 60000) {
+    return res.status(409).json({ error: `Chunk ${n} is still processing` });
+  }
+
+  const now = new Date();
+  try {
+    await chunks.updateOne(
+      { sessionId: session._id, n },
+      { $setOnInsert: { uid, hash, createdAt: now }, $set: { status: "processing", updatedAt: now }, $unset: { error: "" } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e?.code === 11000) return res.status(409).json({ error: `Chunk ${n} is still processing` });
+    throw e;
+  }
+
+  try {
+    const { docs, report, ignoredKeys } = prepareShortcutDocs(req.body, uid, session.tz);
+    if (docs.length > MAX_DOCS_PER_CHUNK) {
+      const error = `Chunk too large (${docs.length}). Split it further.`;
+      await chunks.updateOne({ sessionId: session._id, n }, { $set: { status: "failed", error, updatedAt: new Date() } });
+      return res.status(413).json({ ok: false, n, error });
+    }
+    await retainRawUpload(db, { uid, tz: session.tz, body: req.body, docs, sessionId: session._id, n });
+
+    // steps and source-policy types wait for commit (overlap can span chunks); the rest goes in now
+    const policy = await getSourcePolicy(db);
+    const isHeld = (d) => d.type === "steps" || Boolean(policy.types?.[d.type]);
+    const held = docs.filter(isHeld);
+    const others = docs.filter((d) => !isHeld(d));
+    await holdDocs(db, session, n, held);
+    const { inserted, insertedByType } = others.length
+      ? await insertWithGuard(db, others)
+      : { inserted: 0, insertedByType: {} };
+
+    const done = {
+      status: "done",
+      attempted: others.length, inserted,
+      byType: countByType(others), insertedByType,
+      held: held.length,
+      days: inserted ? [...new Set(others.map((d) => dayKey(d.ts, session.tz)))] : [], // re-checked for check-ins at commit
+      ignoredKeys,
+      validation: isEmptyReport(report) ? null : report,
+      updatedAt: new Date(),
+    };
+    await chunks.updateOne({ sessionId: session._id, n }, { $set: done });
+    await db.collection("upload_sessions").updateOne({ _id: session._id }, { $set: { updatedAt: new Date() } });
+    return res.status(200).json({ ok: true, ...chunkResult({ n, ...done }) });
+  } catch (e) {
+    await chunks.updateOne(
+      { sessionId: session._id, n },
+      { $set: { status: "failed", error: e?.message || String(e), updatedAt: new Date() } }
+    ).catch(() => {});
+    throw e;
+  }
+}
+
+/** POST — insert the held docs, write one ingest_logs row and close the session. Safe to retry. */
+export async function commitSession(req, res, { db, uid, keyId = null }) {
+  const t0 = Date.now();
+  const session = await loadSession(db, uid, req.query.session);
+  if (!session) return res.status(404).json({ error: "Upload session not found" });
+  if (session.status === "committed") return res.status(200).json(await summarise(db, session));
+
+  const chunks = db.collection("upload_chunks");
+  const pending = await chunks.find(
+    { sessionId: session._id, status: { $ne: "done" } },
+    { projection: { n: 1, status: 1 } }
+  ).toArray();
+  if (pending.length) {
+    return res.status(409).json({
+      error: `Chunks not processed: ${pending.map((c) => `${c.n} (${c.status})`).join(", ")}; retry them before committing`,
+    });
+  }
+  const before = await summarise(db, session);
+  if (before.missingChunks.length) {
+    return res.status(400).json({ error: `Missing chunks: ${before.missingChunks.join(", ")}` });
+  }
+
+  await db.collection("upload_sessions").updateOne(
+    { _id: session._id },
+    { $set: { status: "committing", updatedAt: new Date() }, $unset: { error: "" } }
+  );
+
+  try {
+    const report = createReport();
+    const ignoredKeys = new Set();
+    const days = new Set();
+    for await (const c of chunks.find({ sessionId: session._id }, { projection: { days: 1, validation: 1, ignoredKeys: 1 } })) {
+      for (const d of c.days || []) days.add(d);
+      mergeReport(report, c.validation);
+      for (const k of c.ignoredKeys || []) ignoredKeys.add(k);
+    }
+
+    // source policy + step coalescing across every chunk, one local day at a time
+    const policy = await getSourcePolicy(db);
+    const heldCol = db.collection("upload_held");
+    const held = { attempted: 0, inserted: 0, byType: {}, insertedByType: {} };
+    const droppedByType = {};
+    for (const day of (await heldCol.distinct("day", { sessionId: session._id })).sort()) {
+      const docs = [];
+      for await (const row of heldCol.find({ sessionId: session._id, day }, { projection: { docs: 1 } })) {
+        for (const d of row.docs) docs.push({ ...d, ts: new Date(d.ts) });
+      }
+      const resolved = applySourcePolicy(docs, policy, { tz: session.tz });
+      addCounts(droppedByType, resolved.droppedByType);
+      const out = coalesceStepsByBucket(resolved.docs, { tz: session.tz, policy });
+      if (!out.length) continue;
+      const r = await insertWithGuard(db, out);
+      held.attempted += out.length;
+      held.inserted += r.inserted;
+      addCounts(held.byType, countByType(out));
+      addCounts(held.insertedByType, r.insertedByType);
+      if (r.inserted) days.add(day);
+    }
+
+    const committed = { status: "committed", held, committedAt: new Date(), updatedAt: new Date() };
+    await db.collection("upload_sessions").updateOne({ _id: session._id }, { $set: committed });
+    await heldCol.deleteMany({ sessionId: session._id }).catch(() => {});
+    const result = await summarise(db, { ...session, ...committed });
+    if (result.inserted) {
+      await autoCheckinAfterUpload(db, uid, { days: [...days] }, session.tz);
+      await notifyAfterUpload(db, uid, { days: [...days] }, session.tz);
+    }
+
+    await logIngest({
+      uid, ok: true, status: result.attempted ? 200 : 204, error: null,
+      attempted: result.attempted, inserted: result.inserted,
+      byType: result.byType, insertedByType: result.insertedByType,
+      durationMs: Date.now() - t0, ignoredKeys: [...ignoredKeys],
+      validation: isEmptyReport(report) ? null : report,
+      sourcePolicy: policySummary(policy, droppedByType),
+    });
+    if (keyId) recordKeyUse(uid, keyId, { req, inserted: result.inserted });
+    return res.status(200).json(result);
+  } catch (e) {
+    // back to open so the commit can simply be retried
+    await db.collection("upload_sessions").updateOne(
+      { _id: session._id },
+      { $set: { status: "open", error: e?.message || String(e), updatedAt: new Date() } }
+    ).catch(() => {});
+    throw e;
+  }
+}
+
+/** GET — progress and totals. */
+export async function sessionStatus(req, res, { db, uid }) {
+  const session = await loadSession(db, uid, req.query.session);
+  if (!session) return res.status(404).json({ error: "Upload session not found" });
+  return res.status(200).json(await summarise(db, session));
+}
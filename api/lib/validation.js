@@ -0,0 +1,67 @@
+// api/lib/validation.js
+// Ingest validation report: what was wrong with a payload, per field, so a misconfigured
+// Shortcut shows up in the upload response and ingest_logs instead of vanishing silently.
+//
+// Report shape (stored as ingest_logs.validation):
+//   { warnings: [{ key, issue, message }],
+//     rejected: [{ key, issue, index?, ts?, value }],   // first MAX_REJECTED rows only
+//     rejectedCount, rejectedByKey: { key: { issue: n } } }
+// Issues: length_mismatch, unknown_key (warnings); bad_timestamp, bad_value, out_of_range (rejected).
+
+import { metricFor } from "../../src/utils/metrics.js";
+
+const MAX_REJECTED = 100;
+
+export function createReport() {
+  return { warnings: [], rejected: [], rejectedCount: 0, rejectedByKey: {} };
+}
+
+export function warn(report, key, issue, message) {
+  report.warnings.push({ key, issue, message });
+}
+
+export function reject(report, { key, issue, index, ts, value }) {
+  report.rejectedCount++;
+  const byKey = (report.rejectedByKey[key] ||= {});
+  byKey[issue] = (byKey[issue] || 0) + 1;
+  if (report.rejected.length < MAX_REJECTED) {
+    report.rejected.push({
+      key, issue,
+      ...(index != null ? { index } : {}),
+      ...(ts ? { ts: new Date(ts).toISOString() } : {}),
+      value: value === undefined ? null : value,
+    });
+  }
+}
+
+export function isEmptyReport(report) {
+  return !report.warnings.length && !report.rejectedCount;
+}
+
+/**
+ * Drop docs whose value is outside the metric's registry `limits` (e.g. heart rate 0 or 400),
+ * recording each one in the report. Checked after unit conversion, so limits are in stored units.
+ */
+export function rejectOutOfRange(docs, report) {
+  return docs.filter((d) => {
+    const m = metricFor(d.type);
+    const v = d.value;
+    if (!m?.limits || v == null) return true;
+    if (v >= m.limits.min && v <= m.limits.max) return true;
+    reject(report, { key: m.key, issue: "out_of_range", ts: d.ts, value: v });
+    return false;
+  });
+}
+
+/** Fold `from` into `into`, e.g. the per-chunk reports of an upload session. */
+export function mergeReport(into, from) {
+  if (!from) return into;
+  into.warnings.push(...(from.warnings || []).slice(0, MAX_REJECTED - into.warnings.length));
+  into.rejected.push(...(from.rejected || []).slice(0, MAX_REJECTED - into.rejected.length));
+  into.rejectedCount += from.rejectedCount || 0;
+  for (const [key, issues] of Object.entries(from.rejectedByKey || {})) {
+    const byKey = (into.rejectedByKey[key] ||= {});
+    for (const [issue, n] of Object.entries(issues)) byKey[issue] = (byKey[issue] || 0) + n;
+  }
+  return into;
+}
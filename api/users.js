@@ -11,12 +11,31 @@
  *      • /api/users?limit=50     → list recent users (auth required)
  *  - POST   /api/users           → upsert current user (uid from verified token)
  *  - PATCH  /api/users?id=<uid>  → update current user (must match token uid)
- *  - DELETE /api/users?id=<uid>  → delete current user (must match token uid)
+ *  - DELETE /api/users?id=<uid>  → delete current user (must match token uid); data is purged per the retention policy
+ *  - POST   /api/users/me/archive          → start (or continue) building a zip of everything stored about me → job
+ *  - GET    /api/users/me/archive          → my latest archive job (null if none / expired)
+ *  - GET    /api/users/me/archive/download → the zip, once the job is "ready"
+ *  - GET    /api/users/me/consents         → coaches I've shared data with (all grants, newest first)
+ *  - POST   /api/users/me/consents         → share { email, metrics, days, note? } with a coach
+ *  - DELETE /api/users/me/consents/<id>    → revoke (the coach may also drop a client this way)
+ *  - GET    /api/users/me/clients          → coach roster: users with a live consent to me
+ *  - GET    /api/users/me/shares           → my read-only report links (with view counts)
+ *  - POST   /api/users/me/shares           → new link { from, to, sections, expiresInDays?, note? }
+ *  - GET    /api/users/me/shares/<id>      → one link and its latest views
+ *  - DELETE /api/users/me/shares/<id>      → revoke a link
+ *  - GET    /api/users/me/notifications              → { items, unread } latest first (?limit=)
+ *  - PATCH  /api/users/me/notifications              → mark read { ids? } (all unread when omitted)
+ *  - GET    /api/users/me/notifications/settings     → { prefs, rules, channels, vapidPublicKey, pushDevices }
+ *  - PUT    /api/users/me/notifications/settings     → save prefs (any subset) → same as GET
+ *  - POST   /api/users/me/notifications/push         → store this browser's { subscription }
+ *  - DELETE /api/users/me/notifications/push         → forget { endpoint? } (every browser when omitted)
+ *  - POST   /api/users/me/notifications/test         → send a test through the channels turned on
  *
  * Security:
  *  - We VERIFY Firebase ID tokens on all routes here.
  *  - We IGNORE any `uid` from the request body; we trust only the token’s uid.
- *  - Add role checks later (custom claims) if you need admin capabilities.
+ *  - `role` is never taken from the client: new users get "user", and only staff with the
+ *    "users:roles" permission change it (POST /api/admin/roles, src/utils/roles.js).
  */
 /**
  * USERS API (MongoDB + Firebase token, with dev-friendly public GET)
@@ -30,6 +49,23 @@
 
 import clientPromise from "./lib/mongodb.js";
 import { verifyIdTokenFromHeader } from "./lib/firebaseAdmin.js";
+import { isValidTimeZone } from "./lib/timezone.js";
+import { setRawRetention } from "./lib/rawUploads.js";
+import { buildArchive, latestArchive, streamArchive } from "./lib/dataArchive.js";
+import {
+  normaliseConsentInput, grantConsent, revokeConsent, listGranted, listRoster, publicConsent,
+} from "./lib/consents.js";
+import {
+  normaliseShareInput, createShareLink, listShareLinks, getShareLink, revokeShareLink, publicLink,
+} from "./lib/shareLinks.js";
+import {
+  RULES, getPrefs, savePrefs, normalisePrefs, listNotifications, markRead, notify, publicNotification,
+} from "./lib/notifications.js";
+import {
+  channelStatus, vapidPublicKey, savePushSubscription, removePushSubscription, countPushSubscriptions,
+} from "./lib/notificationChannels.js";
+import { retireAccount } from "./lib/retention.js";
+import { DEFAULT_ROLE } from "../src/utils/roles.js";
 
 // Read once at module load. Set in Vercel → Environment Variables.
 const PUBLIC_USERS_GET = process.env.PUBLIC_USERS_GET === "true";
@@ -41,6 +77,178 @@ function parseLimit(value, fallback = 50, max = 200) {
   return Math.min(Math.floor(n), max);
 }
 
+/**
+ * "Download my data" (see lib/dataArchive.js). Always the caller's own data, so it needs a token
+ * even when PUBLIC_USERS_GET is on.
+ */
+async function handleArchive(req, res, db, decoded) {
+  if (!decoded?.uid) return res.status(401).json({ error: "Unauthorised" });
+  const uid = decoded.uid;
+
+  if (req.method === "POST") {
+    // one step per call; the client calls again while the job is "building"
+    const job = await buildArchive(db, uid);
+    return res.status(job.status === "failed" ? 500 : job.status === "ready" ? 201 : 202).json(job);
+  }
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET,POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const job = await latestArchive(db, uid);
+  if (!req.query.download) return res.status(200).json(job);
+  if (job?.status !== "ready") return res.status(404).json({ error: "No archive ready — build one first" });
+  await streamArchive(res, db, job);
+}
+
+/**
+ * Sharing with a coach (see lib/consents.js). `op=consents` is the owner's side, `op=clients` the
+ * coach's roster. Token required, like the archive.
+ */
+async function handleConsents(req, res, db, decoded) {
+  if (!decoded?.uid) return res.status(401).json({ error: "Unauthorised" });
+  const uid = decoded.uid;
+
+  if (req.query.op === "clients") {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    return res.status(200).json({ items: await listRoster(db, uid) });
+  }
+
+  if (req.method === "GET") {
+    const now = new Date();
+    return res.status(200).json({ items: (await listGranted(db, uid)).map((c) => publicConsent(c, now)) });
+  }
+  if (req.method === "POST") {
+    let input;
+    try {
+      input = normaliseConsentInput(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      return res.status(201).json(publicConsent(await grantConsent(db, uid, input)));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
+  if (req.method === "DELETE") {
+    if (!req.query.consent) return res.status(400).json({ error: "consent id required" });
+    const doc = await revokeConsent(db, req.query.consent, uid);
+    if (!doc) return res.status(404).json({ error: "No active consent with that id" });
+    return res.status(200).json(publicConsent(doc));
+  }
+  res.setHeader("Allow", "GET,POST,DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+/** Read-only report links (see lib/shareLinks.js). Token required. */
+async function handleShares(req, res, db, decoded) {
+  if (!decoded?.uid) return res.status(401).json({ error: "Unauthorised" });
+  const uid = decoded.uid;
+  const id = req.query.share;
+
+  if (req.method === "GET" && id) {
+    const found = await getShareLink(db, uid, id);
+    if (!found) return res.status(404).json({ error: "Link not found" });
+    return res.status(200).json({ ...publicLink(found.link), recentViews: found.views });
+  }
+  if (req.method === "GET") {
+    const now = new Date();
+    return res.status(200).json({ items: (await listShareLinks(db, uid)).map((l) => publicLink(l, now)) });
+  }
+  if (req.method === "POST") {
+    let input;
+    try {
+      input = normaliseShareInput(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    return res.status(201).json(publicLink(await createShareLink(db, uid, input)));
+  }
+  if (req.method === "DELETE") {
+    if (!id) return res.status(400).json({ error: "share id required" });
+    const link = await revokeShareLink(db, uid, id);
+    if (!link) return res.status(404).json({ error: "No active link with that id" });
+    return res.status(200).json(publicLink(link));
+  }
+  res.setHeader("Allow", "GET,POST,DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+/** Notification centre, preferences, push subscriptions (see lib/notifications.js). Token required. */
+async function handleNotifications(req, res, db, decoded) {
+  if (!decoded?.uid) return res.status(401).json({ error: "Unauthorised" });
+  const uid = decoded.uid;
+  const sub = req.query.sub || "";
+
+  const settings = async (prefs) => ({
+    prefs: prefs || await getPrefs(db, uid),
+    rules: Object.fromEntries(Object.entries(RULES).map(([name, r]) => [name, r.label])),
+    channels: channelStatus(),
+    vapidPublicKey: vapidPublicKey(),
+    pushDevices: await countPushSubscriptions(db, uid),
+  });
+
+  if (sub === "settings") {
+    if (req.method === "GET") return res.status(200).json(await settings());
+    if (req.method === "PUT") {
+      let prefs;
+      try {
+        prefs = normalisePrefs(req.body || {}, await getPrefs(db, uid));
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(200).json(await settings(await savePrefs(db, uid, prefs)));
+    }
+    res.setHeader("Allow", "GET,PUT");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (sub === "push") {
+    if (req.method === "POST") {
+      try {
+        await savePushSubscription(db, uid, req.body?.subscription, req.headers["user-agent"] || null);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      return res.status(200).json({ ok: true, pushDevices: await countPushSubscriptions(db, uid) });
+    }
+    if (req.method === "DELETE") {
+      const removed = await removePushSubscription(db, uid, req.body?.endpoint || req.query.endpoint || null);
+      return res.status(200).json({ ok: true, removed, pushDevices: await countPushSubscriptions(db, uid) });
+    }
+    res.setHeader("Allow", "POST,DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  if (sub === "test") {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    const doc = await notify(db, uid, {
+      kind: "test",
+      title: "Test notification",
+      body: "Notifications are working. You'll get reminders and alerts here and on the channels you turned on.",
+      link: "/settings",
+      key: `test:${Date.now()}`,
+    }, { force: true });
+    if (!doc) return res.status(404).json({ error: "User not found" });
+    return res.status(200).json(publicNotification(doc));
+  }
+  if (sub) return res.status(404).json({ error: `Unknown notifications route: ${sub}` });
+
+  if (req.method === "GET") return res.status(200).json(await listNotifications(db, uid, { limit: req.query.limit }));
+  if (req.method === "PATCH") {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    const updated = await markRead(db, uid, ids);
+    return res.status(200).json({ ok: true, updated });
+  }
+  res.setHeader("Allow", "GET,PATCH");
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
 /** Pick only allowed keys from an object. */
 function pick(obj, allowed) {
   const out = {};
@@ -72,6 +280,11 @@ export default async function handler(req, res) {
   }
 
   try {
+    if (req.query.op === "archive") return await handleArchive(req, res, db, decoded);
+    if (req.query.op === "consents" || req.query.op === "clients") return await handleConsents(req, res, db, decoded);
+    if (req.query.op === "shares") return await handleShares(req, res, db, decoded);
+    if (req.query.op === "notifications") return await handleNotifications(req, res, db, decoded);
+
     switch (req.method) {
       /**
        * READ (GET)
@@ -122,13 +335,12 @@ export default async function handler(req, res) {
       /**
        * CREATE/UPSERT (POST)
        * --------------------
-       * Body: { email: string, role?: "user"|"admin", displayName?: string, photoURL?: string }
-       * Uses uid from verified token; ignores any uid in body.
+       * Body: { email: string, displayName?: string, photoURL?: string, timezone?: IANA zone }
+       * Uses uid from verified token; ignores any uid or role in body.
        */
       case "POST": {
       const {
         email,
-        role = "user",
         displayName = null,
         photoURL = null,
         // extra fields from signup / first-time profile
@@ -139,9 +351,13 @@ export default async function handler(req, res) {
         gender = null,
         phone = null,
         notes = null,
+        timezone = null,
       } = req.body || {};
 
       if (!email) return res.status(400).json({ error: "email required" });
+      if (timezone != null && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: "Invalid timezone" });
+      }
 
       const now = new Date();
       const uid = decoded.uid;
@@ -149,10 +365,9 @@ export default async function handler(req, res) {
 
       const filter = { _id: uid };
       const update = {
-        $setOnInsert: { _id: uid, createdAt: now },
+        $setOnInsert: { _id: uid, createdAt: now, role: DEFAULT_ROLE },
         $set: {
           email: normEmail,
-          role,
           displayName,
           photoURL,
           firstName,
@@ -162,6 +377,8 @@ export default async function handler(req, res) {
           gender,
           phone,
           notes,
+          // only overwrite when supplied (signup sends the browser's zone)
+          ...(timezone ? { timezone } : {}),
           updatedAt: now,
         },
       };
@@ -176,31 +393,44 @@ export default async function handler(req, res) {
        * UPDATE (PATCH)
        * --------------
        * Query:  ?id=<uid>  (must match token uid unless you add admin logic)
-       * Body:   { email?, role?, displayName?, photoURL? }
+       * Body:   { email?, displayName?, photoURL?, timezone?, retainRawUploads? }  (role → 403)
+       *         retainRawUploads: keep raw Shortcut payloads for reprocessing (false deletes them)
        */
       case "PATCH": {
         const { id } = req.query;
         if (!id) return res.status(400).json({ error: "id (uid) required" });
         if (decoded.uid !== String(id)) return res.status(403).json({ error: "Forbidden" });
 
+        if (req.body && "role" in req.body) {
+          return res.status(403).json({ error: "Roles are managed by admins" });
+        }
+
         const allowed = [
-          "email", "role", "displayName", "photoURL",
-          "firstName", "lastName", "address", "dob", "gender", "phone", "notes"
+          "email", "displayName", "photoURL",
+          "firstName", "lastName", "address", "dob", "gender", "phone", "notes", "timezone"
         ];
         const updateInput = pick(req.body || {}, allowed);
-        if (!Object.keys(updateInput).length) {
+        const retainRaw = req.body?.retainRawUploads;
+        if (retainRaw !== undefined && typeof retainRaw !== "boolean") {
+          return res.status(400).json({ error: "retainRawUploads must be true or false" });
+        }
+        if (!Object.keys(updateInput).length && retainRaw === undefined) {
           return res.status(400).json({ error: "Nothing to update" });
         }
         if (updateInput.email) {
           updateInput.email = String(updateInput.email).toLowerCase().trim();
         }
+        if ("timezone" in updateInput && !isValidTimeZone(updateInput.timezone)) {
+          return res.status(400).json({ error: "Invalid timezone" });
+        }
 
         const now = new Date();
         await usersCol.updateOne(
           { _id: String(id) },
-          { $setOnInsert: { _id: String(id), createdAt: now }, $set: { ...updateInput, updatedAt: now } },
+          { $setOnInsert: { _id: String(id), createdAt: now, role: DEFAULT_ROLE }, $set: { ...updateInput, updatedAt: now } },
           { upsert: true }
         );
+        if (retainRaw !== undefined) await setRawRetention(db, String(id), retainRaw);
 
         // Always fetch the canonical doc to return JSON
         const doc = await usersCol.findOne({ _id: String(id) });
@@ -219,8 +449,9 @@ export default async function handler(req, res) {
         if (!id) return res.status(400).json({ error: "id (uid) required" });
         if (decoded.uid !== String(id)) return res.status(403).json({ error: "Forbidden" });
 
-        const result = await usersCol.deleteOne({ _id: String(id) });
-        return res.status(200).json({ ok: result.deletedCount === 1 });
+        // tombstone + purge now or on the retention schedule, as for an approved deletion request
+        const tombstone = await retireAccount(db, String(id), { via: "self", deletedBy: decoded.uid });
+        return res.status(200).json({ ok: tombstone.userDeleted, purge: tombstone });
       }
 
       default: {
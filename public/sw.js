@@ -0,0 +1,28 @@
+// public/sw.js
+// Service worker for Web Push (api/lib/notificationChannels.js sends { title, body, url }).
+// Registered from Settings when the user turns browser push on.
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try { data = event.data ? event.data.json() : {}; } catch { data = { title: "Health update", body: event.data?.text() }; }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Health update", {
+      body: data.body || "",
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || "/";
+  event.waitUntil((async () => {
+    const open = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const same = open.find((c) => new URL(c.url).origin === self.location.origin);
+    if (same) {
+      await same.focus();
+      return same.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -13,6 +13,8 @@ import React, { useState, useEffect } from 'react';
  * @param {number} props.totalEnergy - Total daily energy expenditure (active + resting) in kJ
  * @param {number} props.totalEnergyGoal - Total energy goal (kJ)
  * @param {number} props.size - Size of the rings in pixels (default: 150)
+ * @param {Array} props.rings - Optional rings to draw instead of stand / HRV / energy, outermost first:
+ *   [{ key, label, percent (0-100+), color, value, unit }] — e.g. the user's own goals
  */
 const ActivityRings = ({ 
   standMinutes = 0, 
@@ -22,7 +24,8 @@ const ActivityRings = ({
   hrvRange = [40, 60], // Default HRV range for 65+ year older adult
   totalEnergy = 0, 
   totalEnergyGoal = 7500, // Default goal: 7500 kJ for sedentary older adult (equivalent to approx 1800 calories)
-  size = 150 
+  size = 150,
+  rings: customRings = null
 }) => {
   // standMinutes actually represents stand hours (number of hourly intervals with standing)
   const standHours = standMinutes;
@@ -43,10 +46,11 @@ const ActivityRings = ({
     }, 200); // Increased delay for better visual effect
 
     return () => clearTimeout(timer);
-  }, [standHours, hrvPercent, totalEnergy]); // Re-animate when any value changes
+  }, [standHours, hrvPercent, totalEnergy, customRings?.map((r) => r.percent).join()]); // Re-animate when any value changes
 
-  // Ring configuration
-  const strokeWidth = size * 0.08; // 8% of size
+  // Ring configuration (more than three custom rings get thinner to fit)
+  const ringCount = customRings ? customRings.length : 3;
+  const strokeWidth = size * Math.min(0.08, 0.2 / Math.max(ringCount, 1));
   const radius = (size - strokeWidth) / 2;
   const circumference = 2 * Math.PI * radius;
   
@@ -63,7 +67,7 @@ const ActivityRings = ({
   };
 
   // Ring radii (nested rings)
-  const rings = [
+  const defaultRings = [
     { 
       key: 'stand', 
       radius: radius * 0.95, 
@@ -93,6 +97,12 @@ const ActivityRings = ({
     }
   ];
 
+  // Custom rings share the same span as the default three, evenly spaced
+  const gap = ringCount > 1 ? Math.min(0.23, 0.7 / (ringCount - 1)) : 0;
+  const rings = customRings
+    ? customRings.map((ring, i) => ({ ...ring, radius: radius * (0.95 - i * gap), percent: Math.min(Math.max(ring.percent || 0, 0), 100) }))
+    : defaultRings;
+
   const center = size / 2;
 
   return (
@@ -152,9 +162,10 @@ const ActivityRings = ({
 
 /**
  * ActivityRingsLegend Component
- * Displays a legend for the activity rings
+ * Displays a legend for the activity rings. With `rings` (as passed to ActivityRings, plus an
+ * optional `goal` text and `met` flag) it lists those instead.
  */
-export const ActivityRingsLegend = ({ standMinutes, standGoal, hrv, hrvRange = [60, 90], totalEnergy, totalEnergyGoal }) => {
+export const ActivityRingsLegend = ({ standMinutes, standGoal, hrv, hrvRange = [60, 90], totalEnergy, totalEnergyGoal, rings = null }) => {
   // standMinutes actually represents stand hours (number of hourly intervals with standing)
   const standHours = standMinutes;
   const [hrvMin, hrvMax] = hrvRange;
@@ -170,7 +181,15 @@ export const ActivityRingsLegend = ({ standMinutes, standGoal, hrv, hrvRange = [
     energy: 'var(--ring-energy, var(--bs-success))',
   };
   
-  const items = [
+  const items = rings ? rings.map((r) => ({
+    color: r.color,
+    label: r.label,
+    value: r.value,
+    goalText: r.goal,
+    unit: r.unit,
+    percent: Math.min(Math.max(r.percent || 0, 0), 100),
+    status: r.met == null ? null : r.met ? 'Met' : null,
+  })) : [
     {
       color: RING.stand,
       label: 'Stand Hours',
@@ -202,7 +221,9 @@ export const ActivityRingsLegend = ({ standMinutes, standGoal, hrv, hrvRange = [
     <div className="activity-rings-legend">
       {items.map((item, idx) => {
         let percent;
-        if (item.showGoal) {
+        if (item.percent != null) {
+          percent = item.percent;
+        } else if (item.showGoal) {
           percent = Math.min((item.value / item.goal) * 100, 100);
         } else {
           // For HRV, calculate based on range
@@ -229,11 +250,14 @@ export const ActivityRingsLegend = ({ standMinutes, standGoal, hrv, hrvRange = [
             />
             <div style={{ flex: 1 }}>
               <div className="d-flex justify-content-between align-items-center">
-                <small className="text-muted">{item.label}</small>
+                <small className="text-muted">
+                  {item.label}
+                  {item.goalText && <span className="ms-1">({item.goalText})</span>}
+                </small>
                 <small className="fw-bold">
                   {item.value} {item.unit}
                   {item.status && (
-                    <span className={`ms-1 ${item.status === 'Normal' ? 'text-success' : 'text-warning'}`}>
+                    <span className={`ms-1 ${item.status === 'Normal' || item.status === 'Met' ? 'text-success' : 'text-warning'}`}>
                       ({item.status})
                     </span>
                   )}
@@ -20,6 +20,9 @@ import ShortcutSetup from "../pages/ShortcutSetup";
 import AutomationSetup from "../pages/AutomationSetup";
 import Settings from "../pages/Settings";
 import GoalSetting from "../pages/GoalSetting";
+import Workouts from "../pages/Workouts";
+import Clients from "../pages/Clients";
+import Report from "../pages/Report";
 import Pending from "../pages/Pending";
 import AboutUs from "../pages/AboutUs";
 import AuthCheck from "../pages/Auth_Check";
@@ -75,6 +78,7 @@ export default function App() {
               <Route path="/shortcut-setup" element={<ShortcutSetup />} />
               <Route path="/automation-setup" element={<AutomationSetup />} />
               <Route path="/about" element={<AboutUs />} />
+              <Route path="/report/:token" element={<Report />} /> {/* share links (no login) */}
 
               {/* Auth routes (no sidebar) */}
               <Route element={<CenteredAuthLayout />}>
@@ -94,6 +98,8 @@ export default function App() {
               <Route element={<RequireAuth><AppShell /></RequireAuth>}>
                 <Route path="/dashboard" element={<Dashboard />} />
                 <Route path="/summary" element={<Summary />} />
+                <Route path="/workouts" element={<Workouts />} />
+                <Route path="/clients" element={<Clients />} />
                 <Route path="/profile" element={<Profile />} />
                 <Route path="/download" element={<Download />} />
                 <Route path="/settings" element={<Settings />} />
@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { addDaysKey, dayLabel, weekStartOf } from '../utils/dates';
+
+const CELL = 13;
+const GAP = 3;
+const MIN_WEEKS = 26;
+const WEEKDAYS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+const COLORS = {
+  manual: 'var(--ok, var(--bs-success))',
+  auto: 'var(--bs-teal, #20c997)',
+  none: 'var(--bs-gray-200, #e9ecef)',
+};
+
+/**
+ * CheckinHeatmap - Calendar of every check-in, one column per week (Monday at the top),
+ * from the first check-in (at least the last 26 weeks) up to `today`.
+ * `items` are { day, source } rows from GET /api/goals/checkins; days are in the user's timezone.
+ */
+export default function CheckinHeatmap({ items = [], today }) {
+  const weeks = useMemo(() => {
+    if (!today) return [];
+    const byDay = new Map(items.map((c) => [c.day, c.source]));
+    const last = weekStartOf(today);
+    const earliest = addDaysKey(last, -7 * (MIN_WEEKS - 1));
+    const first = items.length && items[0].day < earliest ? weekStartOf(items[0].day) : earliest;
+    const out = [];
+    for (let w = first; w <= last; w = addDaysKey(w, 7)) {
+      out.push(Array.from({ length: 7 }, (_, i) => {
+        const day = addDaysKey(w, i);
+        return { day, source: byDay.get(day) || null, future: day > today };
+      }));
+    }
+    return out;
+  }, [items, today]);
+
+  if (!weeks.length) return null;
+
+  return (
+    <div>
+      <div className="d-flex" style={{ overflowX: 'auto', gap: GAP }}>
+        <div className="d-flex flex-column small text-muted" style={{ gap: GAP, paddingTop: CELL + GAP }}>
+          {WEEKDAYS.map((label, i) => (
+            <div key={i} style={{ height: CELL, lineHeight: `${CELL}px`, fontSize: 10, paddingRight: 4 }}>{label}</div>
+          ))}
+        </div>
+        {weeks.map((week, i) => {
+          // label a column with its month when the month changes
+          const month = week[0].day.slice(0, 7);
+          const showMonth = i === 0 || weeks[i - 1][0].day.slice(0, 7) !== month;
+          return (
+            <div key={week[0].day} className="d-flex flex-column" style={{ gap: GAP }}>
+              <div style={{ height: CELL, fontSize: 10, whiteSpace: 'nowrap', width: CELL }} className="text-muted">
+                {showMonth ? dayLabel(week[0].day, { month: 'short' }) : ''}
+              </div>
+              {week.map(({ day, source, future }) => (
+                <div
+                  key={day}
+                  title={future ? undefined : `${dayLabel(day, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}: ${
+                    source === 'auto' ? 'goals met (from upload)' : source ? 'checked in' : 'no check-in'
+                  }`}
+                  style={{
+                    width: CELL,
+                    height: CELL,
+                    borderRadius: 3,
+                    background: future ? 'transparent' : COLORS[source || 'none'],
+                  }}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="d-flex align-items-center gap-3 small text-muted mt-2">
+        <span><span className="d-inline-block me-1" style={{ width: 10, height: 10, borderRadius: 2, background: COLORS.manual }} />Checked in</span>
+        <span><span className="d-inline-block me-1" style={{ width: 10, height: 10, borderRadius: 2, background: COLORS.auto }} />Goals met (from upload)</span>
+        <span><span className="d-inline-block me-1" style={{ width: 10, height: 10, borderRadius: 2, background: COLORS.none }} />None</span>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
 import { Carousel, Button, Row, Col, Alert, Spinner } from 'react-bootstrap';
 import HypnogramChart from './HypnogramChart';
+import { DEFAULT_TIMEZONE, dayKey, dayLabel } from '../utils/dates';
 
 /**
  * HypnogramCarousel - Displays daily hypnogram charts in a carousel format
@@ -9,6 +10,7 @@ import HypnogramChart from './HypnogramChart';
 export default function HypnogramCarousel({ 
   sleepData = [], 
   dateRange = 7, // Number of days to show
+  timezone = DEFAULT_TIMEZONE, // user's zone for day grouping
   onClose,
   isPopup = false
 }) {
@@ -21,7 +23,7 @@ export default function HypnogramCarousel({
     // Group sleep data by date
     const dailyData = {};
     sleepData.forEach(item => {
-      const date = new Date(item.ts).toISOString().slice(0, 10);
+      const date = dayKey(item.ts, timezone);
       if (!dailyData[date]) {
         dailyData[date] = [];
       }
@@ -33,20 +35,20 @@ export default function HypnogramCarousel({
       .map(([date, data]) => ({
         date,
         data,
-        displayDate: new Date(date).toLocaleDateString('en-US', { 
+        displayDate: dayLabel(date, { 
           weekday: 'long', 
           year: 'numeric', 
           month: 'long', 
           day: 'numeric' 
         }),
-        shortDate: new Date(date).toLocaleDateString('en-US', { 
+        shortDate: dayLabel(date, { 
           month: 'short', 
           day: 'numeric' 
         })
       }))
       .sort((a, b) => b.date.localeCompare(a.date))
       .slice(0, dateRange); // Limit to specified number of days
-  }, [sleepData, dateRange]);
+  }, [sleepData, dateRange, timezone]);
 
   // Calculate total sleep time for each day (Core + REM + Awake + Deep)
   const dailyStats = useMemo(() => {
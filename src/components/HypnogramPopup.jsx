@@ -10,7 +10,8 @@ export default function HypnogramPopup({
   show, 
   onHide, 
   sleepData = [], 
-  dateRange = 7 
+  dateRange = 7,
+  timezone
 }) {
   // Prevent body scroll when modal is open
   useEffect(() => {
@@ -69,6 +70,7 @@ export default function HypnogramPopup({
           <HypnogramCarousel
             sleepData={sleepData}
             dateRange={dateRange}
+            timezone={timezone}
             onClose={onHide}
             isPopup={true}
           />
@@ -0,0 +1,271 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button, Form, Alert, Spinner, Table, Row, Col } from "react-bootstrap";
+import ActivityRings, { ActivityRingsLegend } from "./ActivityRings";
+import { auth } from "../services/Firebase";
+import { METRICS, metricFor } from "../utils/metrics";
+import { dayLabel } from "../utils/dates";
+
+// Values match COMPARATORS / PERIODS in api/lib/metricGoals.js
+const COMPARATORS = [
+  { key: "atLeast", label: "at least" },
+  { key: "atMost", label: "at most" },
+  { key: "within", label: "between" },
+];
+const PERIODS = [
+  { key: "daily", label: "a day" },
+  { key: "weekly", label: "a week" },
+  { key: "monthly", label: "a month" },
+  { key: "custom", label: "between dates" },
+];
+const WEEKDAYS = [[1, "Mon"], [2, "Tue"], [3, "Wed"], [4, "Thu"], [5, "Fri"], [6, "Sat"], [0, "Sun"]];
+const MAX_RINGS = 6;
+
+const EMPTY = { metric: "steps", comparator: "atLeast", target: "", min: "", max: "", period: "daily", from: "", to: "", days: [], label: "" };
+
+const unitOf = (m) => m?.displayUnit || m?.unit || "";
+const fmt = (m, v) => (v == null ? "—" : Number(v).toLocaleString(undefined, { maximumFractionDigits: m?.digits ?? 1 }));
+
+async function api(path, options = {}) {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...(options.body ? { "Content-Type": "application/json" } : {}) },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `${options.method || "GET"} ${res.status}`);
+  return body;
+}
+
+/** "at least 10,000 steps a day (Mon, Wed, Fri)" */
+export function describeGoal(g) {
+  const m = metricFor(g.metric);
+  const cmp = COMPARATORS.find((c) => c.key === g.comparator)?.label;
+  const amount = g.comparator === "within"
+    ? `${fmt(m, g.min)}–${fmt(m, g.max)}`
+    : fmt(m, g.target);
+  const agg = m?.agg === "avg" ? "average " : "";
+  const period = g.period === "custom"
+    ? `from ${dayLabel(g.from)} to ${dayLabel(g.to)}`
+    : PERIODS.find((p) => p.key === g.period)?.label;
+  const days = g.days ? ` (${WEEKDAYS.filter(([d]) => g.days.includes(d)).map(([, l]) => l).join(", ")})` : "";
+  return `${cmp} ${agg}${amount} ${unitOf(m)} ${period}${days}`;
+}
+
+/**
+ * MetricGoals - the user's own goals on any metric (daily / weekly / monthly / custom dates,
+ * optional weekday schedule): progress rings for the current periods, a list, and an add / edit form.
+ */
+export default function MetricGoals() {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(EMPTY);
+  const [editing, setEditing] = useState(null); // goal id
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      setData(await api("/api/goals/custom"));
+    } catch (e) {
+      setErr(e.message || "Failed to load goals");
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const toggleDay = (d) => setForm((f) => ({ ...f, days: f.days.includes(d) ? f.days.filter((x) => x !== d) : [...f.days, d] }));
+
+  const startEdit = (g) => {
+    setEditing(g.id);
+    setForm({
+      ...EMPTY,
+      ...g,
+      target: g.target ?? "",
+      min: g.min ?? "",
+      max: g.max ?? "",
+      from: g.from || "",
+      to: g.to || "",
+      days: g.days || [],
+      label: g.label || "",
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setForm(EMPTY);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErr("");
+    setBusy(true);
+    const body = {
+      metric: form.metric,
+      comparator: form.comparator,
+      period: form.period,
+      label: form.label || null,
+      ...(form.comparator === "within" ? { min: form.min, max: form.max } : { target: form.target }),
+      ...(form.period === "custom" ? { from: form.from, to: form.to } : {}),
+      ...(form.days.length && form.days.length < 7 ? { days: form.days } : {}),
+    };
+    try {
+      await api(editing ? `/api/goals/custom/${encodeURIComponent(editing)}` : "/api/goals/custom", {
+        method: editing ? "PUT" : "POST",
+        body: JSON.stringify(body),
+      });
+      cancelEdit();
+      await load();
+    } catch (e2) {
+      setErr(e2.message || "Could not save the goal");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (g) => {
+    if (!window.confirm(`Delete "${g.label || describeGoal(g)}"?`)) return;
+    setErr("");
+    try {
+      await api(`/api/goals/custom/${encodeURIComponent(g.id)}`, { method: "DELETE" });
+      if (editing === g.id) cancelEdit();
+      await load();
+    } catch (e) {
+      setErr(e.message || "Could not delete the goal");
+    }
+  };
+
+  if (!data) {
+    return err ? <Alert variant="danger" className="mb-0">{err}</Alert> : <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>;
+  }
+
+  // one ring per goal that applies right now
+  const rings = data.items
+    .filter((g) => g.progress.started && g.progress.scheduled)
+    .slice(0, MAX_RINGS)
+    .map((g) => {
+      const m = metricFor(g.metric);
+      return {
+        key: g.id,
+        label: g.label || m?.label || g.metric,
+        percent: g.progress.pct,
+        color: m?.color,
+        value: fmt(m, g.progress.value),
+        unit: unitOf(m),
+        goal: describeGoal(g),
+        met: g.progress.met,
+      };
+    });
+
+  return (
+    <>
+      {err && <Alert variant="danger">{err}</Alert>}
+
+      {rings.length > 0 && (
+        <Row className="align-items-center mb-3">
+          <Col xs="auto">
+            <ActivityRings rings={rings} size={170} />
+          </Col>
+          <Col>
+            <ActivityRingsLegend rings={rings} />
+          </Col>
+        </Row>
+      )}
+
+      {data.items.length > 0 ? (
+        <Table size="sm" responsive className="small">
+          <thead>
+            <tr><th>Goal</th><th>This period</th><th>Progress</th><th /></tr>
+          </thead>
+          <tbody>
+            {data.items.map((g) => {
+              const m = metricFor(g.metric);
+              const p = g.progress;
+              return (
+                <tr key={g.id}>
+                  <td>
+                    <div className="fw-bold">{g.label || m?.label || g.metric}</div>
+                    <div className="text-muted">{describeGoal(g)}</div>
+                  </td>
+                  <td className="text-nowrap">
+                    {p.from === p.to ? dayLabel(p.from) : `${dayLabel(p.from)} – ${dayLabel(p.to)}`}
+                  </td>
+                  <td>
+                    {!p.started ? "Not started" : !p.scheduled ? "Not scheduled today" : (
+                      <>
+                        {fmt(m, p.value)} {unitOf(m)} • {p.pct}%{" "}
+                        <span className={p.met ? "text-success" : "text-muted"}>
+                          {p.met ? (g.comparator === "atLeast" ? "met" : "on target") : p.complete ? "missed" : g.comparator === "atMost" ? "over" : "in progress"}
+                        </span>
+                      </>
+                    )}
+                  </td>
+                  <td className="text-end text-nowrap">
+                    <Button size="sm" variant="link" onClick={() => startEdit(g)}>Edit</Button>
+                    <Button size="sm" variant="outline-danger" onClick={() => handleDelete(g)}>Delete</Button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      ) : (
+        <p className="text-muted">No goals of your own yet.</p>
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <h6>{editing ? "Edit goal" : "Add a goal"}</h6>
+        <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+          <Form.Select value={form.metric} onChange={set("metric")} style={{ maxWidth: 200 }}>
+            {METRICS.map((m) => <option key={m.type} value={m.type}>{m.label}</option>)}
+          </Form.Select>
+          <Form.Select value={form.comparator} onChange={set("comparator")} style={{ maxWidth: 130 }}>
+            {COMPARATORS.map((c) => <option key={c.key} value={c.key}>{c.label}</option>)}
+          </Form.Select>
+          {form.comparator === "within" ? (
+            <>
+              <Form.Control type="number" min={0} step="any" value={form.min} onChange={set("min")} placeholder="min" style={{ maxWidth: 110 }} />
+              <span className="text-muted">–</span>
+              <Form.Control type="number" min={0} step="any" value={form.max} onChange={set("max")} placeholder="max" style={{ maxWidth: 110 }} />
+            </>
+          ) : (
+            <Form.Control type="number" min={0} step="any" value={form.target} onChange={set("target")} placeholder="target" style={{ maxWidth: 130 }} />
+          )}
+          <span className="text-muted">
+            {metricFor(form.metric)?.agg === "avg" ? "average " : ""}{unitOf(metricFor(form.metric))}
+          </span>
+          <Form.Select value={form.period} onChange={set("period")} style={{ maxWidth: 160 }}>
+            {PERIODS.map((p) => <option key={p.key} value={p.key}>{p.label}</option>)}
+          </Form.Select>
+          {form.period === "custom" && (
+            <>
+              <Form.Control type="date" value={form.from} onChange={set("from")} style={{ maxWidth: 170 }} />
+              <span className="text-muted">to</span>
+              <Form.Control type="date" value={form.to} onChange={set("to")} style={{ maxWidth: 170 }} />
+            </>
+          )}
+        </div>
+        <div className="d-flex flex-wrap align-items-center gap-3 mb-2">
+          <span className="small text-muted">Only on</span>
+          {WEEKDAYS.map(([d, label]) => (
+            <Form.Check
+              key={d}
+              id={`metric-goal-day-${d}`}
+              type="checkbox"
+              label={label}
+              checked={form.days.includes(d)}
+              onChange={() => toggleDay(d)}
+            />
+          ))}
+          <span className="small text-muted">(none ticked = every day)</span>
+        </div>
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          <Form.Control value={form.label} onChange={set("label")} placeholder="Name (optional)" maxLength={60} style={{ maxWidth: 260 }} />
+          <Button type="submit" disabled={busy}>
+            {busy ? <Spinner size="sm" animation="border" /> : editing ? "Save goal" : "Add goal"}
+          </Button>
+          {editing && <Button variant="outline-secondary" onClick={cancelEdit}>Cancel</Button>}
+        </div>
+      </Form>
+    </>
+  );
+}
@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Offcanvas, Badge, Button, Spinner, Alert } from "react-bootstrap";
+import { auth } from "../services/Firebase";
+
+const POLL_MS = 60000;
+
+async function api(path, options = {}) {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...(options.body ? { "Content-Type": "application/json" } : {}) },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `${options.method || "GET"} ${res.status}`);
+  return body;
+}
+
+const timeAgo = (iso) => {
+  const mins = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 48 * 60) return `${Math.round(mins / 60)} h ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+/**
+ * NotificationCentre - sidebar entry with the unread count; opens a panel with the latest
+ * reminders and alerts (GET /api/users/me/notifications, see api/lib/notifications.js).
+ */
+export default function NotificationCentre() {
+  const navigate = useNavigate();
+  const [show, setShow] = useState(false);
+  const [data, setData] = useState({ items: [], unread: 0 });
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(async () => {
+    if (!auth.currentUser) return;
+    try {
+      setData(await api("/api/users/me/notifications?limit=30"));
+      setErr("");
+    } catch (e) {
+      setErr(e.message || "Failed to load notifications");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const t = setInterval(load, POLL_MS);
+    return () => clearInterval(t);
+  }, [load]);
+
+  const open = async () => {
+    setShow(true);
+    setLoading(true);
+    await load();
+    setLoading(false);
+  };
+
+  const markRead = async (ids = []) => {
+    try {
+      await api("/api/users/me/notifications", { method: "PATCH", body: JSON.stringify({ ids }) });
+      const now = new Date().toISOString();
+      setData((d) => ({
+        items: d.items.map((n) => (!ids.length || ids.includes(n.id) ? { ...n, readAt: n.readAt || now } : n)),
+        unread: ids.length ? Math.max(d.unread - d.items.filter((n) => ids.includes(n.id) && !n.readAt).length, 0) : 0,
+      }));
+    } catch (e) {
+      setErr(e.message || "Could not mark as read");
+    }
+  };
+
+  const openItem = async (n) => {
+    if (!n.readAt) await markRead([n.id]);
+    if (n.link) {
+      setShow(false);
+      navigate(n.link);
+    }
+  };
+
+  return (
+    <>
+      <button type="button" className="dashboard-link w-100 text-start border-0 bg-transparent d-flex align-items-center" onClick={open}>
+        Notifications
+        {data.unread > 0 && <Badge bg="danger" pill className="ms-auto">{data.unread > 99 ? "99+" : data.unread}</Badge>}
+      </button>
+
+      <Offcanvas show={show} onHide={() => setShow(false)} placement="start">
+        <Offcanvas.Header closeButton>
+          <Offcanvas.Title>Notifications</Offcanvas.Title>
+        </Offcanvas.Header>
+        <Offcanvas.Body>
+          {err && <Alert variant="danger">{err}</Alert>}
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <small className="text-muted">{data.unread} unread</small>
+            <Button size="sm" variant="link" onClick={() => markRead()} disabled={!data.unread}>Mark all read</Button>
+          </div>
+          {loading && !data.items.length ? (
+            <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+          ) : data.items.length === 0 ? (
+            <p className="text-muted">Nothing yet. Reminders and alerts show up here; choose which ones in Settings.</p>
+          ) : (
+            <ul className="list-unstyled mb-0">
+              {data.items.map((n) => (
+                <li key={n.id} className="border-bottom py-2">
+                  <button
+                    type="button"
+                    className="border-0 bg-transparent text-start p-0 w-100"
+                    onClick={() => openItem(n)}
+                  >
+                    <div className={`d-flex justify-content-between gap-2 ${n.readAt ? "" : "fw-bold"}`}>
+                      <span>{n.title}</span>
+                      <small className="text-muted text-nowrap fw-normal">{timeAgo(n.createdAt)}</small>
+                    </div>
+                    <div className="small text-muted">{n.body}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Offcanvas.Body>
+      </Offcanvas>
+    </>
+  );
+}
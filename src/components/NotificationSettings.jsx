@@ -0,0 +1,202 @@
+import { useEffect, useState } from "react";
+import { Form, Button, Alert, Spinner } from "react-bootstrap";
+import { auth } from "../services/Firebase";
+
+const LEGACY_KEY = "hdt_notifications"; // the old browser-only on/off switch
+
+async function api(path, options = {}) {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...(options.body ? { "Content-Type": "application/json" } : {}) },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `${options.method || "GET"} ${res.status}`);
+  return body;
+}
+
+// VAPID public keys are URL-safe base64; PushManager wants bytes
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + "=".repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+const pushSupported = () => "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+/**
+ * NotificationSettings - which reminders and alerts to get, and where (in-app, email, browser
+ * push). Saved to users.notificationPrefs through /api/users/me/notifications/settings.
+ */
+export default function NotificationSettings() {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    const unsub = auth.onAuthStateChanged(async (user) => {
+      if (!user) return;
+      try {
+        let body = await api("/api/users/me/notifications/settings");
+        // carry over the old local switch once
+        const legacy = localStorage.getItem(LEGACY_KEY);
+        if (legacy === "false" && body.prefs.enabled) {
+          body = await api("/api/users/me/notifications/settings", { method: "PUT", body: JSON.stringify({ enabled: false }) });
+        }
+        if (legacy !== null) localStorage.removeItem(LEGACY_KEY);
+        setData(body);
+      } catch (e) {
+        setErr(e.message || "Failed to load notification settings");
+      }
+    });
+    return () => unsub();
+  }, []);
+
+  const save = async (patch) => {
+    setErr("");
+    setBusy(true);
+    try {
+      setData(await api("/api/users/me/notifications/settings", { method: "PUT", body: JSON.stringify(patch) }));
+    } catch (e) {
+      setErr(e.message || "Could not save");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const subscribePush = async () => {
+    if (Notification.permission !== "granted" && (await Notification.requestPermission()) !== "granted") {
+      throw new Error("Notifications are blocked for this site in your browser settings");
+    }
+    const reg = await navigator.serviceWorker.register("/sw.js");
+    await navigator.serviceWorker.ready;
+    const subscription = (await reg.pushManager.getSubscription()) ||
+      (await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(data.vapidPublicKey) }));
+    await api("/api/users/me/notifications/push", { method: "POST", body: JSON.stringify({ subscription: subscription.toJSON() }) });
+  };
+
+  const unsubscribePush = async () => {
+    const reg = await navigator.serviceWorker.getRegistration("/sw.js");
+    const subscription = await reg?.pushManager.getSubscription();
+    if (subscription) {
+      await api("/api/users/me/notifications/push", { method: "DELETE", body: JSON.stringify({ endpoint: subscription.endpoint }) });
+      await subscription.unsubscribe();
+    }
+  };
+
+  const toggleChannel = async (name, on) => {
+    if (name === "push") {
+      setErr("");
+      try {
+        if (on) await subscribePush();
+        else await unsubscribePush();
+      } catch (e) {
+        setErr(e.message || "Could not change browser push");
+        return;
+      }
+    }
+    await save({ channels: { [name]: on } });
+  };
+
+  const sendTest = async () => {
+    setErr("");
+    setTestResult(null);
+    setBusy(true);
+    try {
+      setTestResult(await api("/api/users/me/notifications/test", { method: "POST" }));
+    } catch (e) {
+      setErr(e.message || "Test failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!data) {
+    return err ? <Alert variant="danger" className="mb-0">{err}</Alert> : <Spinner size="sm" animation="border" />;
+  }
+
+  const { prefs, rules, channels } = data;
+
+  return (
+    <div>
+      {err && <Alert variant="danger" className="mb-2">{err}</Alert>}
+      <Form.Check
+        type="switch"
+        id="pref-notifications"
+        label="Enable notifications"
+        checked={prefs.enabled}
+        disabled={busy}
+        onChange={() => save({ enabled: !prefs.enabled })}
+      />
+
+      {prefs.enabled && (
+        <div className="mt-3 ms-1">
+          <div className="small fw-bold mb-1">Tell me when</div>
+          {Object.entries(rules).map(([name, label]) => (
+            <div key={name} className="d-flex flex-wrap align-items-center gap-2 mb-1">
+              <Form.Check
+                type="checkbox"
+                id={`notify-rule-${name}`}
+                label={label}
+                checked={prefs.rules[name]?.enabled}
+                disabled={busy}
+                onChange={() => save({ rules: { [name]: { enabled: !prefs.rules[name]?.enabled } } })}
+              />
+              {name === "missedUpload" && prefs.rules.missedUpload.enabled && (
+                <Form.Select
+                  size="sm"
+                  value={prefs.rules.missedUpload.days}
+                  onChange={(e) => save({ rules: { missedUpload: { days: Number(e.target.value) } } })}
+                  style={{ maxWidth: 130 }}
+                  disabled={busy}
+                >
+                  {[1, 2, 3, 5, 7, 14].map((d) => <option key={d} value={d}>after {d} day{d === 1 ? "" : "s"}</option>)}
+                </Form.Select>
+              )}
+              {name === "restingHrSpike" && prefs.rules.restingHrSpike.enabled && (
+                <Form.Select
+                  size="sm"
+                  value={prefs.rules.restingHrSpike.bpm}
+                  onChange={(e) => save({ rules: { restingHrSpike: { bpm: Number(e.target.value) } } })}
+                  style={{ maxWidth: 170 }}
+                  disabled={busy}
+                >
+                  {[5, 8, 10, 15, 20].map((b) => <option key={b} value={b}>{b}+ bpm above usual</option>)}
+                </Form.Select>
+              )}
+            </div>
+          ))}
+
+          <div className="small fw-bold mt-3 mb-1">Send them to</div>
+          <Form.Check type="checkbox" id="notify-channel-inapp" label="This app (Notifications in the sidebar)" checked disabled />
+          <Form.Check
+            type="checkbox"
+            id="notify-channel-email"
+            label={`Email${channels.email?.available ? "" : " (not set up on this server)"}`}
+            checked={prefs.channels.email}
+            disabled={busy || !channels.email?.available}
+            onChange={() => toggleChannel("email", !prefs.channels.email)}
+          />
+          <Form.Check
+            type="checkbox"
+            id="notify-channel-push"
+            label={`Browser push${!pushSupported() ? " (not supported by this browser)" : !data.vapidPublicKey ? " (not set up on this server)" : data.pushDevices ? ` (${data.pushDevices} browser${data.pushDevices === 1 ? "" : "s"})` : ""}`}
+            checked={prefs.channels.push}
+            disabled={busy || !pushSupported() || !data.vapidPublicKey}
+            onChange={() => toggleChannel("push", !prefs.channels.push)}
+          />
+
+          <div className="d-flex align-items-center gap-2 mt-3">
+            <Button size="sm" variant="outline-secondary" onClick={sendTest} disabled={busy}>Send a test</Button>
+            {testResult && (
+              <small className="text-muted">
+                Sent in-app
+                {testResult.deliveries.map((d) => `, ${d.channel}: ${d.status}${d.error ? ` (${d.error})` : ""}`).join("")}
+              </small>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
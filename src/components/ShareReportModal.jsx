@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useState } from "react";
+import { Modal, Button, Form, Alert, Spinner, Table, InputGroup } from "react-bootstrap";
+import { auth } from "../services/Firebase";
+
+// Keys match SHARE_SECTIONS in api/lib/shareLinks.js
+const SECTIONS = [
+  { key: "steps", label: "Steps" },
+  { key: "heartZones", label: "Heart zones" },
+  { key: "sleep", label: "Sleep hypnograms" },
+  { key: "gait", label: "Walking gait heatmap" },
+];
+
+const EXPIRY = [
+  { days: 1, label: "1 day" },
+  { days: 7, label: "7 days" },
+  { days: 14, label: "14 days" },
+  { days: 30, label: "30 days" },
+];
+
+const reportUrl = (token) => `${window.location.origin}/report/${token}`;
+
+async function api(path, options = {}) {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...(options.body ? { "Content-Type": "application/json" } : {}) },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `${options.method || "GET"} ${res.status}`);
+  return body;
+}
+
+/**
+ * ShareReportModal - make a read-only report link for a date range (Summary's by default),
+ * and list / revoke the links made so far with their view counts.
+ */
+export default function ShareReportModal({ show, onHide, from, to }) {
+  const [range, setRange] = useState({ from, to });
+  const [sections, setSections] = useState(SECTIONS.map((s) => s.key));
+  const [expiresInDays, setExpiresInDays] = useState(14);
+  const [links, setLinks] = useState([]);
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const loadLinks = useCallback(async () => {
+    try {
+      setLinks((await api("/api/users/me/shares")).items || []);
+    } catch (e) {
+      setErr(e.message || "Failed to load links");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!show) return;
+    setRange({ from, to });
+    setCreated(null);
+    setErr("");
+    loadLinks();
+  }, [show, from, to, loadLinks]);
+
+  const toggleSection = (key) => {
+    setSections((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setErr("");
+    setBusy(true);
+    try {
+      const link = await api("/api/users/me/shares", {
+        method: "POST",
+        body: JSON.stringify({ from: range.from, to: range.to, sections, expiresInDays: Number(expiresInDays) }),
+      });
+      setCreated(link);
+      setLinks((prev) => [link, ...prev]);
+    } catch (e2) {
+      setErr(e2.message || "Could not create the link");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm("Revoke this link? Anyone who has it will no longer see the report.")) return;
+    setErr("");
+    try {
+      const updated = await api(`/api/users/me/shares/${encodeURIComponent(link.id)}`, { method: "DELETE" });
+      setLinks((prev) => prev.map((l) => (l.id === updated.id ? updated : l)));
+      if (created?.id === updated.id) setCreated(null);
+    } catch (e) {
+      setErr(e.message || "Could not revoke");
+    }
+  };
+
+  const copy = (text) => navigator.clipboard?.writeText(text).catch(() => {});
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" centered>
+      <Modal.Header closeButton>
+        <Modal.Title>Share a read-only report</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted small">
+          Anyone with the link can view the sections you pick for these dates — no login needed — until it
+          expires or you revoke it. Each view is recorded.
+        </p>
+        {err && <Alert variant="danger">{err}</Alert>}
+
+        <Form onSubmit={handleCreate}>
+          <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+            <Form.Control type="date" value={range.from} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} style={{ maxWidth: 170 }} />
+            <span className="text-muted">to</span>
+            <Form.Control type="date" value={range.to} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} style={{ maxWidth: 170 }} />
+            <Form.Select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} style={{ maxWidth: 170 }}>
+              {EXPIRY.map((x) => <option key={x.days} value={x.days}>expires in {x.label}</option>)}
+            </Form.Select>
+          </div>
+          <div className="d-flex flex-wrap gap-3 mb-3">
+            {SECTIONS.map((s) => (
+              <Form.Check
+                key={s.key}
+                id={`share-section-${s.key}`}
+                type="checkbox"
+                label={s.label}
+                checked={sections.includes(s.key)}
+                onChange={() => toggleSection(s.key)}
+              />
+            ))}
+          </div>
+          <Button type="submit" disabled={busy || !sections.length || !range.from || !range.to}>
+            {busy ? <Spinner size="sm" animation="border" /> : "Create link"}
+          </Button>
+        </Form>
+
+        {created && (
+          <InputGroup className="mt-3">
+            <Form.Control readOnly value={reportUrl(created.token)} onFocus={(e) => e.target.select()} />
+            <Button variant="outline-secondary" onClick={() => copy(reportUrl(created.token))}>Copy</Button>
+          </InputGroup>
+        )}
+
+        {links.length > 0 && (
+          <>
+            <h6 className="mt-4">Your links</h6>
+            <Table size="sm" responsive className="small mb-0">
+              <thead>
+                <tr><th>Dates</th><th>Sections</th><th>Expires</th><th>Views</th><th>Status</th><th /></tr>
+              </thead>
+              <tbody>
+                {links.map((l) => (
+                  <tr key={l.id}>
+                    <td>{l.fromKey} → {l.toKey}</td>
+                    <td>{l.sections.map((k) => SECTIONS.find((s) => s.key === k)?.label || k).join(", ")}</td>
+                    <td>{new Date(l.expiresAt).toLocaleDateString()}</td>
+                    <td title={l.lastViewedAt ? `Last viewed ${new Date(l.lastViewedAt).toLocaleString()}` : undefined}>{l.views}</td>
+                    <td>{l.status}</td>
+                    <td className="text-end text-nowrap">
+                      {l.status === "active" && (
+                        <>
+                          <Button size="sm" variant="link" onClick={() => copy(reportUrl(l.token))}>Copy</Button>
+                          <Button size="sm" variant="outline-danger" onClick={() => handleRevoke(l)}>Revoke</Button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Modal.Body>
+    </Modal>
+  );
+}
@@ -2,6 +2,8 @@ import React, { useEffect, useState } from "react";
 import { NavLink } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { auth } from "../services/Firebase";
+import { isStaff } from "../utils/roles";
+import NotificationCentre from "./NotificationCentre";
 import "../css/sidebar.css"; 
 
 export default function Sidebar() {
@@ -27,7 +29,8 @@ export default function Sidebar() {
     return () => { mounted = false; };
   }, [currentUser]);
 
-  const isAdmin = u?.role === "admin";
+  const isAdmin = isStaff(u?.role); // any role with admin-page permissions
+  const isCoach = u?.role === "coach"; // roster of users who shared data (api/lib/consents.js)
 
   const displayName =
     u?.displayName?.trim() ||
@@ -43,7 +46,9 @@ export default function Sidebar() {
   const navItems = [
     { label: "Dashboard", to: "/dashboard" },
     { label: "Summary", to: "/summary" },
+    { label: "Workouts", to: "/workouts" },
     { label: "Goals", to: "/goals" },
+    ...(isCoach ? [{ label: "Clients", to: "/clients" }] : []),
     { label: "Shortcut Setup", to: "/download" },
     { label: "Profile", to: "/profile" },
     { label: "Settings", to: "/settings" },
@@ -68,6 +73,11 @@ export default function Sidebar() {
       </div>
 
       <ul className="dashboard-nav">
+        {currentUser && (
+          <li>
+            <NotificationCentre />
+          </li>
+        )}
         {navItems.map((item) => (
           <li key={item.to}>
             <NavLink
@@ -1,6 +1,8 @@
 import React, { useMemo } from 'react';
 import { Card, Row, Col, Alert } from 'react-bootstrap';
 import { ResponsiveContainer, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Cell, Legend } from 'recharts';
+import { DEFAULT_TIMEZONE, dayKey, hourOf, lastNDayKeys, dayLabel } from '../utils/dates';
+import { metricColor } from '../utils/metrics';
 
 /**
  * WalkingGaitHeatmap - Displays hourly walking gait metrics for a specified number of days
@@ -12,26 +14,22 @@ export default function WalkingGaitHeatmap({
   doubleSupportTimeData = [],
   walkingStepLengthData = [],
   stepsData = [],
-  dateRange = 7
+  dateRange = 7,
+  timezone = DEFAULT_TIMEZONE, // user's zone; days and hours are bucketed in it
+  endDate = null // last day shown ("YYYY-MM-DD"); today when null
 }) {
   
   // Process walking gait data into hourly buckets for the specified date range
   const gaitHeatmapData = useMemo(() => {
     // Get the most recent N days based on dateRange prop
-    const lastNDays = [];
-    for (let i = dateRange - 1; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      lastNDays.push(date.toISOString().slice(0, 10));
-    }
+    const lastNDays = lastNDayKeys(dateRange, timezone, endDate);
 
     // Helper to group data by date and hour
     const groupByDateHour = (data) => {
       const grouped = {};
       data.forEach(item => {
-        const timestamp = new Date(item.ts);
-        const date = timestamp.toISOString().slice(0, 10);
-        const hour = timestamp.getHours();
+        const date = dayKey(item.ts, timezone);
+        const hour = hourOf(item.ts, timezone);
         const key = `${date}-${hour}`;
         
         const value = typeof item.value === "number" ? item.value : Number(item.value);
@@ -62,9 +60,8 @@ export default function WalkingGaitHeatmap({
     // Calculate steps per hour (only count hours with steps)
     const stepsPerHour = {};
     stepsData.forEach(item => {
-      const timestamp = new Date(item.ts);
-      const date = timestamp.toISOString().slice(0, 10);
-      const hour = timestamp.getHours();
+      const date = dayKey(item.ts, timezone);
+      const hour = hourOf(item.ts, timezone);
       const key = `${date}-${hour}`;
       
       const value = typeof item.value === "number" ? item.value : Number(item.value);
@@ -119,7 +116,7 @@ export default function WalkingGaitHeatmap({
           if (hasGaitData) {
             heatmapData.push({
               date,
-              dateLabel: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' }),
+              dateLabel: dayLabel(date, { month: 'short', day: 'numeric', weekday: 'short' }),
               hour,
               hourLabel: `${hour.toString().padStart(2, '0')}:00`,
               dayIndex,
@@ -136,7 +133,7 @@ export default function WalkingGaitHeatmap({
     });
 
     return heatmapData;
-  }, [walkingAsymmetryData, walkingSpeedData, doubleSupportTimeData, walkingStepLengthData, stepsData, dateRange]);
+  }, [walkingAsymmetryData, walkingSpeedData, doubleSupportTimeData, walkingStepLengthData, stepsData, dateRange, timezone, endDate]);
 
   // Calculate daily averages for summary stats
   const dailyAverages = useMemo(() => {
@@ -211,10 +208,9 @@ export default function WalkingGaitHeatmap({
     const labels = [];
     
     // Generate labels for all days in the date range, regardless of data availability
+    const dayKeys = lastNDayKeys(dateRange, timezone, endDate); // index matches dayIndex
     for (let i = 0; i < dateRange; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - (dateRange - 1 - i)); // Calculate the actual date for this dayIndex
-      const dateLabel = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' });
+      const dateLabel = dayLabel(dayKeys[i], { month: 'short', day: 'numeric', weekday: 'short' });
       
       // Extract day name, number, and month from the dateLabel
       const parts = dateLabel.split(', ');
@@ -235,7 +231,7 @@ export default function WalkingGaitHeatmap({
     }
     
     return labels;
-  }, [dateRange]);
+  }, [dateRange, timezone, endDate]);
 
   // Calculate overall averages for the selected date range
   const weeklyAverages = useMemo(() => {
@@ -282,38 +278,11 @@ export default function WalkingGaitHeatmap({
     doubleSupport: weeklyAverages.doubleSupport
   };
 
-  // Get color based on metric value
-  const getAsymmetryColor = (value) => {
-    // Walking asymmetry: Lower is better (ideal < 2%)
-    if (value < 2) return 'var(--bs-success)'; // Green - Excellent
-    if (value < 5) return 'var(--bs-warning)'; // Yellow - Fair
-    return 'var(--bs-danger)'; // Red - Needs attention
-  };
-
-  const getSpeedColor = (value) => {
-    // Walking speed: Typical range 3.6-5.0 km/hr
-    if (value >= 3.6 && value <= 5.0) return 'var(--bs-success)'; // Green - Normal
-    if (value >= 2.9 && value < 3.6) return 'var(--bs-warning)'; // Yellow - Slow
-    if (value > 5.0) return 'var(--bs-info)'; // Blue - Fast
-    return 'var(--bs-danger)'; // Red - Very slow
-  };
-
-  const getDoubleSupportColor = (value) => {
-    // Double support time: Typical range 20-30% (as percentage)
-    if (value >= 20 && value <= 30) return 'var(--bs-success)'; // Green - Normal
-    if (value >= 20 && value <= 30) return 'var(--bs-success)'; // Yellow - Low
-    if (value > 30 && value <= 40) return 'var(--bs-warning)'; // Yellow - High
-    return 'var(--bs-danger)'; // Red - Abnormal
-  };
-
-   const getStepLengthColor = (value) => {
-     // Walking step length: Typical range 0.60-0.80 meters
-     if (value >= 0.60 && value <= 0.80) return 'var(--bs-success)'; // Green - Normal
-     if (value >= 0.50 && value < 0.60) return 'var(--bs-warning)'; // Yellow - Short
-     if (value > 0.80 && value <= 0.90) return 'var(--bs-info)'; // Blue - Long
-     if (value > 0.90) return 'var(--bs-info)'; // Blue - Very long
-     return 'var(--bs-danger)'; // Red - Very short
-   };
+  // Colour bands come from the metric registry (src/utils/metrics.js)
+  const getAsymmetryColor = (value) => metricColor('walking_asymmetry', value);
+  const getSpeedColor = (value) => metricColor('walking_speed', value);
+  const getDoubleSupportColor = (value) => metricColor('double_support_time', value);
+  const getStepLengthColor = (value) => metricColor('walking_step_length', value); // cm
 
 
   if (!gaitHeatmapData.length) {
@@ -662,7 +631,7 @@ export default function WalkingGaitHeatmap({
                 <Col md={3}>
                   <div className="text-center p-3 bg-light rounded">
                       <div className="small text-muted mb-1">Avg Step Length</div>
-                      <div className="h4 mb-0" style={{ color: getStepLengthColor(weeklyAverages.stepLength/100) }}>
+                      <div className="h4 mb-0" style={{ color: getStepLengthColor(weeklyAverages.stepLength) }}>
                         {(weeklyAverages.stepLength/100).toFixed(2)} m
                       </div>
                     <div className="small text-muted">
@@ -736,7 +705,7 @@ export default function WalkingGaitHeatmap({
                             <td className="text-end" style={{ color: getDoubleSupportColor(day.avgDoubleSupport) }}>
                               {day.avgDoubleSupport > 0 ? day.avgDoubleSupport : '—'}
                             </td>
-                             <td className="text-end" style={{ color: getStepLengthColor(day.avgStepLength/100) }}>
+                             <td className="text-end" style={{ color: getStepLengthColor(day.avgStepLength) }}>
                                {day.avgStepLength > 0 ? (day.avgStepLength/100).toFixed(2) : '—'}
                              </td>
                             <td className="text-end">{day.totalSteps.toLocaleString()}</td>
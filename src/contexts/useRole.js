@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from "react";
+import { auth } from "../services/Firebase";
+import { DEFAULT_ROLE, can as roleCan, isStaff } from "../utils/roles";
+
+/**
+ * The current user's role from their MongoDB user doc (see src/utils/roles.js), plus
+ * `can(permission)` for showing staff-only UI. The API enforces the same table, so this only
+ * decides what to render.
+ * We fetch /api/users (which returns the caller's doc when authorised).
+ */
+export default function useRole() {
+  const [role, setRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      try {
+        const user = auth.currentUser;
+        if (!user) return;
+        const t = await user.getIdToken();
+        const res = await fetch("/api/users", { headers: { Authorization: `Bearer ${t}` } });
+        const text = await res.text();
+        let data; try { data = JSON.parse(text); } catch { data = null; }
+        if (mounted && res.ok && data?._id) setRole(data.role || DEFAULT_ROLE);
+      } catch {
+        /* no role → no staff UI */
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, []);
+
+  const can = useCallback((permission) => roleCan(role, permission), [role]);
+  return { role, can, staff: isStaff(role), loading };
+}
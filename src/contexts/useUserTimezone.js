@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { auth } from "../services/Firebase";
+import { DEFAULT_TIMEZONE } from "../utils/dates";
+
+/**
+ * Returns the current user's timezone from their MongoDB user doc (users.timezone),
+ * falling back to DEFAULT_TIMEZONE until it loads or if it isn't set.
+ */
+export default function useUserTimezone() {
+  const [timezone, setTimezone] = useState(DEFAULT_TIMEZONE);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      try {
+        const user = auth.currentUser;
+        if (!user) return;
+        const t = await user.getIdToken();
+        const res = await fetch("/api/users", { headers: { Authorization: `Bearer ${t}` } });
+        const text = await res.text();
+        let data; try { data = JSON.parse(text); } catch { data = null; }
+        if (mounted && res.ok && data?.timezone) setTimezone(data.timezone);
+      } catch {
+        /* keep default */
+      }
+    })();
+    return () => { mounted = false; };
+  }, []);
+
+  return timezone;
+}
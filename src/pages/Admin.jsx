@@ -2,13 +2,17 @@
 import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import {
   Container, Row, Col, Card, Form, Button, Table, Alert,
-  Dropdown, ButtonGroup, Tabs, Tab, Spinner, Badge, Carousel
+  Dropdown, ButtonGroup, Tabs, Tab, Spinner, Badge, Carousel, ProgressBar
 } from "react-bootstrap";
 import { ResponsiveContainer, LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea, ScatterChart, Scatter, Cell } from "recharts";
 import { Link } from "react-router-dom";
 import { auth } from "../services/Firebase";
 import ActivityRings, { ActivityRingsLegend } from "../components/ActivityRings";
 import WalkingGaitHeatmap from "../components/WalkingGaitHeatmap";
+import { downloadExport } from "../utils/healthApi";
+import { METRIC_TYPES } from "../utils/metrics";
+import { ROLES, ROLE_LABELS } from "../utils/roles";
+import useRole from "../contexts/useRole";
 import "../css/dashboard.css";
 
 /* ============================================================================
@@ -16,7 +20,9 @@ import "../css/dashboard.css";
    Tabs:
    • Admin           → DB status, notifications (approvals), recent ingests, dupes tools
    • User data       → search users + inspect health data (ALL types supported)
-   • User mgmt       → centralised ops: upload schedule sparkline + admin delete
+   • User mgmt       → centralised ops: upload schedule sparkline, roles + admin delete
+   Tabs and cards only show when the caller's role grants their permission (utils/roles.js);
+   the API checks the same table.
 
    Notes:
    • Name lookups via /api/admin/users?query=<uid>&limit=1 (cached in-memory).
@@ -31,27 +37,399 @@ import "../css/dashboard.css";
      (Separate from user self-delete at /api/account-delete)
    ========================================================================== */
 
-/* ---------- ALL health types (from upload.js) ---------- */
+/* ---------- ALL health types (from the metric registry) ---------- */
 const ALL_TYPES = [
   "", // All
-  "heart_rate",
-  "steps",
-  "sleep",
-  "walking_speed",
-  "walking_asymmetry",
-  "walking_steadiness",
-  "double_support_time",
-  "walking_step_length",
-  "heart_rate_variability",
-  "resting_heart_rate",
-  "walking_heart_rate_average",
-  "active_energy",
-  "resting_energy",
-  "stand_minutes",
+  ...METRIC_TYPES,
   // keep for historical/backfill if ever used:
   "blood_pressure",
 ];
 
+/* ---------- Ingest validation report (ingest_logs.validation) ---------- */
+function ValidationCell({ report }) {
+  if (!report) return <span className="text-muted small">—</span>;
+  const rejected = report.rejectedCount || 0;
+  const warnings = report.warnings?.length || 0;
+  return (
+    <details>
+      <summary className="small">
+        {rejected > 0 && <Badge bg="danger" className="me-1">{rejected} rejected</Badge>}
+        {warnings > 0 && <Badge bg="warning" text="dark">{warnings} warning{warnings === 1 ? "" : "s"}</Badge>}
+      </summary>
+      <div className="small mt-1">
+        {report.warnings?.map((w, i) => (
+          <div key={`w${i}`}><code>{w.key}</code> {w.issue}: {w.message}</div>
+        ))}
+        {Object.entries(report.rejectedByKey || {}).map(([key, issues]) => (
+          <div key={key}>
+            <code>{key}</code> {Object.entries(issues).map(([issue, n]) => `${issue} ×${n}`).join(", ")}
+          </div>
+        ))}
+        {report.rejected?.length > 0 && (
+          <pre className="small bg-light p-2 rounded mb-0 mt-1" style={{ maxHeight: 160, overflow: "auto" }}>
+            {JSON.stringify(report.rejected.slice(0, 20), null, 2)}
+          </pre>
+        )}
+      </div>
+    </details>
+  );
+}
+
+/* ---------- Source priority policy (/api/admin/source-policy) ---------- */
+function SourcePolicyCard() {
+  const [rows, setRows] = useState([]); // [{ type, priority: "Watch, iPhone", bucketMinutes }]
+  const [types, setTypes] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const toRows = (policy) => Object.entries(policy?.types || {}).map(([type, r]) => ({
+    type, priority: (r.priority || []).join(", "), bucketMinutes: r.bucketMinutes ?? 1,
+  }));
+
+  async function load() {
+    setBusy(true); setErr("");
+    try {
+      const data = await withToken(async (t) => {
+        const r = await fetch("/api/admin?action=source-policy", { headers: { Authorization: `Bearer ${t}` } });
+        const b = await r.json(); if (!r.ok) throw new Error(b?.error || `GET ${r.status}`); return b;
+      });
+      setRows(toRows(data.policy));
+      setTypes(data.types || []);
+      setMeta({ updatedAt: data.policy?.updatedAt, updatedBy: data.policy?.updatedBy });
+    } catch (e) { setErr(e.message); }
+    finally { setBusy(false); }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function save() {
+    setBusy(true); setErr(""); setSaved(false);
+    try {
+      const body = { types: Object.fromEntries(rows.filter(r => r.type).map(r => [r.type, { priority: r.priority, bucketMinutes: Number(r.bucketMinutes) }])) };
+      const data = await withToken(async (t) => {
+        const r = await fetch("/api/admin?action=source-policy", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
+          body: JSON.stringify(body),
+        });
+        const b = await r.json(); if (!r.ok) throw new Error(b?.error || `POST ${r.status}`); return b;
+      });
+      setRows(toRows(data.policy));
+      setMeta({ updatedAt: data.policy?.updatedAt, updatedBy: data.policy?.updatedBy });
+      setSaved(true);
+    } catch (e) { setErr(e.message); }
+    finally { setBusy(false); }
+  }
+
+  const update = (i, patch) => setRows(rs => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const unused = types.filter(t => !rows.some(r => r.type === t));
+
+  return (
+    <Card className="shadow-sm">
+      <Card.Body>
+        <div className="d-flex align-items-center justify-content-between mb-2">
+          <h4 className="mb-0">Source priority</h4>
+          <div className="d-flex gap-2">
+            <Button size="sm" variant="outline-secondary" onClick={load} disabled={busy}>Reload</Button>
+            <Button size="sm" variant="primary" onClick={save} disabled={busy}>{busy ? "Saving…" : "Save"}</Button>
+          </div>
+        </div>
+        <div className="text-muted small mb-2">
+          When several sources (e.g. Watch and iPhone) report the same type in the same bucket, only the
+          first matching source is kept. Applies to new uploads; existing data is unchanged.
+          {meta?.updatedAt && <> Last changed {new Date(meta.updatedAt).toLocaleString()}.</>}
+        </div>
+        {err && <Alert variant="danger" className="py-2">{err}</Alert>}
+        {saved && <Alert variant="success" className="py-2">Saved.</Alert>}
+        <Table size="sm" className="mb-2 align-middle">
+          <thead><tr><th>Type</th><th>Priority (first wins)</th><th>Bucket (min)</th><th /></tr></thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i}>
+                <td>
+                  <Form.Select size="sm" value={r.type} onChange={(e) => update(i, { type: e.target.value })}>
+                    <option value={r.type}>{r.type || "—"}</option>
+                    {unused.map(t => <option key={t} value={t}>{t}</option>)}
+                  </Form.Select>
+                </td>
+                <td>
+                  <Form.Control size="sm" value={r.priority} placeholder="Watch, iPhone"
+                    onChange={(e) => update(i, { priority: e.target.value })} />
+                </td>
+                <td style={{ width: 110 }}>
+                  <Form.Control size="sm" type="number" min={1} max={60} value={r.bucketMinutes}
+                    onChange={(e) => update(i, { bucketMinutes: e.target.value })} />
+                </td>
+                <td>
+                  <Button size="sm" variant="outline-danger" onClick={() => setRows(rs => rs.filter((_, j) => j !== i))}>Remove</Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <Button size="sm" variant="outline-primary" disabled={!unused.length}
+          onClick={() => setRows(rs => [...rs, { type: unused[0], priority: "Watch, iPhone", bucketMinutes: 1 }])}>
+          Add type
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/* ---------- Reprocess jobs (/api/admin/reprocess) ---------- */
+function ReprocessCard({ Name }) {
+  const [uid, setUid] = useState("");
+  const [from, setFrom] = useState(() => { const d = new Date(); d.setDate(d.getDate() - 30); return d.toISOString().slice(0, 10); });
+  const [to, setTo] = useState(() => new Date().toISOString().slice(0, 10));
+  const [jobs, setJobs] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const driving = useRef(new Set()); // job ids this tab is currently running
+
+  const call = useCallback((init) => withToken(async (t) => {
+    const r = await fetch("/api/admin?action=reprocess", {
+      ...init,
+      headers: { ...(init?.body ? { "Content-Type": "application/json" } : {}), Authorization: `Bearer ${t}` },
+    });
+    const b = await r.json(); if (!r.ok) throw new Error(b?.error || `${init?.method || "GET"} ${r.status}`); return b;
+  }), []);
+
+  const load = useCallback(async () => {
+    try { setJobs((await call()).items || []); } catch (e) { setErr(e.message); }
+  }, [call]);
+  useEffect(() => { load(); }, [load]);
+
+  const upsertJob = (job) => setJobs(js => [job, ...js.filter(j => j._id !== job._id)]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+
+  // Each POST runs the job for one time budget; keep calling until it's no longer running
+  const drive = useCallback(async (job) => {
+    if (driving.current.has(job._id)) return;
+    driving.current.add(job._id);
+    try {
+      while (job.status === "running" || job.status === "queued") {
+        job = await call({ method: "POST", body: JSON.stringify({ id: job._id }) });
+        upsertJob(job);
+        if (job.lockedUntil && new Date(job.lockedUntil) > new Date()) await new Promise(r => setTimeout(r, 3000)); // someone else is running it
+      }
+    } catch (e) { setErr(e.message); }
+    finally { driving.current.delete(job._id); }
+  }, [call]);
+
+  async function start(e) {
+    e.preventDefault();
+    if (!confirm(`Rebuild ${uid}'s data from ${from} to ${to} from their raw uploads?`)) return;
+    setBusy(true); setErr("");
+    try {
+      const job = await call({ method: "POST", body: JSON.stringify({ uid: uid.trim(), from, to }) });
+      upsertJob(job);
+      drive(job);
+    } catch (e2) { setErr(e2.message); }
+    finally { setBusy(false); }
+  }
+
+  const pct = (j) => (j.progress?.windowsTotal ? Math.round((100 * j.progress.windowsDone) / j.progress.windowsTotal) : 0);
+  const variant = { done: "success", failed: "danger", running: "info", queued: "secondary" };
+
+  return (
+    <Card className="shadow-sm">
+      <Card.Body>
+        <div className="d-flex align-items-center justify-content-between mb-2">
+          <h4 className="mb-0">Reprocess historical data</h4>
+          <Button size="sm" variant="outline-secondary" onClick={load}>Refresh</Button>
+        </div>
+        <div className="text-muted small mb-2">
+          Re-runs the current parser over a user's retained raw uploads and swaps the rebuilt data in, week by week.
+          Only users with “Keep raw uploads” on can be reprocessed, and only from the day after they turned it on.
+        </div>
+        {err && <Alert variant="danger" className="py-2">{err}</Alert>}
+        <Form onSubmit={start} className="d-flex flex-wrap align-items-center gap-2 mb-3">
+          <Form.Control size="sm" placeholder="User UID" value={uid} onChange={(e) => setUid(e.target.value)} style={{ maxWidth: 280 }} required />
+          <Form.Control size="sm" type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={{ maxWidth: 160 }} required />
+          <span className="text-muted">to</span>
+          <Form.Control size="sm" type="date" value={to} onChange={(e) => setTo(e.target.value)} style={{ maxWidth: 160 }} required />
+          <Button size="sm" type="submit" disabled={busy || !uid.trim()}>{busy ? "Starting…" : "Start"}</Button>
+        </Form>
+        {!jobs.length ? (
+          <div className="text-muted">No reprocess jobs yet.</div>
+        ) : (
+          <Table size="sm" className="mb-0 align-middle">
+            <thead><tr><th>Created</th><th>User</th><th>Range</th><th>Status</th><th style={{ width: "30%" }}>Progress</th><th>Docs</th><th /></tr></thead>
+            <tbody>
+              {jobs.map((j) => (
+                <tr key={j._id}>
+                  <td>{new Date(j.createdAt).toLocaleString()}</td>
+                  <td><Name uid={j.uid} /></td>
+                  <td className="small">{j.params?.from} → {j.params?.to}</td>
+                  <td>
+                    <Badge bg={variant[j.status] || "secondary"}>{j.status}</Badge>
+                    {j.error && <div className="small text-danger">{j.error}</div>}
+                  </td>
+                  <td>
+                    <ProgressBar now={pct(j)} label={`${pct(j)}%`} variant={j.status === "failed" ? "danger" : undefined}
+                      animated={j.status === "running"} />
+                  </td>
+                  <td className="small">
+                    {j.progress?.uploads ?? 0} uploads · −{j.progress?.deleted ?? 0} / +{j.progress?.inserted ?? 0}
+                  </td>
+                  <td>
+                    {(j.status === "running" || j.status === "failed") && !driving.current.has(j._id) && (
+                      <Button size="sm" variant="outline-primary" onClick={() => drive({ ...j, status: "running" })}>
+                        {j.status === "failed" ? "Retry" : "Resume"}
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+/* ---------- Data retention (/api/admin/retention) ---------- */
+// Alert text for the tombstone returned by account deletions
+function purgeMessage(t) {
+  if (t.status === "purged") return `Data purged: ${purgeSummary(t.report)}.`;
+  if (t.status === "scheduled") return `Data will be purged on ${new Date(t.purgeAt).toLocaleDateString()}.`;
+  return `Data purge failed: ${t.error || "unknown error"} (retry from Data retention).`;
+}
+
+// "3 health_data, 1 users …" from a purge report's per-collection counts
+function purgeSummary(report) {
+  const parts = Object.entries(report?.counts || {}).filter(([, n]) => n > 0).map(([c, n]) => `${n} ${c}`);
+  return parts.length ? parts.join(", ") : "nothing stored";
+}
+
+function RetentionCard() {
+  const [policy, setPolicy] = useState(null);
+  const [tombstones, setTombstones] = useState([]);
+  const [runResult, setRunResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const call = useCallback((method = "GET", body) => withToken(async (t) => {
+    const r = await fetch("/api/admin?action=retention", {
+      method,
+      headers: { ...(body ? { "Content-Type": "application/json" } : {}), Authorization: `Bearer ${t}` },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    const b = await r.json(); if (!r.ok) throw new Error(b?.error || `${method} ${r.status}`); return b;
+  }), []);
+
+  const load = useCallback(async () => {
+    setErr("");
+    try {
+      const data = await call();
+      setPolicy(data.policy);
+      setTombstones(data.tombstones || []);
+    } catch (e) { setErr(e.message); }
+  }, [call]);
+  useEffect(() => { load(); }, [load]);
+
+  async function act(fn) {
+    setBusy(true); setErr("");
+    try { await fn(); await load(); } catch (e) { setErr(e.message); }
+    finally { setBusy(false); }
+  }
+  const save = () => act(async () => {
+    const { purgeMode, purgeDelayDays, rawSampleDays } = policy;
+    setPolicy((await call("PUT", { purgeMode, purgeDelayDays: Number(purgeDelayDays), rawSampleDays: Number(rawSampleDays) })).policy);
+  });
+  const runNow = () => act(async () => setRunResult(await call("POST", { op: "run" })));
+  const purge = (id) => {
+    if (!confirm("Purge this account's data now? This cannot be undone.")) return;
+    act(() => call("POST", { op: "purge", id }));
+  };
+
+  const statusVariant = { purged: "success", scheduled: "warning", failed: "danger" };
+
+  return (
+    <Card className="shadow-sm">
+      <Card.Body>
+        <div className="d-flex align-items-center justify-content-between mb-2">
+          <h4 className="mb-0">Data retention</h4>
+          <div className="d-flex gap-2">
+            <Button size="sm" variant="outline-secondary" onClick={load} disabled={busy}>Refresh</Button>
+            <Button size="sm" variant="outline-danger" onClick={runNow} disabled={busy}>
+              {busy ? "Working…" : "Run purges & expiry now"}
+            </Button>
+          </div>
+        </div>
+        {err && <Alert variant="danger" className="py-2">{err}</Alert>}
+        {policy && (
+          <Form className="d-flex flex-wrap align-items-end gap-3 mb-3" onSubmit={(e) => { e.preventDefault(); save(); }}>
+            <Form.Group>
+              <Form.Label className="small mb-1">On account deletion</Form.Label>
+              <Form.Select size="sm" value={policy.purgeMode} onChange={(e) => setPolicy({ ...policy, purgeMode: e.target.value })}>
+                <option value="immediate">Purge data immediately</option>
+                <option value="delayed">Purge after a grace period</option>
+              </Form.Select>
+            </Form.Group>
+            <Form.Group style={{ width: 140 }}>
+              <Form.Label className="small mb-1">Grace period (days)</Form.Label>
+              <Form.Control size="sm" type="number" min={0} max={365} value={policy.purgeDelayDays}
+                disabled={policy.purgeMode !== "delayed"}
+                onChange={(e) => setPolicy({ ...policy, purgeDelayDays: e.target.value })} />
+            </Form.Group>
+            <Form.Group style={{ width: 220 }}>
+              <Form.Label className="small mb-1">Full-resolution samples (days, 0 = forever)</Form.Label>
+              <Form.Control size="sm" type="number" min={0} max={3650} value={policy.rawSampleDays}
+                onChange={(e) => setPolicy({ ...policy, rawSampleDays: e.target.value })} />
+            </Form.Group>
+            <Button size="sm" type="submit" disabled={busy}>Save</Button>
+          </Form>
+        )}
+        <div className="text-muted small mb-2">
+          Older samples are downsampled to one value per hour before the originals expire. Due purges and expiry
+          also run daily.
+        </div>
+        {runResult && (
+          <Alert variant="info" className="py-2 small" onClose={() => setRunResult(null)} dismissible>
+            Purged {runResult.purged?.length || 0} account(s).{" "}
+            {runResult.downsample?.cutoff
+              ? <>Downsampled {runResult.downsample.hours} hours, expired {runResult.downsample.expired} samples older than {new Date(runResult.downsample.cutoff).toLocaleDateString()}.{runResult.downsample.more ? " More is left; run again (or wait for tomorrow's run)." : ""}</>
+              : <>Sample expiry is off.</>}
+          </Alert>
+        )}
+        <h6 className="mt-3">Deleted accounts</h6>
+        {!tombstones.length ? (
+          <div className="text-muted">No deleted accounts.</div>
+        ) : (
+          <div className="border rounded-3 p-2" style={{ maxHeight: 320, overflow: "auto" }}>
+            <Table size="sm" className="mb-0 align-middle">
+              <thead><tr><th>Deleted</th><th>UID</th><th>Via</th><th>Status</th><th>Purge</th><th>Report</th><th /></tr></thead>
+              <tbody>
+                {tombstones.map((t) => (
+                  <tr key={t._id}>
+                    <td>{new Date(t.deletedAt).toLocaleString()}</td>
+                    <td><code className="small">{t.uid}</code></td>
+                    <td>{t.via}</td>
+                    <td>
+                      <Badge bg={statusVariant[t.status] || "secondary"}>{t.status}</Badge>
+                      {t.error && <div className="small text-danger">{t.error}</div>}
+                    </td>
+                    <td className="small">{new Date(t.purgedAt || t.purgeAt).toLocaleString()}</td>
+                    <td className="small">{t.report ? purgeSummary(t.report) : "—"}</td>
+                    <td>
+                      {t.status !== "purged" && (
+                        <Button size="sm" variant="outline-danger" onClick={() => purge(t._id)} disabled={busy}>Purge now</Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
 /* ---------- Tiny sparkline (last N days) ---------- */
 function Sparkline({ series = [], height = 28 }) {
   if (!series.length) return <div className="text-muted small">—</div>;
@@ -108,16 +486,29 @@ function useNameResolver() {
 }
 
 export default function Admin() {
-  const [active, setActive] = useState("admin");
+  const { can, loading } = useRole();
+  const tabs = [
+    can("status:read") && "admin",
+    can("health:read") && "users",
+    can("users:read") && "mgmt",
+  ].filter(Boolean);
+  const [active, setActive] = useState(null);
+  const current = tabs.includes(active) ? active : tabs[0];
   return (
     <div className="dashboard-main">
       <section className="dashboard-content">
         <Container fluid className="py-3">
-          <Tabs activeKey={active} onSelect={(k)=>setActive(k)} className="mb-3">
-            <Tab eventKey="admin" title="Admin"><AdminTab /></Tab>
-            <Tab eventKey="users" title="User data"><UserDataTab /></Tab>
-            <Tab eventKey="mgmt" title="User mgmt"><UsersMgmtTab /></Tab>
-          </Tabs>
+          {loading ? (
+            <div className="text-muted"><Spinner animation="border" size="sm" /> Loading…</div>
+          ) : !tabs.length ? (
+            <Alert variant="warning">Your role doesn’t include any admin tools.</Alert>
+          ) : (
+            <Tabs activeKey={current} onSelect={(k)=>setActive(k)} className="mb-3">
+              {tabs.includes("admin") && <Tab eventKey="admin" title="Admin"><AdminTab can={can} /></Tab>}
+              {tabs.includes("users") && <Tab eventKey="users" title="User data"><UserDataTab /></Tab>}
+              {tabs.includes("mgmt") && <Tab eventKey="mgmt" title="User mgmt"><UsersMgmtTab can={can} /></Tab>}
+            </Tabs>
+          )}
         </Container>
       </section>
     </div>
@@ -125,7 +516,7 @@ export default function Admin() {
 }
 
 /* ============================== Admin tab ============================== */
-function AdminTab() {
+function AdminTab({ can }) {
   const { Name } = useNameResolver();
 
   const [status, setStatus] = useState(null);
@@ -188,7 +579,7 @@ async function loadRequests() {
 async function approve(kind, payload) {
   setReqBusy(true);
   try {
-    await withToken(async (t) => {
+    const b = await withToken(async (t) => {
       const r = await fetch("/api/admin?action=requests-approve", {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
@@ -197,7 +588,9 @@ async function approve(kind, payload) {
       const text = await r.text();
       let b; try { b = JSON.parse(text); } catch { b = {}; }
       if (!r.ok || !b.ok) throw new Error(b?.error || `POST ${r.status}`);
+      return b;
     });
+    if (b.purge) alert(purgeMessage(b.purge));
     await loadRequests();
   } catch (e) {
     alert(`Approve failed: ${e.message}`);
@@ -227,7 +620,7 @@ async function reject(kind, payload) {
     setReqBusy(false);
   }
 }
-useEffect(() => { loadRequests(); }, []);
+useEffect(() => { if (can("requests:review")) loadRequests(); }, [can]);
 
   /* ----- exact dupes (by fingerprint) ----- */
   async function scanDupes() {
@@ -290,6 +683,7 @@ useEffect(() => { loadRequests(); }, []);
                     <tr><th>ingest_guard</th><td>{status.counts.ingest_guard.toLocaleString()}</td></tr>
                     <tr><th>logs (ok/24h)</th><td>{status.counts.logs_24h_ok}</td></tr>
                     <tr><th>logs (fail/24h)</th><td>{status.counts.logs_24h_fail}</td></tr>
+                    <tr><th>rate limited (24h)</th><td>{status.counts.logs_24h_throttled ?? 0}</td></tr>
                     <tr>
                       <th>last ingest</th>
                       <td>
@@ -310,6 +704,7 @@ useEffect(() => { loadRequests(); }, []);
       </Col>
 
       {/* Notifications (approvals) */}
+      {can("requests:review") && (
       <Col md={6}>
         <Card className="shadow-sm">
           <Card.Body>
@@ -445,7 +840,7 @@ useEffect(() => { loadRequests(); }, []);
           </Card.Body>
         </Card>
       </Col>
-
+      )}
 
       {/* Recent ingest notifications */}
       <Col md={12}>
@@ -466,24 +861,43 @@ useEffect(() => { loadRequests(); }, []);
               <div className="border rounded-3 p-2" style={{ maxHeight: 320, overflow: "auto" }}>
                 <Table size="sm" hover className="mb-0 align-middle">
                   <thead>
-                    <tr><th>Time</th><th>UID</th><th>Status</th><th>Inserted</th><th>byType / error</th></tr>
+                    <tr><th>Time</th><th>UID</th><th>Status</th><th>Inserted</th><th>byType / error</th><th>Validation</th></tr>
                   </thead>
                   <tbody>
                     {recent.map((l) => (
                       <tr key={l._id} className={!l.ok ? "table-danger" : undefined}>
                         <td>{new Date(l.at).toLocaleString()}</td>
                         <td><Name uid={l.uid} /></td>
-                        <td>{l.ok ? <Badge bg="success">OK</Badge> : <Badge bg="danger">Fail</Badge>}</td>
+                        <td>
+                          {l.ok ? <Badge bg="success">OK</Badge>
+                            : l.throttle ? <Badge bg="warning" text="dark" title={l.throttle.bucket}>429</Badge>
+                            : <Badge bg="danger">Fail</Badge>}
+                        </td>
                         <td>{l.inserted ?? "—"}</td>
                         <td>
                           {l.ok ? (
-                            <code className="small">{l.byType ? JSON.stringify(l.byType) : "—"}</code>
+                            <>
+                              <code className="small">{l.byType ? JSON.stringify(l.byType) : "—"}</code>
+                              {Object.keys(l.sourcePolicy?.droppedByType || {}).length > 0 && (
+                                <div className="small text-muted" title={JSON.stringify(l.sourcePolicy.types)}>
+                                  dropped by source priority: <code>{JSON.stringify(l.sourcePolicy.droppedByType)}</code>
+                                </div>
+                              )}
+                            </>
                           ) : (
-                            <code className="small text-danger">
-                              {typeof l.error === "string" ? l.error : JSON.stringify(l.error ?? "unknown error")}
-                            </code>
+                            <>
+                              <code className="small text-danger">
+                                {typeof l.error === "string" ? l.error : JSON.stringify(l.error ?? "unknown error")}
+                              </code>
+                              {l.throttle && (
+                                <div className="small text-muted">
+                                  {l.throttle.route} · retry after {l.throttle.retryAfter}s
+                                </div>
+                              )}
+                            </>
                           )}
                         </td>
+                        <td><ValidationCell report={l.validation} /></td>
                       </tr>
                     ))}
                   </tbody>
@@ -494,7 +908,27 @@ useEffect(() => { loadRequests(); }, []);
         </Card>
       </Col>
 
+      {/* Source priority policy */}
+      <Col md={12}>
+        <SourcePolicyCard />
+      </Col>
+
+      {/* Reprocess jobs */}
+      {can("data:maintain") && (
+      <Col md={12}>
+        <ReprocessCard Name={Name} />
+      </Col>
+      )}
+
+      {/* Data retention */}
+      {can("policy:manage") && (
+      <Col md={12}>
+        <RetentionCard />
+      </Col>
+      )}
+
       {/* Exact duplicates */}
+      {can("data:maintain") && (
       <Col md={12}>
         <Card className="shadow-sm">
           <Card.Body>
@@ -530,6 +964,7 @@ useEffect(() => { loadRequests(); }, []);
           </Card.Body>
         </Card>
       </Col>
+      )}
     </Row>
   );
 }
@@ -547,6 +982,7 @@ function UserDataTab() {
   const [from, setFrom] = useState("");
   const [to, setTo] = useState("");
   const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null); // `next` from /api/admin/health
   const [sortKey, setSortKey] = useState("time_desc");
 
   const canPrevUsers = skip > 0;
@@ -594,22 +1030,32 @@ function UserDataTab() {
       setUsers(data);
     }catch(e){ setErr(e.message); }
   }
-  async function loadHealth(uid){
-    if(!uid) return setEvents([]);
+  function healthParams(uid){
+    return {
+      ...(uid?{uid}:{ }),
+      ...(type?{type}:{ }),
+      ...(from?{from:new Date(from).toISOString()}:{ }),
+      ...(to?{to:new Date(to+"T23:59:59").toISOString()}:{ }),
+    };
+  }
+  async function loadHealth(uid, cursor=null){
+    if(!uid){ setNextCursor(null); return setEvents([]); }
     try{
       setErr("");
       const token=await auth.currentUser.getIdToken();
-      const p=new URLSearchParams({
-        uid,
-        ...(type?{type}:{ }),
-        ...(from?{from:new Date(from).toISOString()}:{ }),
-        ...(to?{to:new Date(to+"T23:59:59").toISOString()}:{ }),
-        limit:"500",
-      });
+      const p=new URLSearchParams({ ...healthParams(uid), limit:"500", ...(cursor?{cursor}:{ }) });
       const res=await fetch(`/api/admin/health?${p}`, { headers:{ Authorization:`Bearer ${token}` }});
       const data=await res.json();
       if(!res.ok) throw new Error(data?.error||`GET ${res.status}`);
-      setEvents(data.items);
+      setEvents(prev=>cursor?[...prev, ...data.items]:data.items);
+      setNextCursor(data.next||null);
+    }catch(e){ setErr(e.message); }
+  }
+  async function exportHealth(format, allUsers=false){
+    try{
+      setErr("");
+      const p=new URLSearchParams({ ...healthParams(allUsers?null:selected?._id), format });
+      await downloadExport(`/api/admin/health-export?${p}`, `health_data.${format}`);
     }catch(e){ setErr(e.message); }
   }
   useEffect(()=>{ loadUsers(); /* eslint-disable-next-line */ }, [skip, limit]);
@@ -630,27 +1076,6 @@ function UserDataTab() {
     setFrom(start.toISOString().slice(0,10)); setTo(end.toISOString().slice(0,10)); loadHealth(selected._id);
   }
 
-  function exportCsv(rows){
-    const header=["ts","uid","type","value_minutes","stage","unit","source"];
-    const lines=[header.join(",")];
-    for(const r of rows){
-      const minutes = r?.type==="sleep" && typeof r.value==="number" ? r.value : r?.value ?? "";
-      const row=[
-        new Date(r.ts).toISOString(),
-        r?.meta?.uid ?? "",
-        r?.type ?? "",
-        minutes,
-        r?.payload?.stage ?? "",
-        r?.unit ?? "",
-        r?.meta?.source ?? "",
-      ].map(s=>`"${String(s).replace(/"/g,'""')}"`);
-      lines.push(row.join(","));
-    }
-    const blob=new Blob([lines.join("\n")], { type:"text/csv" });
-    const url=URL.createObjectURL(blob); const a=document.createElement("a");
-    a.href=url; a.download="health_data.csv"; a.click(); URL.revokeObjectURL(url);
-  }
-
   const selectedName = selected
     ? (selected.displayName || [selected.firstName, selected.lastName].filter(Boolean).join(" ") || "—")
     : null;
@@ -751,9 +1176,21 @@ function UserDataTab() {
                     </Dropdown.Menu>
                   </Dropdown>
 
-                  <Button variant="outline-secondary" onClick={()=>exportCsv(sortedEvents)} disabled={!sortedEvents.length} className="ms-auto">
-                    Export CSV
-                  </Button>
+                  <Dropdown as={ButtonGroup} className="ms-auto">
+                    <Button variant="outline-secondary" onClick={()=>exportHealth("csv")}>Export CSV</Button>
+                    <Dropdown.Toggle split variant="outline-secondary" />
+                    <Dropdown.Menu>
+                      <Dropdown.Header>This user · full range</Dropdown.Header>
+                      <Dropdown.Item onClick={()=>exportHealth("csv")}>CSV</Dropdown.Item>
+                      <Dropdown.Item onClick={()=>exportHealth("ndjson")}>NDJSON</Dropdown.Item>
+                      <Dropdown.Item onClick={()=>exportHealth("json")}>JSON</Dropdown.Item>
+                      <Dropdown.Item onClick={()=>exportHealth("fhir")}>FHIR R4 bundle</Dropdown.Item>
+                      <Dropdown.Divider />
+                      <Dropdown.Header>All users · same filters</Dropdown.Header>
+                      <Dropdown.Item onClick={()=>exportHealth("csv", true)}>CSV</Dropdown.Item>
+                      <Dropdown.Item onClick={()=>exportHealth("ndjson", true)}>NDJSON</Dropdown.Item>
+                    </Dropdown.Menu>
+                  </Dropdown>
                 </div>
 
                 <div className="border rounded-3 p-2">
@@ -773,6 +1210,14 @@ function UserDataTab() {
                     </tbody>
                   </Table>
                 </div>
+                <div className="d-flex align-items-center gap-2 mt-2">
+                  <small className="text-muted">{events.length} loaded</small>
+                  {nextCursor && (
+                    <Button size="sm" variant="outline-secondary" className="ms-auto" onClick={()=>loadHealth(selected._id, nextCursor)}>
+                      Load more
+                    </Button>
+                  )}
+                </div>
               </>
             )}
           </Card.Body>
@@ -783,7 +1228,7 @@ function UserDataTab() {
 }
 
 /* ============================== User mgmt tab ============================== */
-function UsersMgmtTab() {
+function UsersMgmtTab({ can }) {
   const [q, setQ] = useState("");
   const [users, setUsers] = useState({ total: 0, items: [] });
   const [skip, setSkip] = useState(0);
@@ -794,6 +1239,7 @@ function UsersMgmtTab() {
   const [days, setDays] = useState(30);
   const [schedules, setSchedules] = useState({}); // uid -> array[days] counts
   const [loadingUid, setLoadingUid] = useState(null);
+  const [roleBusy, setRoleBusy] = useState(null); // uid being updated
 
   async function loadUsers(){
     try{
@@ -835,11 +1281,34 @@ function UsersMgmtTab() {
     finally{ setLoadingUid(null); }
   }
 
+  async function changeRole(u, role) {
+    if (role === (u.role || "user")) return;
+    if (!confirm(`Make ${u.email || u._id} ${ROLE_LABELS[role]}?`)) return;
+    setRoleBusy(u._id);
+    try {
+      const b = await withToken(async (t) => {
+        const r = await fetch(`/api/admin/roles`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
+          body: JSON.stringify({ uid: u._id, role }),
+        });
+        const b = await r.json().catch(()=> ({}));
+        if (!r.ok) throw new Error(b?.error || `POST ${r.status}`);
+        return b;
+      });
+      setUsers((p) => ({ ...p, items: p.items.map((x) => x._id === u._id ? { ...x, role: b.user.role } : x) }));
+    } catch (e) {
+      alert(`Role change failed: ${e.message}`);
+    } finally {
+      setRoleBusy(null);
+    }
+  }
+
   async function deleteUser(uid) {
     if (!uid) return;
     if (!confirm(`Delete user ${uid}? This is permanent.`)) return;
     try {
-      await withToken(async (t) => {
+      const b = await withToken(async (t) => {
         const r = await fetch(`/api/admin/account-delete`, {
           method: "POST",
           headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
@@ -847,8 +1316,9 @@ function UsersMgmtTab() {
         });
         const b = await r.json().catch(()=> ({}));
         if (!r.ok || b?.ok === false) throw new Error(b?.error || `POST ${r.status}`);
+        return b;
       });
-      alert("User deleted.");
+      alert(b.purge ? `User deleted. ${purgeMessage(b.purge)}` : "User deleted.");
       loadUsers();
     } catch (e) {
       alert(`Delete failed: ${e.message}\n(Ensure backend implements POST /api/admin/account-delete { uid })`);
@@ -888,6 +1358,7 @@ function UsersMgmtTab() {
                   <tr>
                     <th>Name (UID)</th>
                     <th>Email</th>
+                    <th>Role</th>
                     <th className="text-center">Upload schedule</th>
                     <th>Actions</th>
                   </tr>
@@ -900,6 +1371,16 @@ function UsersMgmtTab() {
                         <div className="text-muted small" style={{ fontFamily: "monospace" }}>{u._id}</div>
                       </td>
                       <td>{u.email}</td>
+                      <td>
+                        {can("users:roles") ? (
+                          <Form.Select size="sm" value={u.role || "user"} disabled={roleBusy === u._id}
+                                       onChange={(e)=>changeRole(u, e.target.value)} style={{ maxWidth: 150 }}>
+                            {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                          </Form.Select>
+                        ) : (
+                          <Badge bg={u.role && u.role !== "user" ? "info" : "secondary"}>{ROLE_LABELS[u.role] || ROLE_LABELS.user}</Badge>
+                        )}
+                      </td>
                       <td className="text-center">
                         <div className="d-flex align-items-center justify-content-center gap-2">
                           <div><Sparkline series={schedules[u._id]} /></div>
@@ -910,7 +1391,9 @@ function UsersMgmtTab() {
                       </td>
                       <td>
                         <div className="d-flex gap-2">
-                          <Button size="sm" variant="outline-danger" onClick={()=>deleteUser(u._id)}>Delete user</Button>
+                          {can("accounts:delete") && (
+                            <Button size="sm" variant="outline-danger" onClick={()=>deleteUser(u._id)}>Delete user</Button>
+                          )}
                           {/* Future: Impersonate, Rotate API key, Disable user, Export data */}
                         </div>
                       </td>
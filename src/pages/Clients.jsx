@@ -0,0 +1,108 @@
+// src/pages/Clients.jsx
+// Coach roster: users who have shared data with the signed-in coach (api/lib/consents.js).
+// Each row opens Summary with ?client=<uid>; /api/health only serves the consented metrics.
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card, Table, Button, Alert, Spinner, Badge } from "react-bootstrap";
+import { useAuth } from "../contexts/AuthContext";
+import { auth } from "../services/Firebase";
+import { metricFor } from "../utils/metrics";
+import "../css/dashboard.css";
+
+// days left on a consent, for the "ends soon" badge
+function daysLeft(expiresAt) {
+  return Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 86400000);
+}
+
+export default function Clients() {
+  const { currentUser } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(async () => {
+    if (!currentUser) return;
+    setErr("");
+    setLoading(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/users/me/clients", { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || `GET ${res.status}`);
+      setItems(data.items || []);
+    } catch (e) {
+      setErr(e.message || "Failed to load clients");
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleRemove = async (c) => {
+    if (!window.confirm(`Remove ${c.client.name} from your clients? They'd need to share again.`)) return;
+    setErr("");
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/users/me/consents/${encodeURIComponent(c.id)}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || `Remove failed (${res.status})`);
+      setItems((prev) => prev.filter((x) => x.id !== c.id));
+    } catch (e) {
+      setErr(e.message || "Could not remove client");
+    }
+  };
+
+  return (
+    <div className="container py-3">
+      <h2 className="mb-3">Clients</h2>
+      {err && <Alert variant="danger">{err}</Alert>}
+
+      <Card className="shadow-sm">
+        <Card.Body>
+          <p className="text-muted">
+            People who have shared their data with you from their Settings page. You can read the metrics
+            they chose until the date shown, unless they revoke it first.
+          </p>
+          {loading ? (
+            <div className="text-center py-4"><Spinner animation="border" /></div>
+          ) : items.length === 0 ? (
+            <p className="mb-0">No one is sharing data with you yet.</p>
+          ) : (
+            <Table responsive hover size="sm" className="mb-0">
+              <thead>
+                <tr><th>Client</th><th>Metrics</th><th>Until</th><th>Last viewed</th><th /></tr>
+              </thead>
+              <tbody>
+                {items.map((c) => (
+                  <tr key={c.id}>
+                    <td>
+                      {c.client.name}
+                      <div className="small text-muted">{c.client.email}</div>
+                    </td>
+                    <td className="small">{c.metrics.map((t) => metricFor(t)?.label || t).join(", ")}</td>
+                    <td>
+                      {new Date(c.expiresAt).toLocaleDateString()}
+                      {daysLeft(c.expiresAt) <= 7 && <Badge bg="warning" text="dark" className="ms-2">ends soon</Badge>}
+                    </td>
+                    <td className="small">{c.lastAccessAt ? new Date(c.lastAccessAt).toLocaleString() : "—"}</td>
+                    <td className="text-end text-nowrap">
+                      <Button as={Link} to={`/summary?client=${encodeURIComponent(c.client.uid)}`} size="sm" className="me-2">
+                        View
+                      </Button>
+                      <Button size="sm" variant="outline-danger" onClick={() => handleRemove(c)}>Remove</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
@@ -9,6 +9,23 @@ import { auth } from "../services/Firebase";
 import HypnogramPopup from "../components/HypnogramPopup";
 import ActivityRings, { ActivityRingsLegend } from "../components/ActivityRings";
 import WalkingGaitHeatmap from "../components/WalkingGaitHeatmap";
+import { fetchAllHealthPages } from "../utils/healthApi";
+import { DEFAULT_TIMEZONE, dayKey, hourOf, lastNDayKeys, dayLabel } from "../utils/dates";
+import { METRICS, metricFor, metricsInGroup } from "../utils/metrics";
+import { calculateAge, maxHeartRate, heartZoneThresholds, heartZoneBands } from "../utils/heartZones";
+
+// Body & Vitals slide: one small trend card per registry metric in the "vitals" group (daily averages)
+const VITALS = metricsInGroup("vitals");
+
+// Every registry metric the Dashboard charts, as one aggregate series each (keyed by type).
+// Summed metrics only need the sum; averaged ones also carry the spread and sample count.
+const METRIC_SERIES = Object.fromEntries(
+  METRICS.filter(m => m.dashboard).map(m => [m.type, {
+    type: m.type,
+    bucket: m.dashboard,
+    ops: m.agg === "sum" ? ["sum"] : ["avg", "min", "max", "count"],
+  }])
+);
 
 function Dashboard() {
   const { currentUser } = useAuth();
@@ -16,7 +33,8 @@ function Dashboard() {
   
   // State for health data
   const [stepsData, setStepsData] = useState([]);
-  const [heartData, setHeartData] = useState([]);
+  const [heartData, setHeartData] = useState([]);          // daily avg/min/max/count rows
+  const [heartZoneData, setHeartZoneData] = useState([]);  // daily rows per zone band
   const [restingHeartRateData, setRestingHeartRateData] = useState([]);
   const [sleepData, setSleepData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -33,112 +51,115 @@ function Dashboard() {
   const [walkingSpeedData, setWalkingSpeedData] = useState([]);
   const [doubleSupportTimeData, setDoubleSupportTimeData] = useState([]);
   const [walkingStepLengthData, setWalkingStepLengthData] = useState([]);
+
+  // Body & vitals: { [type]: daily avg/min/max rows }
+  const [vitalsData, setVitalsData] = useState({});
   
   // State for user profile (to get age for HRV goal)
   const [userProfile, setUserProfile] = useState(null);
+  // Days are bucketed in the user's timezone (users.timezone)
+  const timezone = userProfile?.timezone || DEFAULT_TIMEZONE;
   
   // State for hypnogram popup
   const [showHypnogramPopup, setShowHypnogramPopup] = useState(false);
 
-  // Fetch health data from the last 30 days
+  // User profile (age → HR zones, timezone → day buckets); returned so the data fetch can use it
+  const fetchUserProfile = useCallback(async () => {
+    if (!currentUser) return null;
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const uid = auth.currentUser.uid;
+      const res = await fetch(`/api/users?id=${encodeURIComponent(uid)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setUserProfile(data);
+        return data;
+      }
+    } catch (err) {
+      console.error("Error fetching user profile:", err);
+    }
+    return null;
+  }, [currentUser]);
+
+  // Fetch the last 30 days as server-side rollups (one request, no sample cap)
   const fetchHealthData = useCallback(async () => {
     if (!currentUser) return;
     try {
       setLoading(true);
       setError("");
-      
+
+      const profile = await fetchUserProfile();
+      const zones = heartZoneThresholds(maxHeartRate(profile?.dob));
+
       const token = await auth.currentUser.getIdToken();
       const to = new Date();
       const from = new Date();
       from.setDate(from.getDate() - 30); // Last 30 days
-      
-      const makeReq = (type) =>
-        fetch(`/api/health?${new URLSearchParams({
-          type,
+
+      const [aggRes, sleepJson] = await Promise.all([
+        fetch("/api/health/aggregate", {
+          method: "POST",
+          headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+          body: JSON.stringify({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            series: {
+              ...METRIC_SERIES,
+              heartZones: {
+                type: "heart_rate",
+                bucket: "day",
+                ops: ["avg", "count"],
+                bands: heartZoneBands(zones),
+              },
+            },
+          }),
+        }),
+        // Sleep stays raw: the hypnogram needs every stage segment
+        fetchAllHealthPages(`/api/health?${new URLSearchParams({
+          type: "sleep",
           from: from.toISOString(),
           to: to.toISOString(),
-          limit: "1000",
-        })}`, { headers: { Authorization: `Bearer ${token}` } });
-
-      const [
-        stepsResponse, heartResponse, restingHeartRateResponse, sleepResponse,
-        standMinutesResponse, hrvResponse, restingEnergyResponse, activeEnergyResponse,
-        walkingAsymmetryResponse, walkingSpeedResponse, doubleSupportTimeResponse, walkingStepLengthResponse
-      ] = await Promise.all([
-        makeReq("steps"),
-        makeReq("heart_rate"),
-        makeReq("resting_heart_rate"),
-        makeReq("sleep"),
-        makeReq("stand_minutes"),
-        makeReq("heart_rate_variability"),
-        makeReq("resting_energy"),
-        makeReq("active_energy"),
-        makeReq("walking_asymmetry"),
-        makeReq("walking_speed"),
-        makeReq("double_support_time"),
-        makeReq("walking_step_length"),
+        })}`),
       ]);
 
-      const okAll = [
-        stepsResponse, heartResponse, restingHeartRateResponse, sleepResponse,
-        standMinutesResponse, hrvResponse, restingEnergyResponse, activeEnergyResponse,
-        walkingAsymmetryResponse, walkingSpeedResponse, doubleSupportTimeResponse, walkingStepLengthResponse
-      ].every(r => r.ok);
+      if (!aggRes.ok) throw new Error(`Failed to fetch data (status ${aggRes.status || "?"})`);
 
-      if (!okAll) {
-        const firstBad = [
-          stepsResponse, heartResponse, restingHeartRateResponse, sleepResponse,
-          standMinutesResponse, hrvResponse, restingEnergyResponse, activeEnergyResponse,
-          walkingAsymmetryResponse, walkingSpeedResponse, doubleSupportTimeResponse, walkingStepLengthResponse
-        ].find(r => !r.ok);
-        throw new Error(`Failed to fetch data (status ${firstBad?.status || "?"})`);
-      }
-      
-      const [
-        stepsJson, heartJson, restingHeartRateJson, sleepJson,
-        standMinutesJson, hrvJson, restingEnergyJson, activeEnergyJson,
-        walkingAsymmetryJson, walkingSpeedJson, doubleSupportTimeJson, walkingStepLengthJson
-      ] = await Promise.all([
-        stepsResponse.json(),
-        heartResponse.json(),
-        restingHeartRateResponse.json(),
-        sleepResponse.json(),
-        standMinutesResponse.json(),
-        hrvResponse.json(),
-        restingEnergyResponse.json(),
-        activeEnergyResponse.json(),
-        walkingAsymmetryResponse.json(),
-        walkingSpeedResponse.json(),
-        doubleSupportTimeResponse.json(),
-        walkingStepLengthResponse.json()
-      ]);
-      
-      setStepsData(stepsJson.items || []);
-      setHeartData(heartJson.items || []);
-      setRestingHeartRateData(restingHeartRateJson.items || []);
+      const aggJson = await aggRes.json();
+      const series = aggJson.series || {};
+      // Rollup rows → { ts, value } so the per-day memos below work on either shape;
+      // `value` is the metric's own aggregation (sum or avg)
+      const rows = (name, op = metricFor(name)?.agg) => (series[name] || []).map(r => ({ ...r, value: r[op] }));
+
+      setStepsData(rows("steps"));
+      setHeartData(rows("heart_rate"));
+      setHeartZoneData(rows("heartZones", "avg"));
+      setRestingHeartRateData(rows("resting_heart_rate"));
       setSleepData(sleepJson.items || []);
-      setStandMinutesData(standMinutesJson.items || []);
-      setHrvData(hrvJson.items || []);
-      setRestingEnergyData(restingEnergyJson.items || []);
-      setActiveEnergyData(activeEnergyJson.items || []);
-      setWalkingAsymmetryData(walkingAsymmetryJson.items || []);
-      setWalkingSpeedData(walkingSpeedJson.items || []);
-      setDoubleSupportTimeData(doubleSupportTimeJson.items || []);
-      setWalkingStepLengthData(walkingStepLengthJson.items || []);
+      setStandMinutesData(rows("stand_minutes"));
+      setHrvData(rows("heart_rate_variability"));
+      setRestingEnergyData(rows("resting_energy"));
+      setActiveEnergyData(rows("active_energy"));
+      setWalkingAsymmetryData(rows("walking_asymmetry"));
+      setWalkingSpeedData(rows("walking_speed"));
+      setDoubleSupportTimeData(rows("double_support_time"));
+      setWalkingStepLengthData(rows("walking_step_length"));
+      setVitalsData(Object.fromEntries(VITALS.map(v => [v.type, rows(v.type)])));
     } catch (err) {
       console.error("Error fetching health data:", err);
       setError(err.message || "Failed to load health data");
     } finally {
       setLoading(false);
     }
-  }, [currentUser]);
+  }, [currentUser, fetchUserProfile]);
 
   // Process steps data for the chart with rolling averages
   const stepsChartData = useMemo(() => {
     if (!stepsData.length) return [];
     const dailySteps = {};
     stepsData.forEach(item => {
-      const date = new Date(item.ts).toISOString().slice(0, 10);
+      const date = dayKey(item.ts, timezone);
       const steps = typeof item.value === "number" ? item.value : Number(item.value) || 0;
       dailySteps[date] = (dailySteps[date] || 0) + steps;
     });
@@ -146,7 +167,7 @@ function Dashboard() {
       .map(([date, steps]) => ({
         date,
         steps,
-        label: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        label: dayLabel(date)
       }))
       .sort((a, b) => a.date.localeCompare(b.date));
     const dataWith7DayAvg = sortedData.map((item, index) => {
@@ -162,34 +183,16 @@ function Dashboard() {
       return { ...item, avg21Day: Math.round(avg21Day) };
     });
     return dataWith21DayAvg;
-  }, [stepsData]);
+  }, [stepsData, timezone]);
 
-  // Process heart rate data by activity intensity zones
+  // Heart rate by activity intensity zone (zones are banded server-side)
   const heartChartData = useMemo(() => {
     if (!heartData.length) return [];
-    const timestampRestingHR = {};
-    restingHeartRateData.forEach(item => {
-      const timestamp = new Date(item.ts).toISOString();
-      const value = typeof item.value === "number" ? item.value : Number(item.value);
-      if (Number.isFinite(value)) {
-        if (!timestampRestingHR[timestamp]) timestampRestingHR[timestamp] = [];
-        timestampRestingHR[timestamp].push(value);
-      }
-    });
     const processedRestingHR = {};
-    Object.entries(timestampRestingHR).forEach(([timestamp, values]) => {
-      const date = timestamp.slice(0, 10);
-      if (!processedRestingHR[date]) processedRestingHR[date] = { values: [], min: Infinity, max: -Infinity };
-      const tsMin = Math.min(...values);
-      const tsMax = Math.max(...values);
-      processedRestingHR[date].min = Math.min(processedRestingHR[date].min, tsMin);
-      processedRestingHR[date].max = Math.max(processedRestingHR[date].max, tsMax);
-      processedRestingHR[date].values.push(...values);
-    });
-    Object.keys(processedRestingHR).forEach(date => {
-      const { values, min, max } = processedRestingHR[date];
-      const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-      processedRestingHR[date] = { avg: Math.round(avg), min: Math.round(min), max: Math.round(max) };
+    restingHeartRateData.forEach(row => {
+      processedRestingHR[dayKey(row.ts, timezone)] = {
+        avg: Math.round(row.avg), min: Math.round(row.min), max: Math.round(row.max)
+      };
     });
     const allRestingHRAvgs = Object.values(processedRestingHR).map(d => d.avg);
     const overallAvgRestingHR = allRestingHRAvgs.length > 0
@@ -200,75 +203,37 @@ function Dashboard() {
       ? Math.max(...allRestingHRMaxes)
       : overallAvgRestingHR;
 
-    const maxHR = userProfile?.dob 
-      ? 220 - calculateAge(userProfile.dob)
-      : 155;
-    const restZoneEnd = Math.round(maxHR * 0.50);
-    const lightZoneStart = restZoneEnd;
-    const lightZoneEnd = Math.round(maxHR * 0.65);
-    const moderateZoneEnd = Math.round(maxHR * 0.75);
-    const hardZoneEnd = Math.round(maxHR * 0.95);
-    
-    const dailyHeart = {};
-    heartData.forEach(item => {
-      const v = typeof item.value === "number" ? item.value : Number(item.value);
-      if (!Number.isFinite(v)) return;
-      const date = new Date(item.ts).toISOString().slice(0, 10);
-      const restingHRData = processedRestingHR[date];
-      const restZoneThreshold = restingHRData ? restingHRData.avg : overallAvgRestingHR;
-      if (!dailyHeart[date]) {
-        dailyHeart[date] = { 
-          overall: { sum: 0, count: 0, max: 0, min: Infinity },
-          rest: { sum: 0, count: 0, max: 0, min: Infinity },
-          light: { sum: 0, count: 0, max: 0, min: Infinity },
-          moderate: { sum: 0, count: 0, max: 0, min: Infinity },
-          hard: { sum: 0, count: 0, max: 0, min: Infinity },
+    const maxHR = maxHeartRate(userProfile?.dob);
+    const { restZoneEnd, lightZoneStart, lightZoneEnd, moderateZoneEnd, hardZoneEnd } = heartZoneThresholds(maxHR);
+
+    const zoneAvgByDay = {};
+    heartZoneData.forEach(row => {
+      const date = dayKey(row.ts, timezone);
+      if (!zoneAvgByDay[date]) zoneAvgByDay[date] = {};
+      zoneAvgByDay[date][row.band] = Math.round(row.avg);
+    });
+
+    const chartData = heartData
+      .map(row => {
+        const date = dayKey(row.ts, timezone);
+        const zones = zoneAvgByDay[date] || {};
+        const restingHRData = processedRestingHR[date];
+        const restZoneThreshold = restingHRData ? restingHRData.avg : overallAvgRestingHR;
+        return {
+          date,
+          label: dayLabel(date),
+          overall: Math.round(row.avg),
+          rest: zones.rest || 0,
+          light: zones.light || 0,
+          moderate: zones.moderate || 0,
+          hard: zones.hard || 0,
+          maxBpm: row.max,
+          minBpm: row.min,
           restingHR: restZoneThreshold,
           restingHRMin: restingHRData ? restingHRData.min : restZoneThreshold,
           restingHRMax: restingHRData ? restingHRData.max : restZoneThreshold
         };
-      }
-      dailyHeart[date].overall.sum += v;
-      dailyHeart[date].overall.count += 1;
-      dailyHeart[date].overall.max = Math.max(dailyHeart[date].overall.max, v);
-      dailyHeart[date].overall.min = Math.min(dailyHeart[date].overall.min, v);
-      if (v < restZoneEnd) {
-        dailyHeart[date].rest.sum += v;
-        dailyHeart[date].rest.count += 1;
-        dailyHeart[date].rest.max = Math.max(dailyHeart[date].rest.max, v);
-        dailyHeart[date].rest.min = Math.min(dailyHeart[date].rest.min, v);
-      } else if (v >= lightZoneStart && v <= lightZoneEnd) {
-        dailyHeart[date].light.sum += v;
-        dailyHeart[date].light.count += 1;
-        dailyHeart[date].light.max = Math.max(dailyHeart[date].light.max, v);
-        dailyHeart[date].light.min = Math.min(dailyHeart[date].light.min, v);
-      } else if (v > lightZoneEnd && v <= moderateZoneEnd) {
-        dailyHeart[date].moderate.sum += v;
-        dailyHeart[date].moderate.count += 1;
-        dailyHeart[date].moderate.max = Math.max(dailyHeart[date].moderate.max, v);
-        dailyHeart[date].moderate.min = Math.min(dailyHeart[date].moderate.min, v);
-      } else if (v > moderateZoneEnd && v <= hardZoneEnd) {
-        dailyHeart[date].hard.sum += v;
-        dailyHeart[date].hard.count += 1;
-        dailyHeart[date].hard.max = Math.max(dailyHeart[date].hard.max, v);
-        dailyHeart[date].hard.min = Math.min(dailyHeart[date].hard.min, v);
-      }
-    });
-    const chartData = Object.entries(dailyHeart)
-      .map(([date, zones]) => ({
-        date,
-        label: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        overall: zones.overall.count > 0 ? Math.round(zones.overall.sum / zones.overall.count) : 0,
-        rest: zones.rest.count > 0 ? Math.round(zones.rest.sum / zones.rest.count) : 0,
-        light: zones.light.count > 0 ? Math.round(zones.light.sum / zones.light.count) : 0,
-        moderate: zones.moderate.count > 0 ? Math.round(zones.moderate.sum / zones.moderate.count) : 0,
-        hard: zones.hard.count > 0 ? Math.round(zones.hard.sum / zones.hard.count) : 0,
-        maxBpm: zones.overall.max,
-        minBpm: zones.overall.min === Infinity ? 0 : zones.overall.min,
-        restingHR: zones.restingHR,
-        restingHRMin: zones.restingHRMin,
-        restingHRMax: zones.restingHRMax
-      }))
+      })
       .sort((a, b) => a.date.localeCompare(b.date));
     chartData.zoneThresholds = {
       avgRestingHR: overallAvgRestingHR,
@@ -282,7 +247,7 @@ function Dashboard() {
       userAge: userProfile?.dob ? calculateAge(userProfile.dob) : null
     };
     return chartData;
-  }, [heartData, restingHeartRateData, userProfile]);
+  }, [heartData, heartZoneData, restingHeartRateData, userProfile, timezone]);
 
   // Separate datasets by zone for charts
   const heartRateZones = useMemo(() => ({
@@ -300,11 +265,30 @@ function Dashboard() {
     return Math.round(restingHRs.reduce((sum, hr) => sum + hr, 0) / restingHRs.length);
   }, [heartChartData]);
 
+  const restingMeasurementCount = useMemo(
+    () => restingHeartRateData.reduce((n, row) => n + (row.count || 0), 0),
+    [restingHeartRateData]
+  );
+
   const highestRestingHeartRate = useMemo(() => {
     if (!heartChartData.length || !heartChartData.zoneThresholds) return 75;
     return heartChartData.zoneThresholds.highestRestingHR || 75;
   }, [heartChartData]);
 
+  // Body & vitals: latest reading, change vs. the week before, and the daily trend
+  const vitalsCards = useMemo(() => VITALS.map(v => {
+    const chart = (vitalsData[v.type] || [])
+      .map(row => ({ date: dayKey(row.ts, timezone), value: row.avg, min: row.min, max: row.max }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(row => ({ ...row, label: dayLabel(row.date) }));
+    const latest = chart.length ? chart[chart.length - 1] : null;
+    const mean = (arr) => (arr.length ? arr.reduce((s, r) => s + r.value, 0) / arr.length : null);
+    const last7Keys = new Set(lastNDayKeys(7, timezone));
+    const recent = mean(chart.filter(r => last7Keys.has(r.date)));
+    const prior = mean(chart.filter(r => !last7Keys.has(r.date)));
+    return { ...v, unit: v.displayUnit ?? v.unit, chart, latest, delta: recent != null && prior != null ? recent - prior : null };
+  }), [vitalsData, timezone]);
+
   // Sleep chart data
   const sleepChartData = useMemo(() => {
     if (!sleepData.length) return [];
@@ -314,7 +298,7 @@ function Dashboard() {
       if (!Number.isFinite(mins)) return;
       const stage = canonicalStage(item?.payload?.stage);
       if (stage === "In bed") return;
-      const date = new Date(item.ts).toISOString().slice(0, 10);
+      const date = dayKey(item.ts, timezone);
       if (!dailySleep[date]) dailySleep[date] = { REM: 0, Core: 0, Deep: 0, Awake: 0 };
       if (stage === "REM" || stage === "Core" || stage === "Deep" || stage === "Awake") {
         dailySleep[date][stage] = (dailySleep[date][stage] || 0) + mins;
@@ -323,7 +307,7 @@ function Dashboard() {
     return Object.entries(dailySleep)
       .map(([date, stages]) => ({
         date,
-        label: new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        label: dayLabel(date),
         REM: Math.round((stages.REM / 60) * 10) / 10,
         Core: Math.round((stages.Core / 60) * 10) / 10,
         Deep: Math.round((stages.Deep / 60) * 10) / 10,
@@ -331,7 +315,7 @@ function Dashboard() {
         total: Math.round(((stages.REM + stages.Core + stages.Deep + stages.Awake) / 60) * 10) / 10
       }))
       .sort((a, b) => a.date.localeCompare(b.date));
-  }, [sleepData]);
+  }, [sleepData, timezone]);
 
   // Steps stats
   const stepsStats = useMemo(() => {
@@ -418,7 +402,7 @@ function Dashboard() {
     const aggregateByDay = (data) => {
       const dailyData = {};
       data.forEach(item => {
-        const date = new Date(item.ts).toISOString().slice(0, 10);
+        const date = dayKey(item.ts, timezone);
         const value = typeof item.value === "number" ? item.value : Number(item.value);
         if (!Number.isNaN(value)) dailyData[date] = (dailyData[date] || 0) + value;
       });
@@ -427,7 +411,7 @@ function Dashboard() {
     const averageByDay = (data) => {
       const dailyData = {};
       data.forEach(item => {
-        const date = new Date(item.ts).toISOString().slice(0, 10);
+        const date = dayKey(item.ts, timezone);
         const value = typeof item.value === "number" ? item.value : Number(item.value);
         if (!Number.isNaN(value)) {
           if (!dailyData[date]) dailyData[date] = { sum: 0, count: 0 };
@@ -444,9 +428,8 @@ function Dashboard() {
     const standHoursByDay = (data) => {
       const dailyData = {};
       data.forEach(item => {
-        const timestamp = new Date(item.ts);
-        const date = timestamp.toISOString().slice(0, 10);
-        const hour = timestamp.getHours();
+        const date = dayKey(item.ts, timezone);
+        const hour = hourOf(item.ts, timezone);
         const value = typeof item.value === "number" ? item.value : Number(item.value);
         if (!Number.isNaN(value) && value >= 1) {
           if (!dailyData[date]) dailyData[date] = new Set();
@@ -464,53 +447,19 @@ function Dashboard() {
     const restingEnergyByDay = aggregateByDay(restingEnergyData);
     const activeEnergyByDay = aggregateByDay(activeEnergyData);
 
-    const last7Days = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      last7Days.push(date.toISOString().slice(0, 10));
-    }
+    const last7Days = lastNDayKeys(7, timezone);
     return last7Days.map(date => ({
       date,
-      label: new Date(date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' }),
+      label: dayLabel(date, { month: 'short', day: 'numeric', weekday: 'short' }),
       standHours: standHoursByDayData[date] || 0,
       hrv: hrvByDay[date] || 0,
       activeEnergy: activeEnergyByDay[date] || 0,
       restingEnergy: restingEnergyByDay[date] || 0,
       totalEnergy: (activeEnergyByDay[date] || 0) + (restingEnergyByDay[date] || 0)
     }));
-  }, [standMinutesData, hrvData, restingEnergyData, activeEnergyData]);
-
-  // User profile
-  const fetchUserProfile = useCallback(async () => {
-    if (!currentUser) return;
-    try {
-      const token = await auth.currentUser.getIdToken();
-      const uid = auth.currentUser.uid;
-      const res = await fetch(`/api/users?id=${encodeURIComponent(uid)}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setUserProfile(data);
-      }
-    } catch (err) {
-      console.error("Error fetching user profile:", err);
-    }
-  }, [currentUser]);
+  }, [standMinutesData, hrvData, restingEnergyData, activeEnergyData, timezone]);
 
   // Helpers
-  const calculateAge = (dob) => {
-    if (!dob) return null;
-    try {
-      const birthDate = new Date(dob);
-      const today = new Date();
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--;
-      return age;
-    } catch { return null; }
-  };
   const getHRVRange = (age) => {
     if (!age || age < 18) return [0, 90];
     if (age <= 25) return [60, 90];
@@ -556,16 +505,11 @@ function Dashboard() {
   const standAnalysis = useMemo(() => {
     const dailyStandingMinutes = {};
     standMinutesData.forEach(item => {
-      const date = new Date(item.ts).toISOString().slice(0, 10);
+      const date = dayKey(item.ts, timezone);
       const value = typeof item.value === "number" ? item.value : Number(item.value);
       if (!Number.isNaN(value)) dailyStandingMinutes[date] = (dailyStandingMinutes[date] || 0) + value;
     });
-    const last7Days = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      last7Days.push(date.toISOString().slice(0, 10));
-    }
+    const last7Days = lastNDayKeys(7, timezone);
     const dailyTotals = last7Days.map(date => dailyStandingMinutes[date] || 0);
     const validDays = dailyTotals.filter(total => total > 0);
     if (validDays.length === 0) return { avgTotalMinutes: 0, avgMinutesPerHour: 0, status: 'unknown', insights: [] };
@@ -593,7 +537,7 @@ function Dashboard() {
       ];
     }
     return { avgTotalMinutes, avgMinutesPerHour, status, insights };
-  }, [standMinutesData]);
+  }, [standMinutesData, timezone]);
 
   // HRV analysis
   const hrvAnalysis = useMemo(() => {
@@ -662,8 +606,7 @@ function Dashboard() {
   // Load data
   useEffect(() => {
     fetchHealthData();
-    fetchUserProfile();
-  }, [fetchHealthData, fetchUserProfile]);
+  }, [fetchHealthData]);
 
   return (
     <div className="dashboard-root">
@@ -678,6 +621,7 @@ function Dashboard() {
               <span className="badge" style={{ background: 'var(--chart-sleep-deep, #a78bfa)', color: 'var(--on-accent, #fff)' }}>Sleep</span>
               <span className="badge" style={{ background: 'var(--ring-energy, var(--bs-success))', color: 'var(--on-accent, #fff)' }}>Activity Rings</span>
               <span className="badge" style={{ background: 'var(--heatmap-accent, var(--bs-info))', color: 'var(--on-accent, #fff)' }}>Walking Gait Analysis</span>
+              <span className="badge" style={{ background: 'var(--bs-primary)', color: 'var(--on-accent, #fff)' }}>Body &amp; Vitals</span>
               <small className="text-muted ms-2">← Swipe or use arrows to navigate</small>
             </div>
           </div>
@@ -933,7 +877,7 @@ function Dashboard() {
                                   );
                                 })()}
                                 <div className="small text-muted mt-1 fst-italic">
-                                  From {restingHeartRateData.length} measurement{restingHeartRateData.length !== 1 ? 's' : ''}
+                                  From {restingMeasurementCount} measurement{restingMeasurementCount !== 1 ? 's' : ''}
                                 </div>
                               </>
                             ) : (
@@ -1030,7 +974,7 @@ function Dashboard() {
                     const hardEnd = zones.hardZoneEnd || Math.round((zones.maxHR || 155) * 0.95);
                     const sevenDaysAgo = (() => { const d = new Date(); d.setDate(d.getDate() - 7); return d; })();
                     const anyDangerLast7 = (heartData || []).some(h => {
-                      const v = typeof h.value === 'number' ? h.value : Number(h.value);
+                      const v = typeof h.max === 'number' ? h.max : Number(h.max);
                       const t = new Date(h.ts);
                       return Number.isFinite(v) && v > hardEnd && t >= sevenDaysAgo;
                     });
@@ -1564,12 +1508,59 @@ function Dashboard() {
                             walkingStepLengthData={walkingStepLengthData}
                             stepsData={stepsData}
                             dateRange={7}
+                            timezone={timezone}
                           />
                         </Card.Body>
                       </Card>
                     </Col>
                   </Row>
                 </Carousel.Item>
+                {/* Body & Vitals Slide */}
+                <Carousel.Item>
+                  <Row className="g-4">
+                    {vitalsCards.map(v => (
+                      <Col md={6} lg={4} key={v.type}>
+                        <Card className="shadow-sm h-100">
+                          <Card.Header>
+                            <h6 className="mb-0">{v.label}</h6>
+                            <small className="text-muted">Daily average · last 30 days</small>
+                          </Card.Header>
+                          <Card.Body>
+                            {v.latest ? (
+                              <>
+                                <div className="d-flex align-items-baseline gap-2">
+                                  <h3 className="mb-0">{v.latest.value.toFixed(v.digits)}</h3>
+                                  <span className="text-muted">{v.unit}</span>
+                                  {v.delta != null && (
+                                    <small className="ms-auto text-muted">
+                                      {v.delta >= 0 ? "▲" : "▼"} {Math.abs(v.delta).toFixed(v.digits)} vs prior weeks
+                                    </small>
+                                  )}
+                                </div>
+                                <small className="text-muted">Latest: {v.latest.label}</small>
+                                <div style={{ width: "100%", height: 120 }} className="mt-2">
+                                  <ResponsiveContainer>
+                                    <LineChart data={v.chart} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+                                      <XAxis dataKey="label" hide />
+                                      <YAxis domain={["auto", "auto"]} hide />
+                                      <Tooltip formatter={(value) => [`${Number(value).toFixed(v.digits)} ${v.unit}`, v.label]} />
+                                      {v.range && (
+                                        <ReferenceArea y1={v.range.min} y2={v.range.max} fill="var(--bs-success)" fillOpacity={0.08} ifOverflow="hidden" />
+                                      )}
+                                      <Line type="monotone" dataKey="value" stroke={v.color} strokeWidth={2} dot={v.chart.length < 10} />
+                                    </LineChart>
+                                  </ResponsiveContainer>
+                                </div>
+                              </>
+                            ) : (
+                              <p className="text-muted mb-0">No {v.label.toLowerCase()} readings in the last 30 days.</p>
+                            )}
+                          </Card.Body>
+                        </Card>
+                      </Col>
+                    ))}
+                  </Row>
+                </Carousel.Item>
               </Carousel>
             </div>
           )}
@@ -1580,6 +1571,7 @@ function Dashboard() {
             onHide={() => setShowHypnogramPopup(false)}
             sleepData={sleepData}
             dateRange={7}
+            timezone={timezone}
           />
 
           {/* Quick Actions */}
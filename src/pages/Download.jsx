@@ -1,7 +1,7 @@
 // src/pages/Download.jsx
 // This is Apple Shorcut page
 import { useEffect, useState } from "react";
-import { Card, Button, Form, Table, Alert, Modal, InputGroup } from "react-bootstrap";
+import { Card, Button, Form, Table, Alert, Modal, InputGroup, Badge } from "react-bootstrap";
 import QRCode from "qrcode";
 import { useAuth } from "../contexts/AuthContext";
 
@@ -13,18 +13,36 @@ export default function Integrations() {
   const KEYS_URL = `${API_BASE}/api/integrations/shortcuts/keys`;
   const REVOKE_URL = `${API_BASE}/api/integrations/shortcuts/keys-revoke`;
   const UPLOAD_URL = `${API_BASE}/api/upload`;
+  const IMPORT_URL = `${API_BASE}/api/import/sessions`;
+  const rotateUrl = (id) => `${KEYS_URL}/${encodeURIComponent(id)}/rotate`;
+
+  // mirrors KEY_SCOPES in api/lib/keys.js
+  const SCOPES = [
+    ["upload", "Upload"],
+    ["read", "Read health data"],
+    ["export", "Export"],
+  ];
+  const STATUS_VARIANT = { active: "success", rotating: "warning", expired: "secondary", revoked: "secondary" };
 
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
 
   const [label, setLabel] = useState("");
+  const [scopes, setScopes] = useState(["upload"]);
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [note, setNote] = useState("");
   const [creating, setCreating] = useState(false);
 
   const [plainKey, setPlainKey] = useState(null);
   const [showKeyModal, setShowKeyModal] = useState(false);
   const [qrDataUrl, setQrDataUrl] = useState("");
 
+  const [importFile, setImportFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [importProgress, setImportProgress] = useState("");
+
   useEffect(() => {
     if (!currentUser) {
       setItems([]);
@@ -69,26 +87,22 @@ export default function Integrations() {
         const res = await fetch(KEYS_URL, {
           method: "POST",
           headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
-          body: JSON.stringify({ label: label.trim() || null }),
+          body: JSON.stringify({
+            label: label.trim() || null,
+            scopes,
+            expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+            note: note.trim() || null,
+          }),
         });
         const text = await res.text();
         let body; try { body = JSON.parse(text); } catch { body = null; }
         if (!res.ok) throw new Error(body?.error || `POST ${res.status}`);
-        return body; // { key, id, label }
+        return body; // { key, id, label, scopes, expiresAt }
       });
 
-      setPlainKey(data.key);
-      setShowKeyModal(true);
       setLabel("");
-
-      const setupUrl = `${APP_ORIGIN}/shortcut-setup#${encodeURIComponent(data.key)}`;
-      const url = await QRCode.toDataURL(setupUrl, { margin: 1, scale: 6 });
-      setQrDataUrl(url);
-
-      // (Optional) If you want the QR to encode raw upload info instead, swap to:
-      // const qrText = `URL: ${UPLOAD_URL}\nHeader: X-API-Key: ${data.key}\nContent-Type: application/json`;
-      // const url = await QRCode.toDataURL(qrText, { margin: 1, scale: 6 });
-
+      setNote("");
+      await showNewKey(data.key);
       loadKeys();
     } catch (e) {
       console.error(e);
@@ -98,6 +112,45 @@ export default function Integrations() {
     }
   }
 
+  async function showNewKey(key) {
+    setPlainKey(key);
+    setShowKeyModal(true);
+
+    const setupUrl = `${APP_ORIGIN}/shortcut-setup#${encodeURIComponent(key)}`;
+    const url = await QRCode.toDataURL(setupUrl, { margin: 1, scale: 6 });
+    setQrDataUrl(url);
+
+    // (Optional) If you want the QR to encode raw upload info instead, swap to:
+    // const qrText = `URL: ${UPLOAD_URL}\nHeader: X-API-Key: ${key}\nContent-Type: application/json`;
+    // const url = await QRCode.toDataURL(qrText, { margin: 1, scale: 6 });
+  }
+
+  function toggleScope(scope) {
+    setScopes((cur) => (cur.includes(scope) ? cur.filter((s) => s !== scope) : [...cur, scope]));
+  }
+
+  async function onRotate(k) {
+    if (!window.confirm(`Issue a replacement for “${k.label || k.id}”? The old key keeps working for 24 hours so you can update your Shortcut.`)) return;
+    setErr("");
+    try {
+      const data = await withToken(async (t) => {
+        const res = await fetch(rotateUrl(k.id), {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${t}` },
+          body: JSON.stringify({ graceHours: 24 }),
+        });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.error || `POST ${res.status}`);
+        return body; // { key, id, old: { id, revokeAt } }
+      });
+      await showNewKey(data.key);
+      loadKeys();
+    } catch (e) {
+      console.error(e);
+      setErr(e.message || "Failed to rotate key");
+    }
+  }
+
   async function onRevoke(id) {
     if (!window.confirm("Revoke this key? It will stop working immediately.")) return;
     setErr("");
@@ -120,6 +173,55 @@ export default function Integrations() {
     }
   }
 
+  async function onImport(e) {
+    e.preventDefault();
+    if (!importFile) return;
+    setErr("");
+    setImportResult(null);
+    setImporting(true);
+    try {
+      const call = (url, init) => withToken(async (t) => {
+        const res = await fetch(url, { ...init, headers: { ...init.headers, Authorization: `Bearer ${t}` } });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.error || `${init.method} ${res.status}`);
+        return body;
+      });
+      // the zip goes up in parts, then each run call parses another slice (api/lib/healthImport.js)
+      let job = await call(IMPORT_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ size: importFile.size }),
+      });
+      const sessionUrl = `${IMPORT_URL}/${encodeURIComponent(job.sessionId)}`;
+      for (let n = 0; n < job.parts; n++) {
+        setImportProgress(`Uploading… ${Math.round((n / job.parts) * 100)}%`);
+        await call(`${sessionUrl}/parts/${n}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/octet-stream" },
+          body: importFile.slice(n * job.partBytes, (n + 1) * job.partBytes),
+        });
+      }
+      do {
+        setImportProgress(
+          job.phase === "records" && job.xmlBytes
+            ? `Reading records… ${Math.round((job.parsedBytes / job.xmlBytes) * 100)}%`
+            : job.phase === "steps" || job.phase === "finish" ? "Adding up steps…" : "Reading records…"
+        );
+        job = await call(`${sessionUrl}/run`, { method: "POST" });
+        if (job.status === "parsing") await new Promise((r) => setTimeout(r, 1000));
+      } while (job.status === "parsing");
+      if (job.status !== "done") throw new Error(job.error || "Import failed");
+      setImportResult(job.result); // { attempted, inserted, byType, insertedByType, … }
+      setImportFile(null);
+    } catch (e) {
+      console.error(e);
+      setErr(e.message || "Import failed");
+    } finally {
+      setImporting(false);
+      setImportProgress("");
+    }
+  }
+
   function copy(text) {
     navigator.clipboard.writeText(text).then(
       () => alert("Copied"),
@@ -144,15 +246,43 @@ export default function Integrations() {
               <p className="text-muted mb-2">
                 Generate a device-specific key to paste into the Apple Shortcut. You’ll see the plaintext key <strong>once</strong>.
               </p>
-              <Form onSubmit={onCreateKey} className="d-flex gap-2" style={{ maxWidth: 520 }}>
-                <Form.Control
-                  placeholder="Device label (e.g. iPhone 14 Pro)"
-                  value={label}
-                  onChange={(e) => setLabel(e.target.value)}
-                />
-                <Button type="submit" disabled={creating}>
-                  {creating ? "Creating…" : "Generate key"}
-                </Button>
+              <Form onSubmit={onCreateKey} style={{ maxWidth: 520 }}>
+                <div className="d-flex gap-2 mb-2">
+                  <Form.Control
+                    placeholder="Device label (e.g. iPhone 14 Pro)"
+                    value={label}
+                    onChange={(e) => setLabel(e.target.value)}
+                  />
+                  <Button type="submit" disabled={creating || !scopes.length}>
+                    {creating ? "Creating…" : "Generate key"}
+                  </Button>
+                </div>
+                <div className="d-flex flex-wrap gap-3 mb-2">
+                  {SCOPES.map(([value, text]) => (
+                    <Form.Check
+                      key={value}
+                      id={`scope-${value}`}
+                      type="checkbox"
+                      label={text}
+                      checked={scopes.includes(value)}
+                      onChange={() => toggleScope(value)}
+                    />
+                  ))}
+                </div>
+                <div className="d-flex gap-2">
+                  <Form.Select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} style={{ maxWidth: 180 }}>
+                    <option value="">Never expires</option>
+                    <option value="30">Expires in 30 days</option>
+                    <option value="90">Expires in 90 days</option>
+                    <option value="365">Expires in 1 year</option>
+                  </Form.Select>
+                  <Form.Control
+                    placeholder="Note (e.g. home Wi-Fi only, Shortcut v2)"
+                    value={note}
+                    maxLength={200}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                </div>
               </Form>
             </Card.Body>
           </Card>
@@ -165,13 +295,18 @@ export default function Integrations() {
               ) : items.length === 0 ? (
                 <div className="text-muted">No keys yet.</div>
               ) : (
-                <Table size="sm" hover>
+                <Table size="sm" hover responsive>
                   <thead>
                     <tr>
                       <th>Key ID</th>
                       <th>Label</th>
+                      <th>Scopes</th>
                       <th>Created</th>
+                      <th>Expires</th>
                       <th>Last used</th>
+                      <th className="text-end">Uploads</th>
+                      <th className="text-end">Inserted</th>
+                      <th>Last error</th>
                       <th>Status</th>
                       <th></th>
                     </tr>
@@ -180,16 +315,47 @@ export default function Integrations() {
                     {items.map((k) => (
                       <tr key={k.id}>
                         <td style={{ fontFamily: "monospace" }}>{k.id}</td>
-                        <td>{k.label || "—"}</td>
+                        <td>
+                          {k.label || "—"}
+                          {k.note && <div className="small text-muted">{k.note}</div>}
+                        </td>
+                        <td>{(k.scopes || []).map((s) => <Badge key={s} bg="light" text="dark" className="me-1">{s}</Badge>)}</td>
                         <td>{k.createdAt ? new Date(k.createdAt).toLocaleString() : "—"}</td>
-                        <td>{k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "—"}</td>
-                        <td>{k.revokedAt ? "Revoked" : "Active"}</td>
-                        <td className="text-end">
+                        <td>{k.expiresAt ? new Date(k.expiresAt).toLocaleDateString() : "Never"}</td>
+                        <td>
+                          {k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "—"}
+                          {k.stats?.lastUserAgent && <div className="small text-muted">{k.stats.lastIp} · {k.stats.lastUserAgent}</div>}
+                        </td>
+                        <td className="text-end">{k.stats?.uploads ?? 0}</td>
+                        <td className="text-end">{k.stats?.inserted ?? 0}</td>
+                        <td className="small">
+                          {k.stats?.lastError ? (
+                            <span title={new Date(k.stats.lastError.at).toLocaleString()}>
+                              {k.stats.lastError.status} — {k.stats.lastError.message}
+                            </span>
+                          ) : "—"}
+                        </td>
+                        <td>
+                          <Badge bg={STATUS_VARIANT[k.status] || "secondary"}>{k.status}</Badge>
+                          {k.status === "rotating" && (
+                            <div className="small text-muted">until {new Date(k.revokeAt).toLocaleString()}</div>
+                          )}
+                        </td>
+                        <td className="text-end text-nowrap">
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-1"
+                            onClick={() => onRotate(k)}
+                            disabled={!["active", "expired"].includes(k.status)}
+                          >
+                            Rotate
+                          </Button>
                           <Button
                             variant="outline-danger"
                             size="sm"
                             onClick={() => onRevoke(k.id)}
-                            disabled={Boolean(k.revokedAt)}
+                            disabled={k.status === "revoked"}
                           >
                             Revoke
                           </Button>
@@ -206,6 +372,48 @@ export default function Integrations() {
                 <li>Open the Shortcuts app.</li>
                 <li>Paste your API key into the Shortcut input bubble.</li>
               </ol>
+
+              <hr />
+              <h6>Reading your data from scripts</h6>
+              <p className="small text-muted mb-2">
+                Keys with the <em>Read health data</em> scope can call <code>/api/health</code> and{" "}
+                <code>/api/health/aggregate</code>; <em>Export</em> allows <code>/api/health/export</code>.
+                Requests are rate limited per key and logged.
+              </p>
+              <pre className="small bg-light p-2 mb-0">{`curl -H "X-API-Key: <your key>" "${API_BASE || APP_ORIGIN}/api/health/aggregate?type=steps&bucket=day&ops=sum&from=2025-01-01"`}</pre>
+            </Card.Body>
+          </Card>
+
+          <Card className="mt-3">
+            <Card.Body>
+              <h5 className="mb-2">Import full history (Health export)</h5>
+              <p className="text-muted mb-2">
+                In the Health app tap your profile → <em>Export All Health Data</em>, then upload the <code>export.zip</code> here.
+                Samples already uploaded by the Shortcut are skipped. Large exports take a few minutes; keep this page open until it finishes.
+              </p>
+              <Form onSubmit={onImport} className="d-flex gap-2" style={{ maxWidth: 520 }}>
+                <Form.Control
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                />
+                <Button type="submit" disabled={!importFile || importing}>
+                  {importing ? "Importing…" : "Import"}
+                </Button>
+              </Form>
+              {importing && importProgress && <div className="small text-muted mt-2">{importProgress}</div>}
+              {importResult && (
+                <Alert variant="success" className="mt-3 mb-0">
+                  Imported {importResult.inserted} new samples ({importResult.attempted} read).
+                  {importResult.alreadyUploaded > 0 && ` Skipped ${importResult.alreadyUploaded} step totals the Shortcut had already sent.`}
+                  {importResult.rejectedCount > 0 && ` Rejected ${importResult.rejectedCount} out-of-range readings.`}
+                  {Object.keys(importResult.insertedByType || {}).length > 0 && (
+                    <div className="small mt-1">
+                      {Object.entries(importResult.insertedByType).map(([t, n]) => `${t}: ${n}`).join(" · ")}
+                    </div>
+                  )}
+                </Alert>
+              )}
             </Card.Body>
           </Card>
 
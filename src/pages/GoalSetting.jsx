@@ -1,10 +1,15 @@
 
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useMemo } from "react";
 import '../css/GoalSetting.css';
-import { Card, Button, Form, Spinner, Alert, Row, Col } from "react-bootstrap";
-import { PieChart, Pie, Cell, ResponsiveContainer } from "recharts";
+import { Card, Button, Form, Spinner, Alert, Row, Col, Table } from "react-bootstrap";
+import {
+  PieChart, Pie, Cell, ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine
+} from "recharts";
 import { useAuth } from "../contexts/AuthContext";
 import { auth } from "../services/Firebase";
+import CheckinHeatmap from "../components/CheckinHeatmap";
+import MetricGoals from "../components/MetricGoals";
+import { dayLabel, lastNDayKeys } from "../utils/dates";
 
 
 // before:
@@ -16,98 +21,292 @@ const COLORS = [
   'var(--warn, var(--bs-warning))',
 ];
 
-// Simple engagement timeline component (localStorage-backed)
-function EngagementTimeline() {
-  const STORAGE_KEY = "ifb_engagement_checkins";
-  const [checkins, setCheckins] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return {};
-      return JSON.parse(raw);
-    } catch (e) {
-      return {};
-    }
-  });
+// Daily check-ins (api/lib/checkins.js): tick the last 7 days by hand; uploads that meet the
+// day's goals add one automatically. Streaks are all-time, days are in the user's timezone.
+const LEGACY_CHECKINS_KEY = "ifb_engagement_checkins"; // browser-only check-ins from before the API
 
-  // build last 7 days array (labels and dates)
-  const today = new Date();
-  const days = Array.from({ length: 7 }).map((_, i) => {
-    const d = new Date();
-    d.setDate(today.getDate() - (6 - i)); // oldest first
-    d.setHours(0,0,0,0);
-    return d;
+async function checkinsApi(options = {}, query = "") {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(`/api/goals/checkins${query}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...(options.body ? { "Content-Type": "application/json" } : {}) },
   });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `${options.method || "GET"} ${res.status}`);
+  return body;
+}
 
-  const toggleCheckin = (date) => {
-    const key = date.toISOString().slice(0,10);
-    const next = { ...checkins };
-    if (next[key]) delete next[key];
-    else next[key] = true;
-    setCheckins(next);
-    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(next)); } catch (e) {}
-  };
+function EngagementTimeline() {
+  const [data, setData] = useState(null);
+  const [busyDay, setBusyDay] = useState(null);
+  const [err, setErr] = useState("");
 
-  const computeStreaks = (map) => {
-    // current streak: count consecutive trues up to today (backwards)
-    const keys = Object.keys(map).sort();
-    let longest = 0;
-    let current = 0;
-    let running = 0;
-    // build set for fast lookup
-    const s = new Set(keys);
-    for (let i = 6; i >= 0; i--) {
-      const key = days[i].toISOString().slice(0,10);
-      if (s.has(key)) {
-        running += 1;
-        current = running;
-      } else {
-        running = 0;
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      try {
+        // one-off move of the old localStorage check-ins to the server
+        let legacy = [];
+        try {
+          legacy = Object.keys(JSON.parse(localStorage.getItem(LEGACY_CHECKINS_KEY) || "{}"));
+        } catch (e) {}
+        let body;
+        if (legacy.length) {
+          body = await checkinsApi({ method: "POST", body: JSON.stringify({ days: legacy }) }).catch(() => null);
+          if (body) try { localStorage.removeItem(LEGACY_CHECKINS_KEY); } catch (e) {}
+        }
+        body = body || await checkinsApi();
+        if (mounted) setData(body);
+      } catch (e) {
+        if (mounted) setErr(e.message || "Failed to load check-ins");
       }
-      if (running > longest) longest = running;
+    })();
+    return () => { mounted = false; };
+  }, []);
+
+  const byDay = useMemo(() => new Map((data?.items || []).map((c) => [c.day, c.source])), [data]);
+  const days = data ? lastNDayKeys(7, data.tz, data.today) : [];
+
+  const toggleCheckin = async (day) => {
+    setErr("");
+    setBusyDay(day);
+    try {
+      const body = byDay.get(day) === "manual"
+        ? await checkinsApi({ method: "DELETE" }, `?day=${day}`)
+        : await checkinsApi({ method: "POST", body: JSON.stringify({ day }) });
+      setData(body);
+    } catch (e) {
+      setErr(e.message || "Could not save the check-in");
+    } finally {
+      setBusyDay(null);
     }
-    // longest across this 7-day window
-    return { current, longest };
   };
 
-  const { current, longest } = computeStreaks(checkins);
+  if (!data) {
+    return err ? <Alert variant="danger" className="mb-0">{err}</Alert> : <Spinner animation="border" size="sm" />;
+  }
 
-  const reset = () => {
-    setCheckins({});
-    try { localStorage.removeItem(STORAGE_KEY); } catch (e) {}
-  };
+  const { current, longest } = data.streaks;
 
   return (
     <div>
+      {err && <Alert variant="danger">{err}</Alert>}
       <div className="engagement-summary d-flex align-items-center justify-content-between mb-2">
         <div>
           <div className="fw-bold">Current streak: <span style={{ color: COLORS[0] }}>{current}d</span></div>
-          <div className="text-muted small">Longest (7-day window): {longest}d</div>
-        </div>
-        <div>
-          <Button size="sm" variant="outline-secondary" onClick={reset}>Reset</Button>
+          <div className="text-muted small">Longest: {longest}d • {data.total} check-in{data.total === 1 ? "" : "s"} in total</div>
         </div>
       </div>
-      <div className="engagement-timeline d-flex gap-2">
-        {days.map((d) => {
-          const key = d.toISOString().slice(0,10);
-          const checked = Boolean(checkins[key]);
-          const label = d.toLocaleDateString(undefined, { weekday: 'short' });
+      <div className="engagement-timeline d-flex gap-2 mb-3">
+        {days.map((day) => {
+          const source = byDay.get(day);
           return (
             <button
-              key={key}
-              className={`engagement-day btn ${checked ? 'btn-success' : 'btn-outline-secondary'}`}
-              onClick={() => toggleCheckin(d)}
+              key={day}
+              className={`engagement-day btn ${source ? 'btn-success' : 'btn-outline-secondary'}`}
+              onClick={() => toggleCheckin(day)}
+              disabled={busyDay === day || source === "auto"}
+              title={source === "auto" ? "Added by an upload that met this day's goals" : undefined}
             >
-              <div className="engagement-day-label">{label}</div>
-              <div className="engagement-day-date">{d.getDate()}</div>
+              <div className="engagement-day-label">{dayLabel(day, { weekday: 'short' })}</div>
+              <div className="engagement-day-date">{Number(day.slice(8))}</div>
             </button>
           );
         })}
       </div>
+      <CheckinHeatmap items={data.items} today={data.today} />
     </div>
   );
 }
 
+// Weekly attainment lines (keys of goal_attainment.pct, see api/lib/goals.js)
+const ATTAINMENT_SERIES = [
+  { key: "steps", label: "Steps", color: "var(--bs-primary)" },
+  { key: "sleep", label: "Sleep", color: "var(--bs-indigo, #6610f2)" },
+  { key: "stand", label: "Stand", color: "var(--bs-info)" },
+  { key: "activeEnergy", label: "Active energy", color: "var(--bs-orange, #fd7e14)" },
+];
+
+// Weekly % of goal over the last 26 weeks, each week against the goal in force then,
+// plus the saved goal versions. `refreshKey` changes after a save.
+function GoalHistory({ refreshKey }) {
+  const [weeks, setWeeks] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      setErr("");
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const headers = { Authorization: `Bearer ${token}` };
+        const [a, h] = await Promise.all([
+          fetch("/api/goals/attainment?weeks=26", { headers }),
+          fetch("/api/goals/history", { headers }),
+        ]);
+        if (!a.ok || !h.ok) throw new Error("Failed to load goal history");
+        const [aj, hj] = await Promise.all([a.json(), h.json()]);
+        if (!mounted) return;
+        setWeeks(aj.items || []);
+        setVersions(hj.items || []);
+      } catch (e) {
+        if (mounted) setErr(e.message || "Failed to load goal history");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [refreshKey]);
+
+  const chartData = weeks.map((w) => ({ label: dayLabel(w.weekStart), weekStart: w.weekStart, ...w.pct }));
+  const metCount = (key) => weeks.filter((w) => w.met?.[key] && w.complete).length;
+  const completeWeeks = weeks.filter((w) => w.complete).length;
+
+  if (loading) return <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>;
+  if (err) return <Alert variant="danger" className="mb-0">{err}</Alert>;
+  if (!weeks.length) return <p className="text-muted mb-0">Save a goal to start tracking weekly attainment.</p>;
+
+  return (
+    <>
+      <div style={{ height: 280 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis unit="%" domain={[0, (max) => Math.max(120, Math.ceil(max / 10) * 10)]} />
+            <Tooltip formatter={(v) => (v == null ? "—" : `${v}%`)} labelFormatter={(l) => `Week of ${l}`} />
+            <Legend />
+            <ReferenceLine y={100} stroke="var(--bs-success)" strokeDasharray="4 4" />
+            {ATTAINMENT_SERIES.map((s) => (
+              <Line key={s.key} type="monotone" dataKey={s.key} name={s.label} stroke={s.color} dot={{ r: 2 }} connectNulls />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {completeWeeks > 0 && (
+        <div className="small text-muted mt-2">
+          Goals met over {completeWeeks} complete week{completeWeeks === 1 ? "" : "s"}:{" "}
+          {ATTAINMENT_SERIES.map((s) => `${s.label} ${metCount(s.key)}`).join(" • ")}
+        </div>
+      )}
+      {versions.length > 0 && (
+        <Table size="sm" responsive className="small mt-3 mb-0">
+          <thead>
+            <tr><th>From</th><th>Steps</th><th>Sleep</th><th>Stand</th><th>Active energy</th></tr>
+          </thead>
+          <tbody>
+            {versions.slice(0, 8).map((v) => (
+              <tr key={`${v.version}-${v.createdAt}`}>
+                <td>
+                  {dayLabel(v.effectiveFrom, { day: "numeric", month: "short", year: "numeric" })}
+                  {v.source === "recommendation" && <span className="text-muted"> (suggested)</span>}
+                </td>
+                <td>{v.goal.stepsGoal?.toLocaleString() ?? "—"}</td>
+                <td>{v.goal.sleepGoal != null ? `${Math.round(v.goal.sleepGoal / 60)}h` : "—"}</td>
+                <td>{v.goal.standGoal != null ? `${v.goal.standGoal} min` : "—"}</td>
+                <td>{v.goal.activeEnergyGoal != null ? `${v.goal.activeEnergyGoal} kJ` : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </>
+  );
+}
+
+// Fields of a goal with how to show them (see GOAL_FIELDS in api/lib/goals.js)
+const GOAL_LABELS = [
+  { field: "stepsGoal", label: "Steps", format: (v) => v.toLocaleString() },
+  { field: "sleepGoal", label: "Sleep", format: (v) => `${Math.round((v / 60) * 10) / 10}h` },
+  { field: "standGoal", label: "Stand", format: (v) => `${v} min` },
+  { field: "activeEnergyGoal", label: "Active energy", format: (v) => `${v.toLocaleString()} kJ` },
+];
+
+// Weekly targets suggested from the last 8 complete weeks (api/lib/goalRecommendations.js).
+// "Use these goals" saves them as a new version from today; `onAccepted(goal)` gets the saved goal.
+function GoalRecommendations({ refreshKey, onAccepted }) {
+  const [rec, setRec] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      setErr("");
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch("/api/goals/recommendations", { headers: { Authorization: `Bearer ${token}` } });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body?.error || "Failed to load suggestions");
+        if (mounted) setRec(body);
+      } catch (e) {
+        if (mounted) setErr(e.message || "Failed to load suggestions");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [refreshKey]);
+
+  const accept = async () => {
+    setAccepting(true);
+    setErr("");
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/goals/recommendations", { method: "POST", headers: { Authorization: `Bearer ${token}` } });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || "Failed to save goals");
+      onAccepted(body.goal);
+    } catch (e) {
+      setErr(e.message || "Failed to save goals");
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (loading) return <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>;
+  if (!rec) return <Alert variant="danger" className="mb-0">{err}</Alert>;
+
+  const suggested = GOAL_LABELS.filter(({ field }) => rec.goal[field] != null);
+  const unchanged = suggested.every(({ field }) => rec.current?.[field] === rec.goal[field]);
+
+  return (
+    <>
+      {err && <Alert variant="danger">{err}</Alert>}
+      <p className="small text-muted mb-2">
+        Based on {dayLabel(rec.window.from, { day: "numeric", month: "short" })} – {dayLabel(rec.window.to, { day: "numeric", month: "short" })},
+        age band {rec.ageBand}.
+      </p>
+      <Table size="sm" responsive className="small">
+        <thead>
+          <tr><th>Goal</th><th>Current</th><th>Suggested</th><th>Why</th></tr>
+        </thead>
+        <tbody>
+          {GOAL_LABELS.map(({ field, label, format }) => {
+            const m = rec.metrics[field];
+            return (
+              <tr key={field}>
+                <td>{label}</td>
+                <td>{rec.current?.[field] != null ? format(rec.current[field]) : "—"}</td>
+                <td className="fw-bold">{m.target != null ? format(m.target) : "—"}</td>
+                <td className="text-muted">{m.rationale}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </Table>
+      <Button onClick={accept} disabled={accepting || !suggested.length || unchanged}>
+        {accepting ? "Saving..." : unchanged && suggested.length ? "Already using these" : "Use these goals"}
+      </Button>
+    </>
+  );
+}
+
 export default function GoalSetting() {
   const { currentUser } = useAuth();
   const [loading, setLoading] = useState(true);
@@ -122,6 +321,7 @@ export default function GoalSetting() {
   const [actualActiveEnergy, setActualActiveEnergy] = useState(0);
   const [saving, setSaving] = useState(false);
   const [goalsLoaded, setGoalsLoaded] = useState(false);
+  const [savedAt, setSavedAt] = useState(0); // bumps the goal history after a save
 
   // Fetch health data for the last 7 days
   const fetchHealthData = useCallback(async () => {
@@ -222,6 +422,15 @@ export default function GoalSetting() {
     ];
   };
 
+  // A suggestion was saved as the new goal
+  const handleAcceptedGoals = (goal) => {
+    if (typeof goal.stepsGoal === "number") setStepsGoal(goal.stepsGoal);
+    if (typeof goal.sleepGoal === "number") setSleepGoal(goal.sleepGoal);
+    if (typeof goal.standGoal === "number") setStandGoal(goal.standGoal);
+    if (typeof goal.activeEnergyGoal === "number") setActiveEnergyGoal(goal.activeEnergyGoal);
+    setSavedAt(Date.now());
+  };
+
   // Save goals to backend
   const handleSaveGoals = async (e) => {
     e.preventDefault();
@@ -248,7 +457,7 @@ export default function GoalSetting() {
         const data = await res.json().catch(() => ({}));
         throw new Error(data.error || "Failed to save goal");
       }
-      // Optionally show a success message
+      setSavedAt(Date.now());
     } catch (err) {
       setError(err.message || "Failed to save goal");
     } finally {
@@ -464,11 +673,35 @@ export default function GoalSetting() {
                   </Card>
                 </Col>
               </Row>
-             
+
+              <Card className="shadow-sm mb-3">
+                <Card.Body>
+                  <h5 className="mb-2">Your goals</h5>
+                  <p className="text-muted mb-2">Targets on any metric, per day, week, month or between dates — optionally only on certain weekdays.</p>
+                  <MetricGoals />
+                </Card.Body>
+              </Card>
+
+              <Card className="shadow-sm mb-3">
+                <Card.Body>
+                  <h5 className="mb-2">Suggested goals</h5>
+                  <p className="text-muted mb-2">Progressive weekly targets from your own recent weeks, capped for your age.</p>
+                  <GoalRecommendations refreshKey={savedAt} onAccepted={handleAcceptedGoals} />
+                </Card.Body>
+              </Card>
+
+              <Card className="shadow-sm mb-3">
+                <Card.Body>
+                  <h5 className="mb-2">Goal history</h5>
+                  <p className="text-muted mb-2">Weekly totals as a share of the goal you had that week (weeks start Monday).</p>
+                  <GoalHistory refreshKey={savedAt} />
+                </Card.Body>
+              </Card>
+
               <Card className="shadow-sm">
                 <Card.Body>
-                  <h5 className="mb-2">Engagement & Streaks (beta)</h5>
-                  <p className="text-muted mb-2">Daily check-ins and streak tracking.</p>
+                  <h5 className="mb-2">Engagement & Streaks</h5>
+                  <p className="text-muted mb-2">Tick the days you checked in. Uploads that meet a day's goals count automatically.</p>
                   <EngagementTimeline />
                 </Card.Body>
               </Card>
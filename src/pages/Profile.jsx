@@ -4,6 +4,7 @@ import { Card, Form, Button, Alert, Spinner } from "react-bootstrap";
 import { useAuth } from "../contexts/AuthContext";
 import { auth } from "../services/Firebase";
 import { useNavigate } from "react-router-dom";
+import { DEFAULT_TIMEZONE, browserTimezone, timezoneOptions } from "../utils/dates";
 
 /**
  * Profile with admin-approved email changes:
@@ -46,7 +47,7 @@ export default function Profile() {
           const post = await fetch("/api/users", {
             method: "POST",
             headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
-            body: JSON.stringify({ email, displayName, role: "user" }),
+            body: JSON.stringify({ email, displayName, timezone: browserTimezone() }),
           });
           if (!post.ok) {
             const body = await post.json().catch(() => ({}));
@@ -71,6 +72,7 @@ export default function Profile() {
           gender: data.gender || "",
           phone: data.phone || "",
           notes: data.notes || "",
+          timezone: data.timezone || DEFAULT_TIMEZONE,
         };
         if (mounted) setInfo(doc);
 
@@ -154,6 +156,7 @@ export default function Profile() {
         gender: info.gender || "",
         phone: info.phone?.trim(),
         notes: info.notes?.trim(),
+        timezone: info.timezone || DEFAULT_TIMEZONE,
       };
       const res = await fetch(`/api/users?id=${encodeURIComponent(info._id)}`, {
         method: "PATCH",
@@ -216,6 +219,10 @@ export default function Profile() {
     }
   }
 
+  // Keep a saved zone selectable even if this browser's Intl list lacks it
+  const tzOptions = timezoneOptions().includes(info.timezone)
+    ? timezoneOptions()
+    : [info.timezone, ...timezoneOptions()];
 
   return (
     <div className="container py-3">
@@ -262,6 +269,18 @@ export default function Profile() {
             </Form.Select>
           </Form.Group>
 
+          <Form.Group className="mb-2">
+            <Form.Label>Timezone</Form.Label>
+            <Form.Select name="timezone" value={info.timezone} onChange={onChange}>
+              {tzOptions.map((tz) => (
+                <option key={tz} value={tz}>{tz.replace(/_/g, " ")}</option>
+              ))}
+            </Form.Select>
+            <Form.Text className="text-muted">
+              Used to place your samples on the right day. Your browser reports {browserTimezone().replace(/_/g, " ")}.
+            </Form.Text>
+          </Form.Group>
+
           {/* Email: editable → creates pending request on save if changed */}
           <Form.Group className="mb-2">
             <Form.Label>Email</Form.Label>
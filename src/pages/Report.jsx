@@ -0,0 +1,215 @@
+// src/pages/Report.jsx
+// Public, read-only report behind a share link (/report/:token) — no login.
+// GET /api/health/share/<token> returns only the sections and dates the owner chose
+// (api/lib/shareLinks.js); days are in the owner's timezone.
+import { useEffect, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { Container, Card, Alert, Spinner } from "react-bootstrap";
+import {
+  ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from "recharts";
+import HypnogramCarousel from "../components/HypnogramCarousel";
+import WalkingGaitHeatmap from "../components/WalkingGaitHeatmap";
+import { dayKey, dayLabel, enumerateDayKeys } from "../utils/dates";
+import { ZONE_SHARES } from "../utils/heartZones";
+import "../css/dashboard.css";
+import "../css/summary.css";
+
+const COLOR_STEPS = "#4f75ff";
+const COLOR_HEART = "#ff4d6d";
+const ZONE_COLORS = { rest: "#60a5fa", light: "#2eae71", moderate: "#f0c419", hard: "#e8590c" };
+// Fixed labels: the link carries readings per zone, not the owner's BPM edges
+const pctOfMax = (share) => `${Math.round(share * 100)}%`;
+const ZONE_LABELS = {
+  rest: `Rest (< ${pctOfMax(ZONE_SHARES.rest)} of max HR)`,
+  light: `Light (${pctOfMax(ZONE_SHARES.rest)}–${pctOfMax(ZONE_SHARES.light)})`,
+  moderate: `Moderate (${pctOfMax(ZONE_SHARES.light)}–${pctOfMax(ZONE_SHARES.moderate)})`,
+  hard: `Hard (${pctOfMax(ZONE_SHARES.moderate)}–${pctOfMax(ZONE_SHARES.hard)})`,
+};
+const MAX_GAIT_DAYS = 31;
+
+export default function Report() {
+  const { token } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      try {
+        const res = await fetch(`/api/health/share/${encodeURIComponent(token)}`);
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body?.error || `GET ${res.status}`);
+        if (mounted) setData(body);
+      } catch (e) {
+        if (mounted) setErr(e.message || "Failed to load report");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [token]);
+
+  const report = data?.report;
+  const tz = report?.tz;
+  const days = useMemo(() => (report ? enumerateDayKeys(report.fromKey, report.toKey) : []), [report]);
+
+  const stepsChart = useMemo(() => {
+    if (!data?.data?.steps) return [];
+    const byDay = Object.fromEntries(data.data.steps.map((r) => [r.date, Math.round(r.sum)]));
+    return days.map((d) => ({ date: d, label: dayLabel(d), steps: byDay[d] || 0 }));
+  }, [data, days]);
+
+  const heartChart = useMemo(() => {
+    const hz = data?.data?.heartZones;
+    if (!hz) return [];
+    return hz.days
+      .map((r) => ({ date: r.date, label: dayLabel(r.date), avg: Math.round(r.avg), min: Math.round(r.min), max: Math.round(r.max) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }, [data]);
+
+  // share of each day's readings per zone, in %
+  const zoneChart = useMemo(() => {
+    const hz = data?.data?.heartZones;
+    if (!hz) return [];
+    const rows = {};
+    hz.bands.forEach((r) => {
+      if (!rows[r.date]) rows[r.date] = { date: r.date, label: dayLabel(r.date), total: 0 };
+      rows[r.date][r.band] = r.count;
+      rows[r.date].total += r.count;
+    });
+    return Object.values(rows)
+      .map((row) => {
+        const out = { date: row.date, label: row.label };
+        for (const band of Object.keys(ZONE_COLORS)) out[band] = row.total ? Math.round(((row[band] || 0) / row.total) * 1000) / 10 : 0;
+        return out;
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }, [data]);
+
+  if (loading) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+  if (err) {
+    return (
+      <Container className="py-4" style={{ maxWidth: 640 }}>
+        <Alert variant="warning">{err}</Alert>
+      </Container>
+    );
+  }
+
+  const gait = data.data.gait;
+
+  return (
+    <Container className="py-4">
+      <h2 className="mb-1">{report.name ? `${report.name}'s health report` : "Health report"}</h2>
+      <p className="text-muted mb-1">
+        {dayLabel(report.fromKey, { day: "numeric", month: "short", year: "numeric" })} –{" "}
+        {dayLabel(report.toKey, { day: "numeric", month: "short", year: "numeric" })} • times in {tz}
+      </p>
+      <p className="small text-muted">
+        Read-only link, shared by its owner. Expires {new Date(report.expiresAt).toLocaleDateString()}.
+      </p>
+      {report.note && <Alert variant="light">{report.note}</Alert>}
+
+      {data.data.steps && (
+        <Card className="shadow-sm mb-4">
+          <Card.Body>
+            <h5>Steps</h5>
+            <div style={{ height: 280 }}>
+              <ResponsiveContainer>
+                <BarChart data={stepsChart}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <Tooltip />
+                  <Bar dataKey="steps" name="Steps" fill={COLOR_STEPS} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
+      {data.data.heartZones && (
+        <Card className="shadow-sm mb-4">
+          <Card.Body>
+            <h5>Heart rate</h5>
+            {heartChart.length === 0 ? (
+              <p className="text-muted mb-0">No heart rate data in this period.</p>
+            ) : (
+              <>
+                <p className="small text-muted mb-2">Daily average, lowest and highest BPM.</p>
+                <div style={{ height: 260 }}>
+                  <ResponsiveContainer>
+                    <LineChart data={heartChart}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis domain={["auto", "auto"]} unit=" bpm" />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="monotone" dataKey="avg" name="Average" stroke={COLOR_HEART} dot={false} connectNulls />
+                      <Line type="monotone" dataKey="min" name="Lowest" stroke={COLOR_HEART} strokeOpacity={0.4} strokeDasharray="4 3" dot={false} connectNulls />
+                      <Line type="monotone" dataKey="max" name="Highest" stroke={COLOR_HEART} strokeOpacity={0.4} strokeDasharray="4 3" dot={false} connectNulls />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <p className="small text-muted mt-3 mb-2">
+                  Share of each day's readings in each zone. Zones are set from the owner's estimated max heart rate.
+                </p>
+                <div style={{ height: 260 }}>
+                  <ResponsiveContainer>
+                    <BarChart data={zoneChart}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" />
+                      <YAxis unit="%" domain={[0, 100]} />
+                      <Tooltip formatter={(v) => `${v}%`} />
+                      <Legend />
+                      {Object.entries(ZONE_COLORS).map(([key, color]) => (
+                        <Bar key={key} dataKey={key} name={ZONE_LABELS[key]} stackId="zones" fill={color} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      {data.data.sleep && (
+        <Card className="shadow-sm mb-4">
+          <Card.Body>
+            <h5>Sleep</h5>
+            {data.data.sleep.length === 0 ? (
+              <p className="text-muted mb-0">No sleep data in this period.</p>
+            ) : (
+              <HypnogramCarousel sleepData={data.data.sleep} dateRange={days.length} timezone={tz} />
+            )}
+          </Card.Body>
+        </Card>
+      )}
+
+      {gait && (
+        <Card className="shadow-sm mb-4">
+          <Card.Body>
+            <h5>Walking gait</h5>
+            <WalkingGaitHeatmap
+              walkingAsymmetryData={gait.walking_asymmetry || []}
+              walkingSpeedData={gait.walking_speed || []}
+              doubleSupportTimeData={gait.double_support_time || []}
+              walkingStepLengthData={gait.walking_step_length || []}
+              stepsData={gait.steps || []}
+              dateRange={Math.min(days.length, MAX_GAIT_DAYS)}
+              endDate={report.toKey}
+              timezone={tz}
+            />
+          </Card.Body>
+        </Card>
+      )}
+
+      <p className="small text-muted">Generated {dayLabel(dayKey(Date.now(), tz), { day: "numeric", month: "short", year: "numeric" })}.</p>
+    </Container>
+  );
+}
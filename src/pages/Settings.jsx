@@ -1,11 +1,10 @@
 import React, { useEffect, useState } from "react";
-import { Card, Button, Form, Alert, Spinner } from "react-bootstrap";
+import { Card, Button, Form, Alert, Spinner, Table } from "react-bootstrap";
 import { auth } from "../services/Firebase";
 import { applyTheme, getSavedTheme } from "../utils/theme";
-
-const LS_KEYS = {
-  notifications: "hdt_notifications", // true | false
-};
+import { downloadExport } from "../utils/healthApi";
+import { METRICS } from "../utils/metrics";
+import NotificationSettings from "../components/NotificationSettings";
 
 export default function Settings() {
   // Account state
@@ -16,15 +15,55 @@ export default function Settings() {
 
   // Preferences state
   const [theme, setTheme] = useState("light");        // "light" | "dark" | "cb"
-  const [notifications, setNotifications] = useState(true);
 
-  // Hydrate theme + notifications from storage on mount
+  // Clinical (FHIR) export state — date inputs are local days
+  const [fhirFrom, setFhirFrom] = useState(() => {
+    const d = new Date(); d.setDate(d.getDate() - 90); return d.toISOString().slice(0, 10);
+  });
+  const [fhirTo, setFhirTo] = useState(() => new Date().toISOString().slice(0, 10));
+  const [fhirBusy, setFhirBusy] = useState(false);
+  const [fhirError, setFhirError] = useState("");
+
+  // Raw upload retention (users.retainRawUploads) — lets an admin rebuild data after parser fixes
+  const [retainRaw, setRetainRaw] = useState(false);
+  const [retainBusy, setRetainBusy] = useState(false);
+  const [retainError, setRetainError] = useState("");
+
+  // "Download my data" archive (jobs type "archive") — built on request, kept for 7 days
+  const [archive, setArchive] = useState(null);
+  const [archiveBusy, setArchiveBusy] = useState(false);
+  const [archiveError, setArchiveError] = useState("");
+
+  // Coach sharing (consents) — read access to chosen metrics until the grant ends
+  const [consents, setConsents] = useState([]);
+  const [shareEmail, setShareEmail] = useState("");
+  const [shareMetrics, setShareMetrics] = useState(["steps", "heart_rate", "sleep"]);
+  const [shareDays, setShareDays] = useState(90);
+  const [shareBusy, setShareBusy] = useState(false);
+  const [shareError, setShareError] = useState("");
+
+  // Hydrate theme from storage on mount
   useEffect(() => {
     const savedTheme = getSavedTheme() || "light";
     setTheme(savedTheme);
+  }, []);
 
-    const savedNoti = localStorage.getItem(LS_KEYS.notifications);
-    setNotifications(savedNoti === null ? true : savedNoti === "true");
+  useEffect(() => {
+    const unsub = auth.onAuthStateChanged(async (user) => {
+      if (!user) return;
+      try {
+        const token = await user.getIdToken();
+        const res = await fetch("/api/users", { headers: { Authorization: `Bearer ${token}` } });
+        if (res.ok) setRetainRaw((await res.json())?.retainRawUploads === true);
+        const a = await fetch("/api/users/me/archive", { headers: { Authorization: `Bearer ${token}` } });
+        const current = a.ok ? await a.json() : null;
+        setArchive(current);
+        if (current?.status === "building") handleBuildArchive(); // pick up where it left off
+        const c = await fetch("/api/users/me/consents", { headers: { Authorization: `Bearer ${token}` } });
+        if (c.ok) setConsents((await c.json())?.items || []);
+      } catch { /* leave the default */ }
+    });
+    return () => unsub();
   }, []);
 
   // Handlers
@@ -34,10 +73,120 @@ export default function Settings() {
     applyTheme(next);
   };
 
-  const handleToggleNotifications = () => {
-    const next = !notifications;
-    setNotifications(next);
-    localStorage.setItem(LS_KEYS.notifications, String(next));
+  const handleFhirExport = async () => {
+    setFhirError("");
+    setFhirBusy(true);
+    try {
+      const p = new URLSearchParams({
+        format: "fhir",
+        ...(fhirFrom ? { from: new Date(`${fhirFrom}T00:00:00`).toISOString() } : {}),
+        ...(fhirTo ? { to: new Date(`${fhirTo}T23:59:59.999`).toISOString() } : {}),
+      });
+      await downloadExport(`/api/health/export?${p}`, "my_health_data.fhir.json");
+    } catch (err) {
+      setFhirError(err?.message || "Export failed.");
+    } finally {
+      setFhirBusy(false);
+    }
+  };
+
+  const handleToggleRetainRaw = async () => {
+    const next = !retainRaw;
+    if (!next && !window.confirm("Turn off and delete the raw uploads kept so far?")) return;
+    setRetainError("");
+    setRetainBusy(true);
+    try {
+      const user = auth.currentUser;
+      const token = await user.getIdToken();
+      const res = await fetch(`/api/users?id=${encodeURIComponent(user.uid)}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ retainRawUploads: next }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || `Save failed (${res.status})`);
+      setRetainRaw(body?.retainRawUploads === true);
+    } catch (err) {
+      setRetainError(err?.message || "Could not save.");
+    } finally {
+      setRetainBusy(false);
+    }
+  };
+
+  const handleBuildArchive = async () => {
+    setArchiveError("");
+    setArchiveBusy(true);
+    try {
+      // each call collects another slice; keep going until the archive is ready
+      let body;
+      do {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch("/api/users/me/archive", { method: "POST", headers: { Authorization: `Bearer ${token}` } });
+        body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body?.error || `Archive failed (${res.status})`);
+        setArchive(body);
+        if (body?.status === "building") await new Promise((r) => setTimeout(r, 1000));
+      } while (body?.status === "building");
+    } catch (err) {
+      setArchiveError(err?.message || "Could not build the archive.");
+    } finally {
+      setArchiveBusy(false);
+    }
+  };
+
+  const handleDownloadArchive = async () => {
+    setArchiveError("");
+    try {
+      await downloadExport("/api/users/me/archive/download", archive?.filename || "my_data.zip");
+    } catch (err) {
+      setArchiveError(err?.message || "Download failed.");
+    }
+  };
+
+  const toggleShareMetric = (type) => {
+    setShareMetrics((prev) => (prev.includes(type) ? prev.filter((t) => t !== type) : [...prev, type]));
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setShareError("");
+    setShareBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/users/me/consents", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ email: shareEmail, metrics: shareMetrics, days: Number(shareDays) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || `Share failed (${res.status})`);
+      // a new grant to the same coach replaces the old one
+      setConsents((prev) => [body, ...prev.map((c) => (
+        c.granteeUid === body.granteeUid && c.status === "active" ? { ...c, status: "revoked", revokedAt: body.createdAt } : c
+      ))]);
+      setShareEmail("");
+    } catch (err) {
+      setShareError(err?.message || "Could not share.");
+    } finally {
+      setShareBusy(false);
+    }
+  };
+
+  const handleRevokeConsent = async (c) => {
+    if (!window.confirm(`Stop sharing with ${c.granteeName || c.granteeEmail}?`)) return;
+    setShareError("");
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/users/me/consents/${encodeURIComponent(c.id)}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body?.error || `Revoke failed (${res.status})`);
+      setConsents((prev) => prev.map((x) => (x.id === body.id ? body : x)));
+    } catch (err) {
+      setShareError(err?.message || "Could not revoke.");
+    }
   };
 
   const handlePasswordChange = async (e) => {
@@ -128,14 +277,15 @@ export default function Settings() {
                   Color-blind mode uses a palette designed to remain distinguishable for common color-vision deficiencies.
                 </Form.Text>
               </Form.Group>
+            </Card.Body>
+          </Card>
 
-              <Form.Check
-                type="switch"
-                id="pref-notifications"
-                label="Enable notifications"
-                checked={notifications}
-                onChange={handleToggleNotifications}
-              />
+          {/* Notifications (api/lib/notifications.js) */}
+          <Card className="mb-3 shadow-sm">
+            <Card.Body>
+              <h5 className="mb-2">Notifications</h5>
+              <p className="text-muted mb-3">Reminders and alerts about your uploads, goals and heart rate, and updates on your requests.</p>
+              <NotificationSettings />
             </Card.Body>
           </Card>
 
@@ -143,16 +293,126 @@ export default function Settings() {
           <Card className="mb-3 shadow-sm">
             <Card.Body>
               <h5 className="mb-2">Privacy & data</h5>
-              <p className="text-muted mb-3">Export or remove your data. (Coming soon)</p>
-              <div className="d-flex flex-wrap gap-2">
-                <Button variant="outline-secondary" disabled>
-                  Download my data
+              <p className="text-muted mb-3">
+                Export everything we hold about you — profile, goals, requests, API key details, upload logs
+                and all health samples — as a zip of JSON/CSV files.
+              </p>
+              {archiveError && <Alert variant="danger" className="mb-2">{archiveError}</Alert>}
+              <div className="d-flex flex-wrap align-items-center gap-2">
+                <Button variant="outline-secondary" onClick={handleBuildArchive} disabled={archiveBusy}>
+                  {archiveBusy ? <Spinner size="sm" animation="border" /> : archive?.status === "ready" ? "Rebuild archive" : "Download my data"}
                 </Button>
+                {archive?.status === "ready" && (
+                  <Button variant="outline-primary" onClick={handleDownloadArchive}>
+                    Download {archive.filename} ({(archive.bytes / 1048576).toFixed(1)} MB before compression)
+                  </Button>
+                )}
                 <Button variant="outline-danger" disabled>
                   Erase my data
                 </Button>
               </div>
+              {archiveBusy && <Form.Text className="text-muted">Collecting your data — this can take a minute for long histories.</Form.Text>}
+              {archive?.status === "ready" && !archiveBusy && (
+                <Form.Text className="text-muted">
+                  Ready since {new Date(archive.finishedAt).toLocaleString()}; available until {new Date(archive.expiresAt).toLocaleDateString()}.
+                </Form.Text>
+              )}
+              {archive?.status === "failed" && !archiveError && (
+                <Alert variant="warning" className="mt-2 mb-0">The last archive failed ({archive.error}). Try again.</Alert>
+              )}
               <Form.Switch className="mt-3" label="Include raw payload in exports" disabled defaultChecked />
+              <Form.Switch
+                id="pref-retain-raw"
+                className="mt-2"
+                label="Keep raw uploads for reprocessing"
+                checked={retainRaw}
+                disabled={retainBusy}
+                onChange={handleToggleRetainRaw}
+              />
+              <Form.Text className="text-muted">
+                Stores a copy of each Shortcut upload so your history can be rebuilt when parsing improves.
+                Turning this off deletes the copies.
+              </Form.Text>
+              {retainError && <Alert variant="danger" className="mt-2 mb-0">{retainError}</Alert>}
+
+              <hr />
+              <h6 className="mb-1">Share with a clinician</h6>
+              <p className="text-muted small mb-2">
+                Download a FHIR R4 bundle (Observations with LOINC codes and UCUM units) for the dates below.
+              </p>
+              {fhirError && <Alert variant="danger" className="mb-2">{fhirError}</Alert>}
+              <div className="d-flex flex-wrap align-items-center gap-2">
+                <Form.Control type="date" value={fhirFrom} onChange={(e) => setFhirFrom(e.target.value)} style={{ maxWidth: 170 }} />
+                <span className="text-muted">to</span>
+                <Form.Control type="date" value={fhirTo} onChange={(e) => setFhirTo(e.target.value)} style={{ maxWidth: 170 }} />
+                <Button variant="outline-primary" onClick={handleFhirExport} disabled={fhirBusy}>
+                  {fhirBusy ? <Spinner size="sm" animation="border" /> : "Download FHIR bundle"}
+                </Button>
+              </div>
+
+              <hr />
+              <h6 className="mb-1">Share with a coach</h6>
+              <p className="text-muted small mb-2">
+                Let a coach or clinician with an account here view the metrics you pick, read-only, until the
+                date below. You can revoke it at any time.
+              </p>
+              {shareError && <Alert variant="danger" className="mb-2">{shareError}</Alert>}
+              <Form onSubmit={handleShare}>
+                <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+                  <Form.Control
+                    type="email"
+                    required
+                    placeholder="Coach's email"
+                    value={shareEmail}
+                    onChange={(e) => setShareEmail(e.target.value)}
+                    style={{ maxWidth: 260 }}
+                  />
+                  <Form.Select value={shareDays} onChange={(e) => setShareDays(e.target.value)} style={{ maxWidth: 170 }}>
+                    <option value={30}>for 30 days</option>
+                    <option value={90}>for 90 days</option>
+                    <option value={180}>for 6 months</option>
+                    <option value={365}>for 1 year</option>
+                  </Form.Select>
+                  <Button type="submit" variant="outline-primary" disabled={shareBusy || !shareEmail || !shareMetrics.length}>
+                    {shareBusy ? <Spinner size="sm" animation="border" /> : "Share"}
+                  </Button>
+                </div>
+                <div className="d-flex flex-wrap gap-3 small mb-2">
+                  {METRICS.map((m) => (
+                    <Form.Check
+                      key={m.type}
+                      id={`share-${m.type}`}
+                      type="checkbox"
+                      label={m.label}
+                      checked={shareMetrics.includes(m.type)}
+                      onChange={() => toggleShareMetric(m.type)}
+                    />
+                  ))}
+                </div>
+              </Form>
+              {consents.length > 0 && (
+                <Table size="sm" responsive className="mb-0 mt-2 small">
+                  <thead>
+                    <tr><th>Coach</th><th>Metrics</th><th>Until</th><th>Last viewed</th><th>Status</th><th /></tr>
+                  </thead>
+                  <tbody>
+                    {consents.map((c) => (
+                      <tr key={c.id}>
+                        <td>{c.granteeName || c.granteeEmail}{c.granteeName && <div className="text-muted">{c.granteeEmail}</div>}</td>
+                        <td>{c.metrics.map((t) => METRICS.find((m) => m.type === t)?.label || t).join(", ")}</td>
+                        <td>{new Date(c.revokedAt || c.expiresAt).toLocaleDateString()}</td>
+                        <td>{c.lastAccessAt ? new Date(c.lastAccessAt).toLocaleString() : "—"}</td>
+                        <td>{c.status}</td>
+                        <td className="text-end">
+                          {c.status === "active" && (
+                            <Button size="sm" variant="outline-danger" onClick={() => handleRevokeConsent(c)}>Revoke</Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
             </Card.Body>
           </Card>
 
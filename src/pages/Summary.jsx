@@ -1,5 +1,6 @@
 // src/pages/Summary.jsx
 import { useEffect, useMemo, useState, useCallback } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import {
   Container, Row, Col, Card, Form, Button, Table, Alert,
   Dropdown, ButtonGroup, Tabs, Tab, Spinner
@@ -10,10 +11,15 @@ import {
 } from "recharts";
 import { useAuth } from "../contexts/AuthContext";
 import { auth } from "../services/Firebase"; // compat
-import useIsAdmin from "../contexts/useIsAdmin";
+import useRole from "../contexts/useRole";
 import ActivityRings, { ActivityRingsLegend } from "../components/ActivityRings";
 import WalkingGaitHeatmap from "../components/WalkingGaitHeatmap";
 import HypnogramPopup from "../components/HypnogramPopup";
+import ShareReportModal from "../components/ShareReportModal";
+import useUserTimezone from "../contexts/useUserTimezone";
+import { fetchAllHealthPages, downloadExport } from "../utils/healthApi";
+import { DEFAULT_TIMEZONE, dayKey, hourOf, addDaysKey, lastNDayKeys, enumerateDayKeys, dayLabel, zonedDayStartISO, zonedDayEndISO } from "../utils/dates";
+import { METRICS, metricsInGroup } from "../utils/metrics";
 import "../css/dashboard.css";
 import "../css/summary.css";
 
@@ -24,7 +30,10 @@ import "../css/summary.css";
  * - Heart: daily avg BPM (pink/red)
  * - Sleep: minutes by stage; excludes “In bed”; custom colors per stage
  *
- * Backend: GET /api/health?type=...&from=ISO&to=ISO&limit=...
+ * Backend: GET /api/health?type=...&from=ISO&to=ISO&limit=...&cursor=... (follows `next` to the end)
+ *          GET /api/health/export?...&format=csv|ndjson|json (full range, streamed)
+ * Coaches open /summary?client=<uid> from their Clients page; reads then pass `uid=` to
+ * /api/health, which only returns the metrics that client shared (api/lib/consents.js).
  * Auth: Authorization: Bearer <idToken>
  */
 const HEALTH_URL = "/api/health";
@@ -45,8 +54,9 @@ const STAGE_COLORS = {
 
 export default function Summary() {
   const { currentUser } = useAuth();
-  const isAdmin = useIsAdmin();
-
+  // staff who may read other users' data (researchers, admins) get the user picker
+  const isAdmin = useRole().can("health:read");
+  const ownTimezone = useUserTimezone();
   // Shared date window across tabs
   const [from, setFrom] = useState(() => isoDateNDaysAgo(28));
   const [to, setTo] = useState(() => isoDateNDaysAgo(0));
@@ -57,6 +67,11 @@ export default function Summary() {
   const [users, setUsers] = useState({ total: 0, items: [] });
   const [loadingUsers, setLoadingUsers] = useState(false);
 
+  // Coach viewing a client who shared data with them (the admin picker takes precedence)
+  const [searchParams] = useSearchParams();
+  const clientUid = isAdmin && adminSelectedUid ? "" : (searchParams.get("client") || "");
+  const [client, setClient] = useState(null); // roster row from /api/users/me/clients
+
   // Activity rings animation state
   const [activityRingsAnimate, setActivityRingsAnimate] = useState(false);
 
@@ -101,7 +116,14 @@ export default function Summary() {
   const [doubleSupportTimeData, setDoubleSupportTimeData] = useState([]);
   const [walkingStepLengthData, setWalkingStepLengthData] = useState([]);
   const [userProfile, setUserProfile] = useState(null);
+  // Days are bucketed in the viewed user's timezone (users.timezone)
+  const timezone = (
+    isAdmin && adminSelectedUid ? userProfile?.timezone
+      : clientUid ? client?.client?.timezone
+        : ownTimezone
+  ) || DEFAULT_TIMEZONE;
   const [showHypnogramPopup, setShowHypnogramPopup] = useState(false);
+  const [showShareReport, setShowShareReport] = useState(false); // read-only report links (own data only)
   const [loadingDashboard, setLoadingDashboard] = useState(false);
   const [maxAllTimeRestingHR, setMaxAllTimeRestingHR] = useState(null);
 
@@ -133,38 +155,73 @@ export default function Summary() {
     }
   }, [isAdmin, searchUsers]);
 
-  // --- shared fetcher hitting /api/health for *this user* or *selected user* (if admin) ---
+  // Load the consent behind ?client= (its metrics, end date and the client's timezone)
+  useEffect(() => {
+    setClient(null);
+    if (!clientUid || !currentUser) return;
+    let mounted = true;
+    (async () => {
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch("/api/users/me/clients", { headers: { Authorization: `Bearer ${token}` } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || `GET ${res.status}`);
+        const row = (data.items || []).find((c) => c.client?.uid === clientUid) || null;
+        if (mounted) {
+          setClient(row);
+          if (!row) setErr("This user isn't sharing data with you (or the consent has ended).");
+        }
+      } catch (e) {
+        if (mounted) setErr(e.message || "Failed to load client");
+      }
+    })();
+    return () => { mounted = false; };
+  }, [clientUid, currentUser]);
+
+  // --- shared fetcher hitting /api/health for *this user*, a *client* (coach) or *selected user* (if admin) ---
   const fetchHealth = useCallback(
     async (type) => {
       if (!currentUser) return { items: [] };
-      const token = await auth.currentUser.getIdToken();
-      
+
       // Determine which user's data to fetch
       const targetUid = isAdmin && adminSelectedUid ? adminSelectedUid : currentUser.uid;
-      
+
       const p = new URLSearchParams({
         ...(type ? { type } : {}),
-        from: new Date(from + "T00:00:00").toISOString(),
-        to: new Date(to + "T23:59:59").toISOString(),
-        // We fetch a generous chunk and paginate in the UI for now.
-        limit: "10000",
+        from: zonedDayStartISO(from, timezone),
+        to: zonedDayEndISO(to, timezone),
       });
 
-      // Use admin endpoint if viewing another user's data
-      const url = isAdmin && adminSelectedUid ? `/api/admin/health?uid=${targetUid}&${p}` : `${HEALTH_URL}?${p}`;
-      
-      const res = await fetch(url, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const text = await res.text();
-      let data;
-      try { data = JSON.parse(text); } catch { throw new Error("Bad JSON from /api/health"); }
-      if (!res.ok) throw new Error(data?.error || `GET ${res.status}`);
-      return data;
+      // Use admin endpoint if viewing another user's data; pages are followed to the end of the range
+      if (isAdmin && adminSelectedUid) {
+        return fetchAllHealthPages(`/api/admin/health?uid=${targetUid}&${p}`, { limit: 2000 });
+      }
+      if (clientUid) p.set("uid", clientUid);
+      return fetchAllHealthPages(`${HEALTH_URL}?${p}`);
     },
-    [currentUser, from, to, isAdmin, adminSelectedUid]
+    [currentUser, from, to, isAdmin, adminSelectedUid, clientUid, timezone]
   );
 
+  // Full-range export of the table's filters, streamed by the server
+  async function exportRange(format) {
+    try {
+      setErr("");
+      const p = new URLSearchParams({
+        ...(tableType ? { type: tableType } : {}),
+        from: zonedDayStartISO(from, timezone),
+        to: zonedDayEndISO(to, timezone),
+        format,
+        ...(clientUid ? { uid: clientUid } : {}),
+      });
+      const url = isAdmin && adminSelectedUid
+        ? `/api/admin/health-export?uid=${adminSelectedUid}&${p}`
+        : `${HEALTH_URL}/export?${p}`;
+      await downloadExport(url, `my_health_data.${format}`);
+    } catch (e) {
+      console.error(e); setErr(e.message || "Export failed");
+    }
+  }
+
   // ---- loaders per tab ----
   async function loadTable() {
     try {
@@ -220,12 +277,7 @@ export default function Summary() {
 
   // Filter walking gait data to only include days with actual walking gait data (no zero values)
   const filterWalkingGaitDataFromLoaded = (allData) => {
-    const walkingGaitTypes = [
-      'walking_asymmetry',
-      'walking_speed',
-      'double_support_time',
-      'walking_step_length'
-    ];
+    const walkingGaitTypes = metricsInGroup('gait').map(m => m.type);
     
     // First, identify dates that have valid (non-zero) walking gait data
     const validDates = new Set();
@@ -236,7 +288,7 @@ export default function Summary() {
         const value = typeof item.value === "number" ? item.value : Number(item.value);
         // Only include dates that have non-zero values (exclude days with 0 values)
         if (!Number.isNaN(value) && value > 0) {
-          const date = new Date(item.ts).toISOString().slice(0, 10);
+          const date = dayKey(item.ts, timezone);
           validDates.add(date);
         }
       });
@@ -248,28 +300,23 @@ export default function Summary() {
     // Filter each walking gait data type to only include data from valid dates
     const filterDataByValidDates = (dataArray) => {
       return dataArray.filter(item => {
-        const date = new Date(item.ts).toISOString().slice(0, 10);
+        const date = dayKey(item.ts, timezone);
         return sortedValidDates.includes(date);
       });
     };
     
-    return {
-      walking_asymmetry: filterDataByValidDates(allData.walking_asymmetry || []),
-      walking_speed: filterDataByValidDates(allData.walking_speed || []),
-      double_support_time: filterDataByValidDates(allData.double_support_time || []),
-      walking_step_length: filterDataByValidDates(allData.walking_step_length || [])
-    };
+    return Object.fromEntries(
+      walkingGaitTypes.map(type => [type, filterDataByValidDates(allData[type] || [])])
+    );
   };
 
   async function loadDashboardData() {
     if (!isAdmin || !adminSelectedUid) return;
     try {
       setErr(""); setLoadingDashboard(true);
-      const token = await auth.currentUser.getIdToken();
-      const toDate = new Date(to + "T23:59:59");
       // Always use the most recent 21 days within the selected range
-      const fromDate = new Date(toDate);
-      fromDate.setDate(fromDate.getDate() - 20); // 21 days total (including end date)
+      const toDate = new Date(zonedDayEndISO(to, timezone));
+      const fromDate = new Date(zonedDayStartISO(addDaysKey(to, -20), timezone)); // 21 days total (including end date)
       
       const endpoints = [
         ["resting_heart_rate", setRestingHeartRateData],
@@ -291,14 +338,10 @@ export default function Summary() {
           type, 
           from: fromDate.toISOString(), 
           to: toDate.toISOString(), 
-          limit: "1000" 
         });
-        const r = await fetch(`/api/admin/health?${p}`, { 
-          headers: { Authorization: `Bearer ${token}` } 
-        });
-        const j = await r.json(); 
-        allData[type] = j.items || [];
-        setter(j.items || []);
+        const j = await fetchAllHealthPages(`/api/admin/health?${p}`, { limit: 2000 });
+        allData[type] = j.items;
+        setter(j.items);
       }));
 
       // Fetch all-time resting heart rate to derive the rest zone threshold (highest daily resting HR across all data)
@@ -306,13 +349,9 @@ export default function Summary() {
         const pAll = new URLSearchParams({
           uid: adminSelectedUid,
           type: "resting_heart_rate",
-          limit: "2000"
-        });
-        const rAll = await fetch(`/api/admin/health?${pAll}`, {
-          headers: { Authorization: `Bearer ${token}` }
         });
-        const jAll = await rAll.json();
-        const vals = (jAll.items || []).map(it => Number(it.value)).filter(v => Number.isFinite(v));
+        const jAll = await fetchAllHealthPages(`/api/admin/health?${pAll}`, { limit: 2000 });
+        const vals = jAll.items.map(it => Number(it.value)).filter(v => Number.isFinite(v));
         const maxResting = vals.length ? Math.max(...vals) : null;
         setMaxAllTimeRestingHR(maxResting);
       } catch {
@@ -403,13 +442,13 @@ export default function Summary() {
     for (const ev of stepsEvents) {
       const v = typeof ev.value === "number" ? ev.value : Number(ev.value);
       if (!Number.isNaN(v)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         map[k] = (map[k] ?? 0) + v;
       }
     }
     return Object.entries(map).sort(([a],[b]) => a.localeCompare(b))
       .map(([date, steps]) => ({ date, steps, label: ddMMM(date) }));
-  }, [stepsEvents, from, to]);
+  }, [stepsEvents, from, to, timezone]);
 
   const stepsStats = useMemo(() => {
     if (!stepsDaily.length) return { total: 0, avg: 0, best: null };
@@ -426,14 +465,14 @@ export default function Summary() {
     for (const ev of heartEvents) {
       const v = typeof ev.value === "number" ? ev.value : Number(ev.value);
       if (!Number.isNaN(v)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         if (!agg[k]) agg[k] = { sum: 0, n: 0 };
         agg[k].sum += v; agg[k].n += 1;
       }
     }
     return Object.entries(agg).sort(([a],[b]) => a.localeCompare(b))
       .map(([date, { sum, n }]) => ({ date, bpm: Math.round(sum / n), label: ddMMM(date) }));
-  }, [heartEvents]);
+  }, [heartEvents, timezone]);
 
   // ----- sleep stacked chart data (exclude "In bed") -----
   const sleepDaily = useMemo(() => {
@@ -447,7 +486,7 @@ export default function Summary() {
     for (const ev of sleepEvents) {
       const mins = typeof ev.value === "number" ? ev.value : Number(ev.value);
       if (!Number.isNaN(mins)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         const stage = addStage(ev?.payload?.stage);
         if (stage) {
           byDay[k] ??= {};
@@ -465,54 +504,32 @@ export default function Summary() {
       return base;
     });
     return { rows, stages: stageOrder };
-  }, [sleepEvents, from, to]);
+  }, [sleepEvents, from, to, timezone]);
 
   // ----- presets shared by all tabs -----
   function setPreset(kind, apply = true) {
-    const today = isoDateNDaysAgo(0);
+    const today = isoDateNDaysAgo(0, timezone);
     if (kind === 7 || kind === 28 || kind === 90) {
-      setFrom(isoDateNDaysAgo(kind - 1));
+      setFrom(isoDateNDaysAgo(kind - 1, timezone));
       setTo(today);
       if (apply) loadTable();
       return;
     }
     if (kind === "month") {
-      const now = new Date();
-      const first = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().slice(0,10);
-      const last  = new Date(now.getFullYear(), now.getMonth()+1, 0).toISOString().slice(0,10);
+      const first = today.slice(0, 8) + "01";
+      const last  = addDaysKey(addDaysKey(first, 31).slice(0, 8) + "01", -1);
       setFrom(first); setTo(last);
       if (apply) loadTable();
       return;
     }
     if (kind === "all") {
-      setFrom(isoDateNDaysAgo(180)); setTo(today);
+      setFrom(isoDateNDaysAgo(180, timezone)); setTo(today);
       if (apply) loadTable();
       return;
     }
   }
 
   // ----- CSV for table -----
-  function exportCsv(rows) {
-    const header = ["ts","type","value","stage","unit","source"];
-    const lines = [header.join(",")];
-    for (const r of rows) {
-      const row = [
-        new Date(r.ts).toISOString(),
-        r?.type ?? "",
-        r?.type === "sleep" && typeof r.value === "number" ? r.value : (r?.value ?? ""),
-        r?.type === "sleep" ? (canonicalStage(r?.payload?.stage) ?? "") : "",
-        r?.unit ?? "",
-        r?.meta?.source ?? "",
-      ].map((s) => `"${String(s).replace(/"/g, '""')}"`);
-      lines.push(row.join(","));
-    }
-    const blob = new Blob([lines.join("\n")], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = "my_health_data.csv"; a.click();
-    URL.revokeObjectURL(url);
-  }
-
   // Load dashboard data when admin selects a user or changes date range
   useEffect(() => {
     if (isAdmin && adminSelectedUid) {
@@ -525,36 +542,29 @@ export default function Summary() {
   const selectedUserName = selectedUser 
     ? (selectedUser.displayName || [selectedUser.firstName, selectedUser.lastName].filter(Boolean).join(" ") || selectedUser.email || selectedUser._id)
     : null;
+  const clientName = client?.client?.name || null;
 
   // Process data for dashboard visualizations
   const dashboardStepsDaily = useMemo(() => {
     if (!isAdmin || !adminSelectedUid) return [];
-    const days = [];
+    const days = lastNDayKeys(30, timezone);
     const map = {};
-    const end = new Date();
-    const start = new Date();
-    start.setDate(end.getDate() - 29);
-    
-    for (let d = new Date(start); d <= end; d = new Date(d.getTime() + 86400000)) {
-      const k = d.toISOString().slice(0, 10);
-      days.push(k);
-      map[k] = 0;
-    }
+    for (const k of days) map[k] = 0;
     
     for (const ev of stepsEvents) {
       const v = Number(ev.value);
       if (!Number.isNaN(v)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         if (map[k] != null) map[k] += v;
       }
     }
     
     return days.map(d => ({
       date: d,
-      label: new Date(d + "T00:00:00").toLocaleDateString([], { month: "short", day: "numeric" }),
+      label: dayLabel(d, { month: "short", day: "numeric" }, []),
       steps: map[d] || 0
     }));
-  }, [stepsEvents, isAdmin, adminSelectedUid]);
+  }, [stepsEvents, isAdmin, adminSelectedUid, timezone]);
 
   const dashboardHeartDaily = useMemo(() => {
     if (!isAdmin || !adminSelectedUid) return [];
@@ -562,14 +572,14 @@ export default function Summary() {
     for (const ev of heartEvents) {
       const v = typeof ev.value === "number" ? ev.value : Number(ev.value);
       if (!Number.isNaN(v)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         if (!agg[k]) agg[k] = { sum: 0, n: 0 };
         agg[k].sum += v; agg[k].n += 1;
       }
     }
     return Object.entries(agg).sort(([a],[b]) => a.localeCompare(b))
       .map(([date, { sum, n }]) => ({ date, bpm: Math.round(sum / n), label: ddMMM(date) }));
-  }, [heartEvents, isAdmin, adminSelectedUid]);
+  }, [heartEvents, isAdmin, adminSelectedUid, timezone]);
 
   // ---- Admin dashboard: Heart rate zones over time ----
   const heartChartData = useMemo(() => {
@@ -583,7 +593,7 @@ export default function Summary() {
     for (const h of heartRateFromTable) {
       const v = typeof h.value === "number" ? h.value : Number(h.value);
       if (!Number.isFinite(v)) continue;
-      const date = new Date(h.ts).toISOString().slice(0, 10);
+      const date = dayKey(h.ts, timezone);
       if (!processedHeartRate[date]) processedHeartRate[date] = { sum: 0, n: 0, min: Infinity, max: 0 };
       const row = processedHeartRate[date];
       row.sum += v; row.n += 1; row.min = Math.min(row.min, v); row.max = Math.max(row.max, v);
@@ -680,7 +690,7 @@ export default function Summary() {
     for (const r of restingHeartRateData) {
       const v = typeof r.value === "number" ? r.value : Number(r.value);
       if (!Number.isFinite(v)) continue;
-      const date = new Date(r.ts).toISOString().slice(0, 10);
+      const date = dayKey(r.ts, timezone);
       if (!processedRestingByDay[date]) processedRestingByDay[date] = { sum: 0, n: 0 };
       processedRestingByDay[date].sum += v; processedRestingByDay[date].n += 1;
     }
@@ -696,7 +706,7 @@ export default function Summary() {
     for (const h of heartRateFromTable) {
       const v = typeof h.value === "number" ? h.value : Number(h.value);
       if (!Number.isFinite(v)) continue;
-      const date = new Date(h.ts).toISOString().slice(0, 10);
+      const date = dayKey(h.ts, timezone);
       
       // Only process days that are in our selected days
       if (!selectedDays.includes(date)) continue;
@@ -713,7 +723,7 @@ export default function Summary() {
 
     const rows = Object.entries(daily).map(([date, z]) => ({
       date,
-      label: new Date(date).toLocaleDateString([], { month: "short", day: "numeric" }),
+      label: dayLabel(date, { month: "short", day: "numeric" }, []),
       overall: z.overall.n ? Math.round(z.overall.sum / z.overall.n) : 0,
       rest: z.rest.n ? Math.round(z.rest.sum / z.rest.n) : 0,
       light: z.light.n ? Math.round(z.light.sum / z.light.n) : 0,
@@ -748,7 +758,7 @@ export default function Summary() {
       allTimeHardAvg
     };
     return rows;
-  }, [isAdmin, adminSelectedUid, events, userProfile, from, to, restingHeartRateData, maxAllTimeRestingHR]);
+  }, [isAdmin, adminSelectedUid, events, userProfile, from, to, restingHeartRateData, maxAllTimeRestingHR, timezone]);
 
   const heartZoneStats = useMemo(() => {
     const zones = { rest: {avg:0,max:0,min:0,count:0}, light:{avg:0,max:0,min:0,count:0}, moderate:{avg:0,max:0,min:0,count:0}, hard:{avg:0,max:0,min:0,count:0} };
@@ -806,7 +816,7 @@ export default function Summary() {
     for (const ev of sleepFromTable) {
       const mins = typeof ev.value === "number" ? ev.value : Number(ev.value);
       if (!Number.isNaN(mins)) {
-        const k = new Date(ev.ts).toISOString().slice(0, 10);
+        const k = dayKey(ev.ts, timezone);
         const stage = addStage(ev?.payload?.stage);
         if (stage) {
           byDay[k] ??= {};
@@ -845,7 +855,7 @@ export default function Summary() {
     });
     
     return { rows, stages: stageOrder };
-  }, [events, from, to, isAdmin, adminSelectedUid]);
+  }, [events, from, to, isAdmin, adminSelectedUid, timezone]);
 
   // ---- Admin dashboard: Sleep stats (hours + percentages)
   const dashboardSleepStats = useMemo(() => {
@@ -902,33 +912,26 @@ export default function Summary() {
   const sevenDaySummaryData = useMemo(() => {
     if (!isAdmin || !adminSelectedUid) return null;
     
-    // Calculate date range from table filters
-    const fromDate = new Date(from + "T00:00:00");
-    const toDate = new Date(to + "T23:59:59");
-    
-    // Generate all dates in the selected range
-    const allDates = [];
-    for (let d = new Date(fromDate); d <= toDate; d = new Date(d.getTime() + 86400000)) {
-      allDates.push(d.toISOString().slice(0, 10));
-    }
+    // Generate all dates in the selected range (table filters)
+    const allDates = enumerateDayKeys(from, to);
     
     // Find all days with activity data
     const daysWithActivityData = allDates.map(date => {
       // Calculate stand hours for this date
       const standHours = standMinutesData
-        .filter(item => new Date(item.ts).toISOString().slice(0, 10) === date)
+        .filter(item => dayKey(item.ts, timezone) === date)
         .reduce((hours, item) => {
-          const hour = new Date(item.ts).getHours();
+          const hour = hourOf(item.ts, timezone);
           return hours.add(hour);
         }, new Set()).size;
 
       const standMinutes = standMinutesData
-        .filter(item => new Date(item.ts).toISOString().slice(0, 10) === date)
+        .filter(item => dayKey(item.ts, timezone) === date)
         .reduce((sum, item) => sum + (Number(item.value) || 0), 0);
       
       // Calculate HRV for this date
       const hrvValues = hrvData
-        .filter(item => new Date(item.ts).toISOString().slice(0, 10) === date)
+        .filter(item => dayKey(item.ts, timezone) === date)
         .map(item => Number(item.value))
         .filter(val => !isNaN(val));
       const avgHRV = hrvValues.length > 0 ? Math.round(hrvValues.reduce((sum, val) => sum + val, 0) / hrvValues.length) : 0;
@@ -936,7 +939,7 @@ export default function Summary() {
 
       // Calculate energy for this date
       const totalEnergy = [...restingEnergyData, ...activeEnergyData]
-        .filter(item => new Date(item.ts).toISOString().slice(0, 10) === date)
+        .filter(item => dayKey(item.ts, timezone) === date)
         .reduce((sum, item) => sum + (Number(item.value) || 0), 0);
 
       return {
@@ -999,42 +1002,35 @@ export default function Summary() {
         description: "Active + Resting Energy"
       }
     };
-  }, [isAdmin, adminSelectedUid, standMinutesData, hrvData, restingEnergyData, activeEnergyData, from, to]);
+  }, [isAdmin, adminSelectedUid, standMinutesData, hrvData, restingEnergyData, activeEnergyData, from, to, timezone]);
 
 
   // Activity rings data based on most recent days with activity data
   const activityRingsData = useMemo(() => {
     if (!isAdmin || !adminSelectedUid) return [];
     
-    // Calculate date range from table filters
-    const fromDate = new Date(from + "T00:00:00");
-    const toDate = new Date(to + "T23:59:59");
-    
-    // Generate all dates in the selected range
-    const allDates = [];
-    for (let d = new Date(fromDate); d <= toDate; d = new Date(d.getTime() + 86400000)) {
-      allDates.push(d.toISOString().slice(0, 10));
-    }
+    // Generate all dates in the selected range (table filters)
+    const allDates = enumerateDayKeys(from, to);
     
     // Find all days with activity data using health data table
     const daysWithActivityData = allDates.map(date => {
       // Calculate stand hours for this date from health data table
-      const standMinutesFromTable = events.filter(e => e.type === "stand_minutes" && new Date(e.ts).toISOString().slice(0, 10) === date);
+      const standMinutesFromTable = events.filter(e => e.type === "stand_minutes" && dayKey(e.ts, timezone) === date);
       const standHours = standMinutesFromTable
         .reduce((hours, item) => {
-          const hour = new Date(item.ts).getHours();
+          const hour = hourOf(item.ts, timezone);
           return hours.add(hour);
         }, new Set()).size;
 
       // Calculate average HRV for this date from health data table
-      const hrvFromTable = events.filter(e => e.type === "heart_rate_variability" && new Date(e.ts).toISOString().slice(0, 10) === date);
+      const hrvFromTable = events.filter(e => e.type === "heart_rate_variability" && dayKey(e.ts, timezone) === date);
       const hrvValues = hrvFromTable
         .map(item => Number(item.value))
         .filter(val => !isNaN(val));
       const avgHRV = hrvValues.length > 0 ? Math.round(hrvValues.reduce((sum, val) => sum + val, 0) / hrvValues.length) : 0;
 
       // Calculate total energy for this date from health data table
-      const energyFromTable = events.filter(e => (e.type === "resting_energy" || e.type === "active_energy") && new Date(e.ts).toISOString().slice(0, 10) === date);
+      const energyFromTable = events.filter(e => (e.type === "resting_energy" || e.type === "active_energy") && dayKey(e.ts, timezone) === date);
       const totalEnergy = energyFromTable
         .reduce((sum, item) => sum + (Number(item.value) || 0), 0);
 
@@ -1064,7 +1060,7 @@ export default function Summary() {
 
     return selectedDays.map(day => ({
       date: day.date,
-      label: new Date(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+      label: dayLabel(day.date, { weekday: 'short', month: 'short', day: 'numeric' }),
       standHours: day.standHours,
       hrv: day.hrv,
       totalEnergy: day.totalEnergy,
@@ -1073,7 +1069,7 @@ export default function Summary() {
       hrvProgress: Math.min(day.hrv / 60, 1), // Target: 60ms (highest from screenshot)
       energyProgress: Math.min(day.totalEnergy / 8838, 1) // Target: 8838kJ (7-day average from screenshot)
     }));
-  }, [isAdmin, adminSelectedUid, events, from, to]);
+  }, [isAdmin, adminSelectedUid, events, from, to, timezone]);
 
   // ---- Admin dashboard: enrich steps with rolling averages + stats ----
   const dashboardStepsWithAvg = useMemo(() => {
@@ -1261,6 +1257,24 @@ export default function Summary() {
       `}</style>
       {err && <Alert variant="danger" className="mb-3">{err}</Alert>}
 
+      {/* Coach: client's shared data */}
+      {clientUid && (
+        <Card className="border-info bg-light mb-4">
+          <Card.Body className="d-flex flex-wrap align-items-center justify-content-between gap-2">
+            <div>
+              <h5 className="mb-1 text-info">Viewing {clientName || "client"}'s shared data</h5>
+              {client && (
+                <div className="small text-muted">
+                  Shared: {client.metrics.map((t) => METRICS.find((m) => m.type === t)?.label || t).join(", ")}
+                  {" "}• until {new Date(client.expiresAt).toLocaleDateString()}
+                </div>
+              )}
+            </div>
+            <Button as={Link} to="/clients" variant="outline-secondary" size="sm">Back to clients</Button>
+          </Card.Body>
+        </Card>
+      )}
+
       {/* Admin User Selection */}
       {isAdmin && (
         <Card className="border-info bg-light mb-4">
@@ -1368,7 +1382,9 @@ export default function Summary() {
             <Card.Body className="p-3">
               <div className="d-flex align-items-center justify-content-between mb-2">
                 <h3 className="mb-0">
-                  {isAdmin && selectedUserName ? `${selectedUserName}'s Health Data` : "My Health Data"}
+                  {isAdmin && selectedUserName ? `${selectedUserName}'s Health Data`
+                    : clientName ? `${clientName}'s Health Data`
+                      : "My Health Data"}
                   {isAdmin && selectedUserName && (
                     <small className="text-muted ms-2">(UID: {adminSelectedUid})</small>
                   )}
@@ -1395,20 +1411,7 @@ export default function Summary() {
               <div className="d-flex flex-wrap gap-2 mb-3">
                 <Form.Select value={tableType} onChange={(e) => setTableType(e.target.value)} style={{ maxWidth: 220 }}>
                   <option value="">All types</option>
-                  <option value="steps">Steps</option>
-                  <option value="sleep">Sleep</option>
-                  <option value="stand_minutes">Standing</option>
-                  <option value="heart_rate">Heart Rate</option>
-                  <option value="resting_heart_rate">Heart Rate - Resting</option>
-                  <option value="walking_heart_rate_average">Heart Rate - Walking Average</option>
-                  <option value="heart_rate_variability">Heart Rate Variability</option>
-                  <option value="walking_asymmetry">Walking Asymmetry</option>
-                  <option value="walking_steadiness">Walking Steadiness</option>
-                  <option value="walking_speed">Walking Speed</option>
-                  <option value="walking_step_length">Walking Step Length</option>
-                  <option value="double_support_time">Double Support Time</option>
-                  <option value="active_energy">Active Energy kJ</option>
-                  <option value="resting_energy">Resting Energy kJ</option>
+                  {METRICS.map(m => <option key={m.type} value={m.type}>{m.label}</option>)}
                   {/* <option value="blood_pressure">Blood Pressure (beta)</option> */}
 
                 </Form.Select>
@@ -1433,15 +1436,22 @@ export default function Summary() {
                   </Dropdown.Menu>
                 </Dropdown>
 
-                <Button
-                  variant="outline-secondary"
-                  onClick={() => exportCsv(sortedEvents)}
-                  disabled={!sortedEvents.length}
-                  className="ms-auto"
-                >
-                  Export CSV
-                </Button>
+                <Dropdown as={ButtonGroup} className="ms-auto">
+                  <Button variant="outline-secondary" onClick={() => exportRange("csv")}>Export CSV</Button>
+                  <Dropdown.Toggle split variant="outline-secondary" />
+                  <Dropdown.Menu>
+                    <Dropdown.Item onClick={() => exportRange("csv")}>CSV</Dropdown.Item>
+                    <Dropdown.Item onClick={() => exportRange("ndjson")}>NDJSON</Dropdown.Item>
+                    <Dropdown.Item onClick={() => exportRange("json")}>JSON</Dropdown.Item>
+                    <Dropdown.Divider />
+                    <Dropdown.Item onClick={() => exportRange("fhir")}>FHIR R4 bundle (clinical hand-off)</Dropdown.Item>
+                  </Dropdown.Menu>
+                </Dropdown>
+                {!adminSelectedUid && !clientUid && (
+                  <Button variant="outline-primary" onClick={() => setShowShareReport(true)}>Share report</Button>
+                )}
               </div>
+              <ShareReportModal show={showShareReport} onHide={() => setShowShareReport(false)} from={from} to={to} />
 
               {/* Table */}
               <div className="border rounded-3 p-2">
@@ -2170,7 +2180,7 @@ export default function Summary() {
                                 <p className="text-muted mb-0">
                                   No activity data (stand hours, HRV, or energy) found in the selected date range.
                                   <br />
-                                  Current range: {new Date(from).toLocaleDateString()} - {new Date(to).toLocaleDateString()}
+                                  Current range: {dayLabel(from, {}, [])} - {dayLabel(to, {}, [])}
                                   <br />
                                   Please select a different date range or ensure the user has activity data.
                                 </p>
@@ -2417,6 +2427,7 @@ export default function Summary() {
                                 walkingStepLengthData={walkingStepLengthData}
                                 stepsData={stepsEvents}
                                 dateRange={21}
+                                timezone={timezone}
                               />
                             </Card.Body>
                           </Card>
@@ -2430,6 +2441,7 @@ export default function Summary() {
                   onHide={() => setShowHypnogramPopup(false)}
                   sleepData={sleepEvents}
                   dateRange={7}
+                  timezone={timezone}
                 />
               </div>
             )}
@@ -2489,22 +2501,14 @@ function Stat({ label, value }) {
 }
 
 // ---- utils ----
-function isoDateNDaysAgo(n) {
-  const d = new Date(); d.setDate(d.getDate() - n);
-  return d.toISOString().slice(0, 10);
+function isoDateNDaysAgo(n, tz = DEFAULT_TIMEZONE) {
+  return addDaysKey(dayKey(Date.now(), tz), -n);
 }
 function enumerateDays(from, to) {
-  const out = [];
-  const a = new Date(from + "T00:00:00");
-  const b = new Date(to +   "T00:00:00");
-  for (let d = a; d <= b; d = new Date(d.getTime() + 86400000)) {
-    out.push(d.toISOString().slice(0,10));
-  }
-  return out;
+  return enumerateDayKeys(from, to);
 }
 function ddMMM(iso) {
-  const d = new Date(iso + "T00:00:00");
-  return d.toLocaleDateString([], { month: "short", day: "numeric" });
+  return dayLabel(iso, { month: "short", day: "numeric" }, []);
 }
 function formatNum(n) { return (n ?? 0).toLocaleString(); }
 
@@ -0,0 +1,218 @@
+// src/pages/Workouts.jsx
+// Workout sessions (health_data type "workout") with the heart-rate samples captured during each one.
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Card, Row, Col, Table, Form, Alert, Spinner, Badge } from "react-bootstrap";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine } from "recharts";
+import { useAuth } from "../contexts/AuthContext";
+import useUserTimezone from "../contexts/useUserTimezone";
+import { fetchAllHealthPages } from "../utils/healthApi";
+import "../css/dashboard.css";
+
+const RANGES = [
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last 12 months" },
+];
+
+function sessionEnd(w) {
+  if (w?.payload?.end) return new Date(w.payload.end);
+  return new Date(new Date(w.ts).getTime() + (Number(w.value) || 0) * 60000);
+}
+
+function formatDuration(mins) {
+  if (!Number.isFinite(mins)) return "—";
+  const m = Math.round(mins);
+  const h = Math.floor(m / 60);
+  return h ? `${h}h ${m % 60}m` : `${m}m`;
+}
+
+// "TraditionalStrengthTraining" → "Traditional Strength Training"
+function activityLabel(type) {
+  return String(type || "Other").replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+export default function Workouts() {
+  const { currentUser } = useAuth();
+  const timezone = useUserTimezone();
+
+  const [days, setDays] = useState(90);
+  const [workouts, setWorkouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+
+  const [selected, setSelected] = useState(null);
+  const [hrSamples, setHrSamples] = useState([]);
+  const [loadingHr, setLoadingHr] = useState(false);
+
+  const loadWorkouts = useCallback(async () => {
+    if (!currentUser) return;
+    try {
+      setErr(""); setLoading(true);
+      const from = new Date(); from.setDate(from.getDate() - days);
+      const p = new URLSearchParams({ type: "workout", from: from.toISOString(), to: new Date().toISOString() });
+      const { items } = await fetchAllHealthPages(`/api/health?${p}`);
+      setWorkouts(items);
+      setSelected(items[0] || null);
+    } catch (e) {
+      console.error(e); setErr(e.message || "Failed to load workouts"); setWorkouts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser, days]);
+
+  useEffect(() => { loadWorkouts(); }, [loadWorkouts]);
+
+  // Heart-rate samples inside the selected session's window
+  useEffect(() => {
+    if (!selected) { setHrSamples([]); return; }
+    let cancelled = false;
+    (async () => {
+      try {
+        setLoadingHr(true);
+        const p = new URLSearchParams({
+          type: "heart_rate",
+          from: new Date(selected.ts).toISOString(),
+          to: sessionEnd(selected).toISOString(),
+        });
+        const { items } = await fetchAllHealthPages(`/api/health?${p}`);
+        if (!cancelled) setHrSamples(items);
+      } catch (e) {
+        if (!cancelled) { console.error(e); setHrSamples([]); }
+      } finally {
+        if (!cancelled) setLoadingHr(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selected]);
+
+  const fmtDateTime = useMemo(
+    () => new Intl.DateTimeFormat("en-AU", { timeZone: timezone, weekday: "short", day: "numeric", month: "short", hour: "numeric", minute: "2-digit" }),
+    [timezone]
+  );
+  const fmtTime = useMemo(
+    () => new Intl.DateTimeFormat("en-AU", { timeZone: timezone, hour: "numeric", minute: "2-digit" }),
+    [timezone]
+  );
+
+  const hrChartData = useMemo(() => {
+    if (!selected) return [];
+    const start = new Date(selected.ts).getTime();
+    return hrSamples
+      .map(s => ({ t: new Date(s.ts).getTime(), bpm: Number(s.value) }))
+      .filter(s => Number.isFinite(s.bpm))
+      .sort((a, b) => a.t - b.t)
+      .map(s => ({ ...s, minute: Math.round((s.t - start) / 60000) }));
+  }, [hrSamples, selected]);
+
+  // Prefer the session's own stats; fall back to what the samples show
+  const hrStats = useMemo(() => {
+    const bpms = hrChartData.map(d => d.bpm);
+    const avg = selected?.payload?.avg_hr ?? (bpms.length ? Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length) : null);
+    const max = selected?.payload?.max_hr ?? (bpms.length ? Math.max(...bpms) : null);
+    return { avg, max };
+  }, [hrChartData, selected]);
+
+  const totals = useMemo(() => ({
+    count: workouts.length,
+    minutes: workouts.reduce((s, w) => s + (Number(w.value) || 0), 0),
+    energy: workouts.reduce((s, w) => s + (Number(w.payload?.energy_kj) || 0), 0),
+  }), [workouts]);
+
+  return (
+    <div className="container py-3">
+      <div className="d-flex align-items-center justify-content-between mb-3">
+        <h2 className="mb-0">Workouts</h2>
+        <Form.Select value={days} onChange={e => setDays(Number(e.target.value))} style={{ maxWidth: 200 }}>
+          {RANGES.map(r => <option key={r.days} value={r.days}>{r.label}</option>)}
+        </Form.Select>
+      </div>
+
+      {err && <Alert variant="danger">{err}</Alert>}
+
+      {loading ? (
+        <div className="text-center py-5"><Spinner animation="border" /></div>
+      ) : !workouts.length ? (
+        <Alert variant="info">
+          No workouts in this period. Workouts arrive with your Shortcut upload or a Health app export import.
+        </Alert>
+      ) : (
+        <Row className="g-3">
+          <Col lg={5}>
+            <Card className="shadow-sm">
+              <Card.Body className="p-3">
+                <div className="d-flex gap-3 mb-2 small text-muted">
+                  <span><strong>{totals.count}</strong> sessions</span>
+                  <span><strong>{formatDuration(totals.minutes)}</strong> total</span>
+                  {totals.energy > 0 && <span><strong>{Math.round(totals.energy).toLocaleString()}</strong> kJ</span>}
+                </div>
+                <div className="border rounded-3 p-2" style={{ maxHeight: 560, overflowY: "auto" }}>
+                  <Table size="sm" hover className="mb-0 align-middle">
+                    <thead><tr><th>When</th><th>Activity</th><th>Duration</th><th>Avg HR</th></tr></thead>
+                    <tbody>
+                      {workouts.map((w, idx) => (
+                        <tr
+                          key={w._id || `${w.ts}-${idx}`}
+                          onClick={() => setSelected(w)}
+                          className={selected === w ? "table-active" : ""}
+                          style={{ cursor: "pointer" }}
+                        >
+                          <td>{fmtDateTime.format(new Date(w.ts))}</td>
+                          <td>{activityLabel(w.payload?.activityType)}</td>
+                          <td>{formatDuration(Number(w.value))}</td>
+                          <td>{w.payload?.avg_hr != null ? Math.round(w.payload.avg_hr) : "—"}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              </Card.Body>
+            </Card>
+          </Col>
+
+          <Col lg={7}>
+            {selected && (
+              <Card className="shadow-sm">
+                <Card.Body className="p-3">
+                  <h5 className="mb-1">{activityLabel(selected.payload?.activityType)}</h5>
+                  <div className="text-muted small mb-3">
+                    {fmtDateTime.format(new Date(selected.ts))} – {fmtTime.format(sessionEnd(selected))}
+                  </div>
+
+                  <div className="d-flex flex-wrap gap-2 mb-3">
+                    <Badge bg="secondary">{formatDuration(Number(selected.value))}</Badge>
+                    {selected.payload?.energy_kj != null && <Badge bg="success">{Math.round(selected.payload.energy_kj)} kJ</Badge>}
+                    {selected.payload?.distance_km != null && <Badge bg="info">{selected.payload.distance_km.toFixed(2)} km</Badge>}
+                    {hrStats.avg != null && <Badge bg="danger">Avg {Math.round(hrStats.avg)} bpm</Badge>}
+                    {hrStats.max != null && <Badge bg="dark">Max {Math.round(hrStats.max)} bpm</Badge>}
+                  </div>
+
+                  {loadingHr ? (
+                    <div className="text-center py-4"><Spinner animation="border" size="sm" /></div>
+                  ) : hrChartData.length ? (
+                    <ResponsiveContainer width="100%" height={300}>
+                      <LineChart data={hrChartData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="minute" type="number" domain={[0, "dataMax"]} tickFormatter={m => `${m}m`} />
+                        <YAxis domain={["dataMin - 10", "dataMax + 10"]} unit=" bpm" width={70} />
+                        <Tooltip
+                          labelFormatter={(_, payload) => (payload?.[0] ? fmtTime.format(new Date(payload[0].payload.t)) : "")}
+                          formatter={v => [`${v} bpm`, "Heart rate"]}
+                        />
+                        {hrStats.avg != null && (
+                          <ReferenceLine y={hrStats.avg} stroke="var(--bs-secondary)" strokeDasharray="4 4" label={{ value: "avg", position: "right" }} />
+                        )}
+                        <Line type="monotone" dataKey="bpm" stroke="var(--chart-hr-hard, #ff4d6d)" dot={false} strokeWidth={2} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <p className="text-muted mb-0">No heart-rate samples were recorded during this session.</p>
+                  )}
+                </Card.Body>
+              </Card>
+            )}
+          </Col>
+        </Row>
+      )}
+    </div>
+  );
+}
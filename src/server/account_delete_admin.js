@@ -1,9 +1,10 @@
 // src/server/account_delete_admin.js
 // Admin-only delete of arbitrary user UID.
-// Deletes Mongo user doc; optionally purge data (commented).
-// Also deletes Firebase Auth user.
+// Deletes Mongo user doc and purges (or schedules the purge of) their data per the retention
+// policy, leaving a tombstone. Also deletes Firebase Auth user.
 import { getDb, requireAdmin } from "../../api/admin/_util.js";
 import { getAdminAuth } from "../../api/lib/firebaseAdmin.js";
+import { retireAccount } from "../../api/lib/retention.js";
 
 export default async function handler(req, res) {
   const adminOk = await requireAdmin(req, res);
@@ -19,21 +20,15 @@ export default async function handler(req, res) {
     if (!uid) return res.status(400).json({ error: "uid required" });
 
     const db = await getDb();
-    const usersCol = db.collection("users");
 
-    // 1) Mongo user doc
-    const r = await usersCol.deleteOne({ _id: uid });
-
-    // 2) (Optional) Purge user data — uncomment if you want hard deletes
-    // await db.collection("health_data").deleteMany({ "meta.uid": uid });
-    // await db.collection("ingest_guard").deleteMany({ uid });
-    // await db.collection("ingest_logs").deleteMany({ uid });
+    // 1) Mongo user doc + tombstone; 2) data purged now or scheduled (lib/retention.js)
+    const tombstone = await retireAccount(db, String(uid), { via: "admin", deletedBy: adminOk.decoded.uid });
 
     // 3) Firebase Auth
     const adminAuth = getAdminAuth();
     await adminAuth.deleteUser(uid);
 
-    res.status(200).json({ ok: true, dbDeleted: r.deletedCount === 1 });
+    res.status(200).json({ ok: true, dbDeleted: tombstone.userDeleted, purge: tombstone });
   } catch (e) {
     console.error("admin account-delete error:", e);
     res.status(500).json({ error: e.message || "Server error" });
@@ -1,4 +1,5 @@
 import { getDb, requireAdmin } from "../../api/admin/_util.js";
+import { buildHealthFilter, pageHealth } from "../../api/lib/healthQuery.js";
 
 export default async function handler(req, res) {
   const auth = await requireAdmin(req, res);
@@ -8,20 +9,18 @@ export default async function handler(req, res) {
     const db = await getDb();
     const col = db.collection("health_data");
 
-    const { uid, type, from, to, limit = "200" } = req.query;
+    const { uid, type, from, to, limit = "200", cursor } = req.query;
     const lim = Math.min(parseInt(limit, 10) || 200, 2000);
 
-    const filter = {};
-    if (uid) filter["meta.uid"] = String(uid);
-    if (type) filter.type = String(type);
-    if (from || to) {
-      filter.ts = {};
-      if (from) filter.ts.$gte = new Date(from);
-      if (to) filter.ts.$lte = new Date(to);
+    const filter = buildHealthFilter({ uid, type, from, to });
+    let page;
+    try {
+      page = await pageHealth(col, filter, { limit: lim, cursor });
+    } catch (e) {
+      if (e.message === "Invalid cursor") return res.status(400).json({ error: e.message });
+      throw e;
     }
-
-    const items = await col.find(filter).sort({ ts: -1 }).limit(lim).toArray();
-    return res.status(200).json({ count: items.length, items });
+    return res.status(200).json({ count: page.items.length, ...page });
   }
 
   if (req.method === "POST") {
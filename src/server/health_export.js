@@ -0,0 +1,29 @@
+import { getDb, requireAdmin } from "../../api/admin/_util.js";
+import { buildHealthFilter, streamHealthExport, EXPORT_FORMATS } from "../../api/lib/healthQuery.js";
+
+// GET /api/admin/health-export?uid=&type=&from=&to=&format=csv|ndjson|json|fhir
+// Streams the full range for one user, or every user when uid is omitted (not for fhir: one Bundle per user).
+export default async function handler(req, res) {
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uid, type, from, to, format = "csv" } = req.query;
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `Unsupported format: ${format}` });
+  if (EXPORT_FORMATS[format].singleUser && !uid) return res.status(400).json({ error: `${format} export needs a uid` });
+
+  const db = await getDb();
+  const filter = buildHealthFilter({ uid, type, from, to });
+  const filename = uid ? `health_data_${String(uid)}` : "health_data_all_users";
+  try {
+    await streamHealthExport(res, db.collection("health_data"), filter, { format, filename });
+  } catch (e) {
+    console.error("health-export error:", e);
+    if (res.headersSent) return res.end(); // truncated download; nothing else we can signal
+    throw e;
+  }
+}
@@ -0,0 +1,40 @@
+// src/server/notifications.js
+// Notification rules runner and delivery status (see api/lib/notifications.js).
+// GET                  → { channels, stubOutbox } (stubOutbox: what NOTIFICATION_TRANSPORT=stub "sent")
+// POST { op: "run" }   → run today's job over every user for one budget → { day, status, checked, sent, more }
+//                        (call again while `more`)
+// POST { op: "run", uid } → just that user → { checked: 1, sent }
+// The Vercel cron calls GET ?op=run with `Authorization: Bearer $CRON_SECRET` every 10 minutes
+// from 09:00 to 10:50 UTC; once the day's job is done the remaining calls return it unchanged.
+import { getDb, isCron, requireAdmin } from "../../api/admin/_util.js";
+import { runAllRules, runRules, stubOutbox } from "../../api/lib/notifications.js";
+import { channelStatus } from "../../api/lib/notificationChannels.js";
+
+// stay well inside the function timeout; the next call carries on from the saved cursor
+const RUN_BUDGET_MS = Number(process.env.NOTIFY_BUDGET_MS || 45000);
+
+export default async function handler(req, res) {
+  if (req.method === "GET" && req.query.op === "run" && isCron(req)) {
+    const db = await getDb();
+    return res.status(200).json(await runAllRules(db, { budgetMs: RUN_BUDGET_MS }));
+  }
+
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  if (req.method === "GET") {
+    const db = await getDb();
+    return res.status(200).json({ channels: channelStatus(), stubOutbox: await stubOutbox(db) });
+  }
+
+  if (req.method === "POST") {
+    const { op, uid } = req.body || {};
+    if (op !== "run") return res.status(400).json({ error: "op must be run" });
+    const db = await getDb();
+    if (uid) return res.status(200).json({ checked: 1, sent: (await runRules(db, String(uid))).length });
+    return res.status(200).json(await runAllRules(db, { budgetMs: RUN_BUDGET_MS }));
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
@@ -0,0 +1,46 @@
+// src/server/reprocess.js
+// Rebuild a user's health_data from retained raw uploads (see api/lib/reprocess.js).
+// GET  ?id=<jobId> → job          GET → { items: recent reprocess jobs }
+// POST { uid, from: "YYYY-MM-DD", to: "YYYY-MM-DD" } → 201 job (queued, then run for one budget)
+// POST { id } → continue a job that is still running (the admin page calls this until it's done)
+import { getDb, requireAdmin } from "../../api/admin/_util.js";
+import { createReprocessJob, getJob, listJobs, runReprocessJob } from "../../api/lib/reprocess.js";
+
+// stay well inside the function timeout; the job resumes from its saved step on the next call
+const RUN_BUDGET_MS = Number(process.env.REPROCESS_BUDGET_MS || 45000);
+
+export default async function handler(req, res) {
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  const db = await getDb();
+
+  if (req.method === "GET") {
+    if (req.query.id) {
+      const job = await getJob(db, req.query.id);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+      return res.status(200).json(job);
+    }
+    return res.status(200).json({ items: await listJobs(db) });
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id, uid, from, to } = req.body || {};
+  if (id) {
+    const job = await runReprocessJob(db, id, { budgetMs: RUN_BUDGET_MS });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    return res.status(200).json(job);
+  }
+
+  let job;
+  try {
+    job = await createReprocessJob(db, { uid: uid ? String(uid) : "", from, to, createdBy: auth.decoded.uid });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  return res.status(201).json(await runReprocessJob(db, job._id, { budgetMs: RUN_BUDGET_MS }));
+}
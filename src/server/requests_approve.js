@@ -2,6 +2,8 @@
 // Approves "signup" | "email_change" | "account_delete" and ALWAYS returns JSON.
 import { getDb, requireAdmin } from "../../api/admin/_util.js";
 import { getAdminAuth } from "../../api/lib/firebaseAdmin.js";
+import { retireAccount } from "../../api/lib/retention.js";
+import { notifyRequestDecision } from "../../api/lib/notifications.js";
 import { ObjectId } from "mongodb";
 
 function safeObjectId(id) {
@@ -69,6 +71,7 @@ export default async function handler(req, res) {
       }
 
       await reqCol.updateOne({ _id: reqDoc._id }, { $set: { status: "approved", resolvedAt: new Date() } });
+      await notifyRequestDecision(db, reqDoc, "approved");
       return res.status(200).json({ ok: true, kind: "signup", uid: reqDoc.uid });
 
     } else if (reqDoc.type === "email_change" && (kind === "emailChange" || kind === "email_change")) {
@@ -87,6 +90,7 @@ export default async function handler(req, res) {
 
       // 3) Mark request done
       await reqCol.updateOne({ _id: reqDoc._id }, { $set: { status: "approved", resolvedAt: new Date() } });
+      await notifyRequestDecision(db, reqDoc, "approved");
 
       return res.status(200).json({ ok: true, kind: "email_change", uid: targetUid, newEmail });
 
@@ -94,20 +98,16 @@ export default async function handler(req, res) {
       const targetUid = reqDoc.uid;
       if (!targetUid) return res.status(400).json({ error: "Malformed account_delete request" });
 
-      // 1) Delete Mongo user
-      await users.deleteOne({ _id: targetUid });
+      // Mark approved first: an immediate purge removes the user's requests too
+      await reqCol.updateOne({ _id: reqDoc._id }, { $set: { status: "approved", resolvedAt: new Date() } });
 
-      // 2) (Optional) purge user data — uncomment if you want hard deletes
-      // const db2 = await getDb();
-      // await db2.collection("health_data").deleteMany({ "meta.uid": targetUid });
-      // await db2.collection("ingest_guard").deleteMany({ uid: targetUid });
-      // await db2.collection("ingest_logs").deleteMany({ uid: targetUid });
+      // 1) Delete Mongo user + tombstone; 2) purge data now or schedule it (lib/retention.js)
+      const tombstone = await retireAccount(db, targetUid, { via: "request", deletedBy: adminOk.decoded.uid });
 
       // 3) Delete Firebase Auth user (even if already disabled)
       await adminAuth.deleteUser(targetUid);
 
-      await reqCol.updateOne({ _id: reqDoc._id }, { $set: { status: "approved", resolvedAt: new Date() } });
-      return res.status(200).json({ ok: true, kind: "account_delete", uid: targetUid });
+      return res.status(200).json({ ok: true, kind: "account_delete", uid: targetUid, purge: tombstone });
     }
 
     return res.status(400).json({ error: "kind does not match request type" });
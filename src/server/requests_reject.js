@@ -4,6 +4,7 @@
 import { getDb, requireAdmin } from "../../api/admin/_util.js";
 import { ObjectId } from "mongodb";
 import { getAdminAuth } from "../../api/lib/firebaseAdmin.js";
+import { notifyRequestDecision } from "../../api/lib/notifications.js";
 
 function safeObjectId(id) {
   try { return new ObjectId(id); } catch { return null; }
@@ -36,22 +37,18 @@ export default async function handler(req, res) {
     if (kind === "emailChange" || kind === "email_change") q.type = "email_change";
     if (kind === "accountDelete" || kind === "account_delete") q.type = "account_delete";
 
-    const r = await reqCol.updateOne(q, {
+    const reqDoc = await reqCol.findOneAndUpdate(q, {
       $set: { status: "rejected", reason: reason || null, resolvedAt: new Date() }
-    });
+    }, { returnDocument: "after" });
 
-    if (!r.matchedCount) return res.status(404).json({ error: "Request not found or not pending" });
+    if (!reqDoc) return res.status(404).json({ error: "Request not found or not pending" });
+    await notifyRequestDecision(db, reqDoc, "rejected", reason || null);
 
     // If rejecting account_delete → re-enable the user in Firebase
-    if (q.type === "account_delete") {
+    if (reqDoc.type === "account_delete") {
       try {
         const adminAuth = getAdminAuth();
-        let targetUid = uid;
-        if (!targetUid && q._id) {
-          const doc = await reqCol.findOne({ _id: q._id });
-          targetUid = doc?.uid;
-        }
-        if (targetUid) await adminAuth.updateUser(targetUid, { disabled: false });
+        if (reqDoc.uid) await adminAuth.updateUser(reqDoc.uid, { disabled: false });
       } catch (e) {
         console.error("re-enable on reject failed:", e);
       }
@@ -0,0 +1,63 @@
+// src/server/retention.js
+// Retention policy, account tombstones and the purge/expiry runner (see api/lib/retention.js).
+// GET                      → { policy, defaults, tombstones }
+// PUT  { purgeMode?, purgeDelayDays?, rawSampleDays? } → { ok, policy }
+// POST { op: "run" }       → run due purges + sample expiry → { purged, downsample }
+// POST { op: "purge", id } → purge one scheduled tombstone now → tombstone
+// The daily Vercel cron calls GET ?op=run with `Authorization: Bearer $CRON_SECRET`.
+import { ObjectId } from "mongodb";
+import { getDb, isCron, requireAdmin } from "../../api/admin/_util.js";
+import {
+  DEFAULT_RETENTION, getRetentionPolicy, normaliseRetention, saveRetentionPolicy,
+  runDuePurges, purgeNow, downsampleAndExpire,
+} from "../../api/lib/retention.js";
+
+async function runAll(db) {
+  const policy = await getRetentionPolicy(db);
+  const purged = await runDuePurges(db);
+  const downsample = await downsampleAndExpire(db, policy);
+  return { purged, downsample };
+}
+
+export default async function handler(req, res) {
+  if (req.method === "GET" && req.query.op === "run" && isCron(req)) {
+    const db = await getDb();
+    return res.status(200).json(await runAll(db));
+  }
+
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  const db = await getDb();
+
+  if (req.method === "GET") {
+    const tombstones = await db.collection("tombstones").find({}).sort({ deletedAt: -1 }).limit(50).toArray();
+    return res.status(200).json({ policy: await getRetentionPolicy(db), defaults: DEFAULT_RETENTION, tombstones });
+  }
+
+  if (req.method === "PUT") {
+    let policy;
+    try {
+      policy = normaliseRetention(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    return res.status(200).json({ ok: true, policy: await saveRetentionPolicy(db, policy, auth.decoded.uid) });
+  }
+
+  if (req.method === "POST") {
+    const { op, id } = req.body || {};
+    if (op === "run") return res.status(200).json(await runAll(db));
+    if (op === "purge") {
+      let _id;
+      try { _id = new ObjectId(String(id)); } catch { return res.status(400).json({ error: "invalid id" }); }
+      const t = await purgeNow(db, _id);
+      if (!t) return res.status(404).json({ error: "No pending purge with that id" });
+      return res.status(200).json(t);
+    }
+    return res.status(400).json({ error: "op must be run or purge" });
+  }
+
+  res.setHeader("Allow", "GET, PUT, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
@@ -0,0 +1,49 @@
+// src/server/roles.js
+// Role management (see src/utils/roles.js).
+// GET                   → { roles, labels, permissions, grants: { role: [permission] } }
+// POST { uid, role }    → { ok, user: { _id, role, roleUpdatedAt, roleUpdatedBy } }
+// The last admin can't be demoted, so the admin page can't lock everyone out. Taking the coach
+// role away revokes the grants clients made to that coach (api/lib/consents.js).
+import { getDb, requireAdmin } from "../../api/admin/_util.js";
+import { ROLES, ROLE_LABELS, PERMISSIONS, DEFAULT_ROLE, isRole, permissionsFor } from "../utils/roles.js";
+import { GRANTEE_ROLES, revokeGranteeConsents } from "../../api/lib/consents.js";
+
+export default async function handler(req, res) {
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  if (req.method === "GET") {
+    return res.status(200).json({
+      roles: ROLES,
+      labels: ROLE_LABELS,
+      permissions: PERMISSIONS,
+      grants: Object.fromEntries(ROLES.map((r) => [r, permissionsFor(r)])),
+    });
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uid, role } = req.body || {};
+  if (!uid) return res.status(400).json({ error: "uid required" });
+  if (!isRole(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+
+  const db = await getDb();
+  const users = db.collection("users");
+  const target = await users.findOne({ _id: String(uid) }, { projection: { role: 1 } });
+  if (!target) return res.status(404).json({ error: "User not found" });
+
+  const current = target.role || DEFAULT_ROLE;
+  if (current === "admin" && role !== "admin" && (await users.countDocuments({ role: "admin" })) <= 1) {
+    return res.status(409).json({ error: "Can't remove the last admin — promote someone else first" });
+  }
+
+  const set = { role, roleUpdatedAt: new Date(), roleUpdatedBy: auth.decoded.uid };
+  await users.updateOne({ _id: target._id }, { $set: set });
+  const consentsRevoked = GRANTEE_ROLES.includes(current) && !GRANTEE_ROLES.includes(role)
+    ? await revokeGranteeConsents(db, target._id, auth.decoded.uid)
+    : 0;
+  return res.status(200).json({ ok: true, user: { _id: target._id, previousRole: current, ...set }, consentsRevoked });
+}
@@ -0,0 +1,39 @@
+// src/server/source_policy.js
+// GET  → { policy, defaults, types } — the stored source priority policy (or the default)
+// POST/PUT { types: { steps: { priority: ["Watch","iPhone"] | "Watch, iPhone", bucketMinutes } } }
+//   → replaces the policy. Applies to uploads from then on; existing data is not re-deduplicated.
+import { getDb, requireAdmin } from "../../api/admin/_util.js";
+import {
+  DEFAULT_SOURCE_POLICY, getSourcePolicy, normalisePolicy, saveSourcePolicy,
+} from "../../api/lib/sourcePolicy.js";
+import { METRICS } from "../utils/metrics.js";
+
+export default async function handler(req, res) {
+  const auth = await requireAdmin(req, res);
+  if (!auth) return;
+
+  const db = await getDb();
+
+  if (req.method === "GET") {
+    const policy = await getSourcePolicy(db);
+    return res.status(200).json({
+      policy,
+      defaults: DEFAULT_SOURCE_POLICY,
+      types: METRICS.filter((m) => m.shape === "series").map((m) => m.type),
+    });
+  }
+
+  if (req.method === "POST" || req.method === "PUT") {
+    let policy;
+    try {
+      policy = normalisePolicy(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const saved = await saveSourcePolicy(db, policy, auth.decoded.uid);
+    return res.status(200).json({ ok: true, policy: saved });
+  }
+
+  res.setHeader("Allow", "GET, POST, PUT");
+  return res.status(405).json({ error: "Method not allowed" });
+}
@@ -17,11 +17,12 @@ export default async function handler(req, res) {
     const now = new Date();
     const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
-    const [hd, ig, ok24, fail24] = await Promise.all([
+    const [hd, ig, ok24, fail24, throttled24] = await Promise.all([
       dataCol.estimatedDocumentCount(),
       guardCol.estimatedDocumentCount(),
       logsCol.countDocuments({ error: null, ts: { $gte: dayAgo } }),
       logsCol.countDocuments({ error: { $ne: null }, ts: { $gte: dayAgo } }),
+      logsCol.countDocuments({ status: 429, ts: { $gte: dayAgo } }),
     ]);
 
     // last ingest doc (any type)
@@ -33,7 +34,7 @@ export default async function handler(req, res) {
 
     // recent logs (normalize to your UI shape)
     const recent = await logsCol
-      .find({}, { projection: { ts: 1, uid: 1, attempted: 1, inserted: 1, byType: 1, error: 1 } })
+      .find({}, { projection: { ts: 1, uid: 1, attempted: 1, inserted: 1, byType: 1, error: 1, validation: 1, sourcePolicy: 1, throttle: 1 } })
       .sort({ ts: -1 })
       .limit(50)
       .toArray();
@@ -46,6 +47,9 @@ export default async function handler(req, res) {
       inserted: r.inserted ?? null,
       byType: r.byType ?? null,
       error: r.error ?? null,
+      validation: r.validation ?? null,
+      sourcePolicy: r.sourcePolicy ?? null,
+      throttle: r.throttle ?? null,
     }));
 
     return res.status(200).json({
@@ -55,6 +59,7 @@ export default async function handler(req, res) {
         ingest_guard: ig,
         logs_24h_ok: ok24,
         logs_24h_fail: fail24,
+        logs_24h_throttled: throttled24,
       },
       lastIngest: lastIngest || null,
       recentLogs,
@@ -0,0 +1,96 @@
+// Timezone-aware day/hour bucketing for charts.
+// Days are keyed "YYYY-MM-DD" in the user's timezone (users.timezone), not UTC.
+
+import { fromZonedTime } from "date-fns-tz";
+
+export const DEFAULT_TIMEZONE = "Australia/Brisbane";
+
+const dayFormatters = new Map();
+const hourFormatters = new Map();
+
+function dayFormatter(tz) {
+  if (!dayFormatters.has(tz)) {
+    // en-CA formats as YYYY-MM-DD
+    dayFormatters.set(tz, new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  return dayFormatters.get(tz);
+}
+
+function hourFormatter(tz) {
+  if (!hourFormatters.has(tz)) {
+    hourFormatters.set(tz, new Intl.DateTimeFormat("en-GB", { timeZone: tz, hour: "2-digit", hourCycle: "h23" }));
+  }
+  return hourFormatters.get(tz);
+}
+
+/** The browser's IANA zone (used to pre-fill new profiles). */
+export function browserTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/** Zones offered in the Profile select. */
+export function timezoneOptions() {
+  try {
+    if (typeof Intl.supportedValuesOf === "function") return Intl.supportedValuesOf("timeZone");
+  } catch { /* older browsers */ }
+  return [DEFAULT_TIMEZONE, "Australia/Sydney", "Australia/Melbourne", "Australia/Adelaide", "Australia/Perth", "Pacific/Auckland", "Asia/Singapore", "Europe/London", "America/New_York", "America/Los_Angeles", "UTC"];
+}
+
+/** "YYYY-MM-DD" of `ts` in `tz`. */
+export function dayKey(ts, tz = DEFAULT_TIMEZONE) {
+  return dayFormatter(tz).format(new Date(ts));
+}
+
+/** Local hour (0–23) of `ts` in `tz`. */
+export function hourOf(ts, tz = DEFAULT_TIMEZONE) {
+  return Number(hourFormatter(tz).format(new Date(ts)));
+}
+
+/** Shift a "YYYY-MM-DD" key by whole calendar days (no DST involvement). */
+export function addDaysKey(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Monday of the week holding day key `key` ("YYYY-MM-DD" in, "YYYY-MM-DD" out). */
+export function weekStartOf(key) {
+  const dow = new Date(`${key}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDaysKey(key, -((dow + 6) % 7));
+}
+
+/** The last `n` day keys ending today in `tz` (or on `endKey`), oldest first. */
+export function lastNDayKeys(n, tz = DEFAULT_TIMEZONE, endKey = null) {
+  const today = endKey || dayKey(Date.now(), tz);
+  const out = [];
+  for (let i = n - 1; i >= 0; i--) out.push(addDaysKey(today, -i));
+  return out;
+}
+
+/** Format a "YYYY-MM-DD" key without the browser's own offset shifting it a day. */
+export function dayLabel(key, options = { month: "short", day: "numeric" }, locale = "en-US") {
+  return new Date(`${key}T00:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: "UTC" });
+}
+
+/** Every day key from `fromKey` to `toKey` inclusive. */
+export function enumerateDayKeys(fromKey, toKey) {
+  const out = [];
+  const isKey = (k) => /^\d{4}-\d{2}-\d{2}$/.test(k || "");
+  if (!isKey(fromKey) || !isKey(toKey)) return out;
+  for (let k = fromKey; k <= toKey; k = addDaysKey(k, 1)) out.push(k);
+  return out;
+}
+
+/** UTC ISO instant of 00:00:00.000 on day `key` in `tz`. */
+export function zonedDayStartISO(key, tz = DEFAULT_TIMEZONE) {
+  return fromZonedTime(`${key}T00:00:00.000`, tz).toISOString();
+}
+
+/** UTC ISO instant of 23:59:59.999 on day `key` in `tz`. */
+export function zonedDayEndISO(key, tz = DEFAULT_TIMEZONE) {
+  return fromZonedTime(`${key}T23:59:59.999`, tz).toISOString();
+}
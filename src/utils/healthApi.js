@@ -0,0 +1,43 @@
+// Client helpers for the cursor-paged /api/health contract and the streaming exports.
+import { auth } from "../services/Firebase";
+
+/**
+ * Follow `next` cursors until the range is exhausted.
+ * `url` already carries the filters; returns { items } like a single page.
+ */
+export async function fetchAllHealthPages(url, { limit = 1000 } = {}) {
+  const token = await auth.currentUser.getIdToken();
+  const items = [];
+  let cursor = null;
+  do {
+    const u = new URL(url, window.location.origin);
+    u.searchParams.set("limit", String(limit));
+    if (cursor) u.searchParams.set("cursor", cursor);
+    const res = await fetch(u, { headers: { Authorization: `Bearer ${token}` } });
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error("Bad JSON from /api/health"); }
+    if (!res.ok) throw new Error(data?.error || `GET ${res.status}`);
+    items.push(...(data.items || []));
+    cursor = data.next || null;
+  } while (cursor);
+  return { items };
+}
+
+/** Fetch an export endpoint (auth header, so no plain <a href>) and save the result. */
+export async function downloadExport(url, fallbackName = "health_data") {
+  const token = await auth.currentUser.getIdToken();
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) {
+    let msg = `GET ${res.status}`;
+    try { msg = (await res.json())?.error || msg; } catch { /* not JSON */ }
+    throw new Error(msg);
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  const blob = await res.blob();
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = href; a.download = filename; a.click();
+  URL.revokeObjectURL(href);
+}
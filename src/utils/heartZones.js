@@ -0,0 +1,42 @@
+// Heart-rate zones from age (users.dob): upper bounds as a share of max HR (220 − age).
+// Plain data + pure helpers only — this module is imported by both the API and the browser.
+
+export function calculateAge(dob) {
+  if (!dob) return null;
+  try {
+    const birthDate = new Date(dob);
+    const today = new Date();
+    let age = today.getFullYear() - birthDate.getFullYear();
+    const monthDiff = today.getMonth() - birthDate.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) age--;
+    return age;
+  } catch { return null; }
+}
+
+export function maxHeartRate(dob) {
+  return dob ? 220 - calculateAge(dob) : 155;
+}
+
+// Zone upper bounds as a share of max HR; values above the hard zone fall outside every zone
+export const ZONE_SHARES = { rest: 0.50, light: 0.65, moderate: 0.75, hard: 0.95 };
+
+export function heartZoneThresholds(maxHR) {
+  const restZoneEnd = Math.round(maxHR * ZONE_SHARES.rest);
+  return {
+    restZoneEnd,
+    lightZoneStart: restZoneEnd,
+    lightZoneEnd: Math.round(maxHR * ZONE_SHARES.light),
+    moderateZoneEnd: Math.round(maxHR * ZONE_SHARES.moderate),
+    hardZoneEnd: Math.round(maxHR * ZONE_SHARES.hard),
+  };
+}
+
+/** `bands` for a heart_rate series on /api/health/aggregate (see api/lib/aggregate.js). */
+export function heartZoneBands(zones) {
+  return [
+    { name: "rest", lt: zones.restZoneEnd },
+    { name: "light", lte: zones.lightZoneEnd },
+    { name: "moderate", lte: zones.moderateZoneEnd },
+    { name: "hard", lte: zones.hardZoneEnd },
+  ];
+}
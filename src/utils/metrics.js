@@ -0,0 +1,222 @@
+// Metric registry: every health_data type the app knows about, in one place.
+// Ingest (api/upload.js, api/lib/ingest.js, the Health export importer), /api/health,
+// the FHIR export and the charts all read from here, so a new metric is one entry.
+// Plain data + pure helpers only — this module is imported by both the API and the browser.
+//
+// Entry fields:
+//   type         health_data.type
+//   key          payload / `cleaned` key the Shortcut sends (and the importer fills)
+//   unit         stored unit; `displayUnit` overrides it in the UI
+//   shape        "series" (timestamps + values), or "sleep" / "workout" with their own parsers
+//   agg          how buckets roll up: "sum" (counts, energy, minutes) or "avg" (rates, levels)
+//   dashboard    bucket the Dashboard asks /api/health/aggregate for, if it charts the metric
+//   label, digits, color, group
+//   range        healthy range { min?, max? } in `unit`, drawn as a band on trend charts
+//   limits       plausible range { min, max } in `unit`; ingest rejects readings outside it
+//   scale        colour bands, first match wins: [{ lt | lte, color }, …, { color }]
+//   convert      value fix-up applied at ingest (name in CONVERTERS)
+//   hk           Health export identifier, with `hkConvert` naming the importer's unit converter
+//   fhir         { loinc?, display, ucum, unit, category } for the FHIR R4 export
+//                ("vital-signs" only for codes in the FHIR vital-signs profile, see lib/fhir.js)
+
+const GOOD = "var(--bs-success)";
+const FAIR = "var(--bs-warning)";
+const POOR = "var(--bs-danger)";
+const HIGH = "var(--bs-info)";
+
+// Shortcut "Get Health Sample" hands SpO2 / body fat over as 0–1 fractions
+export const CONVERTERS = {
+  fractionToPercent: (v) => (Number.isFinite(v) && v > 0 && v <= 1 ? v * 100 : v),
+};
+
+export const METRICS = [
+  // ---- activity ----
+  {
+    type: "steps", key: "steps", unit: "count", displayUnit: "steps", shape: "series",
+    agg: "sum", dashboard: "hour", label: "Steps", digits: 0, color: "var(--bs-primary)", group: "activity",
+    limits: { min: 0, max: 100000 },
+    fhir: { loinc: "55423-8", display: "Number of steps in unspecified time Pedometer", ucum: "{steps}", unit: "steps", category: "activity" },
+  },
+  {
+    type: "stand_minutes", key: "standMinutes", unit: "mins", displayUnit: "min", shape: "series",
+    agg: "sum", dashboard: "hour", label: "Standing", digits: 0, color: "var(--ring-stand, var(--bs-info))", group: "activity",
+    hk: "HKQuantityTypeIdentifierAppleStandTime", hkConvert: "minutes",
+    limits: { min: 0, max: 60 },
+    fhir: { display: "Stand time", ucum: "min", unit: "min", category: "activity" },
+  },
+  {
+    type: "active_energy", key: "activeEnergy", unit: "kJ", shape: "series",
+    agg: "sum", dashboard: "day", label: "Active Energy", digits: 0, color: "var(--bs-orange, #fd7e14)", group: "activity",
+    hk: "HKQuantityTypeIdentifierActiveEnergyBurned", hkConvert: "energy",
+    limits: { min: 0, max: 20000 },
+    fhir: { loinc: "41981-2", display: "Calories burned", ucum: "kJ", unit: "kJ", category: "activity" },
+  },
+  {
+    type: "resting_energy", key: "restingEnergy", unit: "kJ", shape: "series",
+    agg: "sum", dashboard: "day", label: "Resting Energy", digits: 0, color: "var(--bs-secondary)", group: "activity",
+    hk: "HKQuantityTypeIdentifierBasalEnergyBurned", hkConvert: "energy",
+    limits: { min: 0, max: 20000 },
+    fhir: { display: "Resting energy", ucum: "kJ", unit: "kJ", category: "activity" },
+  },
+  {
+    type: "workout", key: "workouts", unit: "min", shape: "workout",
+    agg: "sum", label: "Workouts", digits: 0, color: "var(--chart-hr-hard, #ff4d6d)", group: "activity",
+    fhir: { display: "Workout duration", ucum: "min", unit: "min", category: "activity" },
+  },
+
+  // ---- sleep ----
+  {
+    type: "sleep", key: "sleep", unit: "min", shape: "sleep",
+    agg: "sum", label: "Sleep", digits: 0, color: "var(--bs-indigo, #6610f2)", group: "sleep",
+    fhir: { loinc: "93832-4", display: "Sleep duration", ucum: "min", unit: "min", category: "activity" },
+  },
+
+  // ---- heart ----
+  {
+    type: "heart_rate", key: "heart", unit: "bpm", shape: "series",
+    agg: "avg", dashboard: "day", label: "Heart Rate", digits: 0, color: "var(--bs-danger)", group: "heart",
+    hk: "HKQuantityTypeIdentifierHeartRate",
+    limits: { min: 25, max: 250 },
+    fhir: { loinc: "8867-4", display: "Heart rate", ucum: "/min", unit: "beats/minute", category: "vital-signs" },
+  },
+  {
+    type: "resting_heart_rate", key: "restingHeartRate", unit: "bpm", shape: "series",
+    agg: "avg", dashboard: "day", label: "Resting Heart Rate", digits: 0, color: "var(--bs-danger)", group: "heart",
+    range: { min: 50, max: 80 },
+    hk: "HKQuantityTypeIdentifierRestingHeartRate",
+    limits: { min: 25, max: 200 },
+    fhir: { loinc: "40443-4", display: "Heart rate --resting", ucum: "/min", unit: "beats/minute", category: "exam" },
+  },
+  {
+    type: "walking_heart_rate_average", key: "walkingHeartRateAverage", unit: "bpm", shape: "series",
+    agg: "avg", label: "Walking Heart Rate Average", digits: 0, color: "var(--bs-danger)", group: "heart",
+    hk: "HKQuantityTypeIdentifierWalkingHeartRateAverage",
+    limits: { min: 30, max: 220 },
+    fhir: { display: "Walking heart rate average", ucum: "/min", unit: "beats/minute", category: "exam" },
+  },
+  {
+    type: "heart_rate_variability", key: "heartRateVariability", unit: "ms", shape: "series",
+    agg: "avg", dashboard: "day", label: "Heart Rate Variability", digits: 0, color: "var(--ring-hrv, var(--bs-danger))", group: "heart",
+    hk: "HKQuantityTypeIdentifierHeartRateVariabilitySDNN",
+    limits: { min: 1, max: 500 },
+    fhir: { loinc: "80404-7", display: "R-R interval.standard deviation (Heart rate variability)", ucum: "ms", unit: "ms", category: "exam" },
+  },
+
+  // ---- walking gait (hourly heatmap) ----
+  {
+    type: "walking_asymmetry", key: "walkingAsymmetry", unit: "%", shape: "series",
+    agg: "avg", dashboard: "hour", label: "Walking Asymmetry", digits: 1, color: "var(--bs-warning)", group: "gait",
+    // lower is better; ideal under 2%
+    range: { max: 2 },
+    scale: [{ lt: 2, color: GOOD }, { lt: 5, color: FAIR }, { color: POOR }],
+    hk: "HKQuantityTypeIdentifierWalkingAsymmetryPercentage", hkConvert: "percent",
+    limits: { min: 0, max: 100 },
+    fhir: { display: "Walking asymmetry", ucum: "%", unit: "%", category: "activity" },
+  },
+  {
+    type: "walking_speed", key: "walkingSpeed", unit: "km/h", shape: "series",
+    agg: "avg", dashboard: "hour", label: "Walking Speed", digits: 2, color: "var(--bs-success)", group: "gait",
+    // typical 3.6–5.0 km/h
+    range: { min: 3.6, max: 5.0 },
+    scale: [{ lt: 2.9, color: POOR }, { lt: 3.6, color: FAIR }, { lte: 5.0, color: GOOD }, { color: HIGH }],
+    hk: "HKQuantityTypeIdentifierWalkingSpeed", hkConvert: "speed",
+    limits: { min: 0, max: 15 },
+    fhir: { display: "Walking speed", ucum: "km/h", unit: "km/h", category: "activity" },
+  },
+  {
+    type: "double_support_time", key: "doubleSupportTime", unit: "%", shape: "series",
+    agg: "avg", dashboard: "hour", label: "Double Support Time", digits: 1, color: "var(--bs-info)", group: "gait",
+    // typical 20–30% of the gait cycle
+    range: { min: 20, max: 30 },
+    scale: [{ lt: 20, color: POOR }, { lte: 30, color: GOOD }, { lte: 40, color: FAIR }, { color: POOR }],
+    hk: "HKQuantityTypeIdentifierWalkingDoubleSupportPercentage", hkConvert: "percent",
+    limits: { min: 0, max: 100 },
+    fhir: { display: "Walking double support time", ucum: "%", unit: "%", category: "activity" },
+  },
+  {
+    type: "walking_step_length", key: "walkingStepLength", unit: "cm", shape: "series",
+    agg: "avg", dashboard: "hour", label: "Walking Step Length", digits: 0, color: "var(--bs-primary)", group: "gait",
+    // typical 60–80 cm
+    range: { min: 60, max: 80 },
+    scale: [{ lt: 50, color: POOR }, { lt: 60, color: FAIR }, { lte: 80, color: GOOD }, { color: HIGH }],
+    hk: "HKQuantityTypeIdentifierWalkingStepLength", hkConvert: "length",
+    limits: { min: 10, max: 200 },
+    fhir: { display: "Walking step length", ucum: "cm", unit: "cm", category: "activity" },
+  },
+  {
+    type: "walking_steadiness", key: "walkingSteadiness", unit: "%", shape: "series",
+    agg: "avg", label: "Walking Steadiness", digits: 0, color: "var(--bs-success)", group: "mobility",
+    hk: "HKQuantityTypeIdentifierAppleWalkingSteadiness", hkConvert: "percent",
+    limits: { min: 0, max: 100 },
+    fhir: { display: "Walking steadiness", ucum: "%", unit: "%", category: "activity" },
+  },
+
+  // ---- body & vitals (Dashboard "Body & Vitals" slide) ----
+  {
+    type: "oxygen_saturation", key: "oxygenSaturation", unit: "%", shape: "series", convert: "fractionToPercent",
+    agg: "avg", dashboard: "day", label: "Blood Oxygen", digits: 0, color: "var(--bs-info)", group: "vitals",
+    range: { min: 95, max: 100 },
+    hk: "HKQuantityTypeIdentifierOxygenSaturation", hkConvert: "percent",
+    limits: { min: 50, max: 100 },
+    fhir: { loinc: "59408-5", display: "Oxygen saturation in Arterial blood by Pulse oximetry", ucum: "%", unit: "%", category: "vital-signs" },
+  },
+  {
+    type: "respiratory_rate", key: "respiratoryRate", unit: "breaths/min", displayUnit: "br/min", shape: "series",
+    agg: "avg", dashboard: "day", label: "Respiratory Rate", digits: 1, color: "var(--bs-teal, #20c997)", group: "vitals",
+    range: { min: 12, max: 20 },
+    hk: "HKQuantityTypeIdentifierRespiratoryRate",
+    limits: { min: 4, max: 60 },
+    fhir: { loinc: "9279-1", display: "Respiratory rate", ucum: "/min", unit: "breaths/minute", category: "vital-signs" },
+  },
+  {
+    type: "body_mass", key: "bodyMass", unit: "kg", shape: "series",
+    agg: "avg", dashboard: "day", label: "Body Mass", digits: 1, color: "var(--bs-primary)", group: "vitals",
+    hk: "HKQuantityTypeIdentifierBodyMass", hkConvert: "mass",
+    limits: { min: 20, max: 400 },
+    fhir: { loinc: "29463-7", display: "Body weight", ucum: "kg", unit: "kg", category: "vital-signs" },
+  },
+  {
+    type: "body_fat_percentage", key: "bodyFatPercentage", unit: "%", shape: "series", convert: "fractionToPercent",
+    agg: "avg", dashboard: "day", label: "Body Fat", digits: 1, color: "var(--bs-warning)", group: "vitals",
+    hk: "HKQuantityTypeIdentifierBodyFatPercentage", hkConvert: "percent",
+    limits: { min: 2, max: 75 },
+    fhir: { loinc: "41982-0", display: "Percentage of body fat Measured", ucum: "%", unit: "%", category: "exam" },
+  },
+  {
+    type: "vo2_max", key: "vo2Max", unit: "mL/kg/min", shape: "series",
+    agg: "avg", dashboard: "day", label: "VO2 Max", digits: 1, color: "var(--bs-success)", group: "vitals",
+    hk: "HKQuantityTypeIdentifierVO2Max",
+    limits: { min: 10, max: 100 },
+    fhir: { display: "VO2 max (estimated)", ucum: "mL/kg/min", unit: "mL/kg/min", category: "activity" },
+  },
+  {
+    type: "wrist_temperature", key: "wristTemperature", unit: "°C", shape: "series",
+    agg: "avg", dashboard: "day", label: "Wrist Temperature", digits: 2, color: "var(--bs-danger)", group: "vitals",
+    hk: "HKQuantityTypeIdentifierAppleSleepingWristTemperature", hkConvert: "temperature",
+    limits: { min: 25, max: 45 },
+    fhir: { loinc: "39106-0", display: "Temperature of Skin", ucum: "Cel", unit: "°C", category: "exam" },
+  },
+];
+
+const BY_TYPE = new Map(METRICS.map((m) => [m.type, m]));
+
+export const METRIC_TYPES = METRICS.map((m) => m.type);
+
+/** Registry entry for a health_data type, or null. */
+export function metricFor(type) {
+  return BY_TYPE.get(type) || null;
+}
+
+export function metricsInGroup(group) {
+  return METRICS.filter((m) => m.group === group);
+}
+
+/** Colour for a reading from the metric's `scale`; falls back to the metric's chart colour. */
+export function metricColor(type, value) {
+  const m = BY_TYPE.get(type);
+  if (!m) return undefined;
+  if (!m.scale || !Number.isFinite(value)) return m.color;
+  const band = m.scale.find((b) => (b.lt != null ? value < b.lt : b.lte != null ? value <= b.lte : true));
+  return band?.color ?? m.color;
+}
+
@@ -0,0 +1,55 @@
+// Roles and permissions (users.role). The API enforces them (api/admin/_util.js requireAdmin,
+// with each admin action's permission set in the api/admin.js table); the browser uses the same
+// table to decide which admin tabs and cards to show.
+// Plain data + pure helpers only — this module is imported by both the API and the browser.
+//
+// A role is only ever changed by someone with "users:roles" (POST /api/admin/roles);
+// /api/users never accepts it from the client.
+
+export const ROLES = ["user", "coach", "researcher", "support", "admin"];
+export const DEFAULT_ROLE = "user";
+
+export const PERMISSIONS = {
+  "status:read":     "View ingest status, logs and policies",
+  "users:read":      "Search users and see their upload history",
+  "users:roles":     "Change user roles",
+  "requests:review": "Approve or reject signup, email and deletion requests",
+  "accounts:delete": "Delete accounts",
+  "health:read":     "Read any user's health data",
+  "health:export":   "Export any user's health data",
+  "data:maintain":   "Clean duplicates, add test rows and reprocess raw uploads",
+  "policy:manage":   "Edit source priority and retention policies, run purges",
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  // coaches work from their own client list (consented users), not the admin pages
+  coach: [],
+  researcher: ["status:read", "users:read", "health:read", "health:export"],
+  support: ["status:read", "users:read", "requests:review"],
+  admin: Object.keys(PERMISSIONS),
+};
+
+export const ROLE_LABELS = {
+  user: "User",
+  coach: "Coach",
+  researcher: "Researcher",
+  support: "Support",
+  admin: "Admin",
+};
+
+export const isRole = (role) => ROLES.includes(role);
+
+/** Permissions granted to `role` (unknown roles get none). */
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+export function can(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/** Whether `role` can open any part of the admin page. */
+export function isStaff(role) {
+  return permissionsFor(role).length > 0;
+}